@@ -0,0 +1,190 @@
+import dotenv from "dotenv";
+import { appendFile, readFile } from "fs/promises";
+import { randomUUID } from "crypto";
+import { createLogger, getRequestID, ValidationError } from "./utils.js";
+
+dotenv.config();
+
+const logger = createLogger("audit");
+
+// Where the audit log is kept - one JSON entry per line, appended to and never rewritten
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || "audit_log.jsonl";
+
+// How many entries /history returns if no limit is given
+const DEFAULT_HISTORY_LIMIT = 100;
+
+// Appends are chained so that concurrent entries don't interleave
+var pendingAppend = Promise.resolve();
+
+/**
+ * An entry of the audit log
+ * @typedef {Object} AuditEntry
+ * @property {string} id - Unique ID of the entry
+ * @property {string} timestamp - When the command was received
+ * @property {string} command - The type of command, e.g. "unlock" or "charging-start"
+ * @property {string|null} requestID - The ID of the route call, to find its log lines
+ * @property {string|null} route - The route that was called, e.g. "GET /vehicle/unlock",
+ * or null for a command sent by a job
+ * @property {{method: string, keyID: string|null, name: string}} caller - Who sent the command
+ * @property {Object} parameters - The parameters of the command, without credentials
+ * @property {boolean} success - Whether the command succeeded
+ * @property {number|null} status - The HTTP status of the response
+ * @property {any} result - The result of the command, e.g. the outcome in confirm mode
+ * @property {number} latencyMs - How long the command took
+ * @property {string|null} error - Why the command failed
+ */
+
+/**
+ * Append an entry to the audit log. Failing to write the entry is logged but
+ * doesn't fail the command.
+ * @param {Object} details - The fields of the entry, see AuditEntry
+ * @returns {Promise<AuditEntry>} - The entry
+ */
+export function recordAuditEntry(details) {
+    const entry = {
+        id: randomUUID(),
+        timestamp: new Date().toISOString(),
+        requestID: null,
+        route: null,
+        parameters: {},
+        status: null,
+        result: null,
+        error: null,
+        ...details
+    };
+    const append = pendingAppend.then(() => appendFile(AUDIT_LOG_FILE, JSON.stringify(entry) + "\n"));
+    pendingAppend = append.catch((error) => {
+        logger.error(`Could not write to the audit log ${AUDIT_LOG_FILE}: ${error.message}`);
+    });
+    return pendingAppend.then(() => entry);
+}
+
+/**
+ * Run a command that is not sent through a route, e.g. by a charging schedule or a
+ * step of a macro, and record it in the audit log. Inside of a route call, the entry
+ * gets the request ID of the call.
+ * @param {Object} details
+ * @param {string} details.command - The type of command
+ * @param {string|Object} details.caller - The name of the job that sends the command,
+ * e.g. "schedule 1234", or the caller of the route ({ method, keyID, name })
+ * @param {Object} [details.parameters] - The parameters of the command
+ * @param {function(): Promise<any>} action - Sends the command
+ * @returns {Promise<any>} - The result of the action
+ * @throws If the action fails, its exception is rethrown
+ */
+export async function runAudited({ command, caller, parameters = {} }, action) {
+    const timestamp = new Date().toISOString();
+    const startedAt = Date.now();
+    const auditEntry = {
+        timestamp,
+        command,
+        requestID: getRequestID(),
+        caller: typeof caller === "string" ? { method: "job", keyID: null, name: caller } : caller,
+        parameters
+    };
+    try {
+        const result = await action();
+        await recordAuditEntry({ ...auditEntry, success: true, result: result ?? null, latencyMs: Date.now() - startedAt });
+        return result;
+    } catch (error) {
+        await recordAuditEntry({ ...auditEntry, success: false, error: error.message, latencyMs: Date.now() - startedAt });
+        throw error;
+    }
+}
+
+/**
+ * Parse a time filter of the history: an ISO date and time or a Unix time in milliseconds
+ * @param {string} name - The name of the filter, for the error message
+ * @param {string} [value] - The value
+ * @returns {Date|null} - The time or null if no value was given
+ * @throws {ValidationError} - If the value is not a valid time
+ */
+export function parseTimeFilter(name, value) {
+    if (value === undefined || value === "") {
+        return null;
+    }
+    if (typeof value !== "string") {
+        throw new ValidationError(`${name} must be given once, e.g. "2024-11-22T22:00:00Z"`);
+    }
+    const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new ValidationError(`${name} must be a date and time, e.g. "2024-11-22T22:00:00Z"`);
+    }
+    return date;
+}
+
+/**
+ * Parse a list filter of the history: comma-separated values, or the values of a query
+ * parameter given several times, e.g. "?command=lock&command=unlock"
+ * @param {string} name - The name of the filter, for the error message
+ * @param {string|Array<string>} [value] - The value
+ * @returns {Array<string>|null} - The values or null if none were given
+ * @throws {ValidationError} - If the value is not a string or a list of strings
+ */
+function parseListFilter(name, value) {
+    if (value === undefined || value === "") {
+        return null;
+    }
+    const values = [value].flat();
+    if (!values.every(item => typeof item === "string")) {
+        throw new ValidationError(`${name} must be a comma-separated list, e.g. "lock,unlock"`);
+    }
+    const items = values.flatMap(item => item.split(",")).map(item => item.trim()).filter(Boolean);
+    return items.length > 0 ? items : null;
+}
+
+/**
+ * Read the audit log, newest entries first
+ * @param {Object} [filters]
+ * @param {string} [filters.from] - Only entries at or after this time
+ * @param {string} [filters.to] - Only entries before this time
+ * @param {string|Array<string>} [filters.command] - Only these types of command, comma-separated, e.g. "lock,unlock"
+ * @param {string|Array<string>} [filters.caller] - Only entries from these API key IDs or caller names, comma-separated
+ * @param {string|number} [filters.limit] - The maximum number of entries (default 100)
+ * @returns {Promise<Array<AuditEntry>>} - The entries
+ * @throws {ValidationError} - If a filter is invalid
+ */
+export async function readAuditLog({ from, to, command, caller, limit } = {}) {
+    const fromDate = parseTimeFilter("from", from);
+    const toDate = parseTimeFilter("to", to);
+    const commands = parseListFilter("command", command);
+    const callers = parseListFilter("caller", caller);
+    const maxEntries = limit !== undefined ? Number(limit) : DEFAULT_HISTORY_LIMIT;
+    if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+        throw new ValidationError("limit must be a positive integer");
+    }
+
+    await pendingAppend;
+    let contents;
+    try {
+        contents = await readFile(AUDIT_LOG_FILE, "utf8");
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return [];
+        }
+        throw error;
+    }
+    const entries = [];
+    const lines = contents.split("\n");
+    for (let i = lines.length - 1; i >= 0 && entries.length < maxEntries; i--) {
+        if (!lines[i].trim()) {
+            continue;
+        }
+        let entry;
+        try {
+            entry = JSON.parse(lines[i]);
+        } catch {
+            logger.error(`Skipping a malformed line in the audit log ${AUDIT_LOG_FILE}`);
+            continue;
+        }
+        const timestamp = new Date(entry.timestamp);
+        if ((fromDate && timestamp < fromDate)
+            || (toDate && timestamp >= toDate)
+            || (commands && !commands.includes(entry.command))
+            || (callers && !callers.includes(entry.caller?.keyID) && !callers.includes(entry.caller?.name))) {
+            continue;
+        }
+        entries.push(entry);
+    }
+    return entries;
+}
@@ -0,0 +1,321 @@
+import dotenv from "dotenv";
+import { readFile, writeFile } from "fs/promises";
+import { createHash, createHmac, randomBytes, timingSafeEqual } from "crypto";
+import { createLogger, ValidationError } from "./utils.js";
+
+dotenv.config();
+
+const logger = createLogger("auth");
+
+// Where the API keys are kept - the file holds the secrets, so keep it private
+const API_KEYS_FILE = process.env.API_KEYS_FILE || "api_keys.json";
+
+// The shared password of the original query string authentication. It grants every
+// scope except "admin". Leave it unset to accept API keys and signed requests only.
+const USAGE_PASSWORD = process.env.USAGE_PASSWORD || null;
+
+// How far the timestamp of a signed request may be from the server's clock
+const SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+
+/**
+ * The permissions an API key can be granted. "*" grants all of them.
+ */
+export const SCOPES = {
+    "vehicle:read": "Read the vehicle state, e.g. the lock state",
+    "vehicle:lock": "Lock the vehicle",
+    "vehicle:unlock": "Unlock the vehicle",
+    "vehicle:frunk": "Open the frunk",
+    "vehicle:trunk": "Open the rear trunk",
+    "vehicle:charge-port": "Open, unlock or close the charge port",
+    "vehicle:climate": "Control the climate",
+    "vehicle:find": "Flash the lights and honk the horn",
+    "vehicle:sentry": "Turn sentry mode on and off",
+    "vehicle:windows": "Vent and close the windows",
+    "vehicle:charging": "Set the charge limit and charging amps, start and stop charging on the vehicle",
+    "charging": "Start and stop charging",
+    "charging:read": "Read the charging session",
+    "schedules": "Manage the charging schedules",
+    "planner": "Manage the charging plan",
+    "preconditioning": "Manage the preconditioning schedules",
+    "geofences": "Manage the geofences",
+    "registry": "Manage the vehicles and chargers",
+    "macros": "Manage the macros",
+    "macros:run": "Run the macros - every step also needs its own scope",
+    "notifications": "Read the notification settings and send test notifications",
+    "simulator": "Control the simulated vehicle",
+    "history": "Read the command history",
+    "reports": "Read the charging history and reports",
+    "health": "Read the health of the proxy: the configuration, the upstreams and the jobs",
+    "tesla": "Set up the Tesla Fleet API",
+    "admin": "Manage the API keys"
+};
+
+// Nonces of the signed requests seen recently, with the time they can be forgotten
+const seenNonces = new Map();
+
+/**
+ * An error caused by a request without valid credentials
+ */
+export class AuthenticationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "AuthenticationError";
+    }
+}
+
+/**
+ * Compare two strings in constant time, so that the comparison doesn't reveal
+ * how much of a secret was guessed correctly
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {boolean} - Whether the strings are equal
+ */
+export function safeEqual(a, b) {
+    if (typeof a !== "string" || typeof b !== "string") {
+        return false;
+    }
+    // Hashing first makes both buffers the same length, as timingSafeEqual requires
+    const hashA = createHash("sha256").update(a).digest();
+    const hashB = createHash("sha256").update(b).digest();
+    return timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Read the API keys from disk
+ * @returns {Promise<Array<Object>>} - The keys, or an empty list if the file doesn't exist yet
+ * @throws If the file exists but cannot be read or parsed, an exception is thrown
+ */
+async function readApiKeys() {
+    try {
+        return JSON.parse(await readFile(API_KEYS_FILE, "utf8"));
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return [];
+        }
+        logger.error(`Could not read the API keys from ${API_KEYS_FILE}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Save the API keys to disk, readable by the owner only
+ * @param {Array<Object>} apiKeys - The keys
+ * @returns {Promise<void>}
+ */
+async function saveApiKeys(apiKeys) {
+    await writeFile(API_KEYS_FILE, JSON.stringify(apiKeys, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Describe an API key without its secret
+ * @param {Object} apiKey - The stored key
+ * @returns {{id: string, name: string, scopes: Array<string>, createdAt: string}}
+ */
+const describeApiKey = ({ id, name, scopes, createdAt }) => ({ id, name, scopes, createdAt });
+
+/**
+ * List the API keys, without their secrets
+ * @returns {Promise<Array<Object>>} - The keys
+ */
+export async function listApiKeys() {
+    return (await readApiKeys()).map(describeApiKey);
+}
+
+/**
+ * Create an API key for a device
+ * @param {string} name - What the key is for, e.g. "watch"
+ * @param {Array<string>} scopes - The scopes to grant - see SCOPES, or "*" for all
+ * @returns {Promise<Object>} - The key, including the full key in `apiKey` and the
+ * `secret` for signing requests. They are shown only this once.
+ * @throws {ValidationError} - If the name or any of the scopes is invalid
+ */
+export async function createApiKey(name, scopes) {
+    if (typeof name !== "string" || !name.trim()) {
+        throw new ValidationError("name must be a non-empty string");
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw new ValidationError("scopes must be a non-empty list");
+    }
+    const unknownScopes = scopes.filter(scope => scope !== "*" && !SCOPES[scope]);
+    if (unknownScopes.length > 0) {
+        throw new ValidationError(`Unknown scopes: ${unknownScopes.join(", ")} - use "*" or any of: ${Object.keys(SCOPES).join(", ")}`);
+    }
+    const apiKey = {
+        id: randomBytes(6).toString("hex"),
+        name: name.trim(),
+        scopes: [...new Set(scopes)],
+        secret: randomBytes(24).toString("base64url"),
+        createdAt: new Date().toISOString()
+    };
+    await saveApiKeys([...(await readApiKeys()), apiKey]);
+    return {
+        ...describeApiKey(apiKey),
+        apiKey: `${apiKey.id}.${apiKey.secret}`,
+        secret: apiKey.secret
+    };
+}
+
+/**
+ * Revoke an API key
+ * @param {string} id - The ID of the key
+ * @returns {Promise<boolean>} - Whether the key existed
+ */
+export async function revokeApiKey(id) {
+    const apiKeys = await readApiKeys();
+    const remainingApiKeys = apiKeys.filter(apiKey => apiKey.id !== id);
+    if (remainingApiKeys.length === apiKeys.length) {
+        return false;
+    }
+    await saveApiKeys(remainingApiKeys);
+    return true;
+}
+
+/**
+ * Find a stored API key by its ID
+ * @param {string} id - The ID of the key
+ * @returns {Promise<Object>} - The key
+ * @throws {AuthenticationError} - If there is no such key
+ */
+async function findApiKey(id) {
+    const apiKey = (await readApiKeys()).find(apiKey => apiKey.id === id);
+    if (!apiKey) {
+        throw new AuthenticationError("Unknown API key");
+    }
+    return apiKey;
+}
+
+/**
+ * Build the string that is signed for a request:
+ * method, path with query string, timestamp, nonce and the SHA-256 of the body,
+ * separated by new lines
+ * @param {Object} request
+ * @param {string} request.method - The HTTP method, e.g. "GET"
+ * @param {string} request.url - The path and query string, e.g. "/vehicle/lock?confirm=true"
+ * @param {string} request.timestamp - Unix time in milliseconds
+ * @param {string} request.nonce - A unique value for every request
+ * @param {Buffer|string} [request.body] - The raw body
+ * @returns {string} - The string to sign
+ */
+export function getStringToSign({ method, url, timestamp, nonce, body }) {
+    const bodyHash = createHash("sha256").update(body ?? "").digest("hex");
+    return [method.toUpperCase(), url, timestamp, nonce, bodyHash].join("\n");
+}
+
+/**
+ * Sign a request with the secret of an API key
+ * @param {string} secret - The secret of the API key
+ * @param {Object} request - See getStringToSign()
+ * @returns {string} - The signature, hex encoded
+ */
+export function signRequest(secret, request) {
+    return createHmac("sha256", secret).update(getStringToSign(request)).digest("hex");
+}
+
+/**
+ * Remember the nonce of a signed request, so that the request cannot be replayed
+ * @param {string} keyID - The ID of the API key that signed the request
+ * @param {string} nonce - The nonce
+ * @throws {AuthenticationError} - If the nonce was already used
+ */
+function useNonce(keyID, nonce) {
+    const now = Date.now();
+    for (const [seenNonce, expiresAt] of seenNonces) {
+        if (expiresAt < now) {
+            seenNonces.delete(seenNonce);
+        }
+    }
+    const key = `${keyID}:${nonce}`;
+    if (seenNonces.has(key)) {
+        throw new AuthenticationError("The nonce was already used");
+    }
+    // Requests older than the maximum age are rejected anyway, so the nonce can be forgotten then
+    seenNonces.set(key, now + 2 * SIGNATURE_MAX_AGE_MS);
+}
+
+/**
+ * Authenticate a request signed with the secret of an API key.
+ * The X-Key-Id, X-Timestamp, X-Nonce and X-Signature headers must be present.
+ * @param {express.Request} req - The incoming request
+ * @returns {Promise<Object>} - The API key that signed the request
+ * @throws {AuthenticationError} - If the signature, timestamp or nonce is invalid
+ */
+async function authenticateSignedRequest(req) {
+    const keyID = req.get("X-Key-Id");
+    const timestamp = req.get("X-Timestamp");
+    const nonce = req.get("X-Nonce");
+    const signature = req.get("X-Signature");
+    if (!keyID || !timestamp || !nonce || !signature) {
+        throw new AuthenticationError("Signed requests need the X-Key-Id, X-Timestamp, X-Nonce and X-Signature headers");
+    }
+    if (!(Math.abs(Date.now() - Number(timestamp)) <= SIGNATURE_MAX_AGE_MS)) {
+        throw new AuthenticationError("The timestamp is missing or too far from the server's clock");
+    }
+    const apiKey = await findApiKey(keyID);
+    const expectedSignature = signRequest(apiKey.secret, {
+        method: req.method,
+        url: req.originalUrl,
+        timestamp,
+        nonce,
+        body: req.rawBody
+    });
+    if (!safeEqual(signature.toLowerCase(), expectedSignature)) {
+        throw new AuthenticationError("Invalid signature");
+    }
+    useNonce(keyID, nonce);
+    return apiKey;
+}
+
+/**
+ * Authenticate a request with an API key in the X-API-Key header
+ * @param {string} key - The full key: "<id>.<secret>"
+ * @returns {Promise<Object>} - The API key
+ * @throws {AuthenticationError} - If the key is invalid
+ */
+async function authenticateApiKey(key) {
+    const [keyID, secret] = key.split(".");
+    const apiKey = await findApiKey(keyID);
+    if (!safeEqual(secret, apiKey.secret)) {
+        throw new AuthenticationError("Invalid API key");
+    }
+    return apiKey;
+}
+
+/**
+ * Work out who sent a request: an API key in the X-API-Key header, a request
+ * signed with an API key, or the shared password in the query string
+ * @param {express.Request} req - The incoming request
+ * @returns {Promise<{method: string, keyID: string|null, name: string, scopes: Array<string>}>}
+ * @throws {AuthenticationError} - If no valid credentials were supplied
+ */
+export async function authenticateRequest(req) {
+    if (req.get("X-API-Key")) {
+        const apiKey = await authenticateApiKey(req.get("X-API-Key"));
+        return { method: "api-key", keyID: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
+    }
+    if (req.get("X-Signature")) {
+        const apiKey = await authenticateSignedRequest(req);
+        return { method: "signature", keyID: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
+    }
+    if (USAGE_PASSWORD && req.query.password !== undefined) {
+        if (!safeEqual(req.query.password, USAGE_PASSWORD)) {
+            throw new AuthenticationError("Invalid password");
+        }
+        return {
+            method: "password",
+            keyID: null,
+            name: "password",
+            scopes: Object.keys(SCOPES).filter(scope => scope !== "admin")
+        };
+    }
+    throw new AuthenticationError("No credentials supplied");
+}
+
+/**
+ * Check if the scopes granted to a caller include a given scope
+ * @param {Array<string>} grantedScopes - The granted scopes
+ * @param {string} scope - The required scope
+ * @returns {boolean}
+ */
+export function hasScope(grantedScopes, scope) {
+    return grantedScopes.includes("*") || grantedScopes.includes(scope);
+}
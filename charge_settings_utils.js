@@ -0,0 +1,48 @@
+import { ValidationError } from "./utils.js";
+
+// The range of charge limits the vehicle accepts, in percent
+const MIN_CHARGE_LIMIT = 50;
+const MAX_CHARGE_LIMIT = 100;
+
+// The range of charging currents the vehicle accepts, in amps - the vehicle caps the
+// current at what the charger can deliver
+const MIN_CHARGING_AMPS = 5;
+const MAX_CHARGING_AMPS = 48;
+
+/**
+ * Parse a whole number within a range, from JSON or from the query string
+ * @param {string} name - The name of the parameter, for the error message
+ * @param {number|string} value - The value
+ * @param {number} min - The smallest allowed value
+ * @param {number} max - The largest allowed value
+ * @param {string} unit - The unit, for the error message
+ * @returns {number}
+ * @throws {ValidationError} - If the value is missing, not a whole number or out of range
+ */
+function parseBoundedInteger(name, value, min, max, unit) {
+    const number = value === undefined || value === "" ? NaN : Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new ValidationError(`${name} must be a whole number between ${min} and ${max} ${unit}`);
+    }
+    return number;
+}
+
+/**
+ * Parse the charge limit of the vehicle
+ * @param {number|string} percent - The charge limit in percent, 50-100
+ * @returns {number}
+ * @throws {ValidationError} - If the charge limit is missing or out of range
+ */
+export function parseChargeLimit(percent) {
+    return parseBoundedInteger("percent", percent, MIN_CHARGE_LIMIT, MAX_CHARGE_LIMIT, "%");
+}
+
+/**
+ * Parse the current the vehicle draws while charging
+ * @param {number|string} amps - The current in amps, 5-48
+ * @returns {number}
+ * @throws {ValidationError} - If the current is missing or out of range
+ */
+export function parseChargingAmps(amps) {
+    return parseBoundedInteger("amps", amps, MIN_CHARGING_AMPS, MAX_CHARGING_AMPS, "A");
+}
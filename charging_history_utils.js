@@ -0,0 +1,146 @@
+import dotenv from "dotenv";
+import { appendFile, readFile } from "fs/promises";
+import { randomUUID } from "crypto";
+import { createLogger } from "./utils.js";
+import { resolveVIN } from "./registry_utils.js";
+import { getVehicleState } from "./vehicle_utils.js";
+
+dotenv.config();
+
+const logger = createLogger("charging-history");
+
+// Where the finished charging sessions are kept - one JSON record per line, appended to
+const CHARGING_HISTORY_FILE = process.env.CHARGING_HISTORY_FILE || "charging_history.jsonl";
+
+// The vehicle and its state of charge when charging was authorized, by charger ID
+const startedSessions = new Map();
+
+// Appends are chained so that concurrent records don't interleave
+var pendingAppend = Promise.resolve();
+
+/**
+ * A charging session started and stopped through the proxy
+ * @typedef {Object} ChargingSessionRecord
+ * @property {string} id - Unique ID of the record
+ * @property {string} chargerID - The charger
+ * @property {string|null} vin - The vehicle that was charged
+ * @property {string} startedAt - When the session started
+ * @property {string} endedAt - When charging was stopped
+ * @property {number} durationSeconds - How long the session took, as reported by Gigacharger
+ * @property {number} energyKWh - The energy delivered
+ * @property {number} peakPowerW - The highest charging power
+ * @property {number|null} cost - The cost at GIGACHARGER_PRICE_PER_KWH
+ * @property {Object<string, number>} energyByHour - The energy delivered in every hour,
+ * by the start of the hour, to price the session with a time-of-use tariff
+ * @property {number|null} socBefore - The state of charge of the vehicle when charging was authorized
+ * @property {number|null} socAfter - The state of charge of the vehicle when charging was stopped
+ */
+
+/**
+ * Read the state of charge of a vehicle from the provider's cached state, without
+ * waking it up
+ * @param {string|null} vin - The VIN of the vehicle - the default vehicle if null
+ * @returns {Promise<{vin: string|null, soc: number|null}>} - The VIN and the state of
+ * charge, null if unknown
+ */
+async function readStateOfCharge(vin) {
+    try {
+        const resolvedVIN = await resolveVIN(vin);
+        const vehicleState = await getVehicleState(resolvedVIN, true);
+        return { vin: resolvedVIN, soc: vehicleState["charge_state"]?.["battery_level"] ?? null };
+    } catch (error) {
+        logger.warn(`Could not read the state of charge of ${vin ?? "the default vehicle"}: ${error.message}`);
+        return { vin, soc: null };
+    }
+}
+
+/**
+ * Remember the state of charge of the vehicle when charging is authorized. Never
+ * throws, so callers don't need to wait for it.
+ * @param {string} chargerID - The charger
+ * @param {string|null} vin - The vehicle being charged - the default vehicle if null
+ * @returns {Promise<void>}
+ */
+export async function recordChargingStart(chargerID, vin) {
+    const pending = readStateOfCharge(vin).then(({ vin: resolvedVIN, soc }) => ({ vin: resolvedVIN, socBefore: soc }));
+    startedSessions.set(chargerID, pending);
+    await pending;
+}
+
+/**
+ * Store a charging session once charging has been stopped, with the state of charge
+ * of the vehicle before and after. Never throws, so callers don't need to wait for it.
+ * @param {string} chargerID - The charger
+ * @param {Object|null} session - The session tracked from Gigacharger's frames, null if
+ * no frame was received
+ * @returns {Promise<ChargingSessionRecord|null>} - The record or null if there was no session
+ */
+export async function recordChargingSession(chargerID, session) {
+    const started = await (startedSessions.get(chargerID) ?? { vin: session?.vin ?? null, socBefore: null });
+    startedSessions.delete(chargerID);
+    if (!session) {
+        logger.warn(`No session was tracked for charger ${chargerID} - nothing to record`);
+        return null;
+    }
+    const { vin, soc: socAfter } = await readStateOfCharge(started.vin ?? session.vin);
+    const record = {
+        id: randomUUID(),
+        chargerID,
+        vin,
+        startedAt: session.startedAt ?? null,
+        endedAt: session.endedAt ?? new Date().toISOString(),
+        durationSeconds: session.durationSeconds ?? 0,
+        energyKWh: session.energyKWh ?? 0,
+        peakPowerW: session.peakPowerW ?? 0,
+        cost: session.cost ?? null,
+        energyByHour: session.energyByHour ?? {},
+        socBefore: started.socBefore,
+        socAfter
+    };
+    const append = pendingAppend.then(() => appendFile(CHARGING_HISTORY_FILE, JSON.stringify(record) + "\n"));
+    pendingAppend = append.catch((error) => {
+        logger.error(`Could not write to the charging history ${CHARGING_HISTORY_FILE}: ${error.message}`);
+    });
+    await pendingAppend;
+    logger.info(`Recorded charging session on charger ${chargerID}: ${record.energyKWh} kWh, SOC ${record.socBefore ?? "?"}% to ${record.socAfter ?? "?"}%`);
+    return record;
+}
+
+/**
+ * Read the recorded charging sessions, oldest first
+ * @param {Object} [filters]
+ * @param {Date|null} [filters.from] - Only sessions that started at or after this time
+ * @param {Date|null} [filters.to] - Only sessions that started before this time
+ * @returns {Promise<Array<ChargingSessionRecord>>} - The sessions
+ */
+export async function readChargingSessions({ from = null, to = null } = {}) {
+    await pendingAppend;
+    let contents;
+    try {
+        contents = await readFile(CHARGING_HISTORY_FILE, "utf8");
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return [];
+        }
+        throw error;
+    }
+    const sessions = [];
+    for (const line of contents.split("\n")) {
+        if (!line.trim()) {
+            continue;
+        }
+        let session;
+        try {
+            session = JSON.parse(line);
+        } catch {
+            logger.error(`Skipping a malformed line in the charging history ${CHARGING_HISTORY_FILE}`);
+            continue;
+        }
+        const startedAt = new Date(session.startedAt ?? session.endedAt);
+        if ((from && startedAt < from) || (to && startedAt >= to)) {
+            continue;
+        }
+        sessions.push(session);
+    }
+    return sessions;
+}
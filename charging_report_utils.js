@@ -0,0 +1,174 @@
+import { createLogger, ValidationError } from "./utils.js";
+import { parseTimeFilter } from "./audit_utils.js";
+import { readChargingSessions } from "./charging_history_utils.js";
+import { getPriceLookup } from "./planner_utils.js";
+
+const logger = createLogger("reports");
+
+// The periods the report totals can be split into
+const REPORT_PERIODS = ["day", "month"];
+
+// The columns of the CSV exports
+const TOTALS_CSV_COLUMNS = ["period", "sessions", "energyKWh", "durationHours", "cost", "tariffCost", "averageTariffPrice"];
+const SESSIONS_CSV_COLUMNS = ["id", "chargerID", "vin", "startedAt", "endedAt", "durationSeconds", "energyKWh", "peakPowerW", "cost", "tariffCost", "socBefore", "socAfter"];
+
+/**
+ * Round a number to a number of decimals
+ * @param {number|null} value - The number
+ * @param {number} decimals - The number of decimals
+ * @returns {number|null} - The rounded number, null if there is no number
+ */
+function round(value, decimals) {
+    return value === null ? null : Math.round(value * 10 ** decimals) / 10 ** decimals;
+}
+
+/**
+ * Get the day or month a session belongs to - the one it started in, in the server's time zone
+ * @param {Object} session - The recorded session
+ * @param {string} period - "day" or "month"
+ * @returns {string} - The period, e.g. "2024-11-22" or "2024-11"
+ */
+function getPeriod(session, period) {
+    const startedAt = new Date(session.startedAt ?? session.endedAt);
+    const month = `${startedAt.getFullYear()}-${String(startedAt.getMonth() + 1).padStart(2, "0")}`;
+    return period === "month" ? month : `${month}-${String(startedAt.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * Price the energy of a session with the planner's time-of-use tariff, hour by hour
+ * @param {Object} session - The recorded session
+ * @param {function(Date): number|null} getPrice - The price lookup, null if there is no tariff
+ * @returns {number|null} - The cost or null if an hour has no price
+ */
+function getTariffCost(session, getPrice) {
+    if (!getPrice) {
+        return null;
+    }
+    try {
+        return Object.entries(session.energyByHour ?? {})
+            .reduce((cost, [hour, energyKWh]) => cost + getPrice(new Date(hour)) * energyKWh, 0);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Add up sessions
+ * @param {Array<Object>} sessions - The sessions, with their tariff cost
+ * @returns {Object} - The number of sessions, the energy, the duration, the cost at the
+ * charger's price and at the tariff, and the average price per kWh at the tariff
+ */
+function summarize(sessions) {
+    const sum = (values) => values.some(value => value === null)
+        ? null
+        : values.reduce((total, value) => total + value, 0);
+    const energyKWh = sum(sessions.map(session => session.energyKWh));
+    const tariffCost = sessions.length > 0 ? sum(sessions.map(session => session.tariffCost)) : 0;
+    return {
+        sessions: sessions.length,
+        energyKWh: round(energyKWh, 3),
+        durationHours: round(sum(sessions.map(session => session.durationSeconds)) / 3600, 2),
+        cost: sessions.length > 0 ? round(sum(sessions.map(session => session.cost)), 2) : 0,
+        tariffCost: round(tariffCost, 2),
+        averageTariffPrice: tariffCost !== null && energyKWh > 0 ? round(tariffCost / energyKWh, 4) : null
+    };
+}
+
+/**
+ * Parse the from and to filters of a report
+ * @param {string} [from] - Only sessions that started at or after this time
+ * @param {string} [to] - Only sessions that started before this time
+ * @returns {{from: Date|null, to: Date|null}}
+ * @throws {ValidationError} - If a filter is not a valid time
+ */
+function parseRange(from, to) {
+    return { from: parseTimeFilter("from", from), to: parseTimeFilter("to", to) };
+}
+
+/**
+ * Get the recorded charging sessions, each priced with the planner's tariff
+ * @param {Object} [filters]
+ * @param {string} [filters.from] - Only sessions that started at or after this time
+ * @param {string} [filters.to] - Only sessions that started before this time
+ * @returns {Promise<Array<Object>>} - The sessions, oldest first, with `tariffCost`
+ * @throws {ValidationError} - If a filter is invalid
+ */
+export async function getChargingSessions({ from, to } = {}) {
+    const range = parseRange(from, to);
+    const sessions = await readChargingSessions(range);
+    let getPrice = null;
+    try {
+        getPrice = await getPriceLookup();
+    } catch (error) {
+        logger.warn(`Could not load the tariff - the sessions are not priced: ${error.message}`);
+    }
+    return sessions.map(session => ({ ...session, tariffCost: round(getTariffCost(session, getPrice), 2) }));
+}
+
+/**
+ * Build the charging report: the totals of the sessions in a time range, and per day
+ * and month
+ * @param {Object} [filters]
+ * @param {string} [filters.from] - Only sessions that started at or after this time
+ * @param {string} [filters.to] - Only sessions that started before this time
+ * @returns {Promise<Object>} - The report: { from, to, total, days, months }
+ * @throws {ValidationError} - If a filter is invalid
+ */
+export async function getChargingReport({ from, to } = {}) {
+    const range = parseRange(from, to);
+    const sessions = await getChargingSessions({ from, to });
+    const groupBy = (period) => {
+        const groups = new Map();
+        for (const session of sessions) {
+            const key = getPeriod(session, period);
+            groups.set(key, [...(groups.get(key) ?? []), session]);
+        }
+        return [...groups].map(([key, group]) => ({ period: key, ...summarize(group) }));
+    };
+    return {
+        from: range.from?.toISOString() ?? null,
+        to: range.to?.toISOString() ?? null,
+        total: summarize(sessions),
+        days: groupBy("day"),
+        months: groupBy("month")
+    };
+}
+
+/**
+ * Format rows as CSV, with a header line
+ * @param {Array<string>} columns - The columns, also the keys of the rows
+ * @param {Array<Object>} rows - The rows
+ * @returns {string} - The CSV
+ */
+function toCSV(columns, rows) {
+    const formatValue = (value) => {
+        const text = value === null || value === undefined ? "" : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replaceAll("\"", "\"\"")}"` : text;
+    };
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(values => values.map(formatValue).join(","))
+        .join("\n") + "\n";
+}
+
+/**
+ * Export the totals of a charging report per day or month as CSV
+ * @param {Object} report - The report, see getChargingReport()
+ * @param {string} [period] - "day" (default) or "month"
+ * @returns {string} - The CSV
+ * @throws {ValidationError} - If the period is unknown
+ */
+export function formatChargingReportCSV(report, period = "day") {
+    if (!REPORT_PERIODS.includes(period)) {
+        throw new ValidationError(`period must be one of: ${REPORT_PERIODS.join(", ")}`);
+    }
+    return toCSV(TOTALS_CSV_COLUMNS, period === "month" ? report.months : report.days);
+}
+
+/**
+ * Export charging sessions as CSV
+ * @param {Array<Object>} sessions - The sessions, see getChargingSessions()
+ * @returns {string} - The CSV
+ */
+export function formatChargingSessionsCSV(sessions) {
+    return toCSV(SESSIONS_CSV_COLUMNS, sessions);
+}
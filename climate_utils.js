@@ -0,0 +1,108 @@
+import { ValidationError } from "./utils.js";
+import { startClimate, applyClimateSettings } from "./vehicle_utils.js";
+
+// The range of cabin temperatures the vehicle accepts, in °C
+const MIN_TEMPERATURE = 15;
+const MAX_TEMPERATURE = 28;
+
+// The seats with a heater, and the highest heater level
+export const CLIMATE_SEATS = ["front-left", "front-right", "rear-left", "rear-center", "rear-right"];
+const MAX_SEAT_HEATER_LEVEL = 3;
+
+/**
+ * Parse a boolean climate setting, from JSON or from the query string
+ * @param {string} name - The name of the setting, for the error message
+ * @param {boolean|string} value - The value
+ * @returns {boolean}
+ * @throws {ValidationError} - If the value is not a boolean
+ */
+function parseBoolean(name, value) {
+    if (value === true || value === "true") {
+        return true;
+    }
+    if (value === false || value === "false") {
+        return false;
+    }
+    throw new ValidationError(`${name} must be true or false`);
+}
+
+/**
+ * Parse the seat heater levels: an object such as { "front-left": 3 } or, from the
+ * query string, a list such as "front-left:3,front-right:1"
+ * @param {Object|string} value - The levels
+ * @returns {Object<string, number>} - The level of every supplied seat
+ * @throws {ValidationError} - If a seat or a level is invalid
+ */
+function parseSeatHeaters(value) {
+    if (typeof value !== "string" && (typeof value !== "object" || value === null || Array.isArray(value))) {
+        throw new ValidationError("seatHeaters must be an object, e.g. { \"front-left\": 3 }");
+    }
+    const entries = typeof value === "string"
+        ? value.split(",").map(entry => entry.trim().split(":"))
+        : Object.entries(value);
+    return Object.fromEntries(entries.map(([seat, level]) => {
+        const parsedLevel = Number(level);
+        if (!CLIMATE_SEATS.includes(seat)) {
+            throw new ValidationError(`Unknown seat "${seat}" - use any of: ${CLIMATE_SEATS.join(", ")}`);
+        }
+        if (level === undefined || level === "" || !Number.isInteger(parsedLevel)
+            || parsedLevel < 0 || parsedLevel > MAX_SEAT_HEATER_LEVEL) {
+            throw new ValidationError(`The seat heater level must be between 0 and ${MAX_SEAT_HEATER_LEVEL}`);
+        }
+        return [seat, parsedLevel];
+    }));
+}
+
+/**
+ * Parse the climate settings of a route or a preconditioning schedule.
+ * Every setting is optional - settings that are not supplied are left as they are.
+ * @param {Object} input
+ * @param {number|string} [input.temperature] - The cabin temperature in °C, 15-28
+ * @param {Object|string} [input.seatHeaters] - The seat heater levels, 0-3, by seat,
+ * e.g. { "front-left": 3 } or "front-left:3,front-right:1"
+ * @param {boolean|string} [input.steeringWheelHeater] - Turn the steering wheel heater on or off
+ * @param {boolean|string} [input.defrost] - Turn the maximum defrost on or off
+ * @returns {{temperature?: number, seatHeaters?: Object<string, number>,
+ * steeringWheelHeater?: boolean, defrost?: boolean}} - The supplied settings
+ * @throws {ValidationError} - If any of the settings is invalid
+ */
+export function parseClimateSettings({ temperature, seatHeaters, steeringWheelHeater, defrost } = {}) {
+    const settings = {};
+    if (temperature !== undefined && temperature !== "") {
+        settings.temperature = Number(temperature);
+        if (!(settings.temperature >= MIN_TEMPERATURE && settings.temperature <= MAX_TEMPERATURE)) {
+            throw new ValidationError(`temperature must be between ${MIN_TEMPERATURE} and ${MAX_TEMPERATURE} °C`);
+        }
+    }
+    if (seatHeaters !== undefined && seatHeaters !== "") {
+        settings.seatHeaters = parseSeatHeaters(seatHeaters);
+    }
+    if (steeringWheelHeater !== undefined && steeringWheelHeater !== "") {
+        settings.steeringWheelHeater = parseBoolean("steeringWheelHeater", steeringWheelHeater);
+    }
+    if (defrost !== undefined && defrost !== "") {
+        settings.defrost = parseBoolean("defrost", defrost);
+    }
+    return settings;
+}
+
+/**
+ * Start the climate, then change the supplied climate settings. The seat and steering
+ * wheel heaters only work with the climate on, so the climate is started first.
+ * @param {string} [vin] - The VIN or name of the vehicle - the default vehicle if not supplied
+ * @param {Object} settings - The climate settings, see parseClimateSettings()
+ * @param {Object} [options] - Pass { confirm: true } to wait until the climate is on
+ * @returns {Promise<Object|undefined>} - The outcome of starting the climate in confirm
+ * mode, otherwise nothing
+ * @throws If the vehicle did not carry out a setting, an exception is thrown
+ */
+export async function startClimateWithSettings(vin, settings, options) {
+    const outcome = await startClimate(vin, options);
+    if (outcome && !outcome.success) {
+        return outcome;
+    }
+    if (Object.keys(settings).length > 0) {
+        await applyClimateSettings(vin, settings);
+    }
+    return outcome;
+}
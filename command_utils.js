@@ -0,0 +1,79 @@
+import { createLogger } from "./utils.js";
+
+const logger = createLogger("command");
+
+// How long to wait for a command to be carried out in confirm mode
+export const DEFAULT_CONFIRM_TIMEOUT = 30000;
+// How often to check the vehicle state while waiting for a command to take effect
+const STATE_POLL_INTERVAL = 2000;
+
+/**
+ * Send a command to the vehicle and wait until it has actually been carried out.
+ * The backend is asked for the command result. If an expected state is given,
+ * the live vehicle state is then polled until it matches.
+ * @param {Object} options
+ * @param {string} options.command - The name of the command, e.g. "lock"
+ * @param {number} [options.timeout] - How long to wait in total, in milliseconds (default 30 s)
+ * @param {function(number): Promise<{result: boolean, reason: string}>} options.send - Sends
+ * the command and waits for its result, with a timeout in milliseconds
+ * @param {function(number): Promise<Object>} options.getLiveState - Fetches the live vehicle
+ * state, with a timeout in milliseconds
+ * @param {function(Object): boolean} [options.isStateReached] - Checks the vehicle state
+ * for the effect of the command
+ * @returns {Promise<Object>} - The outcome of the command: whether it succeeded, the
+ * result reported by the vehicle, whether the state was verified, whether it timed out,
+ * how long it took and the error, if any
+ * @throws {Error} - If the backend cannot be reached at all
+ */
+export async function sendConfirmedCommand({
+    command,
+    timeout = DEFAULT_CONFIRM_TIMEOUT,
+    send,
+    getLiveState,
+    isStateReached
+}) {
+    const startTime = Date.now();
+    const deadline = startTime + timeout;
+    const outcome = {
+        command,
+        success: false,
+        commandResult: null,
+        stateVerified: null,
+        timedOut: false,
+        elapsedMs: 0,
+        error: null
+    };
+    try {
+        const { result, reason } = await send(timeout);
+        outcome.commandResult = result === true;
+        if (!outcome.commandResult) {
+            outcome.error = reason || "The vehicle did not carry out the command";
+        } else if (isStateReached) {
+            outcome.stateVerified = false;
+            while (Date.now() < deadline) {
+                const vehicleState = await getLiveState(Math.max(1, deadline - Date.now()));
+                if (isStateReached(vehicleState)) {
+                    outcome.stateVerified = true;
+                    break;
+                }
+                await new Promise(resolve => setTimeout(resolve, STATE_POLL_INTERVAL));
+            }
+            if (!outcome.stateVerified) {
+                outcome.timedOut = true;
+                outcome.error = "The vehicle state did not change in time";
+            }
+        }
+    } catch (error) {
+        // Axios reports its own timeouts as ECONNABORTED, UpstreamTimeoutError (see
+        // resilience_utils.js) uses ETIMEDOUT
+        if (error.code !== "ECONNABORTED" && error.code !== "ETIMEDOUT") {
+            throw error;
+        }
+        outcome.timedOut = true;
+        outcome.error = "Timed out waiting for the vehicle";
+    }
+    outcome.success = outcome.commandResult === true && outcome.stateVerified !== false;
+    outcome.elapsedMs = Date.now() - startTime;
+    logger.info(`Command "${command}" outcome: ${JSON.stringify(outcome)}`);
+    return outcome;
+}
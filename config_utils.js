@@ -0,0 +1,145 @@
+import dotenv from "dotenv";
+import { getRegistry } from "./registry_utils.js";
+import { NOTIFICATION_EVENTS } from "./notification_utils.js";
+
+dotenv.config();
+
+// The backends a vehicle can be controlled through, see vehicle_utils.js
+const VEHICLE_PROVIDERS = ["tessie", "tesla", "simulator"];
+
+// The environment variables that hold a number, with the smallest and largest value they accept
+const NUMERIC_VARIABLES = {
+    GIGACHARGER_PRICE_PER_KWH: [0, Infinity],
+    GIGACHARGER_WS_TIMEOUT_MS: [1, Infinity],
+    GIGACHARGER_WS_IDLE_TIMEOUT_MS: [1, Infinity],
+    GIGACHARGER_SESSION_WAIT_TIME_MS: [0, Infinity],
+    GEOFENCE_POLL_INTERVAL_MS: [0, Infinity],
+    VEHICLE_HOME_LATITUDE: [-90, 90],
+    VEHICLE_HOME_LONGITUDE: [-180, 180],
+    VEHICLE_STATUS_CACHE_SECONDS: [0, Infinity],
+    VEHICLE_STATUS_MAX_AGE_SECONDS: [0, Infinity],
+    UPSTREAM_TIMEOUT_MS: [1, Infinity],
+    UPSTREAM_RETRIES: [0, Infinity],
+    UPSTREAM_RETRY_DELAY_MS: [0, Infinity],
+    CIRCUIT_BREAKER_THRESHOLD: [1, Infinity],
+    CIRCUIT_BREAKER_RESET_MS: [1, Infinity],
+    HEALTH_CHECK_TIMEOUT_MS: [1, Infinity],
+    NOTIFY_MAX_ATTEMPTS: [1, Infinity],
+    NOTIFY_RETRY_DELAY_MS: [0, Infinity],
+    SMTP_PORT: [1, 65535],
+    SIMULATOR_LATITUDE: [-90, 90],
+    SIMULATOR_LONGITUDE: [-180, 180],
+    SIMULATOR_WAKE_DELAY_MS: [0, Infinity],
+    SIMULATOR_COMMAND_DELAY_MS: [0, Infinity],
+    SIMULATOR_FAILURE_RATE: [0, 1]
+};
+
+// The environment variables that hold a URL, with the protocols they accept
+const URL_VARIABLES = {
+    TESSIE_API_URL: ["http:", "https:"],
+    GIGACHARGER_API_HOST: ["http:", "https:"],
+    GIGACHARGER_WS_URL: ["ws:", "wss:"],
+    TESLA_FLEET_API_URL: ["http:", "https:"],
+    TESLA_COMMAND_PROXY_URL: ["http:", "https:"],
+    TESLA_REDIRECT_URI: ["http:", "https:"],
+    NOTIFY_NTFY_URL: ["http:", "https:"]
+};
+
+// The log levels accepted by LOG_LEVEL, see utils.js
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+/**
+ * Check whether a value is a URL with one of the given protocols
+ * @param {string} value - The value
+ * @param {Array<string>} protocols - The accepted protocols, e.g. ["http:", "https:"]
+ * @returns {boolean}
+ */
+function isURL(value, protocols) {
+    try {
+        return protocols.includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Check the configuration in the environment variables and the registry. Errors are
+ * settings the proxy cannot work without, e.g. a missing TESSIE_TOKEN or a malformed
+ * number. Warnings are settings that only turn off a feature, e.g. the home location
+ * the charging schedules check. The default vehicle and charger are looked up in the
+ * registry, which falls back to the environment variables the proxy was started with.
+ * @param {Object} [env] - The environment variables (default process.env)
+ * @returns {Promise<{valid: boolean, errors: Array<string>, warnings: Array<string>}>} - The
+ * problems found, valid if there are no errors
+ */
+export async function validateConfig(env = process.env) {
+    const errors = [];
+    const warnings = [];
+    const isSet = (name) => !!env[name]?.trim();
+
+    const vehicleProvider = env.VEHICLE_PROVIDER || "tessie";
+    if (!VEHICLE_PROVIDERS.includes(vehicleProvider)) {
+        errors.push(`VEHICLE_PROVIDER must be one of ${VEHICLE_PROVIDERS.join(", ")} - not "${vehicleProvider}"`);
+    }
+    if (vehicleProvider === "tessie" && !isSet("TESSIE_TOKEN")) {
+        errors.push("TESSIE_TOKEN is not set - the Tessie API cannot be called without it");
+    }
+    if (vehicleProvider === "tesla") {
+        for (const name of ["CLIENT_ID", "CLIENT_SECRET"].filter(name => !isSet(name))) {
+            errors.push(`${name} is not set - the Tesla Fleet API cannot be called without it`);
+        }
+        for (const name of ["TESLA_APP_DOMAIN", "TESLA_REDIRECT_URI"].filter(name => !isSet(name))) {
+            warnings.push(`${name} is not set - the application cannot be registered or signed in to with Tesla`);
+        }
+    }
+
+    for (const name of ["GIGACHARGER_EMAIL", "GIGACHARGER_PASSWORD"].filter(name => !isSet(name))) {
+        errors.push(`${name} is not set - charging cannot be started or stopped without logging in to Gigacharger`);
+    }
+
+    try {
+        const { defaultVehicle, defaultCharger } = await getRegistry();
+        if (!defaultCharger) {
+            errors.push("No default charger - set GIGACHARGER_MY_CHARGER_ID or register a charger");
+        }
+        if (!defaultVehicle) {
+            errors.push(`No default vehicle - set ${vehicleProvider === "tesla" ? "TESLA_VIN" : "TESSIE_VIN"} or register a vehicle`);
+        }
+    } catch (error) {
+        errors.push(`The settings cannot be read: ${error.message}`);
+    }
+
+    for (const [name, [min, max]] of Object.entries(NUMERIC_VARIABLES).filter(([name]) => isSet(name))) {
+        const value = Number(env[name]);
+        if (!Number.isFinite(value) || value < min || value > max) {
+            errors.push(`${name} must be a number${max === Infinity ? ` of at least ${min}` : ` between ${min} and ${max}`} - not "${env[name]}"`);
+        }
+    }
+    for (const [name, protocols] of Object.entries(URL_VARIABLES).filter(([name]) => isSet(name))) {
+        if (!isURL(env[name], protocols)) {
+            errors.push(`${name} must be a URL starting with ${protocols.map(protocol => `${protocol}//`).join(" or ")} - not "${env[name]}"`);
+        }
+    }
+    for (const url of (env.NOTIFY_WEBHOOK_URLS ?? "").split(",").map(url => url.trim()).filter(Boolean)) {
+        if (!isURL(url, ["http:", "https:"])) {
+            errors.push(`NOTIFY_WEBHOOK_URLS must be a comma-separated list of http(s) URLs - "${url}" is not one`);
+        }
+    }
+
+    if (!isSet("VEHICLE_HOME_LATITUDE") || !isSet("VEHICLE_HOME_LONGITUDE")) {
+        warnings.push("VEHICLE_HOME_LATITUDE and VEHICLE_HOME_LONGITUDE are not set - charging schedules and plans cannot check that the vehicle is at home");
+    }
+    if (isSet("NOTIFY_EMAIL_TO") && !isSet("SMTP_HOST")) {
+        warnings.push("NOTIFY_EMAIL_TO is set without SMTP_HOST - no emails are sent");
+    }
+    const unknownEvents = (env.NOTIFY_EVENTS ?? "").split(",").map(event => event.trim())
+        .filter(event => event && !NOTIFICATION_EVENTS[event]);
+    if (unknownEvents.length > 0) {
+        warnings.push(`NOTIFY_EVENTS has unknown events: ${unknownEvents.join(", ")}`);
+    }
+    if (isSet("LOG_LEVEL") && !LOG_LEVELS.includes(env.LOG_LEVEL.trim().toLowerCase())) {
+        warnings.push(`LOG_LEVEL must be one of ${LOG_LEVELS.join(", ")} - "${env.LOG_LEVEL}" is ignored`);
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+}
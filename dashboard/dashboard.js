@@ -0,0 +1,379 @@
+/**
+ * The dashboard talks to the proxy's API with the credentials entered when signing in:
+ * an API key in the X-API-Key header or the shared password in the query string. Panels
+ * and buttons the caller has no scope for are hidden.
+ */
+
+// Where the credentials are kept - sessionStorage, or localStorage to remember them
+const CREDENTIALS_KEY = "kronaby-proxy-credentials";
+
+// How many commands of the history to show
+const HISTORY_LIMIT = 10;
+
+// The command buttons by group: the route, the scope it needs, an optional question to
+// confirm before sending it and an optional number input sent as a query parameter
+const COMMANDS = [
+    {
+        group: "Doors",
+        commands: [
+            { label: "Lock", route: "/vehicle/lock", scope: "vehicle:lock" },
+            { label: "Unlock", route: "/vehicle/unlock", scope: "vehicle:unlock", confirm: "Unlock the vehicle?" },
+            { label: "Frunk", route: "/vehicle/frunk", scope: "vehicle:frunk", confirm: "Open the frunk?" },
+            { label: "Trunk", route: "/vehicle/trunk", scope: "vehicle:trunk", confirm: "Open the trunk?" },
+            { label: "Vent windows", route: "/vehicle/windows/vent", scope: "vehicle:windows", confirm: "Vent the windows?" },
+            { label: "Close windows", route: "/vehicle/windows/close", scope: "vehicle:windows" }
+        ]
+    },
+    {
+        group: "Climate",
+        commands: [
+            { label: "Start climate", route: "/vehicle/climate", scope: "vehicle:climate" },
+            { label: "Stop climate", route: "/vehicle/climate/stop", scope: "vehicle:climate" }
+        ]
+    },
+    {
+        group: "Charging",
+        commands: [
+            { label: "Start charger", route: "/gigacharger/start", scope: "charging" },
+            { label: "Stop charger", route: "/gigacharger/stop", scope: "charging" },
+            { label: "Open charge port", route: "/vehicle/charge-port", scope: "vehicle:charge-port" },
+            { label: "Close charge port", route: "/vehicle/charge-port/close", scope: "vehicle:charge-port" },
+            { label: "Set limit %", route: "/vehicle/charge-limit", scope: "vehicle:charging", input: { name: "percent", min: 50, max: 100, value: 80 } },
+            { label: "Set amps", route: "/vehicle/charging-amps", scope: "vehicle:charging", input: { name: "amps", min: 5, max: 48, value: 16 } }
+        ]
+    },
+    {
+        group: "Security",
+        commands: [
+            { label: "Sentry on", route: "/vehicle/sentry/on", scope: "vehicle:sentry" },
+            { label: "Sentry off", route: "/vehicle/sentry/off", scope: "vehicle:sentry" },
+            { label: "Flash lights", route: "/vehicle/find", scope: "vehicle:find" }
+        ]
+    }
+];
+
+// The signed in caller: { name, scopes }
+let caller = null;
+
+const element = (id) => document.getElementById(id);
+
+/**
+ * Get the stored credentials
+ * @returns {{type: string, value: string}|null} - The credentials, null if not signed in
+ */
+function getCredentials() {
+    const stored = sessionStorage.getItem(CREDENTIALS_KEY) ?? localStorage.getItem(CREDENTIALS_KEY);
+    return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Call the proxy's API with the stored credentials
+ * @param {string} route - The route, e.g. "/vehicle/status"
+ * @param {Object} [params] - Query parameters
+ * @returns {Promise<{ok: boolean, status: number, body: any}>} - The response, with a
+ * JSON body parsed and a text body as a string
+ */
+async function callApi(route, params = {}) {
+    const credentials = getCredentials();
+    const url = new URL(route, window.location.origin);
+    for (const [name, value] of Object.entries(params)) {
+        url.searchParams.set(name, value);
+    }
+    const headers = {};
+    if (credentials?.type === "api-key") {
+        headers["X-API-Key"] = credentials.value;
+    } else if (credentials?.type === "password") {
+        url.searchParams.set("password", credentials.value);
+    }
+    const response = await fetch(url, { headers });
+    const isJSON = response.headers.get("Content-Type")?.includes("application/json");
+    const body = isJSON ? await response.json() : await response.text();
+    if (response.status === 401 && caller) {
+        signOut("Your credentials are no longer accepted - sign in again");
+    }
+    return { ok: response.ok, status: response.status, body };
+}
+
+/**
+ * Describe a failed call for the page
+ * @param {{status: number, body: any}} response - The response
+ * @returns {string}
+ */
+function describeFailure({ status, body }) {
+    return body?.error ?? (typeof body === "string" && body ? body : `Request failed with status ${status}`);
+}
+
+/**
+ * Whether the signed in caller has a scope
+ * @param {string} scope - The scope
+ * @returns {boolean}
+ */
+function hasScope(scope) {
+    return !!caller && (caller.scopes.includes("*") || caller.scopes.includes(scope));
+}
+
+/**
+ * Show a message about the last command
+ * @param {string} text - The message
+ * @param {boolean} [failed] - Whether to show it as an error
+ */
+function showMessage(text, failed = false) {
+    element("message").textContent = text;
+    element("message").classList.toggle("failed", failed);
+}
+
+/**
+ * Fill a definition list with label - value pairs, leaving out unknown values
+ * @param {HTMLElement} list - The list
+ * @param {Array<[string, any]>} entries - The pairs
+ */
+function renderDetails(list, entries) {
+    list.replaceChildren();
+    for (const [label, value] of entries) {
+        if (value === null || value === undefined) {
+            continue;
+        }
+        const term = document.createElement("dt");
+        term.textContent = label;
+        const description = document.createElement("dd");
+        description.textContent = value;
+        list.append(term, description);
+    }
+}
+
+/**
+ * Fill a list with lines of text, or a placeholder if there are none
+ * @param {HTMLElement} list - The list
+ * @param {Array<{text: string, failed?: boolean}>} items - The lines
+ * @param {string} placeholder - Shown if there are no lines
+ */
+function renderList(list, items, placeholder) {
+    list.replaceChildren();
+    for (const { text, failed } of items.length > 0 ? items : [{ text: placeholder }]) {
+        const item = document.createElement("li");
+        item.textContent = text;
+        item.classList.toggle("failed", !!failed);
+        item.classList.toggle("muted", items.length === 0);
+        list.append(item);
+    }
+}
+
+const formatTime = (time) => time ? new Date(time).toLocaleString() : null;
+const formatSwitch = (on) => on === null || on === undefined ? null : on ? "On" : "Off";
+
+/**
+ * Load and show the vehicle status
+ * @param {boolean} [wake] - Whether to wake the vehicle for a live status
+ */
+async function loadVehicleStatus(wake = false) {
+    const list = element("vehicle-status");
+    const { ok, body, status } = await callApi("/vehicle/status", wake ? { wake: "true" } : {});
+    if (!ok) {
+        renderDetails(list, [["Error", describeFailure({ status, body })]]);
+        return;
+    }
+    renderDetails(list, [
+        ["State", body.state],
+        ["Battery", body.batteryLevel !== null ? `${body.batteryLevel} %` : null],
+        ["Range", body.rangeKm !== null ? `${body.rangeKm} km` : null],
+        ["Charging", body.chargingState],
+        ["Charge limit", body.chargeLimit !== null ? `${body.chargeLimit} %` : null],
+        ["Doors", body.locked === null ? null : body.locked ? "Locked" : "Unlocked"],
+        ["Climate", formatSwitch(body.climate?.on)],
+        ["Inside", body.climate?.insideTemperature != null ? `${body.climate.insideTemperature} °C` : null],
+        ["Sentry mode", formatSwitch(body.sentryMode)],
+        ["Updated", formatTime(body.updatedAt)],
+        ["Wake failed", body.wakeError]
+    ]);
+}
+
+/**
+ * Load and show the charging session of the default charger
+ */
+async function loadChargingSession() {
+    const list = element("charging-session");
+    const { ok, body, status } = await callApi("/gigacharger/session");
+    if (status === 404) {
+        renderDetails(list, [["Session", "No charging session yet"]]);
+        return;
+    }
+    if (!ok) {
+        renderDetails(list, [["Error", describeFailure({ status, body })]]);
+        return;
+    }
+    renderDetails(list, [
+        ["Charger", body.chargerID],
+        ["Status", body.active ? "Charging" : "Not charging"],
+        ["Energy", `${body.energyKWh ?? 0} kWh`],
+        ["Power", body.active && body.powerW ? `${(body.powerW / 1000).toFixed(1)} kW` : null],
+        ["Duration", body.durationSeconds ? `${Math.round(body.durationSeconds / 60)} min` : null],
+        ["Cost", body.cost !== null && body.cost !== undefined ? body.cost.toFixed(2) : null],
+        ["Started", formatTime(body.startedAt)],
+        ["Ended", formatTime(body.endedAt)]
+    ]);
+}
+
+/**
+ * Load and show the charging schedules
+ */
+async function loadSchedules() {
+    const { ok, body, status } = await callApi("/schedules");
+    if (!ok) {
+        renderList(element("schedules"), [{ text: describeFailure({ status, body }), failed: true }], "");
+        return;
+    }
+    renderList(element("schedules"), body.map(schedule => ({
+        text: `${schedule.cron}${schedule.enabled ? "" : " (disabled)"}${schedule.chargerID ? ` - charger ${schedule.chargerID}` : ""}`
+    })), "No charging schedules");
+}
+
+/**
+ * Load and show the most recent commands
+ */
+async function loadHistory() {
+    const { ok, body, status } = await callApi("/history", { limit: HISTORY_LIMIT });
+    if (!ok) {
+        renderList(element("history"), [{ text: describeFailure({ status, body }), failed: true }], "");
+        return;
+    }
+    renderList(element("history"), body.map(entry => ({
+        text: `${formatTime(entry.timestamp)} - ${entry.command} by ${entry.caller?.name ?? "unknown"}${entry.success ? "" : ` failed: ${entry.error ?? entry.status}`}`,
+        failed: !entry.success
+    })), "No commands yet");
+}
+
+/**
+ * Reload every panel the caller can see
+ * @param {boolean} [wake] - Whether to wake the vehicle for a live status
+ */
+async function refresh(wake = false) {
+    await Promise.all([
+        hasScope("vehicle:read") && loadVehicleStatus(wake),
+        hasScope("charging:read") && loadChargingSession(),
+        hasScope("schedules") && loadSchedules(),
+        hasScope("history") && loadHistory()
+    ]);
+}
+
+/**
+ * Send a command from a button and show its outcome
+ * @param {Object} command - The command, see COMMANDS
+ * @param {HTMLButtonElement} button - The button
+ * @param {HTMLInputElement} [input] - The input of the command's parameter
+ */
+async function sendCommand(command, button, input) {
+    if (command.confirm && !window.confirm(command.confirm)) {
+        return;
+    }
+    button.disabled = true;
+    showMessage(`${command.label}...`);
+    try {
+        const response = await callApi(command.route, input ? { [command.input.name]: input.value } : {});
+        showMessage(response.ok ? (typeof response.body === "string" ? response.body : `${command.label} done`) : describeFailure(response), !response.ok);
+        await refresh();
+    } catch (error) {
+        showMessage(`${command.label} failed: ${error.message}`, true);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Add the buttons of the commands the caller has a scope for
+ */
+function renderCommands() {
+    const container = element("commands");
+    container.replaceChildren();
+    for (const { group, commands } of COMMANDS) {
+        const allowed = commands.filter(command => hasScope(command.scope));
+        if (allowed.length === 0) {
+            continue;
+        }
+        const section = document.createElement("div");
+        section.className = "command-group";
+        const heading = document.createElement("h3");
+        heading.textContent = group;
+        const buttons = document.createElement("div");
+        buttons.className = "buttons";
+        for (const command of allowed) {
+            let input = null;
+            if (command.input) {
+                input = document.createElement("input");
+                Object.assign(input, { type: "number", step: 1, ...command.input });
+                input.setAttribute("aria-label", command.label);
+                buttons.append(input);
+            }
+            const button = document.createElement("button");
+            button.type = "button";
+            button.textContent = command.label;
+            button.addEventListener("click", () => sendCommand(command, button, input));
+            buttons.append(button);
+        }
+        section.append(heading, buttons);
+        container.append(section);
+    }
+    container.closest("section").hidden = container.children.length === 0;
+}
+
+/**
+ * Show the panels for the signed in caller
+ */
+function showDashboard() {
+    element("sign-in").hidden = true;
+    element("panels").hidden = false;
+    element("caller").hidden = false;
+    element("caller-name").textContent = `Signed in as ${caller.name}`;
+    for (const section of document.querySelectorAll("section[data-scope]")) {
+        section.hidden = !hasScope(section.dataset.scope);
+    }
+    renderCommands();
+    refresh();
+}
+
+/**
+ * Forget the credentials and show the sign in form
+ * @param {string} [reason] - Why, shown on the form
+ */
+function signOut(reason = "") {
+    caller = null;
+    sessionStorage.removeItem(CREDENTIALS_KEY);
+    localStorage.removeItem(CREDENTIALS_KEY);
+    element("panels").hidden = true;
+    element("caller").hidden = true;
+    element("sign-in").hidden = false;
+    element("sign-in-error").textContent = reason;
+}
+
+/**
+ * Check the stored credentials and find out the caller's scopes
+ * @returns {Promise<boolean>} - Whether the credentials are accepted
+ */
+async function authenticate() {
+    if (!getCredentials()) {
+        return false;
+    }
+    const { ok, body } = await callApi("/auth/me");
+    if (!ok) {
+        return false;
+    }
+    caller = body;
+    return true;
+}
+
+element("sign-in").addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const credentials = { type: element("credential-type").value, value: element("credential").value };
+    const storage = element("remember").checked ? localStorage : sessionStorage;
+    storage.setItem(CREDENTIALS_KEY, JSON.stringify(credentials));
+    if (await authenticate()) {
+        element("credential").value = "";
+        showDashboard();
+    } else {
+        signOut("The key or password was not accepted");
+    }
+});
+element("sign-out").addEventListener("click", () => signOut());
+element("refresh").addEventListener("click", () => refresh());
+element("wake").addEventListener("click", () => refresh(true));
+
+authenticate().then((authenticated) => authenticated ? showDashboard() : signOut());
@@ -0,0 +1,385 @@
+import dotenv from "dotenv";
+import { randomUUID } from "crypto";
+import { default as haversine } from "haversine-distance";
+import { createLogger, ValidationError } from "./utils.js";
+import { readSettings, updateSettings } from "./settings_utils.js";
+import { runAudited } from "./audit_utils.js";
+import { authorizeCharging, stopCharging } from "./gigacharger_utils.js";
+import { lockAndTrack } from "./lock_state_utils.js";
+import { resolveChargerID, resolveVIN } from "./registry_utils.js";
+import { notify } from "./notification_utils.js";
+import { recordJobRun } from "./job_utils.js";
+import {
+    VEHICLE_HOME_LATITUDE,
+    VEHICLE_HOME_LONGITUDE,
+    getVehicleState,
+    isVehicleInTargetLocation,
+    openOrUnlockChargePort,
+    startClimate
+} from "./vehicle_utils.js";
+
+dotenv.config();
+
+const logger = createLogger("geofence");
+
+// How often the location of the vehicle is checked - 0 turns the poller off
+const GEOFENCE_POLL_INTERVAL = Number(process.env.GEOFENCE_POLL_INTERVAL_MS ?? 60000);
+
+// The vehicle has to be this much further than the radius to leave a geofence, so that
+// GPS noise at the edge doesn't cause a stream of arrive and leave events
+const LEAVE_MARGIN_METERS = 20;
+
+/**
+ * The actions that can be run when the vehicle arrives at or leaves a geofence, with
+ * the command they are recorded as in the audit log. Every action receives the VIN of
+ * the vehicle and the charger of the geofence. Unlocking is deliberately not one of them.
+ */
+const GEOFENCE_ACTIONS = {
+    "authorize-charging": { command: "charging-start", run: (vin, chargerID) => authorizeCharging(chargerID, vin) },
+    "stop-charging": { command: "charging-stop", run: (vin, chargerID) => stopCharging(chargerID) },
+    "lock": { command: "lock", run: (vin) => lockAndTrack(vin) },
+    "start-climate": { command: "climate", run: (vin) => startClimate(vin) },
+    "open-charge-port": { command: "charge-port", run: (vin) => openOrUnlockChargePort(vin) }
+};
+
+const GEOFENCE_EVENTS = ["arrive", "leave"];
+
+// The name of the geofence that marks the home location
+const HOME_GEOFENCE_NAME = "home";
+
+// Radius in meters around VEHICLE_HOME_LATITUDE and VEHICLE_HOME_LONGITUDE while there
+// is no "home" geofence
+const HOME_RADIUS = 100;
+
+// Whether the vehicle is inside each geofence, by geofence ID - unknown until the first check
+const insideGeofences = new Map();
+
+// The timer of the next check - each check is scheduled once the previous one is done
+var pollTimer = null;
+// When the poller checks the geofences next, null while it is off
+var nextCheckAt = null;
+
+/**
+ * Validate the fields of a geofence
+ * @param {Object} geofence - The geofence to validate
+ * @throws {ValidationError} - If any of the fields is invalid
+ */
+function validateGeofence(geofence) {
+    if (typeof geofence.name !== "string" || !geofence.name.trim()) {
+        throw new ValidationError("name must be a non-empty string");
+    }
+    if (!(geofence.latitude >= -90 && geofence.latitude <= 90)) {
+        throw new ValidationError("latitude must be a number between -90 and 90");
+    }
+    if (!(geofence.longitude >= -180 && geofence.longitude <= 180)) {
+        throw new ValidationError("longitude must be a number between -180 and 180");
+    }
+    if (typeof geofence.radius !== "number" || !(geofence.radius > 0)) {
+        throw new ValidationError("radius must be a positive number of meters");
+    }
+    if (geofence.vin !== null && typeof geofence.vin !== "string") {
+        throw new ValidationError("vin must be a string");
+    }
+    if (geofence.chargerID !== null && typeof geofence.chargerID !== "string") {
+        throw new ValidationError("chargerID must be a string");
+    }
+    if (typeof geofence.actions !== "object" || geofence.actions === null) {
+        throw new ValidationError("actions must be an object, e.g. { \"arrive\": [\"authorize-charging\"] }");
+    }
+    for (const [event, actions] of Object.entries(geofence.actions)) {
+        if (!GEOFENCE_EVENTS.includes(event)) {
+            throw new ValidationError(`Unknown event "${event}" - use any of: ${GEOFENCE_EVENTS.join(", ")}`);
+        }
+        if (!Array.isArray(actions) || actions.some(action => !GEOFENCE_ACTIONS[action])) {
+            throw new ValidationError(`actions.${event} must be a list of any of: ${Object.keys(GEOFENCE_ACTIONS).join(", ")}`);
+        }
+    }
+}
+
+/**
+ * Build a geofence from user input, falling back to the base for missing fields.
+ * A vin or chargerID of null means the default vehicle or charger.
+ * @param {Object} input - The user input
+ * @param {Object} [base] - The geofence to start from
+ * @returns {Promise<Object>} - The validated geofence
+ * @throws {ValidationError} - If any of the fields is invalid or the vehicle or the
+ * charger is not registered
+ */
+async function buildGeofence(input, base = {}) {
+    const geofence = {
+        id: base.id || randomUUID(),
+        name: input.name?.toString().trim() ?? base.name,
+        latitude: input.latitude !== undefined ? Number(input.latitude) : base.latitude,
+        longitude: input.longitude !== undefined ? Number(input.longitude) : base.longitude,
+        radius: input.radius !== undefined ? Number(input.radius) : base.radius ?? 100,
+        vin: input.vin !== undefined ? input.vin?.toString() || null : base.vin ?? null,
+        chargerID: input.chargerID !== undefined ? input.chargerID?.toString() || null : base.chargerID ?? null,
+        actions: input.actions ?? base.actions ?? { arrive: [], leave: [] }
+    };
+    validateGeofence(geofence);
+    if (geofence.vin !== null && geofence.vin !== base.vin) {
+        geofence.vin = await resolveVIN(geofence.vin);
+    }
+    if (geofence.chargerID !== null && geofence.chargerID !== base.chargerID) {
+        geofence.chargerID = await resolveChargerID(geofence.chargerID);
+    }
+    return geofence;
+}
+
+/**
+ * Get all geofences, with whether the vehicle is inside each of them
+ * (null until the location has been checked)
+ * @returns {Promise<Array<Object>>} - The geofences
+ */
+export async function getGeofences() {
+    const settings = await readSettings();
+    return (settings.geofences ?? []).map(geofence => ({
+        ...geofence,
+        inside: insideGeofences.get(geofence.id) ?? null
+    }));
+}
+
+/**
+ * Get the "home" geofence, which marks the home location
+ * @returns {Promise<Object|null>} - The geofence or null if there is none
+ */
+export async function getHomeGeofence() {
+    const settings = await readSettings();
+    return (settings.geofences ?? []).find(({ name }) => name === HOME_GEOFENCE_NAME) ?? null;
+}
+
+/**
+ * Get the home location - the "home" geofence or, if there is none, VEHICLE_HOME_LATITUDE
+ * and VEHICLE_HOME_LONGITUDE with a radius of HOME_RADIUS. The charging schedules, the
+ * charging plan, preconditioning and the macro conditions all use this one definition.
+ * @returns {Promise<{name: string, latitude: number, longitude: number, radius: number}|null>} - The
+ * home location or null if neither is set
+ */
+export async function getHomeLocation() {
+    const geofence = await getHomeGeofence();
+    if (geofence) {
+        const { name, latitude, longitude, radius } = geofence;
+        return { name, latitude, longitude, radius };
+    }
+    if (VEHICLE_HOME_LATITUDE && VEHICLE_HOME_LONGITUDE) {
+        return {
+            name: HOME_GEOFENCE_NAME,
+            latitude: Number(VEHICLE_HOME_LATITUDE),
+            longitude: Number(VEHICLE_HOME_LONGITUDE),
+            radius: HOME_RADIUS
+        };
+    }
+    return null;
+}
+
+/**
+ * Get if the vehicle is at the home location
+ * @param {string} vin - The VIN of the vehicle
+ * @param {number} [radius] - Radius in meters - default the radius of the home location
+ * @returns {Promise<boolean>}
+ * @throws If there is no home location, an exception is thrown
+ */
+export async function isVehicleAtHome(vin, radius) {
+    const home = await getHomeLocation();
+    if (!home) {
+        throw new Error("No home location - create a \"home\" geofence or set VEHICLE_HOME_LATITUDE and VEHICLE_HOME_LONGITUDE");
+    }
+    return await isVehicleInTargetLocation(vin, home.latitude, home.longitude, radius ?? home.radius);
+}
+
+/**
+ * Create a geofence
+ * @param {Object} input - The fields of the geofence: name, latitude, longitude, radius,
+ * vin, chargerID, actions
+ * @returns {Promise<Object>} - The created geofence
+ * @throws {ValidationError} - If any of the fields is invalid or the name is taken
+ */
+export async function createGeofence(input) {
+    const geofence = await buildGeofence(input);
+    await updateSettings((currentSettings) => {
+        const geofences = currentSettings.geofences ?? [];
+        if (geofences.some(({ name }) => name === geofence.name)) {
+            throw new ValidationError(`A geofence named "${geofence.name}" already exists`);
+        }
+        return { ...currentSettings, geofences: [...geofences, geofence] };
+    });
+    return geofence;
+}
+
+/**
+ * Update an existing geofence. Moving or resizing it resets whether the vehicle is inside.
+ * @param {string} id - The ID of the geofence
+ * @param {Object} input - The fields to change
+ * @returns {Promise<Object|null>} - The updated geofence or null if it doesn't exist
+ * @throws {ValidationError} - If any of the fields is invalid
+ */
+export async function updateGeofence(id, input) {
+    let updatedGeofence = null;
+    await updateSettings(async (currentSettings) => ({
+        ...currentSettings,
+        geofences: await Promise.all((currentSettings.geofences ?? []).map(async (geofence) => {
+            if (geofence.id !== id) {
+                return geofence;
+            }
+            updatedGeofence = await buildGeofence(input, geofence);
+            if (currentSettings.geofences.some(({ id: otherID, name }) => otherID !== id && name === updatedGeofence.name)) {
+                throw new ValidationError(`A geofence named "${updatedGeofence.name}" already exists`);
+            }
+            return updatedGeofence;
+        }))
+    }));
+    insideGeofences.delete(id);
+    return updatedGeofence;
+}
+
+/**
+ * Delete a geofence
+ * @param {string} id - The ID of the geofence
+ * @returns {Promise<boolean>} - Whether the geofence existed
+ */
+export async function deleteGeofence(id) {
+    let existed = false;
+    await updateSettings((currentSettings) => {
+        const geofences = currentSettings.geofences ?? [];
+        existed = geofences.some(geofence => geofence.id === id);
+        return { ...currentSettings, geofences: geofences.filter(geofence => geofence.id !== id) };
+    });
+    insideGeofences.delete(id);
+    return existed;
+}
+
+/**
+ * Run the actions attached to an event of a geofence, one after the other.
+ * A failing action is logged and doesn't stop the others.
+ * @param {Object} geofence - The geofence
+ * @param {string} event - "arrive" or "leave"
+ * @param {string} vin - The VIN of the vehicle that arrived or left
+ * @returns {Promise<void>}
+ */
+async function runGeofenceActions(geofence, event, vin) {
+    for (const action of geofence.actions[event] ?? []) {
+        try {
+            await runAudited({
+                command: GEOFENCE_ACTIONS[action].command,
+                caller: `geofence ${geofence.name} (${event})`,
+                parameters: { geofence: geofence.name, event, vin, chargerID: geofence.chargerID ?? null }
+            }, () => GEOFENCE_ACTIONS[action].run(vin, geofence.chargerID ?? undefined));
+            logger.info(`Geofence ${geofence.name}: ${action} on ${event} succeeded`);
+        } catch (error) {
+            logger.error(`Geofence ${geofence.name}: ${action} on ${event} failed: ${error.message}`);
+            notify("job-failed", `Geofence action ${action} failed`, error.message,
+                { job: `geofence ${geofence.name} (${event})`, action, vin });
+        }
+    }
+}
+
+/**
+ * Get the last known location of a vehicle without waking it up, so that polling
+ * doesn't keep the vehicle awake and drain its battery
+ * @param {string} vin - The VIN of the vehicle
+ * @returns {Promise<{latitude: number, longitude: number}>} - The location
+ * @throws If the provider has no location for the vehicle, an exception is thrown
+ */
+async function getLastKnownLocation(vin) {
+    const { latitude, longitude } = (await getVehicleState(vin, true))["drive_state"] ?? {};
+    if (typeof latitude !== "number" || typeof longitude !== "number") {
+        throw new Error(`No known location for vehicle ${vin}`);
+    }
+    return { latitude, longitude };
+}
+
+/**
+ * Check the location of the vehicles against every geofence and run the actions of
+ * the arrive and leave events. The first check only records where the vehicle is,
+ * so that a restart doesn't trigger any events. A geofence whose vehicle or location
+ * is unavailable is skipped without holding up the others.
+ * @returns {Promise<Array<{geofence: string, event: string}>>} - The events that occurred
+ * @throws If any geofence could not be checked, an exception naming them is thrown
+ * once the others have been checked
+ */
+export async function checkGeofences() {
+    const settings = await readSettings();
+    const geofences = settings.geofences ?? [];
+    if (geofences.length === 0) {
+        return [];
+    }
+    // Every vehicle's location is fetched once, however many geofences it has
+    const vehicleLocations = new Map();
+    const events = [];
+    const failures = [];
+    for (const geofence of geofences) {
+        let vin;
+        let location;
+        try {
+            vin = await resolveVIN(geofence.vin);
+            if (!vehicleLocations.has(vin)) {
+                // Shared by the geofences of the vehicle, also if it fails
+                vehicleLocations.set(vin, getLastKnownLocation(vin));
+            }
+            location = await vehicleLocations.get(vin);
+        } catch (error) {
+            logger.error(`Could not check geofence ${geofence.name}: ${error.message}`);
+            failures.push(`${geofence.name}: ${error.message}`);
+            continue;
+        }
+        const distance = haversine(geofence, location);
+        const wasInside = insideGeofences.get(geofence.id);
+        const isInside = wasInside
+            ? distance <= geofence.radius + LEAVE_MARGIN_METERS
+            : distance <= geofence.radius;
+        insideGeofences.set(geofence.id, isInside);
+        if (wasInside === undefined || wasInside === isInside) {
+            continue;
+        }
+        const event = isInside ? "arrive" : "leave";
+        logger.info(`Vehicle ${vin} ${event === "arrive" ? "arrived at" : "left"} geofence ${geofence.name}`);
+        events.push({ geofence: geofence.name, event });
+        await runGeofenceActions(geofence, event, vin);
+    }
+    if (failures.length > 0) {
+        throw new Error(`Could not check ${failures.length} geofence(s) - ${failures.join("; ")}`);
+    }
+    return events;
+}
+
+/**
+ * Create the "home" geofence from VEHICLE_HOME_LATITUDE and VEHICLE_HOME_LONGITUDE
+ * if there are no geofences yet, then start checking the location of the vehicle
+ * @returns {Promise<void>}
+ */
+export async function startGeofencePoller() {
+    const settings = await readSettings();
+    if (!settings.geofences && VEHICLE_HOME_LATITUDE && VEHICLE_HOME_LONGITUDE) {
+        logger.info("No geofences in the settings - creating the home geofence");
+        await createGeofence({ name: HOME_GEOFENCE_NAME, latitude: VEHICLE_HOME_LATITUDE, longitude: VEHICLE_HOME_LONGITUDE });
+    }
+    if (!(GEOFENCE_POLL_INTERVAL > 0)) {
+        logger.info("Geofence poller is turned off");
+        return;
+    }
+    // The next check is only scheduled once this one is done, so that a slow check
+    // cannot overlap the next
+    const check = async () => {
+        try {
+            await checkGeofences();
+            recordJobRun("geofence poller", { success: true });
+        } catch (error) {
+            logger.error(`Could not check geofences: ${error.message}`);
+            recordJobRun("geofence poller", { success: false, message: error.message });
+        }
+        nextCheckAt = Date.now() + GEOFENCE_POLL_INTERVAL;
+        clearTimeout(pollTimer);
+        pollTimer = setTimeout(check, GEOFENCE_POLL_INTERVAL);
+    };
+    clearTimeout(pollTimer);
+    await check();
+    logger.info(`Checking geofences every ${GEOFENCE_POLL_INTERVAL / 1000} s`);
+}
+
+/**
+ * Get the job of the geofence poller with the time it checks the geofences next
+ * @returns {Array<{job: string, nextRun: string}>} - The job, none if the poller is off
+ */
+export function getGeofencePollerJobs() {
+    return nextCheckAt ? [{ job: "geofence poller", nextRun: new Date(nextCheckAt).toISOString() }] : [];
+}
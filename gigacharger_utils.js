@@ -1,25 +1,61 @@
 import { default as axios } from "axios";
 import FormData from "form-data";
 import WebSocket from "ws";
-import { Agent } from "https";
-import { logMessage, logError } from "./utils.js";
+import { readFile, writeFile } from "fs/promises";
+import { createLogger } from "./utils.js";
+import { resolveChargerID, resolveVIN } from "./registry_utils.js";
+import { notify } from "./notification_utils.js";
+import { recordChargingStart, recordChargingSession } from "./charging_history_utils.js";
+import { addResiliencePolicy, callUpstream, UpstreamTimeoutError } from "./resilience_utils.js";
 import dotenv from "dotenv";
 
 dotenv.config();
 
-const GIGACHARGER_API_HOST = "https://core.gigacharger.net/v1";
-const GIGACHARGER_WS_URL = "wss://ws.gigacharger.net:41414";
+const logger = createLogger("gigacharger");
+
+const GIGACHARGER_API_HOST = process.env.GIGACHARGER_API_HOST || "https://core.gigacharger.net/v1";
+const GIGACHARGER_WS_URL = process.env.GIGACHARGER_WS_URL || "wss://ws.gigacharger.net:41414";
+
+// Where the session from the last login is kept, so it survives restarts
+const GIGACHARGER_SESSION_FILE = process.env.GIGACHARGER_SESSION_FILE || "gigacharger_session.json";
 
 const GIGACHARGER_EMAIL = process.env.GIGACHARGER_EMAIL;
 const GIGACHARGER_PASSWORD = process.env.GIGACHARGER_PASSWORD;
-const MY_CHARGER_ID = process.env.GIGACHARGER_MY_CHARGER_ID;
+// Optional price per kWh, used to calculate the cost of a charging session
+const GIGACHARGER_PRICE_PER_KWH = process.env.GIGACHARGER_PRICE_PER_KWH
+    ? parseFloat(process.env.GIGACHARGER_PRICE_PER_KWH)
+    : null;
+
+// How long to wait for a reply to a command sent over the WebSocket
+const GIGACHARGER_WS_TIMEOUT = Number(process.env.GIGACHARGER_WS_TIMEOUT_MS) || 40000;
+// Gigacharger answers a command with the new status of the charger, e.g.
+// ["status",["10334",2],null], or with an error in a frame of the command's type
+const GIGACHARGER_REPLY_TYPE = "status";
+// Session frames arrive every few seconds while charging - close the WebSocket
+// if nothing has been received for this long
+const GIGACHARGER_WS_IDLE_TIMEOUT = Number(process.env.GIGACHARGER_WS_IDLE_TIMEOUT_MS) || 120000;
+// How long to wait for telemetry when asked for the session without an open WebSocket
+const GIGACHARGER_SESSION_WAIT_TIME = Number(process.env.GIGACHARGER_SESSION_WAIT_TIME_MS) || 10000;
 
 // Use a suitable user agent string for making the requests to Gigacharger
 const GIGACHARGER_USER_AGENT = "Mozilla/5.0 (Linux; Android 11; sdk_gphone_arm64 Build/RSR1.210722.013.A4; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/91.0.4472.114 Mobile Safari/537.36";
 
-// Keep the Gigacharger session identifier in memory once we have it
+// The client for Gigacharger's REST API - the login and the station
+const gigachargerApiClient = addResiliencePolicy(axios.create(), "gigacharger");
+
+// Keep the Gigacharger session identifier in memory once we have it (it is also saved to disk)
 var savedGigachargerSessionID;
 
+// The WebSocket used to send commands and receive the session telemetry
+var sessionWebSocket = null;
+
+// The current (or the last known) charging session of every charger, built from the
+// WebSocket frames, by charger ID
+const chargingSessions = new Map();
+
+// The vehicle each charger was authorized for, by charger ID
+const chargingVehicles = new Map();
+
 /**
  * Log in to Gigacharger to obtain a session ID via a cookie.
  * @param {string} email - The email for Gigacharger
@@ -32,7 +68,7 @@ async function obtainGigachargerSessionID(email, password) {
     formData.append("remember", "1");
     formData.append("email", email);
     formData.append("password", password);
-    const loginResponse = await axios.post(`${GIGACHARGER_API_HOST}/login`, formData, {
+    const loginResponse = await gigachargerApiClient.post(`${GIGACHARGER_API_HOST}/login`, formData, {
         headers: {
             "User-Agent": GIGACHARGER_USER_AGENT,
             "X-Requested-With": "net.gigacharger.app",
@@ -56,91 +92,489 @@ async function obtainGigachargerSessionID(email, password) {
 }
 
 /**
- * Authorize a charging session.
- * @returns {Promise<void>} - When the charging session is authorized successfully
- * @throws If the request fails, an exception is thrown
+ * Get the credentials for Gigacharger from the environment and log in
+ * @returns {Promise<String>} - A valid session ID
+ * @throws If no credentials are supplied or the login fails, an exception is thrown
  */
-export async function authorizeCharging() {
-    return new Promise(async (resolve, reject) => {
-        const chargerID = MY_CHARGER_ID;
-        if (!chargerID) {
-            logError("No charger ID supplied - check env variables");
-            reject("No charger ID supplied");
+async function loginToGigacharger() {
+    const email = GIGACHARGER_EMAIL;
+    const password = GIGACHARGER_PASSWORD;
+    if (!email || !password) {
+        logger.error("No credentials for Gigacharger supplied - check env variables");
+        throw new Error("No Gigacharger credentials supplied");
+    }
+    logger.info("Logging in to Gigacharger...");
+    try {
+        savedGigachargerSessionID = await obtainGigachargerSessionID(email, password);
+        logger.info("Login successful");
+    } catch (gigachargerLoginError) {
+        logger.error(`Could not log in to Gigacharger: ${gigachargerLoginError}`);
+        throw new Error("Could not log in to Gigacharger", { cause: gigachargerLoginError });
+    }
+    try {
+        await writeFile(GIGACHARGER_SESSION_FILE, JSON.stringify({
+            sessionID: savedGigachargerSessionID,
+            savedAt: new Date().toISOString()
+        }, null, 2));
+    } catch (error) {
+        logger.error(`Could not save the Gigacharger session to ${GIGACHARGER_SESSION_FILE}: ${error.message}`);
+    }
+    return savedGigachargerSessionID;
+}
+
+/**
+ * Read the session ID saved by a previous login from disk
+ * @returns {Promise<String|null>} - The saved session ID or null if there is none
+ */
+async function readSavedSessionID() {
+    try {
+        const contents = JSON.parse(await readFile(GIGACHARGER_SESSION_FILE, "utf8"));
+        return contents.sessionID || null;
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            logger.error(`Could not read the Gigacharger session from ${GIGACHARGER_SESSION_FILE}: ${error.message}`);
         }
-        logMessage(`Starting authorization for charger ID ${chargerID}`);
+        return null;
+    }
+}
+
+/**
+ * Check if a session ID is still accepted by Gigacharger by fetching the charger's station
+ * @param {string} sessionID - The session ID to check
+ * @param {string} chargerID - The ID of the charger
+ * @returns {Promise<boolean>} - Whether the session is valid
+ * @throws If Gigacharger cannot be reached, an exception is thrown
+ */
+async function isSessionValid(sessionID, chargerID) {
+    const response = await gigachargerApiClient.get(`${GIGACHARGER_API_HOST}/station`, {
+        params: { id: chargerID },
+        headers: {
+            "User-Agent": GIGACHARGER_USER_AGENT,
+            "X-Requested-With": "net.gigacharger.app",
+            "Accept": "application/json",
+            "Cookie": `manix-sess=${sessionID}`
+        },
+        validateStatus: (status) => status < 500
+    });
+    return response.status === 200 && !!response.data?.station;
+}
+
+/**
+ * Check that Gigacharger's REST API can be reached. The check asks for a station
+ * without a session - any response short of a server error shows that Gigacharger is up.
+ * It is a single call outside of the retries and the circuit of the other calls.
+ * @param {number} timeout - How long to wait for a response, in milliseconds
+ * @throws If Gigacharger cannot be reached or fails, an exception is thrown
+ */
+export async function checkGigachargerConnection(timeout) {
+    const response = await axios.get(`${GIGACHARGER_API_HOST}/station`, {
+        headers: {
+            "User-Agent": GIGACHARGER_USER_AGENT,
+            "X-Requested-With": "net.gigacharger.app",
+            "Accept": "application/json"
+        },
+        timeout,
+        validateStatus: () => true
+    });
+    if (response.status >= 500) {
+        throw new Error(`Gigacharger responded with status ${response.status}`);
+    }
+}
+
+/**
+ * Get a session ID for Gigacharger without logging in if possible.
+ * The session kept in memory is used as is. A session saved on disk by a previous
+ * run is checked before use. A new login happens only if neither is usable.
+ * @param {string} chargerID - The ID of a charger, to check the saved session with
+ * @returns {Promise<String>} - A session ID
+ * @throws If a new login is needed and it fails, an exception is thrown
+ */
+async function getGigachargerSessionID(chargerID) {
+    if (savedGigachargerSessionID) {
+        return savedGigachargerSessionID;
+    }
+    const sessionIDFromDisk = await readSavedSessionID();
+    if (sessionIDFromDisk) {
         try {
-            logMessage("Logging in to Gigacharger...");
-            const email = GIGACHARGER_EMAIL;
-            const password = GIGACHARGER_PASSWORD;
-            if (!email || !password) {
-                logError("No credentials for Gigacharger supplied - check env variables");
-                reject("No Gigacharger credentials supplied");
+            if (await isSessionValid(sessionIDFromDisk, chargerID)) {
+                logger.info("Reusing the saved Gigacharger session");
+                savedGigachargerSessionID = sessionIDFromDisk;
+                return savedGigachargerSessionID;
             }
-            try {
-                savedGigachargerSessionID = await obtainGigachargerSessionID(email, password);
-                logMessage(`Login successful - session ID is ${savedGigachargerSessionID}`)
-            } catch (gigachargerLoginError) {
-                logError(`Could not log in to Gigacharger: ${gigachargerLoginError}`);
-                reject("Could not log in to Gigacharger");
+            logger.info("The saved Gigacharger session was rejected");
+        } catch (error) {
+            logger.error(`Could not check the saved Gigacharger session: ${error.message}`);
+        }
+    }
+    return await loginToGigacharger();
+}
+
+/**
+ * Parse a raw frame received over Gigacharger's WebSocket.
+ * Frames are JSON arrays in the form [type, payload, error], e.g.
+ * ["status",["10334",2],null] or ["session",[10334,1441,0.001,7400,1],null]
+ * @param {Buffer|string} data - The raw frame
+ * @returns {{type: string, payload: any, error: any}|null} - The parsed frame or null if it is malformed
+ */
+export function parseGigachargerFrame(data) {
+    try {
+        const [type, payload, error] = JSON.parse(data.toString());
+        if (typeof type !== "string") {
+            return null;
+        }
+        return { type, payload, error: error ?? null };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Parse the payload of a "session" frame.
+ * The payload looks like this: [10334,1441,0.001,7400,1] and holds the charger ID,
+ * the duration of the session in seconds, the delivered energy in kWh, the
+ * charging power in W and the state of the session
+ * @param {Array} payload - The payload of the frame
+ * @returns {{chargerID: string, durationSeconds: number, energyKWh: number, powerW: number, state: number}}
+ */
+export function parseSessionFrame(payload) {
+    if (!Array.isArray(payload) || payload.length < 5) {
+        throw new Error(`Unexpected session frame payload: ${JSON.stringify(payload)}`);
+    }
+    const [chargerID, durationSeconds, energyKWh, powerW, state] = payload;
+    return {
+        chargerID: chargerID.toString(),
+        durationSeconds: Number(durationSeconds),
+        energyKWh: Number(energyKWh),
+        powerW: Number(powerW),
+        state: Number(state)
+    };
+}
+
+/**
+ * Calculate the cost of the energy delivered in a session
+ * @param {number} energyKWh - The delivered energy in kWh
+ * @returns {number|null} - The cost or null if no price per kWh is configured
+ */
+function calculateSessionCost(energyKWh) {
+    if (GIGACHARGER_PRICE_PER_KWH === null) {
+        return null;
+    }
+    return Math.round(energyKWh * GIGACHARGER_PRICE_PER_KWH * 100) / 100;
+}
+
+/**
+ * Update the tracked charging session of a charger from a frame received over the WebSocket
+ * @param {{type: string, payload: any}} frame - The parsed frame
+ */
+function updateChargingSession(frame) {
+    const now = new Date().toISOString();
+    // Starts the session with the vehicle the charger was authorized for
+    const getSession = (chargerID) => chargingSessions.get(chargerID)
+        ?? { chargerID, vin: chargingVehicles.get(chargerID) ?? null };
+    switch (frame.type) {
+        case "status": {
+            const chargerID = frame.payload[0].toString();
+            chargingSessions.set(chargerID, {
+                ...getSession(chargerID),
+                chargerStatus: frame.payload[1],
+                updatedAt: now
+            });
+            break;
+        }
+        case "conduct-began": {
+            const chargerID = frame.payload[0].toString();
+            chargingSessions.set(chargerID, {
+                ...getSession(chargerID),
+                userID: frame.payload[1],
+                active: true,
+                startedAt: now,
+                endedAt: null,
+                updatedAt: now
+            });
+            break;
+        }
+        case "session": {
+            const telemetry = parseSessionFrame(frame.payload);
+            const currentChargingSession = getSession(telemetry.chargerID);
+            // Derive the start time from the duration if the beginning of the session was missed
+            const startedAt = currentChargingSession.startedAt
+                ?? new Date(Date.now() - telemetry.durationSeconds * 1000).toISOString();
+            // The energy delivered since the last frame counts towards the current hour,
+            // so that the session can be priced with a time-of-use tariff
+            const hour = new Date();
+            hour.setMinutes(0, 0, 0);
+            const energyByHour = { ...currentChargingSession.energyByHour };
+            energyByHour[hour.toISOString()] = (energyByHour[hour.toISOString()] ?? 0)
+                + Math.max(0, telemetry.energyKWh - (currentChargingSession.energyKWh ?? 0));
+            chargingSessions.set(telemetry.chargerID, {
+                ...currentChargingSession,
+                ...telemetry,
+                peakPowerW: Math.max(currentChargingSession.peakPowerW ?? 0, telemetry.powerW),
+                energyByHour,
+                startedAt,
+                active: true,
+                endedAt: null,
+                cost: calculateSessionCost(telemetry.energyKWh),
+                updatedAt: now
+            });
+            break;
+        }
+        default:
+            break;
+    }
+}
+
+/**
+ * Open a WebSocket to Gigacharger, or reuse the one that is already tracking
+ * the current session. Every frame received over the socket updates the
+ * tracked sessions. The socket is closed after a period without any frames.
+ * @param {string} chargerID - The ID of a charger, to check a saved session with
+ * @returns {Promise<WebSocket>} - An open WebSocket
+ * @throws If the login or the connection fails, an exception is thrown
+ */
+async function openSessionWebSocket(chargerID) {
+    if (sessionWebSocket && sessionWebSocket.readyState === WebSocket.OPEN) {
+        return sessionWebSocket;
+    }
+    const sessionID = await getGigachargerSessionID(chargerID);
+    try {
+        return await callUpstream("gigacharger", () => connectWebSocket(sessionID));
+    } catch (error) {
+        if (!error.sessionRejected) {
+            throw error;
+        }
+        logger.info("Gigacharger rejected the session - logging in again...");
+        savedGigachargerSessionID = null;
+        const newSessionID = await loginToGigacharger();
+        return await callUpstream("gigacharger", () => connectWebSocket(newSessionID));
+    }
+}
+
+/**
+ * Connect to Gigacharger's WebSocket with a given session
+ * @param {string} sessionID - The session ID to send as a cookie
+ * @returns {Promise<WebSocket>} - An open WebSocket
+ * @throws If the connection fails, an exception is thrown. If the session is
+ * rejected, the exception has a truthy `sessionRejected` property
+ */
+function connectWebSocket(sessionID) {
+    return new Promise((resolve, reject) => {
+        const webSocket = new WebSocket(GIGACHARGER_WS_URL, {
+            headers: {
+                "User-Agent": GIGACHARGER_USER_AGENT,
+                "Cookie": `manix-sess=${sessionID}`,
+                "Cache-Control": "no-cache",
+                "Pragma": "no-cache",
+                "Accept-Encoding": "gzip, deflate",
+                "Accept-Language": "en-US,en;q=0.9",
+            },
+            rejectUnauthorized: false,
+            handshakeTimeout: GIGACHARGER_WS_TIMEOUT
+        });
+
+        let idleTimeout;
+        const resetIdleTimeout = () => {
+            clearTimeout(idleTimeout);
+            idleTimeout = setTimeout(() => {
+                logger.info("No frames from Gigacharger for a while - closing the WebSocket");
+                webSocket.close(1000);
+            }, GIGACHARGER_WS_IDLE_TIMEOUT);
+        };
+
+        webSocket.on("open", () => {
+            sessionWebSocket = webSocket;
+            resetIdleTimeout();
+            resolve(webSocket);
+        });
+
+        webSocket.on("message", (data) => {
+            logger.debug(`Response from Gigacharger: ${data}`);
+            resetIdleTimeout();
+            const frame = parseGigachargerFrame(data);
+            if (!frame) {
+                logger.error(`Could not parse frame from Gigacharger: ${data}`);
+                return;
             }
             try {
-                const webSocket = new WebSocket(GIGACHARGER_WS_URL, {
-                    headers: {
-                        "User-Agent": GIGACHARGER_USER_AGENT,
-                        "Cookie": `manix-sess=${savedGigachargerSessionID}`,
-                        "Cache-Control": "no-cache",
-                        "Pragma": "no-cache",
-                        "Accept-Encoding": "gzip, deflate",
-                        "Accept-Language": "en-US,en;q=0.9",
-                    },
-                    agent: new Agent({
-                        rejectUnauthorized: false
-                    })
-                });
-
-                setTimeout(() => {
-                    webSocket.close(1000);
-                }, 40000); // Timeout after 40 seconds
-    
-                webSocket.on("open", () => {
-                    const message = `["drain/start","${chargerID}"]`;
-                    webSocket.send(message, (error) => {
-                        if (error) {
-                            reject(new Error("Could not authorize charging - error sending the start command"));
-                        }
-                    });
-                });
-
-                webSocket.on("message", function message(data) {
-                    // The message should look like this:
-                    // ["session",[10334,1441,0.001,7400,1],null]
-                    logMessage(`Response from Gigacharger: ${data}`);
-                    resolve();
-                });
-            
-                webSocket.on("error", (error) => {
-                    reject(new Error(`Could not connect to Gigacharger's WebSocket: ${error}`));
-                });
-            
-                webSocket.on("close", (code, reason) => {
-                    if (code !== 1000) {
-                        // A code 1000 is considered a normal closure
-                        // For more info, see here:
-                        // https://developer.mozilla.org/en-US/docs/Web/API/CloseEvent/code
-                        reject(new Error("Unexpected connection closure"));
-                    } else {
-                        // TODO: Why does the request time out after resolve() ?
-                        logError("Gigacharger request timed out");
-                        reject(new Error("Gigacharger request timed out"));
-                    }
-                });
+                updateChargingSession(frame);
             } catch (error) {
-                logError(`WebSocket error: ${error}`);
-                reject(`WebSocket error: ${error}`);
+                logger.error(`Could not update charging session: ${error.message}`);
             }
-        } catch (error) {
-            logError(`Could not authorize charging: ${error}`);
-            reject(`Could not authorize charging: ${error}`);
-        }
+        });
+
+        webSocket.on("unexpected-response", (request, response) => {
+            const error = new Error(`Gigacharger's WebSocket responded with status ${response.statusCode}`);
+            error.sessionRejected = response.statusCode === 401 || response.statusCode === 403;
+            request.destroy();
+            reject(error);
+        });
+
+        webSocket.on("error", (error) => {
+            logger.error(`Gigacharger WebSocket error: ${error.message}`);
+            reject(new Error(`Could not connect to Gigacharger's WebSocket: ${error.message}`, { cause: error }));
+        });
+
+        webSocket.on("close", (code) => {
+            clearTimeout(idleTimeout);
+            if (sessionWebSocket === webSocket) {
+                sessionWebSocket = null;
+            }
+            if (code !== 1000) {
+                // A code 1000 is considered a normal closure
+                // For more info, see here:
+                // https://developer.mozilla.org/en-US/docs/Web/API/CloseEvent/code
+                logger.error(`Gigacharger WebSocket closed unexpectedly with code ${code}`);
+            }
+        });
     });
-}
\ No newline at end of file
+}
+
+/**
+ * Check whether a frame is the reply to a command: a "status" frame or a frame of the
+ * command's type, for the charger the command was sent for
+ * @param {{type: string, payload: any, error: any}} frame - The parsed frame
+ * @param {string} command - The command, e.g. "drain/start"
+ * @param {string} chargerID - The ID of the charger
+ * @returns {boolean}
+ */
+function isCommandReply(frame, command, chargerID) {
+    if (frame.type !== GIGACHARGER_REPLY_TYPE && frame.type !== command) {
+        return false;
+    }
+    const replyChargerID = Array.isArray(frame.payload) ? frame.payload[0] : frame.payload;
+    return replyChargerID?.toString() === chargerID;
+}
+
+/**
+ * Send a command for a charger over the WebSocket and wait for the reply to it.
+ * Other frames, e.g. the telemetry of this or another charger, are left to the
+ * WebSocket's own message handler.
+ * @param {WebSocket} webSocket - An open WebSocket
+ * @param {string} command - The command, e.g. "drain/start"
+ * @param {string} chargerID - The ID of the charger
+ * @returns {Promise<{type: string, payload: any, error: any}>} - The reply to the command
+ * @throws {CircuitOpenError} - If Gigacharger has failed repeatedly
+ * @throws If the command cannot be sent, Gigacharger replies with an error or
+ * no reply arrives in time, an exception is thrown
+ */
+function sendGigachargerCommand(webSocket, command, chargerID) {
+    return callUpstream("gigacharger", () => new Promise((resolve, reject) => {
+        const cleanUp = () => {
+            clearTimeout(timeout);
+            webSocket.off("message", onMessage);
+            webSocket.off("close", onClose);
+        };
+        const onMessage = (data) => {
+            const frame = parseGigachargerFrame(data);
+            if (!frame || !isCommandReply(frame, command, chargerID)) {
+                return;
+            }
+            cleanUp();
+            if (frame.error) {
+                reject(new Error(`Gigacharger rejected the ${command} command: ${JSON.stringify(frame.error)}`));
+            } else {
+                resolve(frame);
+            }
+        };
+        const onClose = () => {
+            cleanUp();
+            reject(new Error("Unexpected connection closure"));
+        };
+        const timeout = setTimeout(() => {
+            cleanUp();
+            reject(new UpstreamTimeoutError("gigacharger", "Gigacharger request timed out"));
+        }, GIGACHARGER_WS_TIMEOUT);
+
+        webSocket.on("message", onMessage);
+        webSocket.on("close", onClose);
+        webSocket.send(JSON.stringify([command, chargerID]), (error) => {
+            if (error) {
+                cleanUp();
+                reject(new Error(`Could not send the ${command} command: ${error.message}`, { cause: error }));
+            }
+        });
+    }));
+}
+
+/**
+ * Authorize a charging session.
+ * The WebSocket stays open afterwards so that the session telemetry can be tracked.
+ * @param {string} [requestedChargerID] - The ID or the name of the charger - the
+ * default charger if not supplied
+ * @param {string} [requestedVIN] - The vehicle that is being charged, kept with the session
+ * @returns {Promise<void>} - When the charging session is authorized successfully
+ * @throws {ValidationError} - If the charger or the vehicle is not registered
+ * @throws If the request fails, an exception is thrown
+ */
+export async function authorizeCharging(requestedChargerID, requestedVIN) {
+    const chargerID = await resolveChargerID(requestedChargerID);
+    const vin = requestedVIN ? await resolveVIN(requestedVIN) : null;
+    logger.info(`Starting authorization for charger ID ${chargerID}${vin ? ` and vehicle ${vin}` : ""}`);
+    const webSocket = await openSessionWebSocket(chargerID);
+    chargingSessions.delete(chargerID);
+    chargingVehicles.set(chargerID, vin);
+    await sendGigachargerCommand(webSocket, "drain/start", chargerID);
+    recordChargingStart(chargerID, vin);
+    notify("charging-started", "Charging started",
+        `Charging authorized on charger ${chargerID}${vin ? ` for vehicle ${vin}` : ""}`, { chargerID, vin });
+}
+
+/**
+ * Stop the current charging session of a charger.
+ * The WebSocket is closed unless another charger is still charging.
+ * @param {string} [requestedChargerID] - The ID or the name of the charger - the
+ * default charger if not supplied
+ * @returns {Promise<Object|null>} - The final state of the session, if it was tracked
+ * @throws {ValidationError} - If the charger is not registered
+ * @throws If the request fails, an exception is thrown
+ */
+export async function stopCharging(requestedChargerID) {
+    const chargerID = await resolveChargerID(requestedChargerID);
+    logger.info(`Stopping charging for charger ID ${chargerID}`);
+    const webSocket = await openSessionWebSocket(chargerID);
+    await sendGigachargerCommand(webSocket, "drain/stop", chargerID);
+    if (chargingSessions.has(chargerID)) {
+        const now = new Date().toISOString();
+        chargingSessions.set(chargerID, {
+            ...chargingSessions.get(chargerID),
+            active: false,
+            powerW: 0,
+            endedAt: now,
+            updatedAt: now
+        });
+    }
+    if (![...chargingSessions.values()].some(session => session.active)) {
+        webSocket.close(1000);
+    }
+    const session = chargingSessions.get(chargerID) ?? null;
+    recordChargingSession(chargerID, session);
+    notify("charging-stopped", "Charging stopped",
+        `Charging stopped on charger ${chargerID}${session ? ` after ${session.energyKWh} kWh` : ""}`, { chargerID, session });
+    return session;
+}
+
+/**
+ * Get the current (or the last known) charging session of a charger.
+ * If no WebSocket is open, one is opened to wait briefly for fresh telemetry,
+ * e.g. for a session started from the official app.
+ * @param {string} [requestedChargerID] - The ID or the name of the charger - the
+ * default charger if not supplied
+ * @returns {Promise<Object|null>} - The session or null if none is known
+ * @throws {ValidationError} - If the charger is not registered
+ */
+export async function getChargingSession(requestedChargerID) {
+    const chargerID = await resolveChargerID(requestedChargerID);
+    if (!sessionWebSocket) {
+        const webSocket = await openSessionWebSocket(chargerID);
+        await new Promise((resolve) => {
+            const timeout = setTimeout(done, GIGACHARGER_SESSION_WAIT_TIME);
+            function done() {
+                clearTimeout(timeout);
+                webSocket.off("message", done);
+                resolve();
+            }
+            webSocket.on("message", done);
+        });
+    }
+    return chargingSessions.get(chargerID) ?? null;
+}
@@ -0,0 +1,165 @@
+import dotenv from "dotenv";
+import { createLogger } from "./utils.js";
+import { validateConfig } from "./config_utils.js";
+import { getCircuitStates } from "./resilience_utils.js";
+import { getJobRuns } from "./job_utils.js";
+import { checkTessieConnection } from "./tessie_utils.js";
+import { checkGigachargerConnection } from "./gigacharger_utils.js";
+import { getChargingScheduleJobs } from "./schedule_utils.js";
+import { getPreconditioningJobs } from "./preconditioning_utils.js";
+import { getChargingPlanJobs } from "./planner_utils.js";
+import { getGeofencePollerJobs } from "./geofence_utils.js";
+import { VEHICLE_PROVIDER } from "./vehicle_utils.js";
+
+dotenv.config();
+
+const logger = createLogger("health");
+
+// How long to wait for an upstream to respond to a connection check
+const HEALTH_CHECK_TIMEOUT = Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 5000;
+
+// How long the result of a connection check is reused, so that frequent readiness
+// probes don't flood the upstreams
+const UPSTREAM_CHECK_MAX_AGE_MS = 10000;
+
+// When the process started, for the uptime
+const STARTED_AT = Date.now();
+
+// The last connection check of every upstream, by name: { checkedAt, result }
+const upstreamChecks = new Map();
+
+// Connection checks in progress, by upstream - concurrent probes share a check
+const pendingChecks = new Map();
+
+/**
+ * Get the upstreams the proxy depends on with their connection checks: Gigacharger
+ * and, if it controls the vehicle, Tessie. The Tesla Fleet API and the simulator are
+ * not checked.
+ * @returns {Object<string, function(number): Promise<void>>} - The checks by upstream
+ */
+function getUpstreams() {
+    return {
+        ...(VEHICLE_PROVIDER === "tessie" && { tessie: checkTessieConnection }),
+        gigacharger: checkGigachargerConnection
+    };
+}
+
+/**
+ * Check the connection to an upstream, or reuse a recent check
+ * @param {string} upstream - The name of the upstream, e.g. "tessie"
+ * @param {function(number): Promise<void>} check - Checks the connection
+ * @returns {Promise<{reachable: boolean, latencyMs: number, error: string|null, checkedAt: string}>}
+ */
+async function checkUpstream(upstream, check) {
+    const lastCheck = upstreamChecks.get(upstream);
+    if (lastCheck && Date.now() - lastCheck.checkedAt <= UPSTREAM_CHECK_MAX_AGE_MS) {
+        return lastCheck.result;
+    }
+    if (!pendingChecks.has(upstream)) {
+        pendingChecks.set(upstream, (async () => {
+            const startedAt = Date.now();
+            let error = null;
+            try {
+                await check(HEALTH_CHECK_TIMEOUT);
+            } catch (checkError) {
+                error = checkError.code === "ECONNABORTED" || checkError.code === "ETIMEDOUT"
+                    ? `No response within ${HEALTH_CHECK_TIMEOUT} ms`
+                    : checkError.message;
+                logger.warn(`${upstream} is not reachable: ${error}`);
+            }
+            const result = {
+                reachable: error === null,
+                latencyMs: Date.now() - startedAt,
+                error,
+                checkedAt: new Date(startedAt).toISOString()
+            };
+            upstreamChecks.set(upstream, { checkedAt: startedAt, result });
+            return result;
+        })().finally(() => pendingChecks.delete(upstream)));
+    }
+    return await pendingChecks.get(upstream);
+}
+
+/**
+ * Check the connection to every upstream at the same time
+ * @returns {Promise<Object<string, Object>>} - The checks by upstream, with the state of
+ * its circuit: "closed", "open" or "half-open"
+ */
+async function checkUpstreams() {
+    const circuits = getCircuitStates();
+    const upstreams = Object.entries(getUpstreams());
+    const results = await Promise.all(upstreams.map(([upstream, check]) => checkUpstream(upstream, check)));
+    return Object.fromEntries(upstreams.map(([upstream], index) => [upstream, {
+        ...results[index],
+        circuit: circuits[upstream]?.state ?? "closed"
+    }]));
+}
+
+/**
+ * Get the background jobs with the time they run next and the outcome of their last run.
+ * Jobs that are no longer registered, e.g. a charging plan that has ended, are listed
+ * with their last run only.
+ * @returns {Array<{job: string, nextRun: string|null, lastRun: Object|null}>} - The jobs
+ */
+function getJobs() {
+    const jobRuns = getJobRuns();
+    const registeredJobs = [
+        ...getChargingScheduleJobs(),
+        ...getChargingPlanJobs(),
+        ...getPreconditioningJobs(),
+        ...getGeofencePollerJobs()
+    ];
+    const jobs = registeredJobs.map(({ job, nextRun }) => ({ job, nextRun, lastRun: jobRuns.get(job) ?? null }));
+    for (const [job, lastRun] of jobRuns) {
+        if (!jobs.some(entry => entry.job === job)) {
+            jobs.push({ job, nextRun: null, lastRun });
+        }
+    }
+    return jobs;
+}
+
+/**
+ * Clear the connection checks, e.g. between tests
+ */
+export function clearUpstreamChecks() {
+    upstreamChecks.clear();
+}
+
+/**
+ * Get the health of the proxy: the configuration, the upstreams and the background jobs.
+ * The status is "failing" if the configuration has errors, "degraded" if an upstream
+ * cannot be reached or its circuit is open or the last run of a job failed, and "ok"
+ * otherwise.
+ * @returns {Promise<Object>} - The status, the uptime in seconds, the configuration
+ * problems, the upstreams and the jobs
+ */
+export async function getHealth() {
+    const [config, upstreams] = await Promise.all([validateConfig(), checkUpstreams()]);
+    const jobs = getJobs();
+    const isDegraded = Object.values(upstreams).some(upstream => !upstream.reachable || upstream.circuit === "open")
+        || jobs.some(job => job.lastRun && !job.lastRun.success);
+    return {
+        status: !config.valid ? "failing" : isDegraded ? "degraded" : "ok",
+        uptimeSeconds: Math.round((Date.now() - STARTED_AT) / 1000),
+        vehicleProvider: VEHICLE_PROVIDER,
+        config,
+        upstreams,
+        jobs
+    };
+}
+
+/**
+ * Get whether the proxy is ready to take commands: the configuration has no errors and
+ * every upstream can be reached
+ * @returns {Promise<{ready: boolean, config: boolean, upstreams: Object<string, boolean>}>} - The
+ * readiness with the outcome of every check
+ */
+export async function getReadiness() {
+    const [config, upstreams] = await Promise.all([validateConfig(), checkUpstreams()]);
+    const reachable = Object.fromEntries(Object.entries(upstreams).map(([upstream, { reachable }]) => [upstream, reachable]));
+    return {
+        ready: config.valid && Object.values(reachable).every(Boolean),
+        config: config.valid,
+        upstreams: reachable
+    };
+}
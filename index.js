@@ -1,227 +1,1818 @@
 import express from "express";
-import  { scheduleJob } from "node-schedule";
 import dotenv from "dotenv";
-import { logMessage, logError } from "./utils.js";
-import { authorizeCharging } from "./gigacharger_utils.js";
+import { randomUUID } from "crypto";
+import { createLogger, requestContext, getRequestID, ValidationError } from "./utils.js";
+import { recordAuditEntry, readAuditLog } from "./audit_utils.js";
+import {
+    getGeofences,
+    createGeofence,
+    updateGeofence,
+    deleteGeofence,
+    startGeofencePoller
+} from "./geofence_utils.js";
+import {
+    authenticateRequest,
+    hasScope,
+    listApiKeys,
+    createApiKey,
+    revokeApiKey
+} from "./auth_utils.js";
+import { authorizeCharging, stopCharging, getChargingSession } from "./gigacharger_utils.js";
+import { getRegistry, updateRegistry, resolveVIN } from "./registry_utils.js";
+import {
+    getMacros,
+    getMacro,
+    createMacro,
+    updateMacro,
+    deleteMacro,
+    getMacroScopes,
+    runMacro
+} from "./macro_utils.js";
 import * as path from "path";
 import {
-    VEHICLE_HOME_LATITUDE,
-    VEHICLE_HOME_LONGITUDE,
-    lockVehicle,
-    unlockVehicle,
+    VEHICLE_PROVIDER,
     findVehicle,
-    isVehicleInTargetLocation,
+    parseNumberOfFlashes,
     openFrunk,
-    startClimate,
-    toggleVehicleLock,
-    openOrUnlockChargePort
-} from "./tessie_utils.js";
+    openTrunk,
+    stopClimate,
+    openOrUnlockChargePort,
+    closeChargePort,
+    setSentryMode,
+    ventWindows,
+    closeWindows,
+    setChargeLimit,
+    setChargingAmps,
+    startVehicleCharging,
+    stopVehicleCharging
+} from "./vehicle_utils.js";
+import { parseClimateSettings, startClimateWithSettings } from "./climate_utils.js";
+import { parseChargeLimit, parseChargingAmps } from "./charge_settings_utils.js";
+import { getVehicleStatus, clearVehicleStatusCache } from "./vehicle_status_utils.js";
+import { configureSimulatedVehicle, getVehicleState as getSimulatedVehicleState } from "./simulated_vehicle_utils.js";
+import { lockAndTrack, unlockAndTrack, toggleLock, getLockState } from "./lock_state_utils.js";
 import { dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { generatePartnerToken } from "./tesla_api_utils.js";
+import {
+    generatePartnerToken,
+    registerApplication,
+    getAuthorizationUrl,
+    handleAuthorizationCallback
+} from "./tesla_api_utils.js";
+import {
+    loadSchedules,
+    getSchedules,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule
+} from "./schedule_utils.js";
+import {
+    createChargingPlan,
+    getChargingPlan,
+    cancelChargingPlan,
+    loadChargingPlan
+} from "./planner_utils.js";
+import {
+    loadPreconditioningSchedules,
+    getPreconditioningSchedules,
+    createPreconditioning,
+    updatePreconditioning,
+    deletePreconditioning
+} from "./preconditioning_utils.js";
+import { notify, getNotificationSettings } from "./notification_utils.js";
+import { describeUpstreamError } from "./resilience_utils.js";
+import {
+    getChargingReport,
+    getChargingSessions,
+    formatChargingReportCSV,
+    formatChargingSessionsCSV
+} from "./charging_report_utils.js";
+import { validateConfig } from "./config_utils.js";
+import { getHealth, getReadiness } from "./health_utils.js";
 
 // Polyfill __dirname
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 dotenv.config();
-const app = express();
 
-const SETTINGS_FILE = "settings.json";
-const USAGE_PASSWORD = process.env.USAGE_PASSWORD;
+const logger = createLogger("server");
+export const app = express();
+// Keep the raw body to verify the signature of signed requests
+app.use(express.json({ verify: (req, res, buffer) => { req.rawBody = buffer; } }));
 
-const checkUsagePasswordMiddleware = (req, res, next) => {
-    const providedPassword = req.query.password;
-    if (providedPassword !== USAGE_PASSWORD) {
-        logError(`Unauthorized access attempt: ${req.originalUrl}`);
-        return res.status(401).send("Unauthorized");
-    }
-    next();
+// Give every route call a request ID - taken from the X-Request-Id header if it is a
+// sensible value - so that its log lines and the API calls it triggers can be tied together
+app.use((req, res, next) => {
+    const requestID = /^[\w.-]{1,64}$/.test(req.get("X-Request-Id") ?? "") ? req.get("X-Request-Id") : randomUUID();
+    const startedAt = Date.now();
+    res.set("X-Request-Id", requestID);
+    requestContext.run({ requestID }, () => {
+        // The path only - the query string may hold the password
+        logger.info(`${req.method} ${req.path}`);
+        res.on("finish", () => {
+            requestContext.run({ requestID }, () => {
+                logger.info(`${req.method} ${req.path} responded with ${res.statusCode}`, { durationMs: Date.now() - startedAt });
+            });
+        });
+        next();
+    });
+});
+
+// The code of every error response, by HTTP status
+const ERROR_CODES = {
+    400: "invalid-request",
+    401: "unauthorized",
+    403: "forbidden",
+    404: "not-found",
+    500: "internal-error"
 };
 
-const dailyChargingJob = scheduleJob('0 22 * * *', async () => {
-    logMessage("Starting job: daily charging");
+/**
+ * Send an error response as JSON: { error, code, requestID }. If a failed call to
+ * Tessie, Tesla or Gigacharger caused a 500, the response is a 502 - or a 504 if the
+ * upstream timed out, or a 503 with Retry-After while its circuit is open - and names
+ * the upstream.
+ * @param {express.Response} res - The response
+ * @param {number} status - The HTTP status, e.g. 404
+ * @param {string} message - What went wrong
+ * @param {Error} [error] - The error that caused a 500
+ */
+function sendError(res, status, message, error) {
+    const upstreamError = status === 500 && error ? describeUpstreamError(error) : null;
+    if (upstreamError?.retryAfterSeconds) {
+        res.set("Retry-After", String(upstreamError.retryAfterSeconds));
+    }
+    res.status(upstreamError?.status ?? status).json({
+        error: message,
+        code: upstreamError?.code ?? ERROR_CODES[status] ?? "error",
+        ...(upstreamError && { upstream: upstreamError.upstream }),
+        requestID: res.get("X-Request-Id") ?? null
+    });
+}
+
+/**
+ * Build a middleware that only lets through callers granted all of the given scopes.
+ * Callers authenticate with an API key, a signed request or the shared password
+ * (see auth_utils.js). The caller is stored in req.auth.
+ * @param {...string} scopes - The required scopes
+ * @returns {express.RequestHandler} - The middleware
+ */
+const requireScope = (...scopes) => async (req, res, next) => {
     try {
-        const isVehicleAtHome = await isVehicleInTargetLocation(
-            VEHICLE_HOME_LATITUDE,
-            VEHICLE_HOME_LONGITUDE
-        );
-        if (isVehicleAtHome) {
-            try {
-                logMessage("Vehicle at home location - authorizing charging...");
-                await authorizeCharging();
-                logMessage("Charging authorized");
-            } catch (error) {
-                throw new Error(`Could not authorize charging: ${error.message}`)
-            }
-        } else {
-            throw new Error("Daily charging job aborted - vehicle is not at home location");
-        }
+        req.auth = await authenticateRequest(req);
     } catch (error) {
-        logError(`Daily charging job failed: ${error.message}`)
+        // Log the path only - the query string may hold the password
+        logger.warn(`Unauthorized access attempt: ${req.method} ${req.path} - ${error.message}`);
+        return sendError(res, 401, "Unauthorized");
+    }
+    const missingScopes = scopes.filter(scope => !hasScope(req.auth.scopes, scope));
+    if (missingScopes.length > 0) {
+        logger.warn(`Forbidden: ${req.auth.name} lacks ${missingScopes.join(", ")} for ${req.method} ${req.path}`);
+        return sendError(res, 403, `Forbidden - missing scope: ${missingScopes.join(", ")}`);
+    }
+    next();
+};
+
+/**
+ * Only let through requests made from the machine the proxy runs on
+ * @param {express.Request} req - The incoming request
+ * @param {express.Response} res - The response
+ * @param {function} next - Continues with the next handler
+ */
+const checkLocalRequestMiddleware = (req, res, next) => {
+    const remoteAddress = req.socket.remoteAddress;
+    if (!["127.0.0.1", "::1", "::ffff:127.0.0.1"].includes(remoteAddress)) {
+        logger.warn(`Admin access attempt from ${remoteAddress}: ${req.method} ${req.path}`);
+        return sendError(res, 403, "The admin routes are only available locally");
     }
+    next();
+};
+
+/**
+ * Build a middleware that records a command in the audit log once the response has
+ * been sent - including attempts without valid credentials. Routes put the message
+ * of a failure in res.locals.error.
+ * @param {string} command - The type of command, e.g. "unlock"
+ * @returns {express.RequestHandler} - The middleware
+ */
+const auditCommand = (command) => (req, res, next) => {
+    const timestamp = new Date().toISOString();
+    const startedAt = Date.now();
+    const requestID = getRequestID();
+    const { password, ...query } = req.query;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        res.locals.result = body;
+        return sendJson(body);
+    };
+    const send = res.send.bind(res);
+    res.send = (body) => {
+        res.locals.result ??= body;
+        return send(body);
+    };
+    res.on("finish", () => {
+        const success = res.statusCode < 400;
+        // The command may have changed the vehicle, so its status kept in memory is stale
+        clearVehicleStatusCache();
+        recordAuditEntry({
+            timestamp,
+            command,
+            requestID,
+            route: `${req.method} ${req.path}`,
+            caller: req.auth
+                ? { method: req.auth.method, keyID: req.auth.keyID, name: req.auth.name }
+                : { method: "none", keyID: null, name: "unauthenticated" },
+            parameters: { ...req.params, ...query, ...req.body },
+            success,
+            status: res.statusCode,
+            result: res.locals.result ?? null,
+            latencyMs: Date.now() - startedAt,
+            error: success ? null : res.locals.error ?? res.locals.result ?? null
+        });
+    });
+    next();
+};
+
+/**
+ * Read the confirm mode options of a vehicle command route from the query string:
+ * "confirm=true" waits until the vehicle has carried out the command and "timeout"
+ * sets how long to wait, in seconds
+ * @param {express.Request} req - The incoming request
+ * @returns {{confirm: boolean, timeout: number|undefined}}
+ */
+const getConfirmOptions = (req) => ({
+    confirm: req.query.confirm === "true",
+    timeout: parseInt(req.query.timeout) > 0 ? parseInt(req.query.timeout) * 1000 : undefined
 });
 
-app.get("/vehicle/unlock", checkUsagePasswordMiddleware, async (req, res) => {
+/**
+ * Respond with the outcome of a vehicle command sent in confirm mode:
+ * 200 if it succeeded, 504 if it timed out and 502 if the vehicle did not carry it out
+ * @param {express.Response} res - The response
+ * @param {Object} outcome - The outcome of the command
+ */
+const sendCommandOutcome = (res, outcome) => {
+    if (outcome.success) {
+        logger.info(`Command "${outcome.command}" confirmed after ${outcome.elapsedMs} ms`);
+        res.status(200).json(outcome);
+    } else {
+        logger.warn(`Command "${outcome.command}" not confirmed: ${outcome.error}`);
+        res.locals.error = outcome.error;
+        res.status(outcome.timedOut ? 504 : 502).json(outcome);
+    }
+};
+
+/**
+ * Every vehicle route accepts the optional query parameter:
+ * @param {string} [vin] - The VIN or the name of a registered vehicle (default is the
+ * default vehicle)
+ *
+ * Vehicle command routes (unlock, lock, charge port, frunk, trunk, climate, climate stop,
+ * sentry mode, windows, charge limit, charging amps and vehicle charging) also accept
+ * the optional confirm mode query parameters:
+ * @param {boolean} [confirm] - Wait until the vehicle has carried out the command and
+ * respond with the outcome as JSON (default false)
+ * @param {number} [timeout] - How long to wait in confirm mode, in seconds (default 30)
+ */
+app.get("/vehicle/unlock", auditCommand("unlock"), requireScope("vehicle:unlock"), async (req, res) => {
     try {
-        await unlockVehicle();
-        logMessage("Vehicle unlocked");
+        const outcome = await unlockAndTrack(req.query.vin, getConfirmOptions(req));
+        if (outcome) {
+            sendCommandOutcome(res, outcome);
+            return;
+        }
+        logger.info("Vehicle unlocked");
         res.status(200).send("Vehicle unlocked");
     } catch (error) {
-        logError(`Could not unlock vehicle: ${error.message}`);
-        res.status(500).send("Unable to unlock vehicle");
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not unlock vehicle: ${error.message}`);
+        sendError(res, 500, "Unable to unlock vehicle", error);
     }
 });
 
-app.get("/vehicle/lock", checkUsagePasswordMiddleware, async (req, res) => {
+app.get("/vehicle/lock", auditCommand("lock"), requireScope("vehicle:lock"), async (req, res) => {
     try {
-        await lockVehicle();
-        logMessage("Vehicle locked");
+        const outcome = await lockAndTrack(req.query.vin, getConfirmOptions(req));
+        if (outcome) {
+            sendCommandOutcome(res, outcome);
+            return;
+        }
+        logger.info("Vehicle locked");
         res.status(200).send("Vehicle locked");
     } catch (error) {
-        logError(`Could not lock vehicle: ${error.message}`);
-        res.status(500).send("Unable to lock vehicle");
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not lock vehicle: ${error.message}`);
+        sendError(res, 500, "Unable to lock vehicle", error);
     }
 });
 
-// Store the last manual unlock timestamp
-let lastManualUnlockTime = null;
+/**
+ * @route Toggle lock
+ * @description Lock the vehicle if it is unlocked, unlock it otherwise. The lock state
+ * is tracked from every lock/unlock sent by the proxy and reconciled with Tessie's
+ * cached state, so the vehicle is not woken up. If the lock state is unknown, the
+ * vehicle is unlocked. Accepts the confirm mode query parameters.
+ * @returns {void} 200 - The vehicle is locked or unlocked
+ * @returns {Error} 400 - Unknown vehicle
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/vehicle/toggle-lock", auditCommand("toggle-lock"), requireScope("vehicle:lock", "vehicle:unlock"), async (req, res) => {
+    try {
+        const { action, outcome } = await toggleLock(req.query.vin, getConfirmOptions(req));
+        if (outcome) {
+            sendCommandOutcome(res, outcome);
+            return;
+        }
+        const message = action === "lock" ? "Vehicle locked" : "Vehicle unlocked";
+        logger.info(message);
+        res.status(200).send(message);
+    } catch (error) {
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not toggle lock state: ${error.message}`);
+        sendError(res, 500, "Unable to toggle lock state", error);
+    }
+});
 
 /**
- * Unlock or lock the vehicle
- * If the vehicle was unlocked manually in the last 5 minutes it will be locked
- * Else, it will be unlocked
- * We don't have a "toggle" command for the lock status and fetching the latest data
- * including lock status is tricky, because the cache is unreliable and if the vehicle
- * is asleep fetching data takes a lot of time
- * IMPORTANT: This request is INCOMPATIBLE with the lock/unlock requests above!
+ * @route Lock state
+ * @description Get the last known lock state without waking the vehicle
+ * @returns {Object} 200 - The lock state: locked, source ("command" or "vehicle") and updatedAt
+ * @returns {Error} 400 - Unknown vehicle
+ * @returns {Error} 404 - The lock state is unknown
+ * @returns {Error} 500 - Internal Server Error
  */
-app.get("/vehicle/toggle-lock", checkUsagePasswordMiddleware, async (req, res) => {
+app.get("/vehicle/lock-state", requireScope("vehicle:read"), async (req, res) => {
+    try {
+        const lockState = await getLockState(req.query.vin);
+        if (!lockState) {
+            sendError(res, 404, "Lock state unknown");
+            return;
+        }
+        res.status(200).json(lockState);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not get lock state: ${error.message}`);
+        sendError(res, 500, "Unable to get lock state", error);
+    }
+});
 
-    const now = Date.now();
-    const fiveMinutes = 5 * 60 * 1000;
+/**
+ * @route Vehicle status
+ * @description Get the battery level, range, charging state, lock state, location,
+ * climate and sentry mode. The provider's cached state is used unless it is older than
+ * VEHICLE_STATUS_MAX_AGE_SECONDS, so the vehicle is only woken up when needed.
+ * @param {boolean} [wake] - Wake the vehicle for a live state (default false)
+ * @returns {Object} 200 - The status
+ * @returns {Error} 400 - Unknown vehicle
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/vehicle/status", requireScope("vehicle:read"), async (req, res) => {
+    try {
+        res.status(200).json(await getVehicleStatus(req.query.vin, { wake: req.query.wake === "true" }));
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not get vehicle status: ${error.message}`);
+        sendError(res, 500, "Unable to get vehicle status", error);
+    }
+});
 
+app.get("/vehicle/charge-port", auditCommand("charge-port"), requireScope("vehicle:charge-port"), async (req, res) => {
     try {
-        if (lastManualUnlockTime && (now - lastManualUnlockTime < fiveMinutes)) {
-            logMessage("Less than 5 minutes have passed since last manual unlock - locking...");
-            await lockVehicle();
-            lastManualUnlockTime = null;
-            res.status(200).send("Vehicle locked");
-        } else {
-            logMessage("More than 5 minutes have passed since last manual unlock - unlocking...");
-            await unlockVehicle();
-            lastManualUnlockTime = now;
-            res.status(200).send("Vehicle unlocked");
+        const outcome = await openOrUnlockChargePort(req.query.vin, getConfirmOptions(req));
+        if (outcome) {
+            sendCommandOutcome(res, outcome);
+            return;
         }
+        logger.info("Charge port actuated");
+        res.status(200).send("Charge port actuated");
     } catch (error) {
-        logError(`Could not toggle lock state: ${error.message}`);
-        res.status(500).send("Unable to toggle lock state");
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not actuate charge port: ${error.message}`);
+        sendError(res, 500, "Unable to actuate charge port", error);
     }
 });
 
-app.get("/vehicle/charge-port", checkUsagePasswordMiddleware, async (req, res) => {
+app.get("/vehicle/charge-port/close", auditCommand("charge-port-close"), requireScope("vehicle:charge-port"), async (req, res) => {
     try {
-        await openOrUnlockChargePort();
-        logMessage("Charge port actuated");
-        res.status(200).send("Charge port actuated");
+        const outcome = await closeChargePort(req.query.vin, getConfirmOptions(req));
+        if (outcome) {
+            sendCommandOutcome(res, outcome);
+            return;
+        }
+        logger.info("Charge port closed");
+        res.status(200).send("Charge port closed");
     } catch (error) {
-        logError(`Could not actuate charge port: ${error.message}`);
-        res.status(500).send("Unable to actuate charge port");
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not close charge port: ${error.message}`);
+        sendError(res, 500, "Unable to close charge port", error);
     }
 });
 
-app.get("/vehicle/frunk", checkUsagePasswordMiddleware, async (req, res) => {
+app.get("/vehicle/frunk", auditCommand("frunk"), requireScope("vehicle:frunk"), async (req, res) => {
     try {
-        await openFrunk();
-        logMessage("Opened frunk");
+        const outcome = await openFrunk(req.query.vin, getConfirmOptions(req));
+        if (outcome) {
+            sendCommandOutcome(res, outcome);
+            return;
+        }
+        logger.info("Opened frunk");
         res.status(200).send("Frunk open");
     } catch (error) {
-        logError(`Could not open frunk: ${error.message}`);
-        res.status(500).send("Unable to open frunk");
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not open frunk: ${error.message}`);
+        sendError(res, 500, "Unable to open frunk", error);
+    }
+});
+
+/**
+ * @route Open trunk
+ * @description Open the rear trunk
+ * @returns {string} 200 - Trunk open
+ * @returns {Error} 400 - Unknown vehicle
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/vehicle/trunk", auditCommand("trunk"), requireScope("vehicle:trunk"), async (req, res) => {
+    try {
+        const outcome = await openTrunk(req.query.vin, getConfirmOptions(req));
+        if (outcome) {
+            sendCommandOutcome(res, outcome);
+            return;
+        }
+        logger.info("Trunk open");
+        res.status(200).send("Trunk open");
+    } catch (error) {
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not open trunk: ${error.message}`);
+        sendError(res, 500, "Unable to open trunk", error);
     }
 });
 
-app.get("/vehicle/climate", checkUsagePasswordMiddleware, async (req, res) => {
+/**
+ * @route Start climate
+ * @description Start the climate. The settings are optional - those not supplied are
+ * left as they are.
+ * @param {number} [temperature] - The cabin temperature in °C, 15-28
+ * @param {string} [seatHeaters] - Seat heater levels (0-3) by seat, e.g. "front-left:3,front-right:1"
+ * @param {boolean} [steeringWheelHeater] - Turn the steering wheel heater on or off
+ * @param {boolean} [defrost] - Turn the maximum defrost on or off
+ * @returns {string} 200 - Climate started
+ * @returns {Error} 400 - Invalid climate settings or unknown vehicle
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/vehicle/climate", auditCommand("climate"), requireScope("vehicle:climate"), async (req, res) => {
     try {
-        await startClimate();
-        logMessage("Climate started");
+        const settings = parseClimateSettings(req.query);
+        const outcome = await startClimateWithSettings(req.query.vin, settings, getConfirmOptions(req));
+        if (outcome) {
+            sendCommandOutcome(res, outcome);
+            return;
+        }
+        logger.info("Climate started");
         res.status(200).send("Climate started");
     } catch (error) {
-        logError(`Could not start climate: ${error.message}`);
-        res.status(500).send("Unable to start climate");
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not start climate: ${error.message}`);
+        sendError(res, 500, "Unable to start climate", error);
+    }
+});
+
+app.get("/vehicle/climate/stop", auditCommand("climate-stop"), requireScope("vehicle:climate"), async (req, res) => {
+    try {
+        const outcome = await stopClimate(req.query.vin, getConfirmOptions(req));
+        if (outcome) {
+            sendCommandOutcome(res, outcome);
+            return;
+        }
+        logger.info("Climate stopped");
+        res.status(200).send("Climate stopped");
+    } catch (error) {
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not stop climate: ${error.message}`);
+        sendError(res, 500, "Unable to stop climate", error);
     }
 });
 
 /**
  * @route Find vehicle
  * @description Flash the lights on the vehicle to find it easily
- * @param {number} [numberOfFlashes] - How many times to flash the lights (default 3)
+ * @param {number} [numberOfFlashes] - How many times to flash the lights, 0-5 (default 3)
  * @param {boolean} [useHorn] - Whether to also trigger the horn before flashing the lights (default false)
  * @returns {void} 200 - Request is successful
+ * @returns {Error} 400 - Unknown vehicle or invalid number of flashes
  * @returns {Error} 500 - Internal Server Error
  */
-app.get("/vehicle/find", checkUsagePasswordMiddleware, async (req, res) => {
+app.get("/vehicle/find", auditCommand("find"), requireScope("vehicle:find"), async (req, res) => {
     try {
-        const numberOfFlashes = parseInt(req.query.numberOfFlashes) || 3;
+        const numberOfFlashes = parseNumberOfFlashes(req.query.numberOfFlashes);
         const useHorn = req.query.useHorn === "true";
-        logMessage(`Attempting to trigger find vehicle with numberOfFlashes = ${numberOfFlashes} and useHorn = ${useHorn}...`);
-        await findVehicle(numberOfFlashes, useHorn);
+        logger.info(`Attempting to trigger find vehicle with numberOfFlashes = ${numberOfFlashes} and useHorn = ${useHorn}...`);
+        await findVehicle(req.query.vin, numberOfFlashes, useHorn);
         res.status(200).send("Find vehicle triggered - lights should now flash");
     } catch (error) {
-        logError(`Could not trigger find vehicle: ${error.message}`);
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not trigger find vehicle: ${error.message}`);
+        sendError(res, 500, "Unable to trigger find vehicle", error);
+    }
+});
+
+/**
+ * @route Sentry mode
+ * @description Turn sentry mode on or off
+ * @returns {string} 200 - Sentry mode on or off
+ * @returns {Error} 400 - Unknown vehicle
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/vehicle/sentry/on", auditCommand("sentry-on"), requireScope("vehicle:sentry"), async (req, res) => {
+    try {
+        const outcome = await setSentryMode(req.query.vin, true, getConfirmOptions(req));
+        if (outcome) {
+            sendCommandOutcome(res, outcome);
+            return;
+        }
+        logger.info("Sentry mode on");
+        res.status(200).send("Sentry mode on");
+    } catch (error) {
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not turn sentry mode on: ${error.message}`);
+        sendError(res, 500, "Unable to turn sentry mode on", error);
+    }
+});
+
+app.get("/vehicle/sentry/off", auditCommand("sentry-off"), requireScope("vehicle:sentry"), async (req, res) => {
+    try {
+        const outcome = await setSentryMode(req.query.vin, false, getConfirmOptions(req));
+        if (outcome) {
+            sendCommandOutcome(res, outcome);
+            return;
+        }
+        logger.info("Sentry mode off");
+        res.status(200).send("Sentry mode off");
+    } catch (error) {
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not turn sentry mode off: ${error.message}`);
+        sendError(res, 500, "Unable to turn sentry mode off", error);
+    }
+});
+
+/**
+ * @route Windows
+ * @description Vent or close all windows
+ * @returns {string} 200 - Windows vented or closed
+ * @returns {Error} 400 - Unknown vehicle
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/vehicle/windows/vent", auditCommand("windows-vent"), requireScope("vehicle:windows"), async (req, res) => {
+    try {
+        const outcome = await ventWindows(req.query.vin, getConfirmOptions(req));
+        if (outcome) {
+            sendCommandOutcome(res, outcome);
+            return;
+        }
+        logger.info("Windows vented");
+        res.status(200).send("Windows vented");
+    } catch (error) {
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not vent windows: ${error.message}`);
+        sendError(res, 500, "Unable to vent windows", error);
+    }
+});
+
+app.get("/vehicle/windows/close", auditCommand("windows-close"), requireScope("vehicle:windows"), async (req, res) => {
+    try {
+        const outcome = await closeWindows(req.query.vin, getConfirmOptions(req));
+        if (outcome) {
+            sendCommandOutcome(res, outcome);
+            return;
+        }
+        logger.info("Windows closed");
+        res.status(200).send("Windows closed");
+    } catch (error) {
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not close windows: ${error.message}`);
+        sendError(res, 500, "Unable to close windows", error);
+    }
+});
+
+/**
+ * @route Charge limit
+ * @description Set the charge limit of the vehicle
+ * @param {number} percent - The charge limit in percent, 50-100
+ * @returns {string} 200 - Charge limit set
+ * @returns {Error} 400 - Invalid charge limit or unknown vehicle
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/vehicle/charge-limit", auditCommand("charge-limit"), requireScope("vehicle:charging"), async (req, res) => {
+    try {
+        const percent = parseChargeLimit(req.query.percent);
+        const outcome = await setChargeLimit(req.query.vin, percent, getConfirmOptions(req));
+        if (outcome) {
+            sendCommandOutcome(res, outcome);
+            return;
+        }
+        logger.info(`Charge limit set to ${percent} %`);
+        res.status(200).send(`Charge limit set to ${percent} %`);
+    } catch (error) {
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not set charge limit: ${error.message}`);
+        sendError(res, 500, "Unable to set charge limit", error);
+    }
+});
+
+/**
+ * @route Charging amps
+ * @description Set the current the vehicle draws while charging
+ * @param {number} amps - The current in amps, 5-48
+ * @returns {string} 200 - Charging amps set
+ * @returns {Error} 400 - Invalid current or unknown vehicle
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/vehicle/charging-amps", auditCommand("charging-amps"), requireScope("vehicle:charging"), async (req, res) => {
+    try {
+        const amps = parseChargingAmps(req.query.amps);
+        const outcome = await setChargingAmps(req.query.vin, amps, getConfirmOptions(req));
+        if (outcome) {
+            sendCommandOutcome(res, outcome);
+            return;
+        }
+        logger.info(`Charging amps set to ${amps} A`);
+        res.status(200).send(`Charging amps set to ${amps} A`);
+    } catch (error) {
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not set charging amps: ${error.message}`);
+        sendError(res, 500, "Unable to set charging amps", error);
+    }
+});
+
+/**
+ * @route Vehicle charging
+ * @description Start or stop charging on the vehicle's side, e.g. to resume charging
+ * that was stopped in the vehicle. Use /gigacharger/start and /gigacharger/stop to
+ * authorize a session on the charger.
+ * @returns {string} 200 - Charging started or stopped
+ * @returns {Error} 400 - Unknown vehicle
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/vehicle/charging/start", auditCommand("vehicle-charging-start"), requireScope("vehicle:charging"), async (req, res) => {
+    try {
+        const outcome = await startVehicleCharging(req.query.vin, getConfirmOptions(req));
+        if (outcome) {
+            sendCommandOutcome(res, outcome);
+            return;
+        }
+        logger.info("Vehicle charging started");
+        res.status(200).send("Vehicle charging started");
+    } catch (error) {
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not start vehicle charging: ${error.message}`);
+        sendError(res, 500, "Unable to start vehicle charging", error);
+    }
+});
+
+app.get("/vehicle/charging/stop", auditCommand("vehicle-charging-stop"), requireScope("vehicle:charging"), async (req, res) => {
+    try {
+        const outcome = await stopVehicleCharging(req.query.vin, getConfirmOptions(req));
+        if (outcome) {
+            sendCommandOutcome(res, outcome);
+            return;
+        }
+        logger.info("Vehicle charging stopped");
+        res.status(200).send("Vehicle charging stopped");
+    } catch (error) {
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not stop vehicle charging: ${error.message}`);
+        sendError(res, 500, "Unable to stop vehicle charging", error);
     }
 });
 
 /**
  * @route Authorize charging
  * @description Use the Gigacharger API to authorize a charging session
- * @param {string} [charger] - Charger ID (optional) - if null, will use the one 
- * from the environment variables
+ * @param {string} [charger] - The ID or the name of a registered charger (default is
+ * the default charger)
+ * @param {string} [vin] - The vehicle that is being charged, kept with the session
  * @returns {void} 200 - If charging has been successfully authorized
+ * @returns {Error} 400 - Unknown charger or vehicle
  * @returns {Error} 500 - Internal Server Error
  */
-app.get("/gigacharger/start", checkUsagePasswordMiddleware, async (req, res) => {
+app.get("/gigacharger/start", auditCommand("charging-start"), requireScope("charging"), async (req, res) => {
     try {
-        await authorizeCharging();
-        logMessage("Charging authorized");
+        await authorizeCharging(req.query.charger, req.query.vin);
+        logger.info("Charging authorized");
         res.status(200).send("Charging authorized");
         return;
     } catch (error) {
-        logError(`Could not authorize charging: ${error}`)
-        res.status(500).send(`Could not authorize charging: ${error}`);
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not authorize charging: ${error.message}`);
+        sendError(res, 500, `Could not authorize charging: ${error.message}`, error);
     }
 });
 
-app.get("/", async (req, res) => {
-    res.status(200).send("The server is running");
+/**
+ * @route Stop charging
+ * @description Use the Gigacharger API to stop the current charging session
+ * @param {string} [charger] - The ID or the name of a registered charger (default is
+ * the default charger)
+ * @returns {Object} 200 - The final state of the session (null if it was not tracked)
+ * @returns {Error} 400 - Unknown charger
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/gigacharger/stop", auditCommand("charging-stop"), requireScope("charging"), async (req, res) => {
+    try {
+        const session = await stopCharging(req.query.charger);
+        logger.info("Charging stopped");
+        res.status(200).json(session);
+    } catch (error) {
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not stop charging: ${error.message}`);
+        sendError(res, 500, `Could not stop charging: ${error.message}`, error);
+    }
 });
 
-app.get("/.well-known/appspecific/com.tesla.3p.public-key.pem", async (req, res) => {
-    const filePath = path.join(__dirname, "keys", "public-key.pem");
-    res.sendFile(filePath, (error) => {
-        if (error) {
-            logError("Error providing the public key as a file:", error);
-            res.status(500).send("Internal Server Error");
+/**
+ * @route Charging session
+ * @description Get the current (or the last known) charging session of a charger with
+ * the delivered energy, the charging power, the duration, the cost and the vehicle
+ * @param {string} [charger] - The ID or the name of a registered charger (default is
+ * the default charger)
+ * @returns {Object} 200 - The charging session
+ * @returns {Error} 400 - Unknown charger
+ * @returns {Error} 404 - No charging session is known
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/gigacharger/session", requireScope("charging:read"), async (req, res) => {
+    try {
+        const session = await getChargingSession(req.query.charger);
+        if (!session) {
+            sendError(res, 404, "No charging session found");
+            return;
         }
-    });
+        res.status(200).json(session);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not get charging session: ${error.message}`);
+        sendError(res, 500, `Could not get charging session: ${error.message}`, error);
+    }
 });
 
-app.get("/tesla/api/generate-partner-token", async (req, res) => {
+/**
+ * @route Vehicles and chargers
+ * @description Get the registered vehicles and chargers and the defaults used when a
+ * route doesn't select one
+ * @returns {Object} 200 - The vehicles, the chargers, defaultVehicle and defaultCharger
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/registry", requireScope("registry"), async (req, res) => {
     try {
-        const token = await generatePartnerToken();
-        res.status(200).send(token);
+        res.status(200).json(await getRegistry());
+    } catch (error) {
+        logger.error(`Could not get the registry: ${error.message}`);
+        sendError(res, 500, "Unable to get the registry", error);
+    }
+});
+
+/**
+ * @route Update vehicles and chargers
+ * @description Replace the registered vehicles or chargers or change the defaults -
+ * fields that are not supplied are kept
+ * @param {Array<Object>} [vehicles] - The vehicles, e.g. [{ "vin": "5YJ3E7EB0KF000001", "name": "model3" }]
+ * @param {Array<Object>} [chargers] - The chargers, e.g. [{ "id": "10334", "name": "garage" }]
+ * @param {string|null} [defaultVehicle] - The VIN of the default vehicle (default is the first vehicle)
+ * @param {string|null} [defaultCharger] - The ID of the default charger (default is the first charger)
+ * @returns {Object} 200 - The registry
+ * @returns {Error} 400 - Invalid vehicles or chargers
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.put("/registry", requireScope("registry"), async (req, res) => {
+    try {
+        res.status(200).json(await updateRegistry(req.body ?? {}));
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not update the registry: ${error.message}`);
+        sendError(res, 500, "Unable to update the registry", error);
+    }
+});
+
+/**
+ * @route List charging schedules
+ * @description Get all charging schedules stored in the settings
+ * @returns {Array<Object>} 200 - The schedules
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/schedules", requireScope("schedules"), async (req, res) => {
+    try {
+        res.status(200).json(await getSchedules());
+    } catch (error) {
+        logger.error(`Could not get charging schedules: ${error.message}`);
+        sendError(res, 500, "Unable to get charging schedules", error);
+    }
+});
+
+/**
+ * @route Create charging schedule
+ * @description Create a charging schedule - charging is authorized when the cron
+ * expression fires and the vehicle is at home
+ * @param {string} cron - Cron expression, e.g. "0 22 * * *"
+ * @param {string} [chargerID] - Charger ID or name (default is the default charger when the schedule runs)
+ * @param {string} [vin] - VIN or name of the vehicle (default is the default vehicle when the schedule runs)
+ * @param {number} [radius] - Radius in meters for the home location check (default 100)
+ * @param {boolean} [enabled] - Whether the schedule is active (default true)
+ * @returns {Object} 201 - The created schedule
+ * @returns {Error} 400 - Invalid schedule
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.post("/schedules", requireScope("schedules"), async (req, res) => {
+    try {
+        const schedule = await createSchedule(req.body ?? {});
+        logger.info(`Charging schedule ${schedule.id} created`);
+        res.status(201).json(schedule);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not create charging schedule: ${error.message}`);
+        sendError(res, 500, "Unable to create charging schedule", error);
+    }
+});
+
+/**
+ * @route Update charging schedule
+ * @description Change the fields of a charging schedule, e.g. to disable it
+ * @param {string} id - The ID of the schedule (path parameter)
+ * @returns {Object} 200 - The updated schedule
+ * @returns {Error} 400 - Invalid schedule
+ * @returns {Error} 404 - No schedule with this ID
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.put("/schedules/:id", requireScope("schedules"), async (req, res) => {
+    try {
+        const schedule = await updateSchedule(req.params.id, req.body ?? {});
+        if (!schedule) {
+            sendError(res, 404, "Charging schedule not found");
+            return;
+        }
+        logger.info(`Charging schedule ${schedule.id} updated`);
+        res.status(200).json(schedule);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not update charging schedule: ${error.message}`);
+        sendError(res, 500, "Unable to update charging schedule", error);
+    }
+});
+
+/**
+ * @route Delete charging schedule
+ * @param {string} id - The ID of the schedule (path parameter)
+ * @returns {void} 204 - The schedule is deleted
+ * @returns {Error} 404 - No schedule with this ID
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.delete("/schedules/:id", requireScope("schedules"), async (req, res) => {
+    try {
+        const existed = await deleteSchedule(req.params.id);
+        if (!existed) {
+            sendError(res, 404, "Charging schedule not found");
+            return;
+        }
+        logger.info(`Charging schedule ${req.params.id} deleted`);
+        res.status(204).send();
     } catch (error) {
-        logError(`Error while generating Tesla partner token: ${error.message}`);
-        res.status(500).send("Internal server error");
+        logger.error(`Could not delete charging schedule: ${error.message}`);
+        sendError(res, 500, "Unable to delete charging schedule", error);
     }
 });
 
-app.get("/tesla/api/register", async (req, res) => {
+/**
+ * @route Preconditioning schedules
+ * @description Get all preconditioning schedules, with the cron expression of the
+ * time the climate is started
+ * @returns {Array<Object>} 200 - The schedules
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/preconditioning", requireScope("preconditioning"), async (req, res) => {
     try {
-        // TODO
+        res.status(200).json(await getPreconditioningSchedules());
     } catch (error) {
-        logError(`Error while registering application: ${error.message}`);
-        res.status(500).send("Internal server error");
+        logger.error(`Could not get preconditioning schedules: ${error.message}`);
+        sendError(res, 500, "Unable to get preconditioning schedules", error);
     }
 });
 
-app.listen(3000, "0.0.0.0", () => logMessage("Server running on http://localhost:3000"));
\ No newline at end of file
+/**
+ * @route Create preconditioning schedule
+ * @description Start the climate before a departure on the given days - skipped if the
+ * vehicle is not at home or in a geofence, or its battery is too low
+ * @param {string} [name] - What the schedule is for (default "departure")
+ * @param {string} departureTime - Time of day of the departure, e.g. "07:30"
+ * @param {Array<number>} [days] - Days of the week, 0 (Sunday) to 6 (default every day)
+ * @param {number} [leadMinutes] - How long before the departure to start, 1-120 (default 20)
+ * @param {string} [vin] - VIN or name of the vehicle (default is the default vehicle when the schedule runs)
+ * @param {Object} [climate] - The climate settings, e.g. { "temperature": 22, "seatHeaters": { "front-left": 3 } }
+ * @param {number} [minBatteryLevel] - Skip below this state of charge in % (default 20)
+ * @param {boolean} [enabled] - Whether the schedule is active (default true)
+ * @returns {Object} 201 - The created schedule
+ * @returns {Error} 400 - Invalid schedule
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.post("/preconditioning", requireScope("preconditioning"), async (req, res) => {
+    try {
+        const preconditioning = await createPreconditioning(req.body ?? {});
+        logger.info(`Preconditioning schedule ${preconditioning.name} created`);
+        res.status(201).json(preconditioning);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not create preconditioning schedule: ${error.message}`);
+        sendError(res, 500, "Unable to create preconditioning schedule", error);
+    }
+});
+
+/**
+ * @route Update preconditioning schedule
+ * @description Change the fields of a preconditioning schedule, e.g. to disable it
+ * @param {string} id - The ID of the schedule (path parameter)
+ * @returns {Object} 200 - The updated schedule
+ * @returns {Error} 400 - Invalid schedule
+ * @returns {Error} 404 - No schedule with this ID
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.put("/preconditioning/:id", requireScope("preconditioning"), async (req, res) => {
+    try {
+        const preconditioning = await updatePreconditioning(req.params.id, req.body ?? {});
+        if (!preconditioning) {
+            sendError(res, 404, "Preconditioning schedule not found");
+            return;
+        }
+        logger.info(`Preconditioning schedule ${preconditioning.name} updated`);
+        res.status(200).json(preconditioning);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not update preconditioning schedule: ${error.message}`);
+        sendError(res, 500, "Unable to update preconditioning schedule", error);
+    }
+});
+
+/**
+ * @route Delete preconditioning schedule
+ * @param {string} id - The ID of the schedule (path parameter)
+ * @returns {void} 204 - The schedule is deleted
+ * @returns {Error} 404 - No schedule with this ID
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.delete("/preconditioning/:id", requireScope("preconditioning"), async (req, res) => {
+    try {
+        const existed = await deletePreconditioning(req.params.id);
+        if (!existed) {
+            sendError(res, 404, "Preconditioning schedule not found");
+            return;
+        }
+        logger.info(`Preconditioning schedule ${req.params.id} deleted`);
+        res.status(204).send();
+    } catch (error) {
+        logger.error(`Could not delete preconditioning schedule: ${error.message}`);
+        sendError(res, 500, "Unable to delete preconditioning schedule", error);
+    }
+});
+
+/**
+ * @route Geofences
+ * @description Get all geofences, with whether the vehicle is inside each of them
+ * (null until the location has been checked)
+ * @returns {Array<Object>} 200 - The geofences
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/geofences", requireScope("geofences"), async (req, res) => {
+    try {
+        res.status(200).json(await getGeofences());
+    } catch (error) {
+        logger.error(`Could not get geofences: ${error.message}`);
+        sendError(res, 500, "Unable to get geofences", error);
+    }
+});
+
+/**
+ * @route Create geofence
+ * @description Create a named geofence - the actions are run when the vehicle arrives
+ * at or leaves it
+ * @param {string} name - A unique name, e.g. "home"
+ * @param {number} latitude - Latitude of the center
+ * @param {number} longitude - Longitude of the center
+ * @param {number} [radius] - Radius in meters (default 100)
+ * @param {string} [vin] - VIN or name of the vehicle to watch (default is the default vehicle)
+ * @param {string} [chargerID] - Charger ID or name for the charging actions (default is the default charger)
+ * @param {Object} [actions] - The actions by event, e.g. { "arrive": ["authorize-charging"], "leave": ["lock"] }
+ * @returns {Object} 201 - The created geofence
+ * @returns {Error} 400 - Invalid geofence
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.post("/geofences", requireScope("geofences"), async (req, res) => {
+    try {
+        const geofence = await createGeofence(req.body ?? {});
+        logger.info(`Geofence ${geofence.name} created`);
+        res.status(201).json(geofence);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not create geofence: ${error.message}`);
+        sendError(res, 500, "Unable to create geofence", error);
+    }
+});
+
+/**
+ * @route Update geofence
+ * @description Change the fields of a geofence, e.g. its actions
+ * @param {string} id - The ID of the geofence (path parameter)
+ * @returns {Object} 200 - The updated geofence
+ * @returns {Error} 400 - Invalid geofence
+ * @returns {Error} 404 - No geofence with this ID
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.put("/geofences/:id", requireScope("geofences"), async (req, res) => {
+    try {
+        const geofence = await updateGeofence(req.params.id, req.body ?? {});
+        if (!geofence) {
+            sendError(res, 404, "Geofence not found");
+            return;
+        }
+        logger.info(`Geofence ${geofence.name} updated`);
+        res.status(200).json(geofence);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not update geofence: ${error.message}`);
+        sendError(res, 500, "Unable to update geofence", error);
+    }
+});
+
+/**
+ * @route Delete geofence
+ * @param {string} id - The ID of the geofence (path parameter)
+ * @returns {void} 204 - The geofence is deleted
+ * @returns {Error} 404 - No geofence with this ID
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.delete("/geofences/:id", requireScope("geofences"), async (req, res) => {
+    try {
+        const existed = await deleteGeofence(req.params.id);
+        if (!existed) {
+            sendError(res, 404, "Geofence not found");
+            return;
+        }
+        logger.info(`Geofence ${req.params.id} deleted`);
+        res.status(204).send();
+    } catch (error) {
+        logger.error(`Could not delete geofence: ${error.message}`);
+        sendError(res, 500, "Unable to delete geofence", error);
+    }
+});
+
+/**
+ * @route Macros
+ * @description Get all macros
+ * @returns {Array<Object>} 200 - The macros
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/macros", requireScope("macros"), async (req, res) => {
+    try {
+        res.status(200).json(await getMacros());
+    } catch (error) {
+        logger.error(`Could not get macros: ${error.message}`);
+        sendError(res, 500, "Unable to get macros", error);
+    }
+});
+
+/**
+ * @route Create macro
+ * @description Create a macro - a sequence of vehicle and charging commands run by
+ * /macro/:name
+ * @param {string} name - A unique name of letters, digits, "-" and "_", e.g. "leave-home"
+ * @param {string} [vin] - VIN or name of the vehicle (default is the default vehicle)
+ * @param {string} [chargerID] - Charger ID or name for the charging actions (default is the default charger)
+ * @param {Array<Object>} steps - The steps, e.g. [{ "action": "wake" },
+ * { "action": "unlock", "condition": "at-home", "delaySeconds": 5, "confirm": true }]
+ * @returns {Object} 201 - The created macro
+ * @returns {Error} 400 - Invalid macro
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.post("/macros", requireScope("macros"), async (req, res) => {
+    try {
+        const macro = await createMacro(req.body ?? {});
+        logger.info(`Macro ${macro.name} created`);
+        res.status(201).json(macro);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not create macro: ${error.message}`);
+        sendError(res, 500, "Unable to create macro", error);
+    }
+});
+
+/**
+ * @route Update macro
+ * @description Change the fields of a macro, e.g. its steps
+ * @param {string} name - The name of the macro (path parameter)
+ * @returns {Object} 200 - The updated macro
+ * @returns {Error} 400 - Invalid macro
+ * @returns {Error} 404 - No macro with this name
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.put("/macros/:name", requireScope("macros"), async (req, res) => {
+    try {
+        const macro = await updateMacro(req.params.name, req.body ?? {});
+        if (!macro) {
+            sendError(res, 404, "Macro not found");
+            return;
+        }
+        logger.info(`Macro ${macro.name} updated`);
+        res.status(200).json(macro);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not update macro: ${error.message}`);
+        sendError(res, 500, "Unable to update macro", error);
+    }
+});
+
+/**
+ * @route Delete macro
+ * @param {string} name - The name of the macro (path parameter)
+ * @returns {void} 204 - The macro is deleted
+ * @returns {Error} 404 - No macro with this name
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.delete("/macros/:name", requireScope("macros"), async (req, res) => {
+    try {
+        const existed = await deleteMacro(req.params.name);
+        if (!existed) {
+            sendError(res, 404, "Macro not found");
+            return;
+        }
+        logger.info(`Macro ${req.params.name} deleted`);
+        res.status(204).send();
+    } catch (error) {
+        logger.error(`Could not delete macro: ${error.message}`);
+        sendError(res, 500, "Unable to delete macro", error);
+    }
+});
+
+/**
+ * @route Run macro
+ * @description Run the steps of a macro one after the other. Besides "macros:run",
+ * the caller needs the scope of every step, e.g. "vehicle:unlock" for an unlock step.
+ * Every step is recorded in the command history.
+ * @param {string} name - The name of the macro (path parameter)
+ * @param {string} [vin] - The VIN or name of the vehicle (default is the vehicle of the macro)
+ * @returns {Object} 200 - The result of every step - all of them succeeded or were skipped
+ * @returns {Error} 400 - Unknown vehicle
+ * @returns {Error} 403 - The caller lacks the scope of a step
+ * @returns {Error} 404 - No macro with this name
+ * @returns {Object} 502 - The result of every step - a step failed
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/macro/:name", auditCommand("macro"), requireScope("macros:run"), async (req, res) => {
+    try {
+        const macro = await getMacro(req.params.name);
+        if (!macro) {
+            sendError(res, 404, "Macro not found");
+            return;
+        }
+        const missingScopes = getMacroScopes(macro).filter(scope => !hasScope(req.auth.scopes, scope));
+        if (missingScopes.length > 0) {
+            logger.warn(`Forbidden: ${req.auth.name} lacks ${missingScopes.join(", ")} for macro ${macro.name}`);
+            sendError(res, 403, `Forbidden - missing scope: ${missingScopes.join(", ")}`);
+            return;
+        }
+        const report = await runMacro(macro, {
+            vin: req.query.vin,
+            caller: { method: req.auth.method, keyID: req.auth.keyID, name: req.auth.name }
+        });
+        if (!report.success) {
+            res.locals.error = report.steps.find(step => step.status === "failed").error;
+        }
+        res.status(report.success ? 200 : 502).json(report);
+    } catch (error) {
+        res.locals.error = error.message;
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not run macro: ${error.message}`);
+        sendError(res, 500, "Unable to run macro", error);
+    }
+});
+
+/**
+ * @route Notifications
+ * @description Get the configured notification channels - webhooks, ntfy and email -
+ * and the events they are sent for
+ * @returns {Object} 200 - The channels, without secrets, and the events
+ */
+app.get("/notifications", requireScope("notifications"), (req, res) => {
+    res.status(200).json(getNotificationSettings());
+});
+
+/**
+ * @route Test notification
+ * @description Send a test notification through every configured channel
+ * @param {string} [message] - The message (default "This is a test notification")
+ * @returns {Array<Object>} 200 - The result of every channel - all of them succeeded
+ * @returns {Error} 404 - No notification channel is configured
+ * @returns {Array<Object>} 502 - The result of every channel - a channel failed
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.post("/notifications/test", requireScope("notifications"), async (req, res) => {
+    try {
+        const results = await notify("test", "Test notification",
+            req.body?.message?.toString() || "This is a test notification", { caller: req.auth.name });
+        if (results.length === 0) {
+            sendError(res, 404, "No notification channel is configured for test notifications");
+            return;
+        }
+        res.status(results.every(result => result.success) ? 200 : 502).json(results);
+    } catch (error) {
+        logger.error(`Could not send test notification: ${error.message}`);
+        sendError(res, 500, "Unable to send test notification", error);
+    }
+});
+
+/**
+ * @route Charging plan
+ * @description Get the current charging plan - the chosen window, the expected
+ * energy and cost and whether charging has started
+ * @returns {Object} 200 - The plan
+ * @returns {Error} 404 - No charging plan exists
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/planner/plan", requireScope("planner"), async (req, res) => {
+    try {
+        const plan = await getChargingPlan();
+        if (!plan) {
+            sendError(res, 404, "No charging plan found");
+            return;
+        }
+        res.status(200).json(plan);
+    } catch (error) {
+        logger.error(`Could not get charging plan: ${error.message}`);
+        sendError(res, 500, "Unable to get charging plan", error);
+    }
+});
+
+/**
+ * @route Create charging plan
+ * @description Pick the cheapest window before the departure to reach the target
+ * state of charge, then start and stop charging accordingly. Replaces the current plan.
+ * @param {string} departure - Departure time, "HH:MM" or a full date and time
+ * @param {number} [targetSOC] - Target state of charge in % (default is the vehicle's charge limit)
+ * @param {string} [chargerID] - Charger ID or name (default is the default charger)
+ * @param {string} [vin] - VIN or name of the vehicle (default is the default vehicle)
+ * @returns {Object} 201 - The plan
+ * @returns {Error} 400 - Invalid input
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.post("/planner/plan", requireScope("planner"), async (req, res) => {
+    try {
+        const plan = await createChargingPlan(req.body ?? {});
+        res.status(201).json(plan);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not create charging plan: ${error.message}`);
+        sendError(res, 500, `Unable to create charging plan: ${error.message}`, error);
+    }
+});
+
+/**
+ * @route Cancel charging plan
+ * @description Cancel the current charging plan - a session that has already started is not stopped
+ * @returns {Object} 200 - The cancelled plan
+ * @returns {Error} 404 - No charging plan exists
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.delete("/planner/plan", requireScope("planner"), async (req, res) => {
+    try {
+        const plan = await cancelChargingPlan();
+        if (!plan) {
+            sendError(res, 404, "No charging plan found");
+            return;
+        }
+        logger.info("Charging plan cancelled");
+        res.status(200).json(plan);
+    } catch (error) {
+        logger.error(`Could not cancel charging plan: ${error.message}`);
+        sendError(res, 500, "Unable to cancel charging plan", error);
+    }
+});
+
+/**
+ * @route Simulated vehicle
+ * @description Get the state of a simulated vehicle - only available with VEHICLE_PROVIDER=simulator
+ * @param {string} [vin] - The VIN or the name of a registered vehicle (default is the default vehicle)
+ * @returns {Object} 200 - The vehicle state
+ * @returns {Error} 400 - Unknown vehicle
+ * @returns {Error} 404 - The simulator is not in use
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/simulator", requireScope("simulator"), async (req, res) => {
+    if (VEHICLE_PROVIDER !== "simulator") {
+        sendError(res, 404, "The simulated vehicle is not in use");
+        return;
+    }
+    try {
+        res.status(200).json(await getSimulatedVehicleState(await resolveVIN(req.query.vin)));
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not get simulated vehicle: ${error.message}`);
+        sendError(res, 500, "Unable to get simulated vehicle", error);
+    }
+});
+
+/**
+ * @route Configure simulated vehicle
+ * @description Change a simulated vehicle: location, lock state, battery, sleep and
+ * command delays and failure injection - only available with VEHICLE_PROVIDER=simulator
+ * @param {string} [vin] - The VIN or the name of a registered vehicle, as a query
+ * parameter (default is the default vehicle)
+ * @param {number} [latitude] - Latitude of the vehicle
+ * @param {number} [longitude] - Longitude of the vehicle
+ * @param {boolean} [locked] - Whether the vehicle is locked
+ * @param {number} [batteryLevel] - Battery level in %
+ * @param {number} [chargeLimit] - Charge limit in %
+ * @param {boolean} [asleep] - Whether the vehicle is asleep
+ * @param {number|null} [sleepAfterMs] - Put the vehicle to sleep after this long without activity
+ * @param {number} [wakeDelayMs] - How long waking the vehicle takes
+ * @param {number} [commandDelayMs] - How long every command takes
+ * @param {number} [failureRate] - Share of commands (0-1) that fail
+ * @param {Array<string>} [failingCommands] - Commands that always fail, e.g. ["unlock"]
+ * @param {boolean} [unreachable] - Whether the vehicle cannot be reached at all
+ * @returns {Object} 200 - All simulator options of the vehicle
+ * @returns {Error} 400 - Unknown vehicle, unknown option or invalid value
+ * @returns {Error} 404 - The simulator is not in use
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.put("/simulator", requireScope("simulator"), async (req, res) => {
+    if (VEHICLE_PROVIDER !== "simulator") {
+        sendError(res, 404, "The simulated vehicle is not in use");
+        return;
+    }
+    try {
+        const vin = await resolveVIN(req.query.vin);
+        const options = await configureSimulatedVehicle(vin, req.body ?? {});
+        logger.info(`Simulated vehicle ${vin} configured: ${JSON.stringify(req.body)}`);
+        res.status(200).json(options);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not configure simulated vehicle: ${error.message}`);
+        sendError(res, 500, "Unable to configure simulated vehicle", error);
+    }
+});
+
+/**
+ * @route Command history
+ * @description Get the audit log of the vehicle and charger commands, newest first -
+ * who sent each command, with which parameters, the result, the latency and any error
+ * @param {string} [from] - Only commands at or after this time (ISO date and time or Unix time in ms)
+ * @param {string} [to] - Only commands before this time
+ * @param {string} [command] - Only these types of command, comma-separated, e.g. "lock,unlock"
+ * @param {string} [caller] - Only commands from these API key IDs or caller names, comma-separated
+ * @param {number} [limit] - The maximum number of entries (default 100)
+ * @returns {Array<Object>} 200 - The entries
+ * @returns {Error} 400 - Invalid filter
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/history", requireScope("history"), async (req, res) => {
+    try {
+        res.status(200).json(await readAuditLog(req.query));
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not read the command history: ${error.message}`);
+        sendError(res, 500, "Unable to read the command history", error);
+    }
+});
+
+/**
+ * @route Charging report
+ * @description Get the energy and cost of the recorded charging sessions in a time range,
+ * in total and per day and month. The cost is given at GIGACHARGER_PRICE_PER_KWH and at
+ * the planner's time-of-use tariff, to check when charging is cheapest.
+ * @param {string} [from] - Only sessions that started at or after this time (ISO date and time or Unix time in ms)
+ * @param {string} [to] - Only sessions that started before this time
+ * @param {string} [format] - "json" (default) or "csv"
+ * @param {string} [period] - The totals in the CSV export: "day" (default) or "month"
+ * @returns {Object} 200 - The report, or the totals per period as CSV
+ * @returns {Error} 400 - Invalid filter, format or period
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/reports/charging", requireScope("reports"), async (req, res) => {
+    try {
+        const format = req.query.format ?? "json";
+        if (!["json", "csv"].includes(format)) {
+            throw new ValidationError("format must be json or csv");
+        }
+        const report = await getChargingReport(req.query);
+        if (format === "csv") {
+            const period = req.query.period ?? "day";
+            const csv = formatChargingReportCSV(report, period);
+            res.status(200).type("text/csv").attachment(`charging-report-${period}.csv`).send(csv);
+            return;
+        }
+        res.status(200).json(report);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not create the charging report: ${error.message}`);
+        sendError(res, 500, "Unable to create the charging report", error);
+    }
+});
+
+/**
+ * @route Charging sessions
+ * @description Get the recorded charging sessions in a time range, oldest first - the
+ * energy, peak power, cost and state of charge of the vehicle before and after
+ * @param {string} [from] - Only sessions that started at or after this time (ISO date and time or Unix time in ms)
+ * @param {string} [to] - Only sessions that started before this time
+ * @param {string} [format] - "json" (default) or "csv"
+ * @returns {Array<Object>} 200 - The sessions, or CSV
+ * @returns {Error} 400 - Invalid filter or format
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/reports/charging/sessions", requireScope("reports"), async (req, res) => {
+    try {
+        const format = req.query.format ?? "json";
+        if (!["json", "csv"].includes(format)) {
+            throw new ValidationError("format must be json or csv");
+        }
+        const sessions = await getChargingSessions(req.query);
+        if (format === "csv") {
+            res.status(200).type("text/csv").attachment("charging-sessions.csv").send(formatChargingSessionsCSV(sessions));
+            return;
+        }
+        res.status(200).json(sessions);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not read the charging sessions: ${error.message}`);
+        sendError(res, 500, "Unable to read the charging sessions", error);
+    }
+});
+
+/**
+ * @route API keys
+ * @description List the API keys, without their secrets - only available locally
+ * @returns {Array<Object>} 200 - The keys
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/admin/keys", checkLocalRequestMiddleware, requireScope("admin"), async (req, res) => {
+    try {
+        res.status(200).json(await listApiKeys());
+    } catch (error) {
+        logger.error(`Could not list API keys: ${error.message}`);
+        sendError(res, 500, "Unable to list API keys", error);
+    }
+});
+
+/**
+ * @route Create API key
+ * @description Create an API key for a device - only available locally. The key and
+ * its secret are only shown in this response.
+ * @param {string} name - What the key is for, e.g. "watch"
+ * @param {Array<string>} scopes - The scopes to grant, e.g. ["vehicle:climate"], or ["*"] for all
+ * @returns {Object} 201 - The key, with `apiKey` for the X-API-Key header and `secret` for signing
+ * @returns {Error} 400 - Invalid name or scopes
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.post("/admin/keys", checkLocalRequestMiddleware, requireScope("admin"), async (req, res) => {
+    try {
+        const apiKey = await createApiKey(req.body?.name, req.body?.scopes);
+        logger.info(`API key ${apiKey.id} (${apiKey.name}) created with scopes ${apiKey.scopes.join(", ")}`);
+        res.status(201).json(apiKey);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            sendError(res, 400, error.message);
+            return;
+        }
+        logger.error(`Could not create API key: ${error.message}`);
+        sendError(res, 500, "Unable to create API key", error);
+    }
+});
+
+/**
+ * @route Revoke API key
+ * @description Revoke an API key - only available locally
+ * @param {string} id - The ID of the key (path parameter)
+ * @returns {void} 204 - The key is revoked
+ * @returns {Error} 404 - No key with this ID
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.delete("/admin/keys/:id", checkLocalRequestMiddleware, requireScope("admin"), async (req, res) => {
+    try {
+        const existed = await revokeApiKey(req.params.id);
+        if (!existed) {
+            sendError(res, 404, "API key not found");
+            return;
+        }
+        logger.info(`API key ${req.params.id} revoked`);
+        res.status(204).send();
+    } catch (error) {
+        logger.error(`Could not revoke API key: ${error.message}`);
+        sendError(res, 500, "Unable to revoke API key", error);
+    }
+});
+
+/**
+ * @route Caller
+ * @description Get who the credentials belong to and the scopes they grant, e.g. to
+ * show only what the caller may do
+ * @returns {Object} 200 - The name, the authentication method and the scopes
+ * @returns {Error} 401 - Unauthorized
+ */
+app.get("/auth/me", requireScope(), (req, res) => {
+    const { name, method, scopes } = req.auth;
+    res.status(200).json({ name, method, scopes });
+});
+
+app.get("/", async (req, res) => {
+    res.status(200).send("The server is running");
+});
+
+/**
+ * @route Readiness
+ * @description Check whether the proxy is ready to take commands: the configuration has
+ * no errors and Tessie (if it controls the vehicle) and Gigacharger can be reached. Meant
+ * for the readiness probe of a container or a monitor, so no credentials are needed and
+ * no details are given - see /health for them.
+ * @returns {Object} 200 - Ready, with the outcome of every check
+ * @returns {Object} 503 - Not ready, with the outcome of every check
+ */
+app.get("/ready", async (req, res) => {
+    try {
+        const readiness = await getReadiness();
+        res.status(readiness.ready ? 200 : 503).json(readiness);
+    } catch (error) {
+        logger.error(`Could not check readiness: ${error.message}`);
+        sendError(res, 500, "Unable to check readiness", error);
+    }
+});
+
+/**
+ * @route Health
+ * @description Get the health of the proxy: the configuration errors and warnings, the
+ * reachability and latency of Tessie and Gigacharger with the state of their circuits,
+ * and the background jobs with the time they run next and the outcome of their last run
+ * @returns {Object} 200 - The health, with the status "ok", "degraded" or "failing"
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/health", requireScope("health"), async (req, res) => {
+    try {
+        res.status(200).json(await getHealth());
+    } catch (error) {
+        logger.error(`Could not get the health: ${error.message}`);
+        sendError(res, 500, "Unable to get the health", error);
+    }
+});
+
+// The dashboard is static - it signs in with the same credentials as the API and calls
+// the routes above. The headers keep other sites from framing it or loading scripts into it.
+app.use("/dashboard", express.static(path.join(__dirname, "dashboard"), {
+    setHeaders: (res) => {
+        res.set("X-Frame-Options", "DENY");
+        res.set("Content-Security-Policy", "default-src 'self'; frame-ancestors 'none'");
+    }
+}));
+
+app.get("/.well-known/appspecific/com.tesla.3p.public-key.pem", async (req, res) => {
+    const filePath = path.join(__dirname, "keys", "public-key.pem");
+    res.sendFile(filePath, (error) => {
+        if (error) {
+            logger.error(`Error providing the public key as a file: ${error.message}`);
+            sendError(res, 500, "Internal Server Error", error);
+        }
+    });
+});
+
+app.get("/tesla/api/generate-partner-token", requireScope("tesla"), async (req, res) => {
+    try {
+        const token = await generatePartnerToken();
+        res.status(200).send(token);
+    } catch (error) {
+        logger.error(`Error while generating Tesla partner token: ${error.message}`);
+        sendError(res, 500, "Internal server error", error);
+    }
+});
+
+/**
+ * @route Register application
+ * @description Register the application with the Tesla Fleet API in the current region.
+ * The public key must already be served from the application's domain.
+ * @returns {Object} 200 - The partner account
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/tesla/api/register", requireScope("tesla"), async (req, res) => {
+    try {
+        const partnerAccount = await registerApplication();
+        res.status(200).json(partnerAccount);
+    } catch (error) {
+        logger.error(`Error while registering application: ${error.message}`);
+        sendError(res, 500, "Internal server error", error);
+    }
+});
+
+/**
+ * @route Tesla login
+ * @description Start the authorization code flow - redirects to Tesla to log in
+ * and grant the application access to the vehicle
+ * @returns {void} 302 - Redirect to Tesla
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/tesla/api/login", requireScope("tesla"), async (req, res) => {
+    try {
+        res.redirect(getAuthorizationUrl());
+    } catch (error) {
+        logger.error(`Error while starting Tesla authorization: ${error.message}`);
+        sendError(res, 500, "Internal server error", error);
+    }
+});
+
+/**
+ * @route Tesla login callback
+ * @description Tesla redirects here after the login. The authorization code is
+ * exchanged for the user's tokens, which are stored locally and refreshed when needed.
+ * @param {string} code - The authorization code
+ * @param {string} state - Must match the state of the login that was started
+ * @returns {void} 200 - The tokens are stored
+ * @returns {Error} 400 - The login was not successful
+ * @returns {Error} 500 - Internal Server Error
+ */
+app.get("/tesla/api/callback", async (req, res) => {
+    if (req.query.error || !req.query.code) {
+        logger.warn(`Tesla authorization failed: ${req.query.error}`);
+        sendError(res, 400, `Tesla authorization failed: ${req.query.error || "no code received"}`);
+        return;
+    }
+    try {
+        await handleAuthorizationCallback(req.query.code, req.query.state);
+        res.status(200).send("Tesla authorization successful");
+    } catch (error) {
+        logger.error(`Error while completing Tesla authorization: ${error.message}`);
+        sendError(res, 500, "Internal server error", error);
+    }
+});
+
+// Requests for unknown routes and errors outside of the routes, e.g. a malformed JSON body
+app.use((req, res) => {
+    sendError(res, 404, `No route for ${req.method} ${req.path}`);
+});
+
+app.use((error, req, res, next) => {
+    if (error.type === "entity.parse.failed") {
+        sendError(res, 400, "The request body is not valid JSON");
+        return;
+    }
+    logger.error(`Unhandled error in ${req.method} ${req.path}: ${error.message}`);
+    sendError(res, error.status ?? 500, "Internal Server Error", error);
+});
+
+// Only start the server when run directly, so that the tests can import the app
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    // Fail fast on a configuration the proxy cannot work with, rather than on the first command
+    const config = await validateConfig();
+    for (const warning of config.warnings) {
+        logger.warn(`Configuration: ${warning}`);
+    }
+    if (!config.valid) {
+        for (const error of config.errors) {
+            logger.error(`Configuration: ${error}`);
+        }
+        logger.error("Not starting - fix the configuration in the environment variables or .env");
+        process.exit(1);
+    }
+
+    loadSchedules().catch((error) => logger.error(`Could not load charging schedules: ${error.message}`));
+    loadChargingPlan().catch((error) => logger.error(`Could not load charging plan: ${error.message}`));
+    loadPreconditioningSchedules().catch((error) => logger.error(`Could not load preconditioning schedules: ${error.message}`));
+    startGeofencePoller().catch((error) => logger.error(`Could not start geofence poller: ${error.message}`));
+
+    app.listen(3000, "0.0.0.0", () => logger.info("Server running on http://localhost:3000"));
+}
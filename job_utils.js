@@ -0,0 +1,33 @@
+/**
+ * The outcome of the last run of every background job - the charging schedules, the
+ * charging plan, the preconditioning schedules and the geofence poller - by job name,
+ * e.g. "schedule 1234": { finishedAt, success, message }
+ */
+const lastJobRuns = new Map();
+
+/**
+ * Record the outcome of a run of a job
+ * @param {string} job - The name of the job, e.g. "schedule 1234"
+ * @param {Object} outcome
+ * @param {boolean} outcome.success - Whether the job did what it was meant to
+ * @param {string|null} [outcome.message] - Why it failed or was skipped
+ */
+export function recordJobRun(job, { success, message = null }) {
+    lastJobRuns.set(job, { finishedAt: new Date().toISOString(), success, message });
+}
+
+/**
+ * Get the outcome of the last run of every job that has run since the start
+ * @returns {Map<string, {finishedAt: string, success: boolean, message: string|null}>} - The
+ * outcomes by job name
+ */
+export function getJobRuns() {
+    return new Map(lastJobRuns);
+}
+
+/**
+ * Forget the outcomes of all jobs, e.g. between tests
+ */
+export function clearJobRuns() {
+    lastJobRuns.clear();
+}
@@ -0,0 +1,140 @@
+import { readFile, writeFile } from "fs/promises";
+import { createLogger } from "./utils.js";
+import { lockVehicle, unlockVehicle, getVehicleState } from "./vehicle_utils.js";
+import { resolveVIN } from "./registry_utils.js";
+import { notify } from "./notification_utils.js";
+
+const logger = createLogger("lock-state");
+
+// Where the last known lock state of every vehicle is kept, by VIN, so it survives restarts
+const LOCK_STATE_FILE = process.env.LOCK_STATE_FILE || "lock_state.json";
+
+// Writes are chained so that the states of different vehicles don't overwrite each other
+var pendingWrite = Promise.resolve();
+
+/**
+ * Read the tracked lock states of all vehicles from disk
+ * @returns {Promise<Object>} - The tracked states by VIN
+ */
+async function readTrackedLockStates() {
+    try {
+        return JSON.parse(await readFile(LOCK_STATE_FILE, "utf8"));
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            logger.error(`Could not read the lock state from ${LOCK_STATE_FILE}: ${error.message}`);
+        }
+        return {};
+    }
+}
+
+/**
+ * Read the tracked lock state of a vehicle from disk
+ * @param {string} vin - The VIN of the vehicle
+ * @returns {Promise<{locked: boolean, source: string, updatedAt: string}|null>} - The
+ * tracked state or null if nothing has been tracked yet
+ */
+async function readTrackedLockState(vin) {
+    const lockState = (await readTrackedLockStates())[vin];
+    // Files written before the lock state was tracked per vehicle hold a single state
+    return typeof lockState?.locked === "boolean" ? lockState : null;
+}
+
+/**
+ * Save the lock state of a vehicle to disk
+ * @param {string} vin - The VIN of the vehicle
+ * @param {boolean} locked - Whether the vehicle is locked
+ * @param {string} source - Where the state comes from: "command" or "vehicle"
+ * @param {Date} updatedAt - When the state was observed
+ * @returns {Promise<Object>} - The saved state
+ */
+async function saveTrackedLockState(vin, locked, source, updatedAt) {
+    const lockState = { locked, source, updatedAt: updatedAt.toISOString() };
+    const write = pendingWrite.then(async () => {
+        const lockStates = await readTrackedLockStates();
+        await writeFile(LOCK_STATE_FILE, JSON.stringify({ ...lockStates, [vin]: lockState }, null, 2));
+    });
+    pendingWrite = write.catch((error) => {
+        logger.error(`Could not save the lock state to ${LOCK_STATE_FILE}: ${error.message}`);
+    });
+    await pendingWrite;
+    return lockState;
+}
+
+/**
+ * Get the lock state of a vehicle without waking it up.
+ * The lock state tracked from the commands sent by the proxy is reconciled with
+ * the vehicle provider's cached state (e.g. Tessie's) - whichever is more recent wins.
+ * @param {string} [requestedVIN] - The VIN of the vehicle - the default vehicle if not supplied
+ * @returns {Promise<{locked: boolean, source: string, updatedAt: string}|null>} - The
+ * lock state or null if it is unknown
+ */
+export async function getLockState(requestedVIN) {
+    const vin = await resolveVIN(requestedVIN);
+    const trackedLockState = await readTrackedLockState(vin);
+    let cachedVehicleState = null;
+    try {
+        cachedVehicleState = (await getVehicleState(vin, true))["vehicle_state"];
+    } catch (error) {
+        logger.error(`Could not get the cached vehicle state: ${error.message}`);
+    }
+    const cachedUpdatedAt = cachedVehicleState?.timestamp ? new Date(cachedVehicleState.timestamp) : null;
+    if (typeof cachedVehicleState?.locked === "boolean" && cachedUpdatedAt
+        && (!trackedLockState || cachedUpdatedAt > new Date(trackedLockState.updatedAt))) {
+        if (trackedLockState && trackedLockState.locked !== cachedVehicleState.locked) {
+            logger.info(`The vehicle provider reports the vehicle as ${cachedVehicleState.locked ? "locked" : "unlocked"} since the last command`);
+        }
+        return await saveTrackedLockState(vin, cachedVehicleState.locked, "vehicle", cachedUpdatedAt);
+    }
+    return trackedLockState;
+}
+
+/**
+ * Lock a vehicle and track the new lock state
+ * @param {string} [requestedVIN] - The VIN of the vehicle - the default vehicle if not supplied
+ * @param {Object} [options] - Pass { confirm: true } to wait until the vehicle is locked
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
+ */
+export async function lockAndTrack(requestedVIN, options) {
+    const vin = await resolveVIN(requestedVIN);
+    const sentAt = new Date();
+    const outcome = await lockVehicle(vin, options);
+    if (!outcome || outcome.success) {
+        await saveTrackedLockState(vin, true, "command", sentAt);
+    }
+    return outcome;
+}
+
+/**
+ * Unlock a vehicle and track the new lock state
+ * @param {string} [requestedVIN] - The VIN of the vehicle - the default vehicle if not supplied
+ * @param {Object} [options] - Pass { confirm: true } to wait until the vehicle is unlocked
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
+ */
+export async function unlockAndTrack(requestedVIN, options) {
+    const vin = await resolveVIN(requestedVIN);
+    const sentAt = new Date();
+    const outcome = await unlockVehicle(vin, options);
+    if (!outcome || outcome.success) {
+        await saveTrackedLockState(vin, false, "command", sentAt);
+        notify("vehicle-unlocked", "Vehicle unlocked", `Vehicle ${vin} was unlocked`, { vin });
+    }
+    return outcome;
+}
+
+/**
+ * Lock a vehicle if it is unlocked, unlock it otherwise.
+ * If the lock state is unknown, the vehicle is unlocked.
+ * @param {string} [requestedVIN] - The VIN of the vehicle - the default vehicle if not supplied
+ * @param {Object} [options] - Pass { confirm: true } to wait until the command is carried out
+ * @returns {Promise<{action: string, outcome: Object|undefined}>} - Which command was
+ * sent ("lock" or "unlock") and its outcome in confirm mode
+ */
+export async function toggleLock(requestedVIN, options) {
+    const vin = await resolveVIN(requestedVIN);
+    const lockState = await getLockState(vin);
+    logger.info(`Toggle lock state requested for ${vin} - current lock state: ${JSON.stringify(lockState)}`);
+    if (lockState?.locked === false) {
+        return { action: "lock", outcome: await lockAndTrack(vin, options) };
+    }
+    return { action: "unlock", outcome: await unlockAndTrack(vin, options) };
+}
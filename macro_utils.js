@@ -0,0 +1,274 @@
+import dotenv from "dotenv";
+import { createLogger, ValidationError } from "./utils.js";
+import { readSettings, updateSettings } from "./settings_utils.js";
+import { runAudited } from "./audit_utils.js";
+import { authorizeCharging, stopCharging } from "./gigacharger_utils.js";
+import { lockAndTrack, unlockAndTrack, getLockState } from "./lock_state_utils.js";
+import { resolveChargerID, resolveVIN } from "./registry_utils.js";
+import { isVehicleAtHome } from "./geofence_utils.js";
+import {
+    getVehicleState,
+    openFrunk,
+    openOrUnlockChargePort,
+    startClimate,
+    stopClimate,
+    findVehicle
+} from "./vehicle_utils.js";
+
+dotenv.config();
+
+const logger = createLogger("macro");
+
+// The longest delay allowed before a step, and the most steps and the longest total delay
+// of a macro, so that a macro cannot hold a request forever
+const MAX_STEP_DELAY_SECONDS = 60;
+const MAX_STEPS = 20;
+const MAX_TOTAL_DELAY_SECONDS = 120;
+
+/**
+ * The actions a macro step can run, with the command they are recorded as in the audit
+ * log and the scope the caller needs. Every action receives the VIN, the step and the
+ * charger of the macro.
+ */
+const MACRO_ACTIONS = {
+    "wake": { command: "wake", scope: "vehicle:read", run: (vin) => getVehicleState(vin, false).then(() => undefined) },
+    "lock": { command: "lock", scope: "vehicle:lock", run: (vin, step) => lockAndTrack(vin, { confirm: step.confirm }) },
+    "unlock": { command: "unlock", scope: "vehicle:unlock", run: (vin, step) => unlockAndTrack(vin, { confirm: step.confirm }) },
+    "open-frunk": { command: "frunk", scope: "vehicle:frunk", run: (vin, step) => openFrunk(vin, { confirm: step.confirm }) },
+    "open-charge-port": { command: "charge-port", scope: "vehicle:charge-port", run: (vin, step) => openOrUnlockChargePort(vin, { confirm: step.confirm }) },
+    "start-climate": { command: "climate", scope: "vehicle:climate", run: (vin, step) => startClimate(vin, { confirm: step.confirm }) },
+    "stop-climate": { command: "climate-stop", scope: "vehicle:climate", run: (vin, step) => stopClimate(vin, { confirm: step.confirm }) },
+    "honk": { command: "find", scope: "vehicle:find", run: (vin) => findVehicle(vin, 0, true) },
+    "flash": { command: "find", scope: "vehicle:find", run: (vin) => findVehicle(vin, 1, false) },
+    "authorize-charging": { command: "charging-start", scope: "charging", run: (vin, step, chargerID) => authorizeCharging(chargerID, vin) },
+    "stop-charging": { command: "charging-stop", scope: "charging", run: (vin, step, chargerID) => stopCharging(chargerID) }
+};
+
+/**
+ * The conditions a step can be limited to - a step whose condition isn't met is skipped
+ */
+const MACRO_CONDITIONS = {
+    "at-home": (vin) => isVehicleAtHome(vin),
+    "away": async (vin) => !(await isVehicleAtHome(vin)),
+    "locked": async (vin) => (await getLockState(vin))?.locked === true,
+    "unlocked": async (vin) => (await getLockState(vin))?.locked === false
+};
+
+/**
+ * Validate the fields of a macro
+ * @param {Object} macro - The macro to validate
+ * @throws {ValidationError} - If any of the fields is invalid
+ */
+function validateMacro(macro) {
+    if (typeof macro.name !== "string" || !/^[\w-]{1,64}$/.test(macro.name)) {
+        throw new ValidationError("name must be letters, digits, \"-\" or \"_\", e.g. \"leave-home\"");
+    }
+    if (macro.vin !== null && typeof macro.vin !== "string") {
+        throw new ValidationError("vin must be a string");
+    }
+    if (macro.chargerID !== null && typeof macro.chargerID !== "string") {
+        throw new ValidationError("chargerID must be a string");
+    }
+    if (!Array.isArray(macro.steps) || macro.steps.length === 0) {
+        throw new ValidationError("steps must be a non-empty list");
+    }
+    if (macro.steps.length > MAX_STEPS) {
+        throw new ValidationError(`steps must have at most ${MAX_STEPS} entries`);
+    }
+    macro.steps.forEach((step, index) => {
+        const prefix = `steps[${index}]`;
+        if (!MACRO_ACTIONS[step?.action]) {
+            throw new ValidationError(`${prefix}.action must be one of: ${Object.keys(MACRO_ACTIONS).join(", ")}`);
+        }
+        if (step.condition !== undefined && step.condition !== null && !MACRO_CONDITIONS[step.condition]) {
+            throw new ValidationError(`${prefix}.condition must be one of: ${Object.keys(MACRO_CONDITIONS).join(", ")}`);
+        }
+        if (step.delaySeconds !== undefined
+            && !(typeof step.delaySeconds === "number" && step.delaySeconds >= 0 && step.delaySeconds <= MAX_STEP_DELAY_SECONDS)) {
+            throw new ValidationError(`${prefix}.delaySeconds must be between 0 and ${MAX_STEP_DELAY_SECONDS}`);
+        }
+        for (const flag of ["confirm", "continueOnFailure"]) {
+            if (step[flag] !== undefined && typeof step[flag] !== "boolean") {
+                throw new ValidationError(`${prefix}.${flag} must be a boolean`);
+            }
+        }
+    });
+    const totalDelaySeconds = macro.steps.reduce((total, step) => total + (step.delaySeconds ?? 0), 0);
+    if (totalDelaySeconds > MAX_TOTAL_DELAY_SECONDS) {
+        throw new ValidationError(`The delays of the steps must add up to at most ${MAX_TOTAL_DELAY_SECONDS} seconds`);
+    }
+}
+
+/**
+ * Build a macro from user input, falling back to the base for missing fields.
+ * A vin or chargerID of null means the default vehicle or charger.
+ * @param {Object} input - The user input
+ * @param {Object} [base] - The macro to start from
+ * @returns {Promise<Object>} - The validated macro
+ * @throws {ValidationError} - If any of the fields is invalid or the vehicle or the
+ * charger is not registered
+ */
+async function buildMacro(input, base = {}) {
+    const macro = {
+        name: input.name?.toString().trim() ?? base.name,
+        vin: input.vin !== undefined ? input.vin?.toString() || null : base.vin ?? null,
+        chargerID: input.chargerID !== undefined ? input.chargerID?.toString() || null : base.chargerID ?? null,
+        steps: (input.steps ?? base.steps)?.map?.(step => ({
+            action: step?.action,
+            condition: step?.condition ?? null,
+            delaySeconds: step?.delaySeconds ?? 0,
+            confirm: step?.confirm ?? false,
+            continueOnFailure: step?.continueOnFailure ?? false
+        })) ?? null
+    };
+    validateMacro(macro);
+    if (macro.vin !== null && macro.vin !== base.vin) {
+        macro.vin = await resolveVIN(macro.vin);
+    }
+    if (macro.chargerID !== null && macro.chargerID !== base.chargerID) {
+        macro.chargerID = await resolveChargerID(macro.chargerID);
+    }
+    return macro;
+}
+
+/**
+ * Get all macros from the settings
+ * @returns {Promise<Array<Object>>} - The macros
+ */
+export async function getMacros() {
+    const settings = await readSettings();
+    return settings.macros ?? [];
+}
+
+/**
+ * Get a macro by its name
+ * @param {string} name - The name of the macro
+ * @returns {Promise<Object|null>} - The macro or null if it doesn't exist
+ */
+export async function getMacro(name) {
+    return (await getMacros()).find(macro => macro.name === name) ?? null;
+}
+
+/**
+ * Create a macro
+ * @param {Object} input - The fields of the macro: name, vin, chargerID, steps
+ * @returns {Promise<Object>} - The created macro
+ * @throws {ValidationError} - If any of the fields is invalid or the name is taken
+ */
+export async function createMacro(input) {
+    const macro = await buildMacro(input);
+    await updateSettings((currentSettings) => {
+        const macros = currentSettings.macros ?? [];
+        if (macros.some(({ name }) => name === macro.name)) {
+            throw new ValidationError(`A macro named "${macro.name}" already exists`);
+        }
+        return { ...currentSettings, macros: [...macros, macro] };
+    });
+    return macro;
+}
+
+/**
+ * Update an existing macro
+ * @param {string} name - The name of the macro
+ * @param {Object} input - The fields to change
+ * @returns {Promise<Object|null>} - The updated macro or null if it doesn't exist
+ * @throws {ValidationError} - If any of the fields is invalid or the new name is taken
+ */
+export async function updateMacro(name, input) {
+    let updatedMacro = null;
+    await updateSettings(async (currentSettings) => ({
+        ...currentSettings,
+        macros: await Promise.all((currentSettings.macros ?? []).map(async (macro) => {
+            if (macro.name !== name) {
+                return macro;
+            }
+            updatedMacro = await buildMacro(input, macro);
+            if (currentSettings.macros.some(other => other.name !== name && other.name === updatedMacro.name)) {
+                throw new ValidationError(`A macro named "${updatedMacro.name}" already exists`);
+            }
+            return updatedMacro;
+        }))
+    }));
+    return updatedMacro;
+}
+
+/**
+ * Delete a macro
+ * @param {string} name - The name of the macro
+ * @returns {Promise<boolean>} - Whether the macro existed
+ */
+export async function deleteMacro(name) {
+    let existed = false;
+    await updateSettings((currentSettings) => {
+        const macros = currentSettings.macros ?? [];
+        existed = macros.some(macro => macro.name === name);
+        return { ...currentSettings, macros: macros.filter(macro => macro.name !== name) };
+    });
+    return existed;
+}
+
+/**
+ * Get the scopes needed to run a macro - the scopes of all of its steps
+ * @param {Object} macro - The macro
+ * @returns {Array<string>} - The scopes
+ */
+export function getMacroScopes(macro) {
+    return [...new Set(macro.steps.map(step => MACRO_ACTIONS[step.action].scope))];
+}
+
+/**
+ * Run the steps of a macro one after the other. A step whose condition isn't met is
+ * skipped. A failing step stops the macro, unless the step allows continuing.
+ * Every step that sends a command is recorded in the audit log.
+ * @param {Object} macro - The macro
+ * @param {Object} options
+ * @param {string} [options.vin] - The VIN or name of the vehicle - the macro's vehicle if not supplied
+ * @param {string|Object} options.caller - Who runs the macro, see runAudited
+ * @returns {Promise<{macro: string, vin: string, success: boolean, steps: Array<Object>}>} - The
+ * result of every step: "succeeded", "failed", "skipped" or "not-run"
+ * @throws {ValidationError} - If the vehicle is not registered
+ */
+export async function runMacro(macro, { vin: requestedVIN, caller }) {
+    const vin = await resolveVIN(requestedVIN || macro.vin);
+    logger.info(`Running macro ${macro.name} for ${vin}`);
+    const steps = [];
+    let stopped = false;
+    for (const step of macro.steps) {
+        const stepResult = { action: step.action, status: "not-run", result: null, error: null, elapsedMs: 0 };
+        steps.push(stepResult);
+        if (stopped) {
+            continue;
+        }
+        const startedAt = Date.now();
+        try {
+            if (step.delaySeconds > 0) {
+                await new Promise(resolve => setTimeout(resolve, step.delaySeconds * 1000));
+            }
+            if (step.condition && !(await MACRO_CONDITIONS[step.condition](vin))) {
+                stepResult.status = "skipped";
+                logger.info(`Macro ${macro.name}: ${step.action} skipped - the vehicle is not ${step.condition}`);
+                continue;
+            }
+            const outcome = await runAudited({
+                command: MACRO_ACTIONS[step.action].command,
+                caller,
+                parameters: { macro: macro.name, action: step.action, vin, chargerID: macro.chargerID }
+            }, () => MACRO_ACTIONS[step.action].run(vin, step, macro.chargerID ?? undefined));
+            stepResult.result = outcome ?? null;
+            if (outcome && outcome.success === false) {
+                throw new Error(outcome.error);
+            }
+            stepResult.status = "succeeded";
+        } catch (error) {
+            stepResult.status = "failed";
+            stepResult.error = error.message;
+            stopped = !step.continueOnFailure;
+            logger.error(`Macro ${macro.name}: ${step.action} failed: ${error.message}`);
+        } finally {
+            stepResult.elapsedMs = Date.now() - startedAt;
+        }
+    }
+    const success = steps.every(({ status }) => status === "succeeded" || status === "skipped");
+    logger.info(`Macro ${macro.name} ${success ? "succeeded" : "failed"}`);
+    return { macro: macro.name, vin, success, steps };
+}
@@ -0,0 +1,62 @@
+import { SCOPES, listApiKeys, createApiKey, revokeApiKey } from "./auth_utils.js";
+
+/**
+ * Manage the API keys from the command line:
+ *   node manage_keys.js list
+ *   node manage_keys.js create <name> <scope> [<scope>...]
+ *   node manage_keys.js revoke <id>
+ *   node manage_keys.js scopes
+ */
+
+const USAGE = `Usage:
+  node manage_keys.js list                               List the API keys
+  node manage_keys.js create <name> <scope> [<scope>...]  Create an API key, e.g. create watch vehicle:climate
+  node manage_keys.js revoke <id>                        Revoke an API key
+  node manage_keys.js scopes                             List the available scopes`;
+
+const [command, ...args] = process.argv.slice(2);
+
+try {
+    switch (command) {
+        case "list": {
+            const apiKeys = await listApiKeys();
+            if (apiKeys.length === 0) {
+                console.log("No API keys");
+            }
+            for (const { id, name, scopes, createdAt } of apiKeys) {
+                console.log(`${id}  ${name}  ${scopes.join(",")}  created ${createdAt}`);
+            }
+            break;
+        }
+        case "create": {
+            const [name, ...scopes] = args;
+            const apiKey = await createApiKey(name, scopes);
+            console.log(`Created API key ${apiKey.id} (${apiKey.name}) with scopes ${apiKey.scopes.join(", ")}`);
+            console.log(`API key (X-API-Key header): ${apiKey.apiKey}`);
+            console.log(`Secret for signed requests: ${apiKey.secret}`);
+            console.log("Store them now - they cannot be shown again.");
+            break;
+        }
+        case "revoke": {
+            if (!(await revokeApiKey(args[0]))) {
+                console.error(`No API key with ID ${args[0]}`);
+                process.exitCode = 1;
+                break;
+            }
+            console.log(`Revoked API key ${args[0]}`);
+            break;
+        }
+        case "scopes":
+            for (const [scope, description] of Object.entries(SCOPES)) {
+                console.log(`${scope.padEnd(20)}${description}`);
+            }
+            console.log(`${"*".padEnd(20)}All of the above`);
+            break;
+        default:
+            console.error(USAGE);
+            process.exitCode = 1;
+    }
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
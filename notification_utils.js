@@ -0,0 +1,207 @@
+import { default as axios } from "axios";
+import dotenv from "dotenv";
+import nodemailer from "nodemailer";
+import { createHmac } from "crypto";
+import { createLogger, getRequestID, redact } from "./utils.js";
+
+dotenv.config();
+
+const logger = createLogger("notify");
+
+/**
+ * The events a notification is sent for
+ */
+export const NOTIFICATION_EVENTS = {
+    "job-failed": "A charging schedule, the planner, a geofence action or preconditioning failed",
+    "charging-started": "Charging was authorized",
+    "charging-stopped": "Charging was stopped",
+    "vehicle-unlocked": "The vehicle was unlocked",
+    "test": "A test notification sent through /notifications/test"
+};
+
+// Generic webhooks - every notification is POSTed to each of them as JSON
+const NOTIFY_WEBHOOK_URLS = (process.env.NOTIFY_WEBHOOK_URLS ?? "")
+    .split(",")
+    .map(url => url.trim())
+    .filter(Boolean);
+
+// Signs the webhook payloads, so that the receiver can check they come from the proxy
+const NOTIFY_WEBHOOK_SECRET = process.env.NOTIFY_WEBHOOK_SECRET || null;
+
+// An ntfy topic, e.g. https://ntfy.sh/my-car, with an optional access token
+const NOTIFY_NTFY_URL = process.env.NOTIFY_NTFY_URL || null;
+const NOTIFY_NTFY_TOKEN = process.env.NOTIFY_NTFY_TOKEN || null;
+
+// Email through an SMTP server
+const SMTP_HOST = process.env.SMTP_HOST || null;
+const SMTP_PORT = Number(process.env.SMTP_PORT || 587);
+const SMTP_SECURE = process.env.SMTP_SECURE === "true";
+const SMTP_USER = process.env.SMTP_USER || null;
+const SMTP_PASSWORD = process.env.SMTP_PASSWORD || null;
+const NOTIFY_EMAIL_FROM = process.env.NOTIFY_EMAIL_FROM || SMTP_USER;
+const NOTIFY_EMAIL_TO = process.env.NOTIFY_EMAIL_TO || null;
+
+// Only these events are sent - all of them if not set
+const NOTIFY_EVENTS = process.env.NOTIFY_EVENTS
+    ? process.env.NOTIFY_EVENTS.split(",").map(event => event.trim())
+    : Object.keys(NOTIFICATION_EVENTS);
+
+// How often a notification is tried, and the delay before the first retry - it doubles every time
+const NOTIFY_MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS ?? 4);
+const NOTIFY_RETRY_DELAY = Number(process.env.NOTIFY_RETRY_DELAY_MS ?? 2000);
+
+// How long to wait for a webhook or ntfy to respond
+const NOTIFY_TIMEOUT = 10000;
+
+const notifyApiClient = axios.create({ timeout: NOTIFY_TIMEOUT });
+
+var mailTransport = null;
+
+/**
+ * Get the SMTP transport, created on first use
+ * @returns {Object} - The nodemailer transport
+ */
+function getMailTransport() {
+    mailTransport ??= nodemailer.createTransport({
+        host: SMTP_HOST,
+        port: SMTP_PORT,
+        secure: SMTP_SECURE,
+        auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASSWORD } : undefined
+    });
+    return mailTransport;
+}
+
+/**
+ * A notification channel
+ * @typedef {Object} NotificationChannel
+ * @property {string} type - "webhook", "ntfy" or "email"
+ * @property {string} target - Where the notifications go: the URL or the recipients
+ * @property {function(Object): Promise<void>} send - Sends a notification
+ */
+
+/**
+ * Get the configured notification channels
+ * @returns {Array<NotificationChannel>} - The channels
+ */
+function getChannels() {
+    const channels = NOTIFY_WEBHOOK_URLS.map(url => ({
+        type: "webhook",
+        target: url,
+        send: async (notification) => {
+            const body = JSON.stringify(notification);
+            const headers = { "Content-Type": "application/json" };
+            if (NOTIFY_WEBHOOK_SECRET) {
+                headers["X-Signature"] = createHmac("sha256", NOTIFY_WEBHOOK_SECRET).update(body).digest("hex");
+            }
+            await notifyApiClient.post(url, body, { headers });
+        }
+    }));
+    if (NOTIFY_NTFY_URL) {
+        channels.push({
+            type: "ntfy",
+            target: NOTIFY_NTFY_URL,
+            send: async (notification) => {
+                const headers = {
+                    "Content-Type": "text/plain",
+                    "Title": notification.title,
+                    "Tags": notification.event,
+                    "Priority": notification.event === "job-failed" ? "high" : "default"
+                };
+                if (NOTIFY_NTFY_TOKEN) {
+                    headers["Authorization"] = `Bearer ${NOTIFY_NTFY_TOKEN}`;
+                }
+                await notifyApiClient.post(NOTIFY_NTFY_URL, notification.message, { headers });
+            }
+        });
+    }
+    if (SMTP_HOST && NOTIFY_EMAIL_TO) {
+        channels.push({
+            type: "email",
+            target: NOTIFY_EMAIL_TO,
+            send: async (notification) => {
+                await getMailTransport().sendMail({
+                    from: NOTIFY_EMAIL_FROM,
+                    to: NOTIFY_EMAIL_TO,
+                    subject: `[kronaby-proxy] ${notification.title}`,
+                    text: `${notification.message}\n\n${JSON.stringify(notification.details, null, 2)}`
+                });
+            }
+        });
+    }
+    return channels;
+}
+
+/**
+ * Describe the configured channels and events, without any secrets
+ * @returns {{channels: Array<{type: string, target: string}>, events: Array<string>}}
+ */
+export function getNotificationSettings() {
+    return {
+        channels: getChannels().map(({ type, target }) => ({ type, target: redact(target) })),
+        events: NOTIFY_EVENTS
+    };
+}
+
+/**
+ * Whether a failed delivery is worth retrying - a rejected request (4xx other than
+ * 429) will be rejected again
+ * @param {Error} error - The error of the delivery
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+}
+
+/**
+ * Deliver a notification through a channel, retrying with exponential backoff
+ * @param {NotificationChannel} channel - The channel
+ * @param {Object} notification - The notification
+ * @returns {Promise<{type: string, target: string, success: boolean, attempts: number, error: string|null}>}
+ */
+async function deliver(channel, notification) {
+    const target = redact(channel.target);
+    let attempts = 0;
+    while (true) {
+        attempts++;
+        try {
+            await channel.send(notification);
+            logger.debug(`Notification "${notification.event}" sent through ${channel.type} ${target}`);
+            return { type: channel.type, target, success: true, attempts, error: null };
+        } catch (error) {
+            if (attempts >= NOTIFY_MAX_ATTEMPTS || !isRetryable(error)) {
+                logger.error(`Could not send notification "${notification.event}" through ${channel.type} ${target} after ${attempts} attempt(s): ${error.message}`);
+                return { type: channel.type, target, success: false, attempts, error: error.message };
+            }
+            const retryDelay = NOTIFY_RETRY_DELAY * 2 ** (attempts - 1);
+            logger.warn(`Notification "${notification.event}" through ${channel.type} ${target} failed - retrying in ${retryDelay} ms: ${error.message}`);
+            await new Promise(resolve => setTimeout(resolve, retryDelay));
+        }
+    }
+}
+
+/**
+ * Send a notification through every configured channel. Never throws - failures are
+ * logged - so callers don't need to wait for it.
+ * @param {string} event - The event, see NOTIFICATION_EVENTS
+ * @param {string} title - A short summary, e.g. "Charging schedule failed"
+ * @param {string} message - What happened
+ * @param {Object} [details] - Structured data about the event, e.g. the VIN
+ * @returns {Promise<Array<Object>>} - The result of every channel, empty if the event is
+ * turned off or no channel is configured
+ */
+export async function notify(event, title, message, details = {}) {
+    const channels = getChannels();
+    if (!NOTIFY_EVENTS.includes(event) || channels.length === 0) {
+        return [];
+    }
+    const notification = {
+        event,
+        title,
+        message,
+        details,
+        timestamp: new Date().toISOString(),
+        requestID: getRequestID()
+    };
+    return await Promise.all(channels.map(channel => deliver(channel, notification)));
+}
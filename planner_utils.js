@@ -0,0 +1,451 @@
+import { scheduleJob } from "node-schedule";
+import { readFile } from "fs/promises";
+import { createLogger, ValidationError } from "./utils.js";
+import { readSettings, updateSettings } from "./settings_utils.js";
+import { authorizeCharging, stopCharging } from "./gigacharger_utils.js";
+import { runAudited } from "./audit_utils.js";
+import { resolveChargerID, resolveVIN } from "./registry_utils.js";
+import { notify } from "./notification_utils.js";
+import { recordJobRun } from "./job_utils.js";
+import { isVehicleAtHome } from "./geofence_utils.js";
+import { getVehicleState } from "./vehicle_utils.js";
+
+const logger = createLogger("planner");
+
+const HOUR = 60 * 60 * 1000;
+
+// How long after being registered the start job of a plan runs whose window has already
+// begun, e.g. because the current hour is the cheapest or a restart happened during it
+const LATE_START_DELAY_MS = 1000;
+
+// Used for every planner setting missing from settings.json
+const DEFAULT_PLANNER_SETTINGS = {
+    // Usable battery capacity of the vehicle
+    batteryCapacityKWh: 75,
+    // Power delivered by the charger (the Gigacharger's maximum is 7400 W)
+    chargerPowerKW: 7.4,
+    // Share of the energy from the charger that ends up in the battery
+    efficiency: 0.9,
+    // Radius in meters for the home location check before charging starts
+    radius: 100,
+    // Time-of-use tariff: [{ "from": "22:00", "to": "06:00", "price": 0.11 }, ...]
+    tariff: [],
+    // Optional JSON or CSV file with hourly prices, which take precedence over the tariff
+    pricesFile: null
+};
+
+// The jobs that start and stop charging for the current plan
+var startJob = null;
+var stopJob = null;
+
+/**
+ * Get the planner settings, falling back to the defaults
+ * @returns {Promise<Object>} - The planner settings
+ */
+async function getPlannerSettings() {
+    const settings = await readSettings();
+    return { ...DEFAULT_PLANNER_SETTINGS, ...settings.planner };
+}
+
+/**
+ * Parse a time of day in the format HH:MM to minutes since midnight.
+ * "24:00" is accepted as the end of the day, e.g. for a tariff period.
+ * @param {string} time - The time, e.g. "22:30"
+ * @returns {number} - Minutes since midnight
+ * @throws {ValidationError} - If the time is malformed
+ */
+export function parseTimeOfDay(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time ?? "");
+    if (!match || Number(match[2]) > 59 || (Number(match[1]) > 23 && time !== "24:00")) {
+        throw new ValidationError(`Invalid time of day: ${time} - expected HH:MM`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Load hourly prices from a JSON or CSV file.
+ * JSON: [{ "time": "2024-11-22T22:00:00+02:00", "price": 0.11 }, ...]
+ * CSV: a "time,price" header followed by one line per hour
+ * @param {string} pricesFile - Path to the file
+ * @returns {Promise<Map<number, number>>} - Prices by the timestamp of the start of the hour
+ */
+async function loadHourlyPrices(pricesFile) {
+    const contents = await readFile(pricesFile, "utf8");
+    let entries;
+    if (pricesFile.toLowerCase().endsWith(".csv")) {
+        entries = contents
+            .split(/\r?\n/)
+            .slice(1)
+            .filter(line => line.trim())
+            .map((line) => {
+                const [time, price] = line.split(",");
+                return { time: time.trim(), price };
+            });
+    } else {
+        entries = JSON.parse(contents);
+    }
+    const prices = new Map();
+    for (const { time, price } of entries) {
+        const hour = new Date(time);
+        hour.setMinutes(0, 0, 0);
+        if (isNaN(hour.getTime()) || isNaN(Number(price))) {
+            throw new Error(`Invalid hourly price entry in ${pricesFile}: ${time}, ${price}`);
+        }
+        prices.set(hour.getTime(), Number(price));
+    }
+    return prices;
+}
+
+/**
+ * Build a function that returns the price for the hour a given time falls in
+ * @param {Array<Object>} tariff - The time-of-use tariff periods
+ * @param {Map<number, number>} hourlyPrices - Hourly prices, which take precedence over the tariff
+ * @returns {function(Date): number} - The price lookup, which throws a ValidationError
+ * for a time without a price
+ * @throws {ValidationError} - If a tariff period is malformed
+ */
+export function createPriceLookup(tariff, hourlyPrices = new Map()) {
+    const periods = tariff.map((period) => {
+        if (typeof period.price !== "number") {
+            throw new ValidationError(`Tariff period ${period.from}-${period.to} has no numeric price`);
+        }
+        return { from: parseTimeOfDay(period.from), to: parseTimeOfDay(period.to), price: period.price };
+    });
+    return (time) => {
+        const hour = new Date(time);
+        hour.setMinutes(0, 0, 0);
+        if (hourlyPrices.has(hour.getTime())) {
+            return hourlyPrices.get(hour.getTime());
+        }
+        const minutes = time.getHours() * 60 + time.getMinutes();
+        const period = periods.find(({ from, to }) => from <= to
+            ? minutes >= from && minutes < to
+            // The period wraps around midnight, e.g. 22:00-06:00
+            : minutes >= from || minutes < to
+        );
+        if (!period) {
+            throw new ValidationError(`No price known for ${time.toISOString()} - check the tariff`);
+        }
+        return period.price;
+    };
+}
+
+/**
+ * Build the price lookup from the tariff and the hourly prices file of the planner settings
+ * @returns {Promise<function(Date): number>} - The price lookup
+ * @throws {ValidationError} - If a tariff period is malformed
+ * @throws If the prices file cannot be read, an exception is thrown
+ */
+export async function getPriceLookup() {
+    const plannerSettings = await getPlannerSettings();
+    const hourlyPrices = plannerSettings.pricesFile
+        ? await loadHourlyPrices(plannerSettings.pricesFile)
+        : new Map();
+    return createPriceLookup(plannerSettings.tariff, hourlyPrices);
+}
+
+/**
+ * Check that the price of every hour between two times is known, so that a gap in the
+ * tariff is reported before planning
+ * @param {function(Date): number} getPrice - The price lookup
+ * @param {Date} start - The start of the time range
+ * @param {Date} end - The end of the time range
+ * @throws {ValidationError} - If a time in the range has no price
+ */
+function checkPriceCoverage(getPrice, start, end) {
+    for (let time = start.getTime(); time < end.getTime(); time = Math.floor(time / HOUR) * HOUR + HOUR) {
+        try {
+            getPrice(new Date(time));
+        } catch {
+            throw new ValidationError(`No price known for ${new Date(time).toISOString()} - the tariff or the hourly prices must cover the time until the departure`);
+        }
+    }
+}
+
+/**
+ * Calculate the cost of charging between two times
+ * @param {number} start - Start timestamp
+ * @param {number} end - End timestamp
+ * @param {number} powerKW - Charging power
+ * @param {function(Date): number} getPrice - The price lookup
+ * @returns {number} - The cost
+ */
+function calculateWindowCost(start, end, powerKW, getPrice) {
+    let cost = 0;
+    let time = start;
+    while (time < end) {
+        const nextHour = Math.floor(time / HOUR) * HOUR + HOUR;
+        const chunkEnd = Math.min(nextHour, end);
+        cost += getPrice(new Date(time)) * powerKW * (chunkEnd - time) / HOUR;
+        time = chunkEnd;
+    }
+    return cost;
+}
+
+/**
+ * Pick the cheapest window to charge for a given duration before the departure.
+ * Windows start either now or at the beginning of an hour.
+ * If there isn't enough time before the departure, charging starts now.
+ * @param {Object} options
+ * @param {Date} options.now - The current time
+ * @param {Date} options.departure - The departure time
+ * @param {number} options.durationHours - How long to charge
+ * @param {number} options.powerKW - Charging power
+ * @param {function(Date): number} options.getPrice - The price lookup
+ * @returns {{start: Date, end: Date, cost: number, fitsBeforeDeparture: boolean}}
+ */
+export function findCheapestWindow({ now, departure, durationHours, powerKW, getPrice }) {
+    const duration = durationHours * HOUR;
+    const earliest = now.getTime();
+    const latest = departure.getTime() - duration;
+    if (latest < earliest) {
+        const end = Math.min(earliest + duration, Math.max(departure.getTime(), earliest));
+        return {
+            start: new Date(earliest),
+            end: new Date(end),
+            cost: calculateWindowCost(earliest, end, powerKW, getPrice),
+            fitsBeforeDeparture: false
+        };
+    }
+    let best = null;
+    const candidates = [earliest];
+    for (let start = Math.floor(earliest / HOUR) * HOUR + HOUR; start <= latest; start += HOUR) {
+        candidates.push(start);
+    }
+    if (candidates[candidates.length - 1] !== latest) {
+        candidates.push(latest);
+    }
+    for (const start of candidates) {
+        const cost = calculateWindowCost(start, start + duration, powerKW, getPrice);
+        // Round to avoid floating point noise deciding between equally cheap windows
+        if (!best || Math.round(cost * 1e6) < Math.round(best.cost * 1e6)) {
+            best = { start, cost };
+        }
+    }
+    return {
+        start: new Date(best.start),
+        end: new Date(best.start + duration),
+        cost: best.cost,
+        fitsBeforeDeparture: true
+    };
+}
+
+/**
+ * Parse a departure time - either a full date and time or a time of day (HH:MM),
+ * in which case the next occurrence of that time is used
+ * @param {string} departure - The departure time
+ * @param {Date} now - The current time
+ * @returns {Date} - The departure
+ * @throws {ValidationError} - If the departure is malformed or in the past
+ */
+function parseDeparture(departure, now) {
+    if (typeof departure !== "string") {
+        throw new ValidationError("departure is required, e.g. \"07:30\" or \"2024-11-23T07:30:00+02:00\"");
+    }
+    let date;
+    if (/^\d{1,2}:\d{2}$/.test(departure)) {
+        const minutes = parseTimeOfDay(departure);
+        date = new Date(now);
+        date.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+        if (date <= now) {
+            date.setDate(date.getDate() + 1);
+        }
+    } else {
+        date = new Date(departure);
+        if (isNaN(date.getTime())) {
+            throw new ValidationError(`Invalid departure: ${departure}`);
+        }
+    }
+    if (date <= now) {
+        throw new ValidationError("departure must be in the future");
+    }
+    return date;
+}
+
+/**
+ * Save a change of the current plan to the settings
+ * @param {Object} changes - The fields to change
+ * @returns {Promise<Object|null>} - The updated plan
+ */
+async function updatePlan(changes) {
+    const settings = await updateSettings((currentSettings) => ({
+        ...currentSettings,
+        chargingPlan: currentSettings.chargingPlan
+            ? { ...currentSettings.chargingPlan, ...changes }
+            : null
+    }));
+    return settings.chargingPlan;
+}
+
+/**
+ * Get the registered jobs that start and stop charging for the current plan with the
+ * time they run
+ * @returns {Array<{job: string, nextRun: string|null}>} - The jobs
+ */
+export function getChargingPlanJobs() {
+    return [["charging plan start", startJob], ["charging plan stop", stopJob]]
+        .filter(([, job]) => job?.nextInvocation())
+        .map(([name, job]) => ({ job: name, nextRun: job.nextInvocation().toISOString() }));
+}
+
+/**
+ * Cancel the jobs of the current plan
+ */
+function cancelPlanJobs() {
+    startJob?.cancel();
+    stopJob?.cancel();
+    startJob = null;
+    stopJob = null;
+}
+
+/**
+ * Register the jobs that start and stop charging for a plan. If the window has already
+ * begun, charging starts right away.
+ * @param {Object} plan - The plan
+ */
+function registerPlanJobs(plan) {
+    cancelPlanJobs();
+    const startAt = new Date(Math.max(new Date(plan.start).getTime(), Date.now() + LATE_START_DELAY_MS));
+    if (plan.status === "scheduled" && startAt < new Date(plan.end)) {
+        startJob = scheduleJob(startAt, async () => {
+            logger.info("Starting job: planned charging");
+            try {
+                if (!(await isVehicleAtHome(plan.vin, plan.radius))) {
+                    throw new Error("vehicle is not at home location");
+                }
+                await runAudited({
+                    command: "charging-start",
+                    caller: "charging plan",
+                    parameters: { chargerID: plan.chargerID, vin: plan.vin }
+                }, () => authorizeCharging(plan.chargerID, plan.vin));
+                logger.info("Planned charging started");
+                recordJobRun("charging plan start", { success: true });
+                await updatePlan({ status: "charging" });
+            } catch (error) {
+                logger.error(`Planned charging failed: ${error.message}`);
+                notify("job-failed", "Planned charging failed", error.message, { job: "charging plan", vin: plan.vin });
+                recordJobRun("charging plan start", { success: false, message: error.message });
+                stopJob?.cancel();
+                await updatePlan({ status: "failed", error: error.message });
+            }
+        });
+    }
+    if (["scheduled", "charging"].includes(plan.status) && new Date(plan.end) > new Date()) {
+        stopJob = scheduleJob(new Date(plan.end), async () => {
+            logger.info("Starting job: end of planned charging");
+            try {
+                await runAudited({
+                    command: "charging-stop",
+                    caller: "charging plan",
+                    parameters: { chargerID: plan.chargerID, vin: plan.vin }
+                }, () => stopCharging(plan.chargerID));
+                logger.info("Planned charging stopped");
+                recordJobRun("charging plan stop", { success: true });
+                await updatePlan({ status: "completed" });
+            } catch (error) {
+                logger.error(`Could not stop planned charging: ${error.message}`);
+                notify("job-failed", "Could not stop planned charging", error.message, { job: "charging plan", vin: plan.vin });
+                recordJobRun("charging plan stop", { success: false, message: error.message });
+                await updatePlan({ status: "failed", error: error.message });
+            }
+        });
+    }
+}
+
+/**
+ * Create a charging plan: pick the cheapest window before the departure to reach
+ * the target state of charge and schedule the start and stop of charging.
+ * Replaces the current plan, if any.
+ * @param {Object} input
+ * @param {string} input.departure - Departure time (HH:MM or a full date and time)
+ * @param {number} [input.targetSOC] - Target state of charge in % (default is the vehicle's charge limit)
+ * @param {string} [input.chargerID] - Charger ID or name (default is the default charger)
+ * @param {string} [input.vin] - VIN or name of the vehicle (default is the default vehicle)
+ * @returns {Promise<Object>} - The plan
+ * @throws {ValidationError} - If the input is invalid or the time until the departure
+ * is not fully priced
+ */
+export async function createChargingPlan(input) {
+    const now = new Date();
+    const departure = parseDeparture(input.departure, now);
+    const vin = await resolveVIN(input.vin);
+    const chargerID = input.chargerID ? await resolveChargerID(input.chargerID) : null;
+    const plannerSettings = await getPlannerSettings();
+    const getPrice = await getPriceLookup();
+    checkPriceCoverage(getPrice, now, departure);
+
+    const vehicleState = await getVehicleState(vin);
+    const currentSOC = vehicleState["charge_state"]["battery_level"];
+    const targetSOC = input.targetSOC !== undefined
+        ? Number(input.targetSOC)
+        : vehicleState["charge_state"]["charge_limit_soc"];
+    if (!(targetSOC > 0 && targetSOC <= 100)) {
+        throw new ValidationError("targetSOC must be between 1 and 100");
+    }
+
+    const energyKWh = Math.max(0, targetSOC - currentSOC) / 100
+        * plannerSettings.batteryCapacityKWh / plannerSettings.efficiency;
+    const durationHours = energyKWh / plannerSettings.chargerPowerKW;
+    const window = findCheapestWindow({
+        now,
+        departure,
+        durationHours,
+        powerKW: plannerSettings.chargerPowerKW,
+        getPrice
+    });
+
+    const plan = {
+        createdAt: now.toISOString(),
+        departure: departure.toISOString(),
+        currentSOC,
+        targetSOC,
+        energyKWh: Math.round(energyKWh * 100) / 100,
+        durationMinutes: Math.round(durationHours * 60),
+        start: window.start.toISOString(),
+        end: window.end.toISOString(),
+        estimatedCost: Math.round(window.cost * 100) / 100,
+        fitsBeforeDeparture: window.fitsBeforeDeparture,
+        chargerID,
+        vin,
+        radius: plannerSettings.radius,
+        status: energyKWh > 0 ? "scheduled" : "completed",
+        error: null
+    };
+    await updateSettings((currentSettings) => ({ ...currentSettings, chargingPlan: plan }));
+    registerPlanJobs(plan);
+    logger.info(`Charging planned from ${plan.start} to ${plan.end} (${plan.energyKWh} kWh, estimated cost ${plan.estimatedCost})`);
+    return plan;
+}
+
+/**
+ * Get the current charging plan
+ * @returns {Promise<Object|null>} - The plan or null if there is none
+ */
+export async function getChargingPlan() {
+    const settings = await readSettings();
+    return settings.chargingPlan ?? null;
+}
+
+/**
+ * Cancel the current charging plan. A session already started by the plan is not stopped.
+ * @returns {Promise<Object|null>} - The cancelled plan or null if there was none
+ */
+export async function cancelChargingPlan() {
+    cancelPlanJobs();
+    const plan = await getChargingPlan();
+    if (!plan || !["scheduled", "charging"].includes(plan.status)) {
+        return plan;
+    }
+    return await updatePlan({ status: "cancelled" });
+}
+
+/**
+ * Register the jobs for the plan saved in the settings, e.g. after a restart
+ * @returns {Promise<void>}
+ */
+export async function loadChargingPlan() {
+    const plan = await getChargingPlan();
+    if (plan) {
+        registerPlanJobs(plan);
+    }
+}
@@ -0,0 +1,281 @@
+import { scheduleJob } from "node-schedule";
+import { randomUUID } from "crypto";
+import { default as haversine } from "haversine-distance";
+import { createLogger, ValidationError } from "./utils.js";
+import { readSettings, updateSettings } from "./settings_utils.js";
+import { runAudited } from "./audit_utils.js";
+import { resolveVIN } from "./registry_utils.js";
+import { notify } from "./notification_utils.js";
+import { recordJobRun } from "./job_utils.js";
+import { parseTimeOfDay } from "./planner_utils.js";
+import { parseClimateSettings, startClimateWithSettings } from "./climate_utils.js";
+import { getHomeLocation } from "./geofence_utils.js";
+import { getVehicleState } from "./vehicle_utils.js";
+
+const logger = createLogger("preconditioning");
+
+// Used for every field of a preconditioning schedule that is not supplied.
+// A vin of null means the default vehicle when the schedule runs.
+const DEFAULT_PRECONDITIONING = {
+    name: "departure",
+    departureTime: "07:30",
+    // Days of the week of the departure, 0 = Sunday
+    days: [0, 1, 2, 3, 4, 5, 6],
+    // How long before the departure the climate is started
+    leadMinutes: 20,
+    vin: null,
+    climate: {},
+    // Preconditioning is skipped below this state of charge, to keep enough range
+    minBatteryLevel: 20,
+    enabled: true
+};
+
+// The node-schedule jobs currently registered, by schedule ID
+const registeredJobs = new Map();
+
+/**
+ * Build the cron expression that starts the climate the lead time before the
+ * departure. A start before midnight moves to the previous day of the week.
+ * @param {Object} preconditioning - The preconditioning schedule
+ * @returns {string} - The cron expression, e.g. "10 7 * * 1,2,3,4,5"
+ */
+export function getPreconditioningCron({ departureTime, days, leadMinutes }) {
+    let startMinutes = parseTimeOfDay(departureTime) - leadMinutes;
+    let startDays = days;
+    if (startMinutes < 0) {
+        startMinutes += 24 * 60;
+        startDays = days.map(day => (day + 6) % 7);
+    }
+    return `${startMinutes % 60} ${Math.floor(startMinutes / 60) % 24} * * ${[...startDays].sort().join(",")}`;
+}
+
+/**
+ * Check if the vehicle is at home or inside any of the geofences
+ * @param {{latitude: number, longitude: number}} location - The location of the vehicle
+ * @returns {Promise<string|null>} - The name of the place or null if the location is unknown
+ */
+async function findKnownLocation(location) {
+    const settings = await readSettings();
+    const places = [...(settings.geofences ?? [])];
+    const home = await getHomeLocation();
+    if (home && !places.some(({ name }) => name === home.name)) {
+        places.push(home);
+    }
+    return places.find(place => haversine(place, location) <= place.radius)?.name ?? null;
+}
+
+/**
+ * Run a preconditioning schedule: start the climate with its settings, unless the
+ * vehicle is not at a known location (home or a geofence) or its battery is too low
+ * @param {Object} preconditioning - The preconditioning schedule
+ * @returns {Promise<{status: string, reason: string|null}>} - "started", "skipped" or "failed"
+ */
+export async function runPreconditioning(preconditioning) {
+    logger.info(`Starting job: preconditioning ${preconditioning.name} for ${preconditioning.departureTime}`);
+    const job = `preconditioning ${preconditioning.id}`;
+    try {
+        const vin = await resolveVIN(preconditioning.vin);
+        // Reading the live state wakes the vehicle, which the climate needs anyway
+        const vehicleState = await getVehicleState(vin, false);
+        const batteryLevel = vehicleState["charge_state"]["battery_level"];
+        if (batteryLevel < preconditioning.minBatteryLevel) {
+            const reason = `battery at ${batteryLevel}% is below ${preconditioning.minBatteryLevel}%`;
+            logger.warn(`Preconditioning ${preconditioning.name} skipped - ${reason}`);
+            recordJobRun(job, { success: true, message: `skipped - ${reason}` });
+            return { status: "skipped", reason };
+        }
+        const { latitude, longitude } = vehicleState["drive_state"];
+        const place = await findKnownLocation({ latitude, longitude });
+        if (!place) {
+            const reason = "vehicle is not at a known location";
+            logger.warn(`Preconditioning ${preconditioning.name} skipped - ${reason}`);
+            recordJobRun(job, { success: true, message: `skipped - ${reason}` });
+            return { status: "skipped", reason };
+        }
+        await runAudited({
+            command: "climate",
+            caller: `preconditioning ${preconditioning.id}`,
+            parameters: { vin, ...preconditioning.climate }
+        }, () => startClimateWithSettings(vin, preconditioning.climate));
+        logger.info(`Preconditioning ${preconditioning.name} started at ${place}`);
+        recordJobRun(job, { success: true });
+        return { status: "started", reason: null };
+    } catch (error) {
+        logger.error(`Preconditioning ${preconditioning.name} failed: ${error.message}`);
+        notify("job-failed", "Preconditioning failed", error.message, { job });
+        recordJobRun(job, { success: false, message: error.message });
+        return { status: "failed", reason: error.message };
+    }
+}
+
+/**
+ * Validate the fields of a preconditioning schedule
+ * @param {Object} preconditioning - The schedule to validate
+ * @throws {ValidationError} - If any of the fields is invalid
+ */
+function validatePreconditioning(preconditioning) {
+    if (typeof preconditioning.name !== "string" || !preconditioning.name.trim()) {
+        throw new ValidationError("name must be a non-empty string");
+    }
+    if (typeof preconditioning.departureTime !== "string" || parseTimeOfDay(preconditioning.departureTime) >= 24 * 60) {
+        throw new ValidationError("departureTime must be a time of day, e.g. \"07:30\"");
+    }
+    if (!Array.isArray(preconditioning.days) || preconditioning.days.length === 0
+        || preconditioning.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        throw new ValidationError("days must be a non-empty list of days of the week, 0 (Sunday) to 6");
+    }
+    if (!Number.isInteger(preconditioning.leadMinutes) || preconditioning.leadMinutes < 1 || preconditioning.leadMinutes > 120) {
+        throw new ValidationError("leadMinutes must be a whole number of minutes between 1 and 120");
+    }
+    if (preconditioning.vin !== null && typeof preconditioning.vin !== "string") {
+        throw new ValidationError("vin must be a string");
+    }
+    if (typeof preconditioning.minBatteryLevel !== "number"
+        || !(preconditioning.minBatteryLevel >= 0 && preconditioning.minBatteryLevel <= 100)) {
+        throw new ValidationError("minBatteryLevel must be a percentage between 0 and 100");
+    }
+    if (typeof preconditioning.enabled !== "boolean") {
+        throw new ValidationError("enabled must be a boolean");
+    }
+}
+
+/**
+ * Build a preconditioning schedule from user input, falling back to the base for
+ * missing fields. A vehicle selected by its registered name is stored by its VIN.
+ * @param {Object} input - The user input
+ * @param {Object} [base] - The schedule to start from - the defaults if not supplied
+ * @returns {Promise<Object>} - The validated schedule
+ * @throws {ValidationError} - If any of the fields is invalid or the vehicle is not registered
+ */
+async function buildPreconditioning(input, base = DEFAULT_PRECONDITIONING) {
+    const preconditioning = {
+        id: base.id || randomUUID(),
+        name: input.name?.toString().trim() ?? base.name,
+        departureTime: input.departureTime ?? base.departureTime,
+        days: input.days ?? base.days,
+        leadMinutes: input.leadMinutes !== undefined ? Number(input.leadMinutes) : base.leadMinutes,
+        vin: input.vin !== undefined ? input.vin?.toString() || null : base.vin ?? null,
+        climate: input.climate !== undefined ? parseClimateSettings(input.climate ?? {}) : base.climate,
+        minBatteryLevel: input.minBatteryLevel !== undefined ? Number(input.minBatteryLevel) : base.minBatteryLevel,
+        enabled: input.enabled ?? base.enabled
+    };
+    validatePreconditioning(preconditioning);
+    if (preconditioning.vin !== null && preconditioning.vin !== base.vin) {
+        preconditioning.vin = await resolveVIN(preconditioning.vin);
+    }
+    return preconditioning;
+}
+
+/**
+ * Get all preconditioning schedules from the settings, with the cron expression of
+ * the time the climate is started
+ * @returns {Promise<Array<Object>>} - The schedules
+ */
+export async function getPreconditioningSchedules() {
+    const settings = await readSettings();
+    return (settings.preconditioning ?? []).map(preconditioning => ({
+        ...preconditioning,
+        cron: getPreconditioningCron(preconditioning)
+    }));
+}
+
+/**
+ * Get the registered jobs of the preconditioning schedules with the time they run next
+ * @returns {Array<{job: string, nextRun: string|null}>} - The jobs
+ */
+export function getPreconditioningJobs() {
+    return [...registeredJobs].map(([id, job]) => ({
+        job: `preconditioning ${id}`,
+        nextRun: job.nextInvocation()?.toISOString() ?? null
+    }));
+}
+
+/**
+ * Cancel all registered jobs and register one for every enabled schedule
+ * @param {Array<Object>} schedules - The schedules to register
+ */
+function registerJobs(schedules) {
+    for (const job of registeredJobs.values()) {
+        job.cancel();
+    }
+    registeredJobs.clear();
+    for (const preconditioning of schedules.filter(preconditioning => preconditioning.enabled)) {
+        const cron = getPreconditioningCron(preconditioning);
+        const job = scheduleJob(cron, () => runPreconditioning(preconditioning));
+        if (!job) {
+            logger.error(`Could not register preconditioning ${preconditioning.name} (${cron})`);
+            continue;
+        }
+        registeredJobs.set(preconditioning.id, job);
+    }
+    logger.info(`Registered ${registeredJobs.size} preconditioning schedule(s)`);
+}
+
+/**
+ * Load the preconditioning schedules from the settings and register their jobs
+ * @returns {Promise<Array<Object>>} - The loaded schedules
+ */
+export async function loadPreconditioningSchedules() {
+    const settings = await readSettings();
+    registerJobs(settings.preconditioning ?? []);
+    return settings.preconditioning ?? [];
+}
+
+/**
+ * Create a preconditioning schedule and register its job
+ * @param {Object} input - The fields of the schedule: name, departureTime, days,
+ * leadMinutes, vin, climate, minBatteryLevel, enabled
+ * @returns {Promise<Object>} - The created schedule
+ * @throws {ValidationError} - If any of the fields is invalid
+ */
+export async function createPreconditioning(input) {
+    const preconditioning = await buildPreconditioning(input);
+    const settings = await updateSettings((currentSettings) => ({
+        ...currentSettings,
+        preconditioning: [...(currentSettings.preconditioning ?? []), preconditioning]
+    }));
+    registerJobs(settings.preconditioning);
+    return { ...preconditioning, cron: getPreconditioningCron(preconditioning) };
+}
+
+/**
+ * Update a preconditioning schedule and re-register the jobs
+ * @param {string} id - The ID of the schedule
+ * @param {Object} input - The fields to change
+ * @returns {Promise<Object|null>} - The updated schedule or null if it doesn't exist
+ * @throws {ValidationError} - If any of the fields is invalid
+ */
+export async function updatePreconditioning(id, input) {
+    let updatedPreconditioning = null;
+    const settings = await updateSettings(async (currentSettings) => ({
+        ...currentSettings,
+        preconditioning: await Promise.all((currentSettings.preconditioning ?? []).map(async (preconditioning) => {
+            if (preconditioning.id !== id) {
+                return preconditioning;
+            }
+            updatedPreconditioning = await buildPreconditioning(input, preconditioning);
+            return updatedPreconditioning;
+        }))
+    }));
+    registerJobs(settings.preconditioning);
+    return updatedPreconditioning && { ...updatedPreconditioning, cron: getPreconditioningCron(updatedPreconditioning) };
+}
+
+/**
+ * Delete a preconditioning schedule and cancel its job
+ * @param {string} id - The ID of the schedule
+ * @returns {Promise<boolean>} - Whether the schedule existed
+ */
+export async function deletePreconditioning(id) {
+    let existed = false;
+    const settings = await updateSettings((currentSettings) => {
+        const schedules = currentSettings.preconditioning ?? [];
+        existed = schedules.some(preconditioning => preconditioning.id === id);
+        return {
+            ...currentSettings,
+            preconditioning: schedules.filter(preconditioning => preconditioning.id !== id)
+        };
+    });
+    registerJobs(settings.preconditioning);
+    return existed;
+}
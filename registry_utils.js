@@ -0,0 +1,165 @@
+import dotenv from "dotenv";
+import { createLogger, ValidationError } from "./utils.js";
+import { readSettings, updateSettings } from "./settings_utils.js";
+
+dotenv.config();
+
+const logger = createLogger("registry");
+
+/**
+ * The vehicles and chargers the proxy controls are kept in the settings:
+ * settings.vehicles - [{ "vin": "5YJ3E7EB0KF000001", "name": "model3" }, ...]
+ * settings.chargers - [{ "id": "10334", "name": "garage" }, ...]
+ * settings.defaultVehicle / settings.defaultCharger - used when a route or a job
+ * doesn't select one
+ * Without a registry, the vehicle and charger from the environment variables are the
+ * defaults. Any charger ID is passed through as is, but the only vehicle that can be
+ * selected is the one from the environment variables, as the VIN ends up in the paths
+ * of the calls to the vehicle.
+ */
+
+// The vehicle and charger used when the registry doesn't name a default
+const ENV_VIN = process.env.TESLA_VIN || process.env.TESSIE_VIN
+    || (process.env.VEHICLE_PROVIDER === "simulator" ? "SIMULATOR" : null);
+const ENV_CHARGER_ID = process.env.GIGACHARGER_MY_CHARGER_ID || null;
+
+/**
+ * Get the registered vehicles and chargers with the defaults
+ * @returns {Promise<{vehicles: Array<Object>, chargers: Array<Object>, defaultVehicle: string|null,
+ * defaultCharger: string|null}>} - The registry
+ */
+export async function getRegistry() {
+    const settings = await readSettings();
+    const vehicles = settings.vehicles ?? [];
+    const chargers = settings.chargers ?? [];
+    return {
+        vehicles,
+        chargers,
+        defaultVehicle: settings.defaultVehicle ?? vehicles[0]?.vin ?? ENV_VIN,
+        defaultCharger: settings.defaultCharger ?? chargers[0]?.id ?? ENV_CHARGER_ID
+    };
+}
+
+/**
+ * Validate a list of registry entries
+ * @param {string} listName - "vehicles" or "chargers", for the error messages
+ * @param {string} idField - The field that identifies an entry: "vin" or "id"
+ * @param {any} entries - The entries
+ * @returns {Array<Object>} - The entries with trimmed string fields
+ * @throws {ValidationError} - If an entry is invalid or not unique
+ */
+function validateEntries(listName, idField, entries) {
+    if (!Array.isArray(entries)) {
+        throw new ValidationError(`${listName} must be a list`);
+    }
+    const validatedEntries = entries.map((entry) => {
+        const id = entry?.[idField]?.toString().trim();
+        const name = entry?.name?.toString().trim();
+        if (!id || !name) {
+            throw new ValidationError(`Every entry of ${listName} needs a ${idField} and a name`);
+        }
+        return { ...entry, [idField]: id, name };
+    });
+    for (const field of [idField, "name"]) {
+        const values = validatedEntries.map(entry => entry[field]);
+        const duplicate = values.find((value, index) => values.indexOf(value) !== index);
+        if (duplicate !== undefined) {
+            throw new ValidationError(`${listName} has more than one entry with ${field} "${duplicate}"`);
+        }
+    }
+    return validatedEntries;
+}
+
+/**
+ * Replace the registered vehicles and chargers and the defaults.
+ * Fields that are not supplied are kept.
+ * @param {Object} input
+ * @param {Array<{vin: string, name: string}>} [input.vehicles] - The vehicles
+ * @param {Array<{id: string, name: string}>} [input.chargers] - The chargers
+ * @param {string|null} [input.defaultVehicle] - The VIN of the default vehicle
+ * @param {string|null} [input.defaultCharger] - The ID of the default charger
+ * @returns {Promise<Object>} - The registry
+ * @throws {ValidationError} - If an entry is invalid or a default is not registered
+ */
+export async function updateRegistry(input) {
+    await updateSettings((currentSettings) => {
+        const vehicles = input.vehicles !== undefined
+            ? validateEntries("vehicles", "vin", input.vehicles)
+            : currentSettings.vehicles ?? [];
+        const chargers = input.chargers !== undefined
+            ? validateEntries("chargers", "id", input.chargers)
+            : currentSettings.chargers ?? [];
+        const defaultVehicle = input.defaultVehicle !== undefined
+            ? input.defaultVehicle?.toString() || null
+            : currentSettings.defaultVehicle ?? null;
+        const defaultCharger = input.defaultCharger !== undefined
+            ? input.defaultCharger?.toString() || null
+            : currentSettings.defaultCharger ?? null;
+        if (defaultVehicle && !vehicles.some(({ vin }) => vin === defaultVehicle)) {
+            throw new ValidationError(`The default vehicle ${defaultVehicle} is not registered`);
+        }
+        if (defaultCharger && !chargers.some(({ id }) => id === defaultCharger)) {
+            throw new ValidationError(`The default charger ${defaultCharger} is not registered`);
+        }
+        return { ...currentSettings, vehicles, chargers, defaultVehicle, defaultCharger };
+    });
+    const registry = await getRegistry();
+    logger.info(`Registry updated: ${registry.vehicles.length} vehicle(s), ${registry.chargers.length} charger(s)`);
+    return registry;
+}
+
+/**
+ * Find the VIN of the vehicle to control
+ * @param {string} [vin] - The VIN or the name of a registered vehicle - the default
+ * vehicle if not supplied
+ * @returns {Promise<string>} - The VIN
+ * @throws {ValidationError} - If the vehicle is not registered - without a registry, if it
+ * is not the vehicle from the environment variables
+ * @throws If no vehicle is selected and there is no default, an exception is thrown
+ */
+export async function resolveVIN(vin) {
+    const { vehicles, defaultVehicle } = await getRegistry();
+    if (vin === undefined || vin === null || vin === "") {
+        if (!defaultVehicle) {
+            throw new Error("No vehicle supplied - register one or check env variables");
+        }
+        return defaultVehicle;
+    }
+    if (vehicles.length === 0) {
+        if (vin.toString() !== ENV_VIN) {
+            throw new ValidationError(`Unknown vehicle: ${vin} - register it to control it`);
+        }
+        return ENV_VIN;
+    }
+    const vehicle = vehicles.find(entry => entry.vin === vin.toString() || entry.name === vin.toString());
+    if (!vehicle) {
+        throw new ValidationError(`Unknown vehicle: ${vin}`);
+    }
+    return vehicle.vin;
+}
+
+/**
+ * Find the ID of the charger to control
+ * @param {string} [chargerID] - The ID or the name of a registered charger - the
+ * default charger if not supplied
+ * @returns {Promise<string>} - The charger ID
+ * @throws {ValidationError} - If the charger is not registered
+ * @throws If no charger is selected and there is no default, an exception is thrown
+ */
+export async function resolveChargerID(chargerID) {
+    const { chargers, defaultCharger } = await getRegistry();
+    if (chargerID === undefined || chargerID === null || chargerID === "") {
+        if (!defaultCharger) {
+            throw new Error("No charger ID supplied - register one or check env variables");
+        }
+        return defaultCharger.toString();
+    }
+    if (chargers.length === 0) {
+        return chargerID.toString();
+    }
+    const charger = chargers.find(entry => entry.id === chargerID.toString() || entry.name === chargerID.toString());
+    if (!charger) {
+        throw new ValidationError(`Unknown charger: ${chargerID}`);
+    }
+    return charger.id;
+}
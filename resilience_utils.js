@@ -0,0 +1,269 @@
+import dotenv from "dotenv";
+import { createLogger } from "./utils.js";
+
+dotenv.config();
+
+const logger = createLogger("resilience");
+
+// How long to wait for an upstream API to respond, unless a call sets its own timeout
+export const UPSTREAM_TIMEOUT = Number(process.env.UPSTREAM_TIMEOUT_MS) || 30000;
+
+// How often an idempotent call is retried after a network error, a timeout, a 429 or a 5xx
+const UPSTREAM_RETRIES = Number(process.env.UPSTREAM_RETRIES ?? 2);
+
+// The delay before the first retry - it doubles with every retry, up to the maximum,
+// and a random part of it is used so that retries of many calls don't line up
+const UPSTREAM_RETRY_DELAY = Number(process.env.UPSTREAM_RETRY_DELAY_MS ?? 500);
+const UPSTREAM_MAX_RETRY_DELAY = 10000;
+
+// The circuit of an upstream opens after this many failed calls in a row. While it
+// is open, calls fail at once. After the reset time a single trial call is let through.
+const CIRCUIT_BREAKER_THRESHOLD = Number(process.env.CIRCUIT_BREAKER_THRESHOLD) || 5;
+const CIRCUIT_BREAKER_RESET = Number(process.env.CIRCUIT_BREAKER_RESET_MS) || 30000;
+
+// Calls with these methods can be repeated without changing the outcome. Other calls
+// are only retried if their request config sets `idempotent: true`.
+const IDEMPOTENT_METHODS = ["get", "head", "options", "put", "delete"];
+
+// Error codes of calls that never reached the upstream or got no response
+const NETWORK_ERROR_CODES = ["ECONNREFUSED", "ECONNRESET", "ENOTFOUND", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH", "EPIPE"];
+const TIMEOUT_ERROR_CODES = ["ECONNABORTED", "ETIMEDOUT"];
+
+// The circuit of every upstream, by name: { state, failures, openedAt, trialInProgress }
+const circuits = new Map();
+
+/**
+ * An error thrown without calling an upstream, because its circuit is open
+ */
+export class CircuitOpenError extends Error {
+    constructor(upstream, retryAfterSeconds) {
+        super(`${upstream} is unavailable - not calling it for ${retryAfterSeconds} s after repeated failures`);
+        this.name = "CircuitOpenError";
+        this.upstream = upstream;
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
+
+/**
+ * An error caused by an upstream that did not respond in time
+ */
+export class UpstreamTimeoutError extends Error {
+    constructor(upstream, message) {
+        super(message);
+        this.name = "UpstreamTimeoutError";
+        this.upstream = upstream;
+        this.code = "ETIMEDOUT";
+    }
+}
+
+/**
+ * Get the circuit of an upstream, created closed on first use
+ * @param {string} upstream - The name of the upstream, e.g. "tessie"
+ * @returns {Object} - The circuit
+ */
+function getCircuit(upstream) {
+    if (!circuits.has(upstream)) {
+        circuits.set(upstream, { state: "closed", failures: 0, openedAt: null, trialInProgress: false });
+    }
+    return circuits.get(upstream);
+}
+
+/**
+ * Check that an upstream may be called. An open circuit becomes half-open once the
+ * reset time has passed, and then lets a single trial call through.
+ * @param {string} upstream - The name of the upstream
+ * @throws {CircuitOpenError} - If the circuit is open or a trial call is in progress
+ */
+function checkCircuit(upstream) {
+    const circuit = getCircuit(upstream);
+    if (circuit.state === "closed") {
+        return;
+    }
+    const remaining = circuit.openedAt + CIRCUIT_BREAKER_RESET - Date.now();
+    if (circuit.state === "open" && remaining <= 0) {
+        logger.info(`Circuit of ${upstream} is half-open - letting a trial call through`);
+        circuit.state = "half-open";
+    }
+    if (circuit.state === "open" || circuit.trialInProgress) {
+        throw new CircuitOpenError(upstream, Math.max(1, Math.ceil(remaining / 1000)));
+    }
+    circuit.trialInProgress = true;
+}
+
+/**
+ * Record the outcome of a call to an upstream. A successful call closes the circuit,
+ * too many failed calls in a row - or a failed trial call - open it.
+ * @param {string} upstream - The name of the upstream
+ * @param {boolean} failed - Whether the upstream failed, see isUpstreamFailure()
+ */
+function recordOutcome(upstream, failed) {
+    const circuit = getCircuit(upstream);
+    circuit.trialInProgress = false;
+    if (!failed) {
+        if (circuit.state !== "closed") {
+            logger.info(`Circuit of ${upstream} is closed again`);
+        }
+        circuits.set(upstream, { state: "closed", failures: 0, openedAt: null, trialInProgress: false });
+        return;
+    }
+    circuit.failures++;
+    if (circuit.state === "half-open" || circuit.failures >= CIRCUIT_BREAKER_THRESHOLD) {
+        logger.error(`Circuit of ${upstream} is open after ${circuit.failures} failure(s) in a row - failing fast for ${CIRCUIT_BREAKER_RESET / 1000} s`);
+        circuit.state = "open";
+        circuit.openedAt = Date.now();
+    }
+}
+
+/**
+ * Get the state of the circuit of every upstream called so far
+ * @returns {Object<string, {state: string, failures: number, openedAt: string|null}>} - The
+ * circuits by upstream, the state is "closed", "open" or "half-open"
+ */
+export function getCircuitStates() {
+    return Object.fromEntries([...circuits].map(([upstream, circuit]) => [upstream, {
+        state: circuit.state,
+        failures: circuit.failures,
+        openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null
+    }]));
+}
+
+/**
+ * Close the circuit of every upstream, e.g. between tests
+ */
+export function resetCircuits() {
+    circuits.clear();
+}
+
+/**
+ * Find the error or underlying cause that carries the details of a failed upstream call
+ * @param {Error} error - The error
+ * @param {function(Error): boolean} matches - Checks an error in the chain
+ * @returns {Error|null} - The first matching error in the chain of causes
+ */
+function findCause(error, matches) {
+    for (let cause = error; cause instanceof Error; cause = cause.cause) {
+        if (matches(cause)) {
+            return cause;
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether an error means the upstream is down or overloaded, as opposed to a call it
+ * rejected, e.g. with a 4xx. Only these errors count towards opening the circuit.
+ * @param {Error} error - The error of the call
+ * @returns {boolean}
+ */
+export function isUpstreamFailure(error) {
+    return !!findCause(error, cause => TIMEOUT_ERROR_CODES.includes(cause.code)
+        || NETWORK_ERROR_CODES.includes(cause.code)
+        || cause.response?.status >= 500
+        || (cause.request && !cause.response));
+}
+
+/**
+ * Whether a failed call is worth retrying - failures of the upstream and rate limiting
+ * @param {Error} error - The error of the call
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    return isUpstreamFailure(error) || error.response?.status === 429;
+}
+
+/**
+ * Get the delay before a retry: exponential backoff, of which a random half is added
+ * @param {number} retry - The number of the retry, starting at 1
+ * @returns {number} - The delay in milliseconds
+ */
+export function getRetryDelay(retry) {
+    const backoff = Math.min(UPSTREAM_MAX_RETRY_DELAY, UPSTREAM_RETRY_DELAY * 2 ** (retry - 1));
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * Call an upstream through its circuit - for calls that don't use an Axios instance,
+ * e.g. over a WebSocket
+ * @param {string} upstream - The name of the upstream, e.g. "gigacharger"
+ * @param {function(): Promise<any>} call - Makes the call
+ * @returns {Promise<any>} - The result of the call
+ * @throws {CircuitOpenError} - If the circuit is open
+ * @throws If the call fails, its exception is rethrown
+ */
+export async function callUpstream(upstream, call) {
+    checkCircuit(upstream);
+    try {
+        const result = await call();
+        recordOutcome(upstream, false);
+        return result;
+    } catch (error) {
+        recordOutcome(upstream, isUpstreamFailure(error));
+        error.upstream ??= upstream;
+        throw error;
+    }
+}
+
+/**
+ * Add the resilience policy to an Axios instance: a default timeout, retries with
+ * jittered backoff for idempotent calls and the circuit of the upstream. A call can
+ * set its own `timeout`, and `idempotent: true` to be retried even if it is a POST.
+ * Every error gets an `upstream` property with the name of the upstream.
+ * @param {Object} apiClient - The Axios instance
+ * @param {string} upstream - The name of the upstream, e.g. "tessie"
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - The default timeout in milliseconds (default UPSTREAM_TIMEOUT_MS)
+ * @returns {Object} - The Axios instance
+ */
+export function addResiliencePolicy(apiClient, upstream, { timeout = UPSTREAM_TIMEOUT } = {}) {
+    apiClient.defaults.timeout = timeout;
+    apiClient.interceptors.request.use((config) => {
+        checkCircuit(upstream);
+        return config;
+    });
+    apiClient.interceptors.response.use((response) => {
+        recordOutcome(upstream, false);
+        return response;
+    }, async (error) => {
+        error.upstream ??= upstream;
+        if (error instanceof CircuitOpenError || !error.config) {
+            throw error;
+        }
+        recordOutcome(upstream, isUpstreamFailure(error));
+        const { config } = error;
+        const retry = (config.retry ?? 0) + 1;
+        const isIdempotent = config.idempotent ?? IDEMPOTENT_METHODS.includes(config.method);
+        if (!isIdempotent || retry > UPSTREAM_RETRIES || !isRetryable(error)) {
+            throw error;
+        }
+        const retryDelay = getRetryDelay(retry);
+        logger.warn(`${config.method.toUpperCase()} ${config.url} to ${upstream} failed - retry ${retry} of ${UPSTREAM_RETRIES} in ${retryDelay} ms: ${error.message}`);
+        await new Promise(resolve => setTimeout(resolve, retryDelay));
+        return await apiClient.request({ ...config, retry });
+    });
+    return apiClient;
+}
+
+/**
+ * Describe a failed upstream call for an error response
+ * @param {Error} error - The error
+ * @returns {{status: number, code: string, upstream: string, retryAfterSeconds: number|null}|null} - The
+ * HTTP status to respond with - 503 while the circuit is open, 504 on a timeout and 502
+ * for other failures - or null if the error was not caused by an upstream
+ */
+export function describeUpstreamError(error) {
+    const circuitError = findCause(error, cause => cause instanceof CircuitOpenError);
+    if (circuitError) {
+        return { status: 503, code: "upstream-unavailable", upstream: circuitError.upstream, retryAfterSeconds: circuitError.retryAfterSeconds };
+    }
+    const upstreamError = findCause(error, cause => typeof cause.upstream === "string");
+    if (!upstreamError) {
+        return null;
+    }
+    const timedOut = !!findCause(upstreamError, cause => TIMEOUT_ERROR_CODES.includes(cause.code));
+    return {
+        status: timedOut ? 504 : 502,
+        code: timedOut ? "upstream-timeout" : "upstream-error",
+        upstream: upstreamError.upstream,
+        retryAfterSeconds: null
+    };
+}
@@ -0,0 +1,232 @@
+import { scheduleJob } from "node-schedule";
+import { randomUUID } from "crypto";
+import { createLogger, ValidationError } from "./utils.js";
+import { readSettings, updateSettings } from "./settings_utils.js";
+import { authorizeCharging } from "./gigacharger_utils.js";
+import { runAudited } from "./audit_utils.js";
+import { resolveChargerID, resolveVIN } from "./registry_utils.js";
+import { notify } from "./notification_utils.js";
+import { recordJobRun } from "./job_utils.js";
+import { isVehicleAtHome } from "./geofence_utils.js";
+
+const logger = createLogger("schedule");
+
+// Used when settings.json has no schedules yet - matches the original hard-coded job.
+// A chargerID or vin of null means the default charger or vehicle when the schedule runs.
+const DEFAULT_SCHEDULE = {
+    cron: "0 22 * * *",
+    chargerID: null,
+    vin: null,
+    radius: 100,
+    enabled: true
+};
+
+// The node-schedule jobs currently registered, by schedule ID
+const registeredJobs = new Map();
+
+/**
+ * Run a charging schedule: authorize charging if the vehicle is at home
+ * @param {Object} schedule - The schedule to run
+ * @returns {Promise<void>}
+ */
+export async function runChargingSchedule(schedule) {
+    logger.info(`Starting job: charging schedule ${schedule.id} (${schedule.cron})`);
+    try {
+        const vin = await resolveVIN(schedule.vin);
+        if (await isVehicleAtHome(vin, schedule.radius)) {
+            try {
+                logger.info("Vehicle at home location - authorizing charging...");
+                await runAudited({
+                    command: "charging-start",
+                    caller: `schedule ${schedule.id}`,
+                    parameters: { chargerID: schedule.chargerID, vin }
+                }, () => authorizeCharging(schedule.chargerID, vin));
+                logger.info("Charging authorized");
+                recordJobRun(`schedule ${schedule.id}`, { success: true });
+            } catch (error) {
+                throw new Error(`Could not authorize charging: ${error.message}`)
+            }
+        } else {
+            throw new Error("Charging schedule aborted - vehicle is not at home location");
+        }
+    } catch (error) {
+        logger.error(`Charging schedule ${schedule.id} failed: ${error.message}`)
+        recordJobRun(`schedule ${schedule.id}`, { success: false, message: error.message });
+        notify("job-failed", "Charging schedule failed", error.message, { job: `schedule ${schedule.id}`, cron: schedule.cron });
+    }
+}
+
+/**
+ * Validate the fields of a schedule
+ * @param {Object} schedule - The schedule to validate
+ * @throws {ValidationError} - If any of the fields is invalid
+ */
+function validateSchedule(schedule) {
+    if (typeof schedule.cron !== "string" || schedule.cron.trim().split(/\s+/).length < 5) {
+        throw new ValidationError("cron must be a cron expression, e.g. \"0 22 * * *\"");
+    }
+    // node-schedule returns null if it cannot parse the expression
+    const testJob = scheduleJob(schedule.cron, () => {});
+    if (!testJob) {
+        throw new ValidationError(`Invalid cron expression: ${schedule.cron}`);
+    }
+    testJob.cancel();
+    if (schedule.chargerID !== null && typeof schedule.chargerID !== "string") {
+        throw new ValidationError("chargerID must be a string");
+    }
+    if (schedule.vin !== null && typeof schedule.vin !== "string") {
+        throw new ValidationError("vin must be a string");
+    }
+    if (typeof schedule.radius !== "number" || !(schedule.radius > 0)) {
+        throw new ValidationError("radius must be a positive number of meters");
+    }
+    if (typeof schedule.enabled !== "boolean") {
+        throw new ValidationError("enabled must be a boolean");
+    }
+}
+
+/**
+ * Build a schedule from user input, falling back to the defaults for missing fields.
+ * A charger or vehicle selected by its registered name is stored by its ID.
+ * @param {Object} input - The user input
+ * @param {Object} [base] - The schedule to start from - the defaults if not supplied
+ * @returns {Promise<Object>} - The validated schedule
+ * @throws {ValidationError} - If any of the fields is invalid or the charger or the
+ * vehicle is not registered
+ */
+async function buildSchedule(input, base = DEFAULT_SCHEDULE) {
+    const schedule = {
+        id: base.id || randomUUID(),
+        cron: input.cron ?? base.cron,
+        chargerID: input.chargerID !== undefined
+            ? (input.chargerID === null ? null : input.chargerID.toString())
+            : base.chargerID,
+        vin: input.vin !== undefined ? input.vin?.toString() || null : base.vin ?? null,
+        radius: input.radius !== undefined ? Number(input.radius) : base.radius,
+        enabled: input.enabled ?? base.enabled
+    };
+    validateSchedule(schedule);
+    if (schedule.chargerID !== null && schedule.chargerID !== base.chargerID) {
+        schedule.chargerID = await resolveChargerID(schedule.chargerID);
+    }
+    if (schedule.vin !== null && schedule.vin !== base.vin) {
+        schedule.vin = await resolveVIN(schedule.vin);
+    }
+    return schedule;
+}
+
+/**
+ * Get all charging schedules from the settings
+ * @returns {Promise<Array<Object>>} - The schedules
+ */
+export async function getSchedules() {
+    const settings = await readSettings();
+    return settings.schedules ?? [];
+}
+
+/**
+ * Get the registered jobs of the charging schedules with the time they run next
+ * @returns {Array<{job: string, nextRun: string|null}>} - The jobs
+ */
+export function getChargingScheduleJobs() {
+    return [...registeredJobs].map(([id, job]) => ({
+        job: `schedule ${id}`,
+        nextRun: job.nextInvocation()?.toISOString() ?? null
+    }));
+}
+
+/**
+ * Cancel all registered jobs and register one for every enabled schedule
+ * @param {Array<Object>} schedules - The schedules to register
+ */
+function registerJobs(schedules) {
+    for (const job of registeredJobs.values()) {
+        job.cancel();
+    }
+    registeredJobs.clear();
+    for (const schedule of schedules.filter(schedule => schedule.enabled)) {
+        const job = scheduleJob(schedule.cron, () => runChargingSchedule(schedule));
+        if (!job) {
+            logger.error(`Could not register charging schedule ${schedule.id} (${schedule.cron})`);
+            continue;
+        }
+        registeredJobs.set(schedule.id, job);
+    }
+    logger.info(`Registered ${registeredJobs.size} charging schedule(s)`);
+}
+
+/**
+ * Load the schedules from the settings and register their jobs.
+ * If the settings have no schedules yet, the default 22:00 schedule is created.
+ * @returns {Promise<Array<Object>>} - The loaded schedules
+ */
+export async function loadSchedules() {
+    let settings = await readSettings();
+    if (!settings.schedules) {
+        logger.info("No charging schedules in the settings - creating the default one");
+        settings = await updateSettings(async (currentSettings) => ({
+            ...currentSettings,
+            schedules: currentSettings.schedules ?? [await buildSchedule({})]
+        }));
+    }
+    registerJobs(settings.schedules);
+    return settings.schedules;
+}
+
+/**
+ * Create a new charging schedule and register its job
+ * @param {Object} input - The fields of the schedule: cron, chargerID, vin, radius, enabled
+ * @returns {Promise<Object>} - The created schedule
+ * @throws {ValidationError} - If any of the fields is invalid
+ */
+export async function createSchedule(input) {
+    const schedule = await buildSchedule(input);
+    const settings = await updateSettings((currentSettings) => ({
+        ...currentSettings,
+        schedules: [...(currentSettings.schedules ?? []), schedule]
+    }));
+    registerJobs(settings.schedules);
+    return schedule;
+}
+
+/**
+ * Update an existing charging schedule and re-register the jobs
+ * @param {string} id - The ID of the schedule
+ * @param {Object} input - The fields to change
+ * @returns {Promise<Object|null>} - The updated schedule or null if it doesn't exist
+ * @throws {ValidationError} - If any of the fields is invalid
+ */
+export async function updateSchedule(id, input) {
+    let updatedSchedule = null;
+    const settings = await updateSettings(async (currentSettings) => ({
+        ...currentSettings,
+        schedules: await Promise.all((currentSettings.schedules ?? []).map(async (schedule) => {
+            if (schedule.id !== id) {
+                return schedule;
+            }
+            updatedSchedule = await buildSchedule(input, schedule);
+            return updatedSchedule;
+        }))
+    }));
+    registerJobs(settings.schedules);
+    return updatedSchedule;
+}
+
+/**
+ * Delete a charging schedule and cancel its job
+ * @param {string} id - The ID of the schedule
+ * @returns {Promise<boolean>} - Whether the schedule existed
+ */
+export async function deleteSchedule(id) {
+    let existed = false;
+    const settings = await updateSettings((currentSettings) => {
+        const schedules = currentSettings.schedules ?? [];
+        existed = schedules.some(schedule => schedule.id === id);
+        return {
+            ...currentSettings,
+            schedules: schedules.filter(schedule => schedule.id !== id)
+        };
+    });
+    registerJobs(settings.schedules);
+    return existed;
+}
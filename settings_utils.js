@@ -0,0 +1,44 @@
+import { readFile, writeFile } from "fs/promises";
+import { createLogger } from "./utils.js";
+
+const logger = createLogger("settings");
+
+const SETTINGS_FILE = process.env.SETTINGS_FILE || "settings.json";
+
+// Writes are chained so that concurrent updates don't overwrite each other
+var pendingWrite = Promise.resolve();
+
+/**
+ * Read the settings from disk
+ * @returns {Promise<Object>} - The settings, or an empty object if the file doesn't exist yet
+ * @throws If the file exists but cannot be read or parsed, an exception is thrown
+ */
+export async function readSettings() {
+    try {
+        return JSON.parse(await readFile(SETTINGS_FILE, "utf8"));
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return {};
+        }
+        logger.error(`Could not read settings from ${SETTINGS_FILE}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Update the settings on disk
+ * @param {function(Object): Object} updater - Receives the current settings and returns the new ones
+ * @returns {Promise<Object>} - The new settings
+ * @throws If the settings cannot be read or written, an exception is thrown
+ */
+export function updateSettings(updater) {
+    const write = pendingWrite.then(async () => {
+        const settings = await readSettings();
+        const newSettings = await updater(settings);
+        await writeFile(SETTINGS_FILE, JSON.stringify(newSettings, null, 2));
+        return newSettings;
+    });
+    // Keep the chain going even if this write fails
+    pendingWrite = write.catch(() => {});
+    return write;
+}
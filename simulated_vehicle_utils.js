@@ -0,0 +1,487 @@
+import dotenv from "dotenv";
+import { createLogger, ValidationError } from "./utils.js";
+import { sendConfirmedCommand } from "./command_utils.js";
+import { getRegistry } from "./registry_utils.js";
+import { UPSTREAM_TIMEOUT, UpstreamTimeoutError } from "./resilience_utils.js";
+
+dotenv.config();
+
+const logger = createLogger("simulator");
+
+/**
+ * An in-memory vehicle for developing and testing without a car or network.
+ * It implements the same functions as tessie_utils.js and can be configured with
+ * configureSimulatedVehicle() or with the SIMULATOR_* environment variables.
+ * Every registered VIN, or the one from the environment variables, gets its own vehicle,
+ * created with the default options on first use. Calls take at most as long as the
+ * timeout of the real providers.
+ */
+
+// Used for every option that is not configured
+const DEFAULT_SIMULATOR_OPTIONS = {
+    latitude: Number(process.env.SIMULATOR_LATITUDE ?? process.env.VEHICLE_HOME_LATITUDE ?? 42.6977),
+    longitude: Number(process.env.SIMULATOR_LONGITUDE ?? process.env.VEHICLE_HOME_LONGITUDE ?? 23.3219),
+    locked: true,
+    batteryLevel: 60,
+    chargeLimit: 80,
+    // Whether the vehicle starts asleep
+    asleep: false,
+    // Put the vehicle to sleep after this long without any activity (null = never)
+    sleepAfterMs: null,
+    // How long it takes to wake the vehicle up
+    wakeDelayMs: Number(process.env.SIMULATOR_WAKE_DELAY_MS ?? 0),
+    // How long every command takes once the vehicle is awake
+    commandDelayMs: Number(process.env.SIMULATOR_COMMAND_DELAY_MS ?? 0),
+    // Share of commands (0-1) the vehicle doesn't carry out
+    failureRate: Number(process.env.SIMULATOR_FAILURE_RATE ?? 0),
+    // Commands the vehicle never carries out, e.g. ["unlock"]
+    failingCommands: [],
+    // Whether the vehicle cannot be reached at all - every call throws
+    unreachable: false
+};
+
+const isNumberBetween = (min, max) => (value) => Number.isFinite(value) && value >= min && value <= max;
+const isBoolean = (value) => typeof value === "boolean";
+
+// The options that can be configured, with a check of the value and a description of what it must be
+const SIMULATOR_OPTION_CHECKS = {
+    latitude: [isNumberBetween(-90, 90), "a number between -90 and 90"],
+    longitude: [isNumberBetween(-180, 180), "a number between -180 and 180"],
+    locked: [isBoolean, "true or false"],
+    batteryLevel: [isNumberBetween(0, 100), "a number between 0 and 100"],
+    chargeLimit: [isNumberBetween(0, 100), "a number between 0 and 100"],
+    asleep: [isBoolean, "true or false"],
+    sleepAfterMs: [(value) => value === null || isNumberBetween(0, Infinity)(value), "null or a number of at least 0"],
+    wakeDelayMs: [isNumberBetween(0, Infinity), "a number of at least 0"],
+    commandDelayMs: [isNumberBetween(0, Infinity), "a number of at least 0"],
+    failureRate: [isNumberBetween(0, 1), "a number between 0 and 1"],
+    failingCommands: [(value) => Array.isArray(value) && value.every(command => typeof command === "string"),
+        "a list of command names"],
+    unreachable: [isBoolean, "true or false"]
+};
+
+// The options and the state of every simulated vehicle, by VIN
+const simulatedVehicles = new Map();
+
+/**
+ * Create the state of the simulated vehicle from the options
+ * @param {Object} vehicleOptions - The simulator options
+ * @returns {Object} - The vehicle
+ */
+function createVehicle(vehicleOptions) {
+    return {
+        latitude: vehicleOptions.latitude,
+        longitude: vehicleOptions.longitude,
+        locked: vehicleOptions.locked,
+        frunkOpen: false,
+        trunkOpen: false,
+        windowsOpen: false,
+        sentryMode: false,
+        chargePortOpen: false,
+        climateOn: false,
+        temperature: 20,
+        seatHeaters: { "front-left": 0, "front-right": 0, "rear-left": 0, "rear-center": 0, "rear-right": 0 },
+        steeringWheelHeater: false,
+        defrost: false,
+        batteryLevel: vehicleOptions.batteryLevel,
+        chargeLimit: vehicleOptions.chargeLimit,
+        chargingAmps: 16,
+        // null until charging is started or stopped in the vehicle
+        charging: null,
+        asleep: vehicleOptions.asleep,
+        lastActivity: Date.now(),
+        updatedAt: Date.now()
+    };
+}
+
+/**
+ * Get the simulated vehicle with a VIN, creating it if it doesn't exist yet. Only the
+ * registered vehicles and the default vehicle are simulated - the vehicles of VINs that
+ * are no longer registered are dropped when a new one is created.
+ * @param {string} vin - The VIN of the vehicle
+ * @returns {Promise<{options: Object, vehicle: Object}>} - The options and the state of the vehicle
+ * @throws {ValidationError} - If the vehicle is neither registered nor the default vehicle
+ */
+async function getSimulatedVehicle(vin) {
+    if (!simulatedVehicles.has(vin)) {
+        const { vehicles, defaultVehicle } = await getRegistry();
+        const knownVINs = [defaultVehicle, ...vehicles.map(entry => entry.vin)];
+        if (!knownVINs.includes(vin)) {
+            throw new ValidationError(`Unknown vehicle: ${vin} - register it to simulate it`);
+        }
+        for (const simulatedVIN of simulatedVehicles.keys()) {
+            if (!knownVINs.includes(simulatedVIN)) {
+                simulatedVehicles.delete(simulatedVIN);
+            }
+        }
+        const options = { ...DEFAULT_SIMULATOR_OPTIONS };
+        simulatedVehicles.set(vin, { options, vehicle: createVehicle(options) });
+    }
+    return simulatedVehicles.get(vin);
+}
+
+/**
+ * Check that only known simulator options are set, each to a value of the right type and range
+ * @param {Object} newOptions - The options to change
+ * @throws {ValidationError} - If the options are not an object, an option is unknown or its value is invalid
+ */
+function validateSimulatorOptions(newOptions) {
+    if (typeof newOptions !== "object" || newOptions === null || Array.isArray(newOptions)) {
+        throw new ValidationError("The simulator options must be an object");
+    }
+    const unknownOptions = Object.keys(newOptions).filter(option => !Object.hasOwn(SIMULATOR_OPTION_CHECKS, option));
+    if (unknownOptions.length > 0) {
+        throw new ValidationError(`Unknown simulator options: ${unknownOptions.join(", ")}`);
+    }
+    for (const [option, value] of Object.entries(newOptions)) {
+        const [isValid, description] = SIMULATOR_OPTION_CHECKS[option];
+        if (!isValid(value)) {
+            throw new ValidationError(`${option} must be ${description} - not ${JSON.stringify(value)}`);
+        }
+    }
+}
+
+/**
+ * Change the simulator options of a vehicle. Options that describe the vehicle
+ * (location, lock state, battery, sleep) are applied to it right away.
+ * @param {string} vin - The VIN of the vehicle
+ * @param {Object} newOptions - The options to change
+ * @returns {Promise<Object>} - All simulator options of the vehicle
+ * @throws {ValidationError} - If the vehicle is unknown, an option is unknown or its value is invalid
+ */
+export async function configureSimulatedVehicle(vin, newOptions = {}) {
+    validateSimulatorOptions(newOptions);
+    const simulatedVehicle = await getSimulatedVehicle(vin);
+    const vehicle = simulatedVehicle.vehicle;
+    simulatedVehicle.options = { ...simulatedVehicle.options, ...newOptions };
+    for (const [option, property] of [
+        ["latitude", "latitude"],
+        ["longitude", "longitude"],
+        ["locked", "locked"],
+        ["batteryLevel", "batteryLevel"],
+        ["chargeLimit", "chargeLimit"],
+        ["asleep", "asleep"]
+    ]) {
+        if (newOptions[option] !== undefined) {
+            vehicle[property] = newOptions[option];
+        }
+    }
+    vehicle.lastActivity = Date.now();
+    vehicle.updatedAt = Date.now();
+    return { ...simulatedVehicle.options };
+}
+
+/**
+ * Reset a simulated vehicle to the default options and a fresh state
+ * @param {string} vin - The VIN of the vehicle
+ * @returns {Promise<Object>} - All simulator options of the vehicle
+ * @throws {ValidationError} - If the vehicle is unknown
+ */
+export async function resetSimulatedVehicle(vin) {
+    simulatedVehicles.delete(vin);
+    return { ...(await getSimulatedVehicle(vin)).options };
+}
+
+const delay = (milliseconds) => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+/**
+ * Wait for a call to the simulated vehicle for at most the timeout, like the real
+ * providers wait for their upstream
+ * @param {Promise<any>} call - The call
+ * @param {number} timeout - How long to wait, in milliseconds
+ * @returns {Promise<any>} - The result of the call
+ * @throws {UpstreamTimeoutError} - If the call takes longer than the timeout
+ */
+async function withTimeout(call, timeout) {
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new UpstreamTimeoutError("simulator", `Simulated vehicle did not respond within ${timeout} ms`)), timeout);
+    });
+    try {
+        return await Promise.race([call, timedOut]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Throw if the vehicle is configured as unreachable, like a network error would
+ * @param {Object} simulatedVehicle - The simulated vehicle
+ */
+function checkReachable({ options }) {
+    if (options.unreachable) {
+        const error = new Error("Simulated vehicle is unreachable");
+        error.code = "ECONNREFUSED";
+        throw error;
+    }
+}
+
+/**
+ * Whether the vehicle is asleep, taking the inactivity timeout into account
+ * @param {Object} simulatedVehicle - The simulated vehicle
+ * @returns {boolean}
+ */
+function isAsleep({ options, vehicle }) {
+    if (!vehicle.asleep && options.sleepAfterMs !== null
+        && Date.now() - vehicle.lastActivity > options.sleepAfterMs) {
+        vehicle.asleep = true;
+    }
+    return vehicle.asleep;
+}
+
+/**
+ * Wake the vehicle up, taking the configured wake delay if it is asleep
+ * @param {Object} simulatedVehicle - The simulated vehicle
+ * @returns {Promise<void>}
+ */
+async function wake(simulatedVehicle) {
+    checkReachable(simulatedVehicle);
+    if (isAsleep(simulatedVehicle)) {
+        logger.info("Simulated vehicle: waking up...");
+        await delay(simulatedVehicle.options.wakeDelayMs);
+        simulatedVehicle.vehicle.asleep = false;
+    }
+    simulatedVehicle.vehicle.lastActivity = Date.now();
+}
+
+/**
+ * Carry out a command on the simulated vehicle, unless it is configured to fail
+ * @param {string} vin - The VIN of the vehicle
+ * @param {string} command - The name of the command
+ * @param {function(Object): void} apply - Changes the vehicle state
+ * @param {number} [timeout] - How long to wait for the vehicle, in milliseconds (default UPSTREAM_TIMEOUT_MS)
+ * @returns {Promise<{result: boolean, reason: string|null}>} - The result of the command
+ * @throws {UpstreamTimeoutError} - If waking the vehicle and the command take longer than the timeout
+ */
+async function runCommand(vin, command, apply, timeout = UPSTREAM_TIMEOUT) {
+    const simulatedVehicle = await getSimulatedVehicle(vin);
+    const { options, vehicle } = simulatedVehicle;
+    await withTimeout((async () => {
+        await wake(simulatedVehicle);
+        await delay(options.commandDelayMs);
+    })(), timeout);
+    if (options.failingCommands.includes(command) || Math.random() < options.failureRate) {
+        logger.info(`Simulated vehicle: command "${command}" failed`);
+        return { result: false, reason: "simulated_failure" };
+    }
+    apply(vehicle);
+    vehicle.updatedAt = Date.now();
+    logger.info(`Simulated vehicle: command "${command}" carried out`);
+    return { result: true, reason: null };
+}
+
+/**
+ * Send a command to the simulated vehicle and, in confirm mode, report the outcome.
+ * Outside of confirm mode a failed command throws, so that it isn't silently ignored.
+ * @param {string} vin - The VIN of the vehicle
+ * @param {string} command - The name of the command
+ * @param {function(Object): void} apply - Changes the vehicle state
+ * @param {Object} commandOptions - { confirm, timeout }
+ * @param {function(Object): boolean} isStateReached - Checks the state for the effect of the command
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
+ */
+async function sendCommand(vin, command, apply, { confirm = false, timeout } = {}, isStateReached) {
+    if (confirm) {
+        return await sendConfirmedCommand({
+            command,
+            timeout,
+            isStateReached,
+            send: (timeout) => runCommand(vin, command, apply, timeout),
+            getLiveState: (timeout) => getVehicleState(vin, false, { timeout })
+        });
+    }
+    const { result, reason } = await runCommand(vin, command, apply);
+    if (!result) {
+        throw new Error(`Command ${command} failed: ${reason}`);
+    }
+}
+
+/**
+ * Get the state of the simulated vehicle, in the same shape as Tessie's
+ * @param {string} vin - The VIN of the vehicle
+ * @param {boolean} useCache - If false, the vehicle is woken up first - default true
+ * @param {Object} [requestConfig] - { timeout } - how long to wait for the vehicle to
+ * wake up, in milliseconds (default UPSTREAM_TIMEOUT_MS)
+ * @returns {Promise<Object>} - The vehicle state
+ * @throws {UpstreamTimeoutError} - If the vehicle doesn't wake up in time
+ */
+export async function getVehicleState(vin, useCache = true, { timeout = UPSTREAM_TIMEOUT } = {}) {
+    const simulatedVehicle = await getSimulatedVehicle(vin);
+    const { vehicle } = simulatedVehicle;
+    checkReachable(simulatedVehicle);
+    if (!useCache) {
+        await withTimeout(wake(simulatedVehicle), timeout);
+    }
+    return {
+        state: isAsleep(simulatedVehicle) ? "asleep" : "online",
+        charge_state: {
+            battery_level: vehicle.batteryLevel,
+            charge_limit_soc: vehicle.chargeLimit,
+            charge_port_door_open: vehicle.chargePortOpen,
+            // About 500 km at 100 %, in miles like the real providers
+            battery_range: vehicle.batteryLevel * 3.1,
+            charge_current_request: vehicle.chargingAmps,
+            charging_state: vehicle.charging === null ? "Disconnected" : vehicle.charging ? "Charging" : "Stopped",
+            timestamp: vehicle.updatedAt
+        },
+        climate_state: {
+            is_climate_on: vehicle.climateOn,
+            driver_temp_setting: vehicle.temperature,
+            passenger_temp_setting: vehicle.temperature,
+            seat_heater_left: vehicle.seatHeaters["front-left"],
+            seat_heater_right: vehicle.seatHeaters["front-right"],
+            seat_heater_rear_left: vehicle.seatHeaters["rear-left"],
+            seat_heater_rear_center: vehicle.seatHeaters["rear-center"],
+            seat_heater_rear_right: vehicle.seatHeaters["rear-right"],
+            steering_wheel_heater: vehicle.steeringWheelHeater,
+            is_front_defroster_on: vehicle.defrost,
+            timestamp: vehicle.updatedAt
+        },
+        drive_state: {
+            latitude: vehicle.latitude,
+            longitude: vehicle.longitude,
+            timestamp: vehicle.updatedAt
+        },
+        vehicle_state: {
+            locked: vehicle.locked,
+            ft: vehicle.frunkOpen ? 1 : 0,
+            rt: vehicle.trunkOpen ? 1 : 0,
+            fd_window: vehicle.windowsOpen ? 1 : 0,
+            fp_window: vehicle.windowsOpen ? 1 : 0,
+            rd_window: vehicle.windowsOpen ? 1 : 0,
+            rp_window: vehicle.windowsOpen ? 1 : 0,
+            sentry_mode: vehicle.sentryMode,
+            timestamp: vehicle.updatedAt
+        }
+    };
+}
+
+export async function getVehicleLocation(vin) {
+    const simulatedVehicle = await getSimulatedVehicle(vin);
+    checkReachable(simulatedVehicle);
+    return { latitude: simulatedVehicle.vehicle.latitude, longitude: simulatedVehicle.vehicle.longitude };
+}
+
+export async function unlockVehicle(vin, commandOptions) {
+    return await sendCommand(vin, "unlock", (vehicle) => { vehicle.locked = false; }, commandOptions,
+        (vehicleState) => vehicleState["vehicle_state"]["locked"] === false);
+}
+
+export async function lockVehicle(vin, commandOptions) {
+    return await sendCommand(vin, "lock", (vehicle) => { vehicle.locked = true; }, commandOptions,
+        (vehicleState) => vehicleState["vehicle_state"]["locked"] === true);
+}
+
+export async function openOrUnlockChargePort(vin, commandOptions) {
+    return await sendCommand(vin, "open_charge_port", (vehicle) => { vehicle.chargePortOpen = true; }, commandOptions,
+        (vehicleState) => vehicleState["charge_state"]["charge_port_door_open"] === true);
+}
+
+export async function openFrunk(vin, commandOptions) {
+    return await sendCommand(vin, "activate_front_trunk", (vehicle) => { vehicle.frunkOpen = true; }, commandOptions,
+        (vehicleState) => vehicleState["vehicle_state"]["ft"] !== 0);
+}
+
+export async function openTrunk(vin, commandOptions) {
+    return await sendCommand(vin, "activate_rear_trunk", (vehicle) => { vehicle.trunkOpen = true; }, commandOptions,
+        (vehicleState) => vehicleState["vehicle_state"]["rt"] !== 0);
+}
+
+export async function setSentryMode(vin, enabled, commandOptions) {
+    return await sendCommand(vin, enabled ? "enable_sentry" : "disable_sentry", (vehicle) => { vehicle.sentryMode = enabled; }, commandOptions,
+        (vehicleState) => vehicleState["vehicle_state"]["sentry_mode"] === enabled);
+}
+
+export async function ventWindows(vin, commandOptions) {
+    return await sendCommand(vin, "vent_windows", (vehicle) => { vehicle.windowsOpen = true; }, commandOptions,
+        (vehicleState) => vehicleState["vehicle_state"]["fd_window"] !== 0);
+}
+
+export async function closeWindows(vin, commandOptions) {
+    return await sendCommand(vin, "close_windows", (vehicle) => { vehicle.windowsOpen = false; }, commandOptions,
+        (vehicleState) => vehicleState["vehicle_state"]["fd_window"] === 0);
+}
+
+export async function setChargeLimit(vin, percent, commandOptions) {
+    return await sendCommand(vin, "set_charge_limit", (vehicle) => { vehicle.chargeLimit = percent; }, commandOptions,
+        (vehicleState) => vehicleState["charge_state"]["charge_limit_soc"] === percent);
+}
+
+export async function setChargingAmps(vin, amps, commandOptions) {
+    return await sendCommand(vin, "set_charging_amps", (vehicle) => { vehicle.chargingAmps = amps; }, commandOptions,
+        (vehicleState) => vehicleState["charge_state"]["charge_current_request"] === amps);
+}
+
+export async function startVehicleCharging(vin, commandOptions) {
+    return await sendCommand(vin, "start_charging", (vehicle) => { vehicle.charging = true; }, commandOptions,
+        (vehicleState) => vehicleState["charge_state"]["charging_state"] === "Charging");
+}
+
+export async function stopVehicleCharging(vin, commandOptions) {
+    return await sendCommand(vin, "stop_charging", (vehicle) => { vehicle.charging = false; }, commandOptions,
+        (vehicleState) => vehicleState["charge_state"]["charging_state"] !== "Charging");
+}
+
+export async function closeChargePort(vin, commandOptions) {
+    return await sendCommand(vin, "close_charge_port", (vehicle) => { vehicle.chargePortOpen = false; }, commandOptions,
+        (vehicleState) => vehicleState["charge_state"]["charge_port_door_open"] === false);
+}
+
+export async function startClimate(vin, commandOptions) {
+    return await sendCommand(vin, "start_climate", (vehicle) => { vehicle.climateOn = true; }, commandOptions,
+        (vehicleState) => vehicleState["climate_state"]["is_climate_on"] === true);
+}
+
+export async function stopClimate(vin, commandOptions) {
+    return await sendCommand(vin, "stop_climate", (vehicle) => {
+        vehicle.climateOn = false;
+        vehicle.defrost = false;
+    }, commandOptions, (vehicleState) => vehicleState["climate_state"]["is_climate_on"] === false);
+}
+
+/**
+ * Change the climate settings of the simulated vehicle - only the settings that are
+ * supplied are changed. Defrosting also turns the climate on.
+ * @param {string} vin - The VIN of the vehicle
+ * @param {Object} settings - See parseClimateSettings() in climate_utils.js
+ * @returns {Promise<void>}
+ * @throws {Error} - An error is thrown in case a command fails
+ */
+export async function applyClimateSettings(vin, settings) {
+    if (settings.temperature !== undefined) {
+        await sendCommand(vin, "set_temperatures", (vehicle) => { vehicle.temperature = settings.temperature; });
+    }
+    for (const [seat, level] of Object.entries(settings.seatHeaters ?? {})) {
+        await sendCommand(vin, "set_seat_heat", (vehicle) => { vehicle.seatHeaters[seat] = level; });
+    }
+    if (settings.steeringWheelHeater !== undefined) {
+        await sendCommand(vin, "set_steering_wheel_heater", (vehicle) => { vehicle.steeringWheelHeater = settings.steeringWheelHeater; });
+    }
+    if (settings.defrost !== undefined) {
+        await sendCommand(vin, "set_max_defrost", (vehicle) => {
+            vehicle.defrost = settings.defrost;
+            vehicle.climateOn ||= settings.defrost;
+        });
+    }
+}
+
+/**
+ * Pretend to flash the lights on the simulated vehicle
+ * @param {string} vin - The VIN of the vehicle
+ * @param {number} numberOfFlashes - The number of times to flash the lights
+ * @param {boolean} useHorn - Whether to use the horn before flashing the lights
+ * @returns {void}
+ * @throws {ValidationError} - If the number of flashes is out of range
+ * @throws {Error} - An error is thrown in case a command fails
+ */
+export async function findVehicle(vin, numberOfFlashes, useHorn) {
+    if (numberOfFlashes < 0 || numberOfFlashes > 5) {
+        throw new ValidationError("Number of flashes must be between 0 and 5");
+    }
+    if (useHorn) {
+        await sendCommand(vin, "honk", () => {});
+    }
+    for (let i = 0; i < numberOfFlashes; i++) {
+        await sendCommand(vin, "flash", () => {});
+    }
+}
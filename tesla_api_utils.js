@@ -1,12 +1,30 @@
 import { default as axios } from "axios";
-import { headersAsString, logMessage } from "./utils.js";
+import { randomBytes } from "crypto";
+import { readFile, writeFile } from "fs/promises";
+import qs from "qs";
+import { createLogger, ValidationError } from "./utils.js";
+import { sendConfirmedCommand } from "./command_utils.js";
+import { addResiliencePolicy, UpstreamTimeoutError } from "./resilience_utils.js";
 import dotenv from "dotenv";
 
 dotenv.config();
 
+const logger = createLogger("tesla");
+
 const CLIENT_ID = process.env.CLIENT_ID;
 const CLIENT_SECRET = process.env.CLIENT_SECRET;
-const AUDIENCE = "https://fleet-api.prd.eu.vn.cloud.tesla.com";
+const AUDIENCE = process.env.TESLA_FLEET_API_URL || "https://fleet-api.prd.eu.vn.cloud.tesla.com";
+// The domain the public key is served from (see /.well-known/appspecific/com.tesla.3p.public-key.pem)
+const TESLA_APP_DOMAIN = process.env.TESLA_APP_DOMAIN;
+// Must match one of the redirect URIs of the application in the Tesla developer portal
+const TESLA_REDIRECT_URI = process.env.TESLA_REDIRECT_URI;
+// Commands to vehicles that require the Vehicle Command Protocol must be signed.
+// Point this to a running tesla-http-proxy to send them through it.
+const TESLA_COMMAND_PROXY_URL = process.env.TESLA_COMMAND_PROXY_URL;
+// Where the user's tokens from the authorization code flow are kept
+const TESLA_TOKENS_FILE = process.env.TESLA_TOKENS_FILE || "tesla_tokens.json";
+
+const TESLA_AUTHORIZE_URL = "https://auth.tesla.com/oauth2/v3/authorize";
 const SCOPES = [
     "openid",
     "offline_access",
@@ -16,25 +34,50 @@ const SCOPES = [
     "vehicle_charging_cmds"
 ];
 
+// Refresh the access token this long before it actually expires
+const TOKEN_EXPIRY_MARGIN = 5 * 60 * 1000;
+// How long to wait for the vehicle to come online after a wake up
+const WAKE_TIMEOUT = 60000;
+const WAKE_POLL_INTERVAL = 3000;
+
+// The last state read from every vehicle, by VIN - returned instead of waking the vehicle
+const lastKnownStates = new Map();
+
 const teslaAuthApiClient = axios.create({
-    baseURL: "https://auth.tesla.com/oauth2"
+    baseURL: "https://fleet-auth.prd.vn.cloud.tesla.com/oauth2/v3"
 });
 
 const teslaFleetApiClient = axios.create({
     baseURL: AUDIENCE
 });
 
+const teslaCommandApiClient = axios.create({
+    baseURL: TESLA_COMMAND_PROXY_URL || AUDIENCE
+});
+
 teslaAuthApiClient.interceptors.request.use((config) => {
-    logMessage("Outgoing request to Tesla Authentication API:\n" +
-        `\t${config.method.toString().toUpperCase()} ${config.baseURL}${config.url}\n` +
-        `\tHeaders: \n${headersAsString(config.headers)}\n` +
-        `\tData: ${config.data}`
-    );
+    logger.info(`Outgoing request to Tesla Authentication API: ${config.method.toUpperCase()} ${config.baseURL}${config.url}`);
+    logger.debug("Request details", { headers: config.headers, data: config.data });
     return config;
 });
 
+for (const apiClient of [teslaFleetApiClient, teslaCommandApiClient]) {
+    apiClient.interceptors.request.use((config) => {
+        logger.info(`Outgoing request to Tesla Fleet API: ${config.method.toUpperCase()} ${config.baseURL}${config.url}`);
+        logger.debug("Request details", { headers: config.headers, data: config.data });
+        return config;
+    });
+}
+
+for (const apiClient of [teslaAuthApiClient, teslaFleetApiClient, teslaCommandApiClient]) {
+    addResiliencePolicy(apiClient, "tesla");
+}
+
+// The state parameter of the authorization code flow that is currently in progress
+var pendingAuthorizationState = null;
+
 export async function generatePartnerToken() {
-    const response = await teslaAuthApiClient.post("/oauth2/v3/token",
+    const response = await teslaAuthApiClient.post("/token",
         qs.stringify({
             grant_type: 'client_credentials',
             client_id: CLIENT_ID,
@@ -48,14 +91,421 @@ export async function generatePartnerToken() {
             }
         }
     );
-    const token = response.data["token"];
+    const token = response.data["access_token"];
     const expiresIn = response.data["expires_in"];
     const tokenType = response.data["token_type"];
-    logMessage(`Obtained partner token from Tesla Authentication API. Token is 
+    logger.info(`Obtained partner token from Tesla Authentication API. Token is
         "${tokenType}" and expires in ${expiresIn / 3600} hour(s)`);
     return token;
 }
 
+/**
+ * Register the application with the Fleet API in the current region.
+ * Tesla fetches the public key from the application's domain during the registration.
+ * @returns {Promise<Object>} - The partner account as returned by Tesla
+ * @throws If no domain is configured or the registration fails, an exception is thrown
+ */
 export async function registerApplication() {
-    const response = teslaFleetApiClient.post("/api/1/partner_accounts")
-}
\ No newline at end of file
+    if (!TESLA_APP_DOMAIN) {
+        throw new Error("No application domain supplied - check env variables");
+    }
+    const partnerToken = await generatePartnerToken();
+    const response = await teslaFleetApiClient.post("/api/1/partner_accounts",
+        { domain: TESLA_APP_DOMAIN },
+        {
+            headers: {
+                "Authorization": `Bearer ${partnerToken}`,
+                "Content-Type": "application/json"
+            }
+        }
+    );
+    logger.info(`Registered application for domain ${TESLA_APP_DOMAIN}`);
+    return response.data["response"];
+}
+
+/**
+ * Build the URL to send the user to for authorizing the application
+ * @returns {string} - The authorization URL
+ * @throws If the client ID or the redirect URI are not configured, an exception is thrown
+ */
+export function getAuthorizationUrl() {
+    if (!CLIENT_ID || !TESLA_REDIRECT_URI) {
+        throw new Error("No client ID or redirect URI supplied - check env variables");
+    }
+    pendingAuthorizationState = randomBytes(16).toString("hex");
+    return `${TESLA_AUTHORIZE_URL}?${qs.stringify({
+        response_type: "code",
+        client_id: CLIENT_ID,
+        redirect_uri: TESLA_REDIRECT_URI,
+        scope: SCOPES.join(" "),
+        state: pendingAuthorizationState,
+        locale: "en-US",
+        prompt: "login"
+    })}`;
+}
+
+/**
+ * Save the tokens from a token response to disk
+ * @param {Object} tokenResponse - The response from the token endpoint
+ * @param {string} [previousRefreshToken] - Kept if the response has no new refresh token
+ * @returns {Promise<Object>} - The saved tokens
+ */
+async function saveTokens(tokenResponse, previousRefreshToken) {
+    const tokens = {
+        accessToken: tokenResponse["access_token"],
+        refreshToken: tokenResponse["refresh_token"] || previousRefreshToken,
+        expiresAt: new Date(Date.now() + tokenResponse["expires_in"] * 1000).toISOString()
+    };
+    await writeFile(TESLA_TOKENS_FILE, JSON.stringify(tokens, null, 2));
+    return tokens;
+}
+
+/**
+ * Exchange the authorization code from the redirect for the user's tokens and save them
+ * @param {string} code - The authorization code
+ * @param {string} state - The state parameter from the redirect
+ * @returns {Promise<void>}
+ * @throws If the state doesn't match or the exchange fails, an exception is thrown
+ */
+export async function handleAuthorizationCallback(code, state) {
+    if (!pendingAuthorizationState || state !== pendingAuthorizationState) {
+        throw new Error("Unexpected state parameter - start the authorization again");
+    }
+    pendingAuthorizationState = null;
+    const response = await teslaAuthApiClient.post("/token",
+        qs.stringify({
+            grant_type: "authorization_code",
+            client_id: CLIENT_ID,
+            client_secret: CLIENT_SECRET,
+            code,
+            audience: AUDIENCE,
+            redirect_uri: TESLA_REDIRECT_URI
+        }),
+        {
+            headers: {
+                "Content-Type": "application/x-www-form-urlencoded"
+            }
+        }
+    );
+    await saveTokens(response.data);
+    logger.info("Obtained user tokens from Tesla Authentication API");
+}
+
+/**
+ * Get a valid access token for the user, refreshing it if it has expired
+ * @returns {Promise<string>} - The access token
+ * @throws If the user hasn't authorized the application or the refresh fails, an exception is thrown
+ */
+async function getAccessToken() {
+    let tokens;
+    try {
+        tokens = JSON.parse(await readFile(TESLA_TOKENS_FILE, "utf8"));
+    } catch (error) {
+        logger.error(`Could not read Tesla tokens from ${TESLA_TOKENS_FILE}: ${error.message}`);
+        throw new Error("Not authorized with Tesla - open /tesla/api/login first");
+    }
+    if (new Date(tokens.expiresAt).getTime() - TOKEN_EXPIRY_MARGIN > Date.now()) {
+        return tokens.accessToken;
+    }
+    logger.info("Tesla access token expired - refreshing...");
+    const response = await teslaAuthApiClient.post("/token",
+        qs.stringify({
+            grant_type: "refresh_token",
+            client_id: CLIENT_ID,
+            refresh_token: tokens.refreshToken
+        }),
+        {
+            headers: {
+                "Content-Type": "application/x-www-form-urlencoded"
+            }
+        }
+    );
+    return (await saveTokens(response.data, tokens.refreshToken)).accessToken;
+}
+
+/**
+ * Build the request config for a Fleet API call with the user's access token
+ * @param {Object} [requestConfig] - Extra Axios request config, e.g. a timeout
+ * @returns {Promise<Object>} - The request config
+ */
+async function withAccessToken(requestConfig = {}) {
+    return {
+        ...requestConfig,
+        headers: {
+            ...requestConfig.headers,
+            "Authorization": `Bearer ${await getAccessToken()}`
+        }
+    };
+}
+
+/**
+ * Build the Fleet API path of a call about a vehicle, with every segment encoded so
+ * that a VIN or a command cannot add segments or a query to it
+ * @param {string} vin - The VIN of the vehicle
+ * @param {...string} segments - The rest of the path, e.g. "command", "door_lock"
+ * @returns {string} - The path, e.g. "/api/1/vehicles/5YJ3E7EB0KF000001/command/door_lock"
+ */
+function vehiclePath(vin, ...segments) {
+    return `/api/1/vehicles/${[vin, ...segments].map(encodeURIComponent).join("/")}`;
+}
+
+/**
+ * Wake the vehicle up and wait until it is online
+ * @param {string} vin - The VIN of the vehicle
+ * @returns {Promise<void>}
+ * @throws If the vehicle doesn't come online in time, an exception is thrown
+ */
+async function wakeVehicle(vin) {
+    const vehicleResponse = await teslaFleetApiClient.get(vehiclePath(vin), await withAccessToken());
+    if (vehicleResponse.data["response"]["state"] === "online") {
+        return;
+    }
+    await teslaFleetApiClient.post(vehiclePath(vin, "wake_up"), null, await withAccessToken({ idempotent: true }));
+    const deadline = Date.now() + WAKE_TIMEOUT;
+    while (Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, WAKE_POLL_INTERVAL));
+        const pollResponse = await teslaFleetApiClient.get(vehiclePath(vin), await withAccessToken());
+        if (pollResponse.data["response"]["state"] === "online") {
+            return;
+        }
+    }
+    throw new UpstreamTimeoutError("tesla", "Vehicle did not wake up in time");
+}
+
+/**
+ * Send a command to the vehicle through the Fleet API (or the command proxy, if configured)
+ * @param {string} vin - The VIN of the vehicle
+ * @param {string} command - The Fleet API command, e.g. "door_lock"
+ * @param {Object} [body] - The parameters of the command
+ * @param {Object} [requestConfig] - Extra Axios request config, e.g. a timeout
+ * @returns {Promise<{result: boolean, reason: string}>} - The result reported by the vehicle
+ */
+async function postCommand(vin, command, body = {}, requestConfig) {
+    await wakeVehicle(vin);
+    const response = await teslaCommandApiClient.post(
+        vehiclePath(vin, "command", command),
+        body,
+        await withAccessToken(requestConfig)
+    );
+    return response.data["response"];
+}
+
+/**
+ * Send a command to the vehicle and, in confirm mode, wait until it has been carried out.
+ * Unlike Tessie, the Fleet API always responds with the result of the command, so a
+ * result of false is reported as an error outside of confirm mode.
+ * @param {string} vin - The VIN of the vehicle
+ * @param {string} command - The Fleet API command, e.g. "door_lock"
+ * @param {Object} options
+ * @param {boolean} [options.confirm] - Whether to wait for the outcome (default false)
+ * @param {number} [options.timeout] - How long to wait in confirm mode, in milliseconds
+ * @param {function(Object): boolean} [isStateReached] - Checks the vehicle state for the
+ * effect of the command in confirm mode
+ * @param {Object} [body] - The parameters of the command, e.g. { percent: 80 }
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
+ * @throws If the vehicle did not carry out the command outside of confirm mode, an exception is thrown
+ */
+async function sendCommand(vin, command, { confirm = false, timeout } = {}, isStateReached, body = {}) {
+    if (confirm) {
+        return await sendConfirmedCommand({
+            command,
+            timeout,
+            isStateReached,
+            send: (timeout) => postCommand(vin, command, body, { timeout }),
+            getLiveState: (timeout) => getVehicleState(vin, false, { timeout })
+        });
+    }
+    const { result, reason } = await postCommand(vin, command, body);
+    if (!result) {
+        throw new Error(`Command ${command} failed: ${reason}`);
+    }
+}
+
+/**
+ * Get the full state of the vehicle (charge, climate, drive and vehicle state)
+ * @param {string} vin - The VIN of the vehicle
+ * @param {boolean} useCache - If true and the vehicle is asleep, it is not woken up and
+ * the last state read from it is returned instead, like Tessie's cached state - default true
+ * @param {Object} [requestConfig] - Extra Axios request config, e.g. a timeout
+ * @returns {Promise<Object>} - The vehicle state, in the same shape as Tessie's
+ * @throws If the vehicle is asleep and no state has been read from it yet, an exception is thrown
+ */
+export async function getVehicleState(vin, useCache = true, requestConfig = {}) {
+    if (!useCache) {
+        await wakeVehicle(vin);
+    }
+    try {
+        const response = await teslaFleetApiClient.get(
+            `${vehiclePath(vin, "vehicle_data")}?endpoints=${encodeURIComponent("charge_state;climate_state;drive_state;location_data;vehicle_state")}`,
+            await withAccessToken(requestConfig)
+        );
+        lastKnownStates.set(vin, response.data["response"]);
+        return response.data["response"];
+    } catch (error) {
+        // The Fleet API responds with 408 while the vehicle is asleep
+        if (useCache && error.response?.status === 408 && lastKnownStates.has(vin)) {
+            return { ...lastKnownStates.get(vin), state: "asleep" };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Use the Fleet API to get the location of the vehicle
+ * @param {string} vin - The VIN of the vehicle
+ * @returns {Promise<{latitude: number, longitude: number}>} - The location
+ */
+export async function getVehicleLocation(vin) {
+    const { latitude, longitude } = (await getVehicleState(vin, false))["drive_state"];
+    return { latitude, longitude };
+}
+
+export async function unlockVehicle(vin, options) {
+    return await sendCommand(vin, "door_unlock", options,
+        (vehicleState) => vehicleState["vehicle_state"]["locked"] === false);
+}
+
+export async function lockVehicle(vin, options) {
+    return await sendCommand(vin, "door_lock", options,
+        (vehicleState) => vehicleState["vehicle_state"]["locked"] === true);
+}
+
+export async function openOrUnlockChargePort(vin, options) {
+    return await sendCommand(vin, "charge_port_door_open", options,
+        (vehicleState) => vehicleState["charge_state"]["charge_port_door_open"] === true);
+}
+
+export async function openFrunk(vin, options) {
+    return await sendCommand(vin, "actuate_trunk", options,
+        (vehicleState) => vehicleState["vehicle_state"]["ft"] !== 0, { which_trunk: "front" });
+}
+
+export async function openTrunk(vin, options) {
+    return await sendCommand(vin, "actuate_trunk", options,
+        (vehicleState) => vehicleState["vehicle_state"]["rt"] !== 0, { which_trunk: "rear" });
+}
+
+export async function setSentryMode(vin, enabled, options) {
+    return await sendCommand(vin, "set_sentry_mode", options,
+        (vehicleState) => vehicleState["vehicle_state"]["sentry_mode"] === enabled, { on: enabled });
+}
+
+// The positions of the windows in the vehicle state - 0 is closed
+const WINDOWS = ["fd_window", "fp_window", "rd_window", "rp_window"];
+
+export async function ventWindows(vin, options) {
+    // The location is only checked when closing the windows, but it must be sent
+    return await sendCommand(vin, "window_control", options,
+        (vehicleState) => WINDOWS.every(window => vehicleState["vehicle_state"][window] !== 0),
+        { command: "vent", lat: 0, lon: 0 });
+}
+
+/**
+ * Close all windows. Tesla only closes them if the location sent with the command is
+ * close to the vehicle, so its current location is read first.
+ * @param {string} vin - The VIN of the vehicle
+ * @param {Object} [options] - Pass { confirm: true } to wait until the windows are closed
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
+ */
+export async function closeWindows(vin, options) {
+    const { latitude, longitude } = await getVehicleLocation(vin);
+    return await sendCommand(vin, "window_control", options,
+        (vehicleState) => WINDOWS.every(window => vehicleState["vehicle_state"][window] === 0),
+        { command: "close", lat: latitude, lon: longitude });
+}
+
+export async function setChargeLimit(vin, percent, options) {
+    return await sendCommand(vin, "set_charge_limit", options,
+        (vehicleState) => vehicleState["charge_state"]["charge_limit_soc"] === percent, { percent });
+}
+
+export async function setChargingAmps(vin, amps, options) {
+    return await sendCommand(vin, "set_charging_amps", options,
+        (vehicleState) => vehicleState["charge_state"]["charge_current_request"] === amps, { charging_amps: amps });
+}
+
+export async function startVehicleCharging(vin, options) {
+    return await sendCommand(vin, "charge_start", options,
+        (vehicleState) => vehicleState["charge_state"]["charging_state"] === "Charging");
+}
+
+export async function stopVehicleCharging(vin, options) {
+    return await sendCommand(vin, "charge_stop", options,
+        (vehicleState) => vehicleState["charge_state"]["charging_state"] !== "Charging");
+}
+
+export async function closeChargePort(vin, options) {
+    return await sendCommand(vin, "charge_port_door_close", options,
+        (vehicleState) => vehicleState["charge_state"]["charge_port_door_open"] === false);
+}
+
+export async function startClimate(vin, options) {
+    return await sendCommand(vin, "auto_conditioning_start", options,
+        (vehicleState) => vehicleState["climate_state"]["is_climate_on"] === true);
+}
+
+export async function stopClimate(vin, options) {
+    return await sendCommand(vin, "auto_conditioning_stop", options,
+        (vehicleState) => vehicleState["climate_state"]["is_climate_on"] === false);
+}
+
+// The heater numbers of the seats in remote_seat_heater_request
+const SEAT_HEATERS = { "front-left": 0, "front-right": 1, "rear-left": 2, "rear-center": 4, "rear-right": 5 };
+
+/**
+ * Send a climate command with parameters
+ * @param {string} vin - The VIN of the vehicle
+ * @param {string} command - The Fleet API command, e.g. "set_temps"
+ * @param {Object} body - The parameters of the command
+ * @returns {Promise<void>}
+ * @throws If the vehicle did not carry out the command, an exception is thrown
+ */
+async function sendClimateCommand(vin, command, body) {
+    const { result, reason } = await postCommand(vin, command, body);
+    if (!result) {
+        throw new Error(`Command ${command} failed: ${reason}`);
+    }
+}
+
+/**
+ * Change the climate settings - only the settings that are supplied are sent
+ * @param {string} vin - The VIN of the vehicle
+ * @param {Object} settings - See parseClimateSettings() in climate_utils.js
+ * @returns {Promise<void>}
+ * @throws If the vehicle did not carry out a command, an exception is thrown
+ */
+export async function applyClimateSettings(vin, settings) {
+    if (settings.temperature !== undefined) {
+        await sendClimateCommand(vin, "set_temps", { driver_temp: settings.temperature, passenger_temp: settings.temperature });
+    }
+    for (const [seat, level] of Object.entries(settings.seatHeaters ?? {})) {
+        await sendClimateCommand(vin, "remote_seat_heater_request", { heater: SEAT_HEATERS[seat], level });
+    }
+    if (settings.steeringWheelHeater !== undefined) {
+        await sendClimateCommand(vin, "remote_steering_wheel_heater_request", { on: settings.steeringWheelHeater });
+    }
+    if (settings.defrost !== undefined) {
+        await sendClimateCommand(vin, "set_preconditioning_max", { on: settings.defrost });
+    }
+}
+
+/**
+ * Flash the lights on the vehicle to find it easily
+ * @param {string} vin - The VIN of the vehicle
+ * @param {number} numberOfFlashes - The number of times to flash the lights
+ * @param {boolean} useHorn - Whether to use the horn before flashing the lights
+ * @returns {void}
+ * @throws {ValidationError} - If the number of flashes is out of range
+ * @throws {Error} - An error is thrown in case the vehicle cannot be reached
+ */
+export async function findVehicle(vin, numberOfFlashes, useHorn) {
+    if (numberOfFlashes < 0 || numberOfFlashes > 5) {
+        throw new ValidationError("Number of flashes must be between 0 and 5");
+    }
+    if (useHorn) {
+        await sendCommand(vin, "honk_horn");
+    }
+    for (let i = 0; i < numberOfFlashes; i++) {
+        await sendCommand(vin, "flash_lights");
+    }
+}
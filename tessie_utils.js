@@ -1,20 +1,25 @@
 import { default as axios } from "axios";
-import { default as haversine } from "haversine-distance";
 import dotenv from "dotenv";
-import { logMessage, headersAsString } from "./utils.js";
+import { createLogger, ValidationError } from "./utils.js";
+import { sendConfirmedCommand } from "./command_utils.js";
+import { addResiliencePolicy } from "./resilience_utils.js";
 
 dotenv.config();
 
-const TESSIE_API_URL = "https://api.tessie.com";
+const logger = createLogger("tessie");
+
+const TESSIE_API_URL = process.env.TESSIE_API_URL || "https://api.tessie.com";
 const TESSIE_TOKEN = process.env.TESSIE_TOKEN;
-const TESSIE_VIN = process.env.TESSIE_VIN;
 
-export const VEHICLE_HOME_LATITUDE = process.env.VEHICLE_HOME_LATITUDE;
-export const VEHICLE_HOME_LONGITUDE = process.env.VEHICLE_HOME_LONGITUDE;
+// How long to wait for the vehicle to wake up - longer than the other calls
+const WAKE_TIMEOUT = 60000;
+
+// The positions of the windows in the vehicle state - 0 is closed
+const WINDOWS = ["fd_window", "fp_window", "rd_window", "rp_window"];
 
-// Create an Axios instance for calling the Tessie API
+// Create an Axios instance for calling the Tessie API - the paths start with the VIN
 const tessieApiClient = axios.create({
-    baseURL: `${TESSIE_API_URL}/${TESSIE_VIN}`,
+    baseURL: TESSIE_API_URL,
     headers: {
         "Accept": "application/json",
         "Authorization": `Bearer ${TESSIE_TOKEN}`
@@ -22,105 +27,359 @@ const tessieApiClient = axios.create({
 });
 
 tessieApiClient.interceptors.request.use((config) => {
-    logMessage("Outgoing request to Tessie API:\n" +
-        `\t${config.method.toString().toUpperCase()} ${config.baseURL}${config.url}\n` +
-        `\tHeaders: \n${headersAsString(config.headers)}\n` +
-        `\tData: ${config.data}`
-    );
+    logger.info(`Outgoing request to Tessie API: ${config.method.toUpperCase()} ${config.baseURL}${config.url}`);
+    logger.debug("Request details", { headers: config.headers, data: config.data });
     return config;
 });
 
+addResiliencePolicy(tessieApiClient, "tessie");
+
 /**
- * Use the Tessie API to get if the vehicle is at a given location
- * @param {number} targetLatitude - Latitude of location to check
- * @param {number} targetLongitude - Longitude of location to check
- * @param {number} radius - The radius (accuracy) in meters - default 100m
+ * Build the path of a call about a vehicle, with every segment encoded so that a VIN
+ * or a command cannot add segments or a query to it
+ * @param {string} vin - The VIN of the vehicle
+ * @param {...string} segments - The rest of the path, e.g. "command", "lock"
+ * @returns {string} - The path, e.g. "/5YJ3E7EB0KF000001/command/lock"
  */
-export async function isVehicleInTargetLocation(targetLatitude, targetLongitude, radius = 100) {
-    const locationResponse = await tessieApiClient.get("/location");
+function vehiclePath(vin, ...segments) {
+    return `/${[vin, ...segments].map(encodeURIComponent).join("/")}`;
+}
+
+/**
+ * Check that the Tessie API can be reached and accepts TESSIE_TOKEN. The check is a
+ * single call outside of the retries and the circuit of the other calls.
+ * @param {number} timeout - How long to wait for a response, in milliseconds
+ * @throws If Tessie cannot be reached, rejects the token or fails, an exception is thrown
+ */
+export async function checkTessieConnection(timeout) {
+    const response = await axios.get(`${TESSIE_API_URL}/vehicles`, {
+        params: { only_active: true },
+        headers: { "Accept": "application/json", "Authorization": `Bearer ${TESSIE_TOKEN}` },
+        timeout,
+        validateStatus: () => true
+    });
+    if (response.status === 401 || response.status === 403) {
+        throw new Error("Tessie rejected TESSIE_TOKEN");
+    }
+    if (response.status >= 400) {
+        throw new Error(`Tessie responded with status ${response.status}`);
+    }
+}
+
+/**
+ * Use the Tessie API to get the location of the vehicle
+ * @param {string} vin - The VIN of the vehicle
+ * @returns {Promise<{latitude: number, longitude: number}>} - The location
+ */
+export async function getVehicleLocation(vin) {
+    const locationResponse = await tessieApiClient.get(vehiclePath(vin, "location"));
     const { latitude, longitude } = locationResponse.data;
+    return { latitude, longitude };
+}
 
-    const targetLocation = { latitude: targetLatitude, longitude: targetLongitude };
-    const vehicleLocation = { latitude: latitude, longitude: longitude };
-    return haversine(targetLocation, vehicleLocation) <= radius;
+/**
+ * Send a command to the vehicle and wait until it has actually been carried out.
+ * Tessie is asked to wait for the command result, then the live state is checked.
+ * @param {string} vin - The VIN of the vehicle
+ * @param {string} command - The Tessie command, e.g. "lock"
+ * @param {Object} options
+ * @param {number} [options.timeout] - How long to wait in total, in milliseconds
+ * @param {function(Object): boolean} [options.isStateReached] - Checks the vehicle state
+ * for the effect of the command
+ * @param {Object} [options.params] - The parameters of the command, e.g. { percent: 80 }
+ * @returns {Promise<Object>} - The outcome of the command
+ */
+async function confirmCommand(vin, command, { timeout, isStateReached, params } = {}) {
+    return await sendConfirmedCommand({
+        command,
+        timeout,
+        isStateReached,
+        send: async (timeout) => (await tessieApiClient.post(
+            `${vehiclePath(vin, "command", command)}?wait_for_completion=true`,
+            null,
+            { timeout, params }
+        )).data,
+        getLiveState: (timeout) => getVehicleState(vin, false, { timeout })
+    });
 }
 
 /**
- * Send an "unlock" command to the vehicle without waiting for the result
- * @returns {void}
+ * Send a command to the vehicle, either without waiting for the result or, in confirm
+ * mode, waiting until it has been carried out
+ * @param {string} vin - The VIN of the vehicle
+ * @param {string} command - The Tessie command, e.g. "lock"
+ * @param {Object} options
+ * @param {boolean} [options.confirm] - Whether to wait for the outcome (default false)
+ * @param {number} [options.timeout] - How long to wait in confirm mode, in milliseconds
+ * @param {function(Object): boolean} [isStateReached] - Checks the vehicle state for the
+ * effect of the command in confirm mode
+ * @param {Object} [params] - The parameters of the command, e.g. { percent: 80 }
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
  */
-export async function unlockVehicle() {
+async function sendCommand(vin, command, { confirm = false, timeout } = {}, isStateReached, params) {
+    if (confirm) {
+        return await confirmCommand(vin, command, { timeout, isStateReached, params });
+    }
     await tessieApiClient.post(
-        "/command/unlock?wait_for_completion=false",
-        null
+        `${vehiclePath(vin, "command", command)}?wait_for_completion=false`,
+        null,
+        { params }
     );
 }
 
 /**
- * Send a "lock" command to the vehicle without waiting for the result
- * @returns {void}
+ * Send an "unlock" command to the vehicle
+ * @param {string} vin - The VIN of the vehicle
+ * @param {Object} [options] - Pass { confirm: true } to wait until the vehicle is unlocked
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
  */
-export async function lockVehicle() {
-    await tessieApiClient.post(
-        "/command/lock?wait_for_completion=false",
-        null
-    );
+export async function unlockVehicle(vin, options) {
+    return await sendCommand(vin, "unlock", options,
+        (vehicleState) => vehicleState["vehicle_state"]["locked"] === false);
 }
 
-export async function toggleVehicleLock() {
-    logMessage("Toggle lock state requested");
-    const vehicleData = await tessieApiClient.get("/state");
-    const isLocked = vehicleData.data["vehicle_state"]["locked"];
-    logMessage(`Vehicle is locked: ${isLocked}`);
-    if (isLocked) {
-        await unlockVehicle();
-    } else {
-        await lockVehicle();
-    }
+/**
+ * Send a "lock" command to the vehicle
+ * @param {string} vin - The VIN of the vehicle
+ * @param {Object} [options] - Pass { confirm: true } to wait until the vehicle is locked
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
+ */
+export async function lockVehicle(vin, options) {
+    return await sendCommand(vin, "lock", options,
+        (vehicleState) => vehicleState["vehicle_state"]["locked"] === true);
 }
 
-export async function openOrUnlockChargePort() {
-    await tessieApiClient.post(
-        "/command/open_charge_port",
-        null
-    );
+/**
+ * Get the full state of the vehicle (charge, climate, drive and vehicle state)
+ * @param {string} vin - The VIN of the vehicle
+ * @param {boolean} useCache - Whether Tessie may return its cached state instead of
+ * waking the vehicle - default true
+ * @param {Object} [requestConfig] - Extra Axios request config, e.g. a timeout
+ * @returns {Promise<Object>} - The vehicle state as returned by Tessie
+ */
+export async function getVehicleState(vin, useCache = true, requestConfig = {}) {
+    const stateResponse = await tessieApiClient.get(`${vehiclePath(vin, "state")}?use_cache=${useCache}`, requestConfig);
+    return stateResponse.data;
 }
 
-export async function openFrunk() {
+/**
+ * Open the charge port or unlock the charge cable
+ * @param {string} vin - The VIN of the vehicle
+ * @param {Object} [options] - Pass { confirm: true } to wait until the charge port is open
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
+ */
+export async function openOrUnlockChargePort(vin, options = {}) {
+    if (options.confirm) {
+        return await confirmCommand(vin, "open_charge_port", {
+            timeout: options.timeout,
+            isStateReached: (vehicleState) => vehicleState["charge_state"]["charge_port_door_open"] === true
+        });
+    }
     await tessieApiClient.post(
-        "/command/activate_front_trunk?wait_for_completion=false",
+        vehiclePath(vin, "command", "open_charge_port"),
         null
     );
 }
 
-export async function startClimate() {
-    await tessieApiClient.post(
-        "/command/start_climate?wait_for_completion=false",
-        null
-    );
+/**
+ * Open the front trunk
+ * @param {string} vin - The VIN of the vehicle
+ * @param {Object} [options] - Pass { confirm: true } to wait until the frunk is open
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
+ */
+export async function openFrunk(vin, options) {
+    return await sendCommand(vin, "activate_front_trunk", options,
+        (vehicleState) => vehicleState["vehicle_state"]["ft"] !== 0);
+}
+
+/**
+ * Open the rear trunk
+ * @param {string} vin - The VIN of the vehicle
+ * @param {Object} [options] - Pass { confirm: true } to wait until the trunk is open
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
+ */
+export async function openTrunk(vin, options) {
+    return await sendCommand(vin, "activate_rear_trunk", options,
+        (vehicleState) => vehicleState["vehicle_state"]["rt"] !== 0);
+}
+
+/**
+ * Turn sentry mode on or off
+ * @param {string} vin - The VIN of the vehicle
+ * @param {boolean} enabled - Whether sentry mode should be on
+ * @param {Object} [options] - Pass { confirm: true } to wait until sentry mode is changed
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
+ */
+export async function setSentryMode(vin, enabled, options) {
+    return await sendCommand(vin, enabled ? "enable_sentry" : "disable_sentry", options,
+        (vehicleState) => vehicleState["vehicle_state"]["sentry_mode"] === enabled);
+}
+
+/**
+ * Vent all windows
+ * @param {string} vin - The VIN of the vehicle
+ * @param {Object} [options] - Pass { confirm: true } to wait until the windows are open
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
+ */
+export async function ventWindows(vin, options) {
+    return await sendCommand(vin, "vent_windows", options,
+        (vehicleState) => WINDOWS.every(window => vehicleState["vehicle_state"][window] !== 0));
+}
+
+/**
+ * Close all windows
+ * @param {string} vin - The VIN of the vehicle
+ * @param {Object} [options] - Pass { confirm: true } to wait until the windows are closed
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
+ */
+export async function closeWindows(vin, options) {
+    return await sendCommand(vin, "close_windows", options,
+        (vehicleState) => WINDOWS.every(window => vehicleState["vehicle_state"][window] === 0));
+}
+
+/**
+ * Set the charge limit
+ * @param {string} vin - The VIN of the vehicle
+ * @param {number} percent - The charge limit in percent, see parseChargeLimit() in charge_settings_utils.js
+ * @param {Object} [options] - Pass { confirm: true } to wait until the charge limit is set
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
+ */
+export async function setChargeLimit(vin, percent, options) {
+    return await sendCommand(vin, "set_charge_limit", options,
+        (vehicleState) => vehicleState["charge_state"]["charge_limit_soc"] === percent, { percent });
+}
+
+/**
+ * Set the current the vehicle draws while charging
+ * @param {string} vin - The VIN of the vehicle
+ * @param {number} amps - The current in amps, see parseChargingAmps() in charge_settings_utils.js
+ * @param {Object} [options] - Pass { confirm: true } to wait until the current is set
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
+ */
+export async function setChargingAmps(vin, amps, options) {
+    return await sendCommand(vin, "set_charging_amps", options,
+        (vehicleState) => vehicleState["charge_state"]["charge_current_request"] === amps, { amps });
+}
+
+/**
+ * Start charging on the vehicle's side, e.g. after it was stopped in the car
+ * @param {string} vin - The VIN of the vehicle
+ * @param {Object} [options] - Pass { confirm: true } to wait until the vehicle is charging
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
+ */
+export async function startVehicleCharging(vin, options) {
+    return await sendCommand(vin, "start_charging", options,
+        (vehicleState) => vehicleState["charge_state"]["charging_state"] === "Charging");
+}
+
+/**
+ * Stop charging on the vehicle's side
+ * @param {string} vin - The VIN of the vehicle
+ * @param {Object} [options] - Pass { confirm: true } to wait until the vehicle has stopped charging
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
+ */
+export async function stopVehicleCharging(vin, options) {
+    return await sendCommand(vin, "stop_charging", options,
+        (vehicleState) => vehicleState["charge_state"]["charging_state"] !== "Charging");
+}
+
+/**
+ * Close the charge port
+ * @param {string} vin - The VIN of the vehicle
+ * @param {Object} [options] - Pass { confirm: true } to wait until the charge port is closed
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
+ */
+export async function closeChargePort(vin, options) {
+    return await sendCommand(vin, "close_charge_port", options,
+        (vehicleState) => vehicleState["charge_state"]["charge_port_door_open"] === false);
+}
+
+/**
+ * Start the climate with the last used settings
+ * @param {string} vin - The VIN of the vehicle
+ * @param {Object} [options] - Pass { confirm: true } to wait until the climate is on
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
+ */
+export async function startClimate(vin, options) {
+    return await sendCommand(vin, "start_climate", options,
+        (vehicleState) => vehicleState["climate_state"]["is_climate_on"] === true);
+}
+
+/**
+ * Stop the climate
+ * @param {string} vin - The VIN of the vehicle
+ * @param {Object} [options] - Pass { confirm: true } to wait until the climate is off
+ * @returns {Promise<Object|undefined>} - The outcome in confirm mode, otherwise nothing
+ */
+export async function stopClimate(vin, options) {
+    return await sendCommand(vin, "stop_climate", options,
+        (vehicleState) => vehicleState["climate_state"]["is_climate_on"] === false);
+}
+
+/**
+ * Send a climate command with parameters and wait for its result
+ * @param {string} vin - The VIN of the vehicle
+ * @param {string} command - The Tessie command, e.g. "set_temperatures"
+ * @param {Object} [params] - The parameters of the command
+ * @returns {Promise<void>}
+ * @throws If the vehicle did not carry out the command, an exception is thrown
+ */
+async function sendClimateCommand(vin, command, params = {}) {
+    // Setting the same value again has no further effect, so these commands can be retried
+    const response = await tessieApiClient.post(vehiclePath(vin, "command", command), null, {
+        params: { wait_for_completion: true, ...params },
+        idempotent: true
+    });
+    if (!response.data.result) {
+        throw new Error(`Command ${command} failed`);
+    }
+}
+
+/**
+ * Change the climate settings - only the settings that are supplied are sent
+ * @param {string} vin - The VIN of the vehicle
+ * @param {Object} settings - See parseClimateSettings() in climate_utils.js
+ * @returns {Promise<void>}
+ * @throws If the vehicle did not carry out a command, an exception is thrown
+ */
+export async function applyClimateSettings(vin, settings) {
+    if (settings.temperature !== undefined) {
+        await sendClimateCommand(vin, "set_temperatures", { temperature: settings.temperature });
+    }
+    for (const [seat, level] of Object.entries(settings.seatHeaters ?? {})) {
+        await sendClimateCommand(vin, "set_seat_heat", { seat: seat.replace("-", "_"), level });
+    }
+    if (settings.steeringWheelHeater !== undefined) {
+        await sendClimateCommand(vin, settings.steeringWheelHeater ? "start_steering_wheel_heater" : "stop_steering_wheel_heater");
+    }
+    if (settings.defrost !== undefined) {
+        await sendClimateCommand(vin, settings.defrost ? "start_max_defrost" : "stop_max_defrost");
+    }
 }
 
 /**
  * Flash the lights on the vehicle to find it easily
+ * @param {string} vin - The VIN of the vehicle
  * @param {number} numberOfFlashes - The number of times to flash the lights
  * @param {boolean} useHorn - Whether to use the horn before flashing the lights
  * @returns {void}
+ * @throws {ValidationError} - If the number of flashes is out of range
  * @throws {Error} - An error is thrown in case the vehicle cannot be reached
  */
-export async function findVehicle(numberOfFlashes, useHorn) {
+export async function findVehicle(vin, numberOfFlashes, useHorn) {
     if (numberOfFlashes < 0 || numberOfFlashes > 5) {
-        throw new Error("Number of flashes must be between 0 and 5");
+        throw new ValidationError("Number of flashes must be between 0 and 5");
     }
     // First we need to make sure the vehicle is awake, as we need
     // precise timing for the horn and sequential light flashes
-    const wakeResponse = await tessieApiClient.post("/wake");
+    const wakeResponse = await tessieApiClient.post(vehiclePath(vin, "wake"), null, { timeout: WAKE_TIMEOUT, idempotent: true });
     const isSuccessful = wakeResponse.data.result;
     if (!isSuccessful) {
         throw new Error("Vehicle wake result is false");
     }
     
     if (useHorn) {
-        const hornResponse = await tessieApiClient.post("/command/honk");
+        const hornResponse = await tessieApiClient.post(vehiclePath(vin, "command", "honk"));
         const hornSuccessful = hornResponse.data.result;
         if (!hornSuccessful) {
             throw new Error("Horn command failed");
@@ -128,7 +387,7 @@ export async function findVehicle(numberOfFlashes, useHorn) {
     }
 
     for (let i = 0; i < numberOfFlashes; i++) {
-        const flashResponse = await tessieApiClient.post("/command/flash?retry_duration=5");
+        const flashResponse = await tessieApiClient.post(`${vehiclePath(vin, "command", "flash")}?retry_duration=5`);
         const flashSuccessful = flashResponse.data.result;
         if (!flashSuccessful) {
             throw new Error(`Flash lights command failed on iteration ${i + 1}`);
@@ -0,0 +1,199 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { randomUUID } from "crypto";
+import { startProxy } from "./helpers/proxy.js";
+import { TEST_VIN, TEST_PASSWORD } from "./helpers/environment.js";
+
+const { baseUrl, tessie, close } = await startProxy();
+const { createApiKey, signRequest, safeEqual } = await import("../auth_utils.js");
+
+// The commands the fake Tessie API has received, e.g. ["lock", "unlock"]
+const sentCommands = () => tessie.requests
+    .filter(({ method, path }) => method === "POST" && path.startsWith(`/${TEST_VIN}/command/`))
+    .map(({ path }) => path.split("/").pop());
+
+/**
+ * Build the headers of a request signed with the secret of an API key
+ * @param {Object} apiKey - The API key, as returned by createApiKey()
+ * @param {string} method - The HTTP method
+ * @param {string} url - The path and query string
+ * @param {Object} [overrides] - Values to use instead of the correct ones
+ * @returns {Object} - The headers
+ */
+function signedHeaders(apiKey, method, url, { timestamp = Date.now().toString(), nonce = randomUUID(), body } = {}) {
+    return {
+        "X-Key-Id": apiKey.id,
+        "X-Timestamp": timestamp,
+        "X-Nonce": nonce,
+        "X-Signature": signRequest(apiKey.secret, { method, url, timestamp, nonce, body })
+    };
+}
+
+after(close);
+
+beforeEach(() => {
+    tessie.requests.length = 0;
+});
+
+describe("constant-time comparison", () => {
+    it("compares strings of any length", () => {
+        assert.equal(safeEqual("secret", "secret"), true);
+        assert.equal(safeEqual("secret", "secret!"), false);
+        assert.equal(safeEqual("", "secret"), false);
+        assert.equal(safeEqual(undefined, "secret"), false);
+    });
+});
+
+describe("API keys", () => {
+    let climateKey;
+
+    before(async () => {
+        climateKey = await createApiKey("watch", ["vehicle:climate"]);
+    });
+
+    it("accepts a valid key in the X-API-Key header", async () => {
+        const response = await fetch(`${baseUrl}/vehicle/climate`, { headers: { "X-API-Key": climateKey.apiKey } });
+        assert.equal(response.status, 200);
+        assert.deepEqual(sentCommands(), ["start_climate"]);
+    });
+
+    it("rejects a request outside of the key's scopes", async () => {
+        const response = await fetch(`${baseUrl}/vehicle/unlock`, { headers: { "X-API-Key": climateKey.apiKey } });
+        assert.equal(response.status, 403);
+        assert.deepEqual(sentCommands(), []);
+    });
+
+    it("rejects a wrong secret and an unknown key", async () => {
+        for (const apiKey of [`${climateKey.id}.wrong`, "unknown.secret", "no-separator"]) {
+            const response = await fetch(`${baseUrl}/vehicle/climate`, { headers: { "X-API-Key": apiKey } });
+            assert.equal(response.status, 401);
+        }
+        assert.deepEqual(sentCommands(), []);
+    });
+
+    it("rejects the password when an API key is supplied", async () => {
+        const response = await fetch(`${baseUrl}/vehicle/unlock?password=${TEST_PASSWORD}`, {
+            headers: { "X-API-Key": climateKey.apiKey }
+        });
+        assert.equal(response.status, 403);
+    });
+
+    it("grants every scope with \"*\"", async () => {
+        const allKey = await createApiKey("phone", ["*"]);
+        const response = await fetch(`${baseUrl}/vehicle/unlock`, { headers: { "X-API-Key": allKey.apiKey } });
+        assert.equal(response.status, 200);
+    });
+
+    it("rejects unknown scopes", async () => {
+        await assert.rejects(createApiKey("watch", ["vehicle:fly"]), { name: "ValidationError" });
+        await assert.rejects(createApiKey("watch", []), { name: "ValidationError" });
+    });
+});
+
+describe("signed requests", () => {
+    let apiKey;
+
+    before(async () => {
+        apiKey = await createApiKey("automation", ["vehicle:lock", "schedules"]);
+    });
+
+    it("accepts a valid signature", async () => {
+        const url = "/vehicle/lock?confirm=false";
+        const response = await fetch(`${baseUrl}${url}`, { headers: signedHeaders(apiKey, "GET", url) });
+        assert.equal(response.status, 200);
+        assert.deepEqual(sentCommands(), ["lock"]);
+    });
+
+    it("covers the body in the signature", async () => {
+        const body = JSON.stringify({ cron: "0 23 * * *" });
+        const headers = { "Content-Type": "application/json", ...signedHeaders(apiKey, "POST", "/schedules", { body }) };
+        let response = await fetch(`${baseUrl}/schedules`, { method: "POST", headers, body });
+        assert.equal(response.status, 201);
+
+        const otherHeaders = { "Content-Type": "application/json", ...signedHeaders(apiKey, "POST", "/schedules", { body }) };
+        response = await fetch(`${baseUrl}/schedules`, {
+            method: "POST",
+            headers: otherHeaders,
+            body: JSON.stringify({ cron: "0 1 * * *" })
+        });
+        assert.equal(response.status, 401);
+    });
+
+    it("rejects a replayed request", async () => {
+        const headers = signedHeaders(apiKey, "GET", "/vehicle/lock");
+        let response = await fetch(`${baseUrl}/vehicle/lock`, { headers });
+        assert.equal(response.status, 200);
+        response = await fetch(`${baseUrl}/vehicle/lock`, { headers });
+        assert.equal(response.status, 401);
+        assert.deepEqual(sentCommands(), ["lock"]);
+    });
+
+    it("rejects an old timestamp", async () => {
+        const timestamp = (Date.now() - 10 * 60 * 1000).toString();
+        const response = await fetch(`${baseUrl}/vehicle/lock`, { headers: signedHeaders(apiKey, "GET", "/vehicle/lock", { timestamp }) });
+        assert.equal(response.status, 401);
+    });
+
+    it("rejects a signature for another route", async () => {
+        const response = await fetch(`${baseUrl}/vehicle/lock`, { headers: signedHeaders(apiKey, "GET", "/vehicle/lock?confirm=true") });
+        assert.equal(response.status, 401);
+        assert.deepEqual(sentCommands(), []);
+    });
+});
+
+describe("password", () => {
+    it("still accepts the shared password", async () => {
+        const response = await fetch(`${baseUrl}/vehicle/lock?password=${TEST_PASSWORD}`);
+        assert.equal(response.status, 200);
+    });
+
+    it("does not grant the admin scope", async () => {
+        const response = await fetch(`${baseUrl}/admin/keys?password=${TEST_PASSWORD}`);
+        assert.equal(response.status, 403);
+    });
+});
+
+describe("admin routes", () => {
+    let adminKey;
+
+    before(async () => {
+        adminKey = await createApiKey("admin", ["admin"]);
+    });
+
+    it("creates, lists and revokes keys", async () => {
+        const headers = { "X-API-Key": adminKey.apiKey, "Content-Type": "application/json" };
+        let response = await fetch(`${baseUrl}/admin/keys`, {
+            method: "POST",
+            headers,
+            body: JSON.stringify({ name: "car", scopes: ["vehicle:unlock"] })
+        });
+        assert.equal(response.status, 201);
+        const created = await response.json();
+        assert.ok(created.apiKey);
+
+        response = await fetch(`${baseUrl}/admin/keys`, { headers });
+        const listed = await response.json();
+        assert.ok(listed.some(({ id }) => id === created.id));
+        assert.ok(listed.every(apiKey => apiKey.secret === undefined));
+
+        response = await fetch(`${baseUrl}/vehicle/unlock`, { headers: { "X-API-Key": created.apiKey } });
+        assert.equal(response.status, 200);
+
+        response = await fetch(`${baseUrl}/admin/keys/${created.id}`, { method: "DELETE", headers });
+        assert.equal(response.status, 204);
+        response = await fetch(`${baseUrl}/admin/keys/${created.id}`, { method: "DELETE", headers });
+        assert.equal(response.status, 404);
+
+        response = await fetch(`${baseUrl}/vehicle/unlock`, { headers: { "X-API-Key": created.apiKey } });
+        assert.equal(response.status, 401);
+    });
+
+    it("rejects invalid keys", async () => {
+        const response = await fetch(`${baseUrl}/admin/keys`, {
+            method: "POST",
+            headers: { "X-API-Key": adminKey.apiKey, "Content-Type": "application/json" },
+            body: JSON.stringify({ name: "car", scopes: ["everything"] })
+        });
+        assert.equal(response.status, 400);
+    });
+});
@@ -0,0 +1,171 @@
+import { describe, it, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { writeFile } from "fs/promises";
+import { startProxy } from "./helpers/proxy.js";
+import { TEST_VIN, TEST_CHARGER_ID } from "./helpers/environment.js";
+
+const { tessie, request, close } = await startProxy();
+const { authorizeCharging, stopCharging, getChargingSession } = await import("../gigacharger_utils.js");
+const { readChargingSessions } = await import("../charging_history_utils.js");
+
+/**
+ * Wait until a condition is met - the session is recorded after stopCharging() has returned
+ * @param {function(): Promise<boolean>|boolean} condition - The condition
+ */
+async function waitFor(condition) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        if (await condition()) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.fail("Timed out waiting for the condition");
+}
+
+/**
+ * A recorded session in local time, e.g. on the night tariff
+ * @param {string} id - The ID of the record
+ * @param {Date} startedAt - When the session started, on the hour
+ * @param {Array<number>} energyByHour - The energy delivered in each hour from the start
+ * @returns {Object} - The record
+ */
+function recordedSession(id, startedAt, energyByHour) {
+    const energyKWh = energyByHour.reduce((total, energy) => total + energy, 0);
+    return {
+        id,
+        chargerID: TEST_CHARGER_ID,
+        vin: TEST_VIN,
+        startedAt: startedAt.toISOString(),
+        endedAt: new Date(startedAt.getTime() + energyByHour.length * 3600000).toISOString(),
+        durationSeconds: energyByHour.length * 3600,
+        energyKWh,
+        peakPowerW: 7400,
+        cost: energyKWh * 0.4,
+        energyByHour: Object.fromEntries(energyByHour.map((energy, hour) =>
+            [new Date(startedAt.getTime() + hour * 3600000).toISOString(), energy])),
+        socBefore: 40,
+        socAfter: 60
+    };
+}
+
+// Two sessions on one night and one in the next month, in local time
+const RECORDED_SESSIONS = [
+    recordedSession("first", new Date(2024, 10, 22, 21), [5, 7]),
+    recordedSession("second", new Date(2024, 10, 22, 23), [4]),
+    recordedSession("third", new Date(2024, 11, 1, 22), [2, 2])
+];
+
+// Expensive during the day, cheap from 22:00
+const TARIFF = [{ from: "22:00", to: "06:00", price: 0.1 }, { from: "06:00", to: "22:00", price: 0.3 }];
+
+after(close);
+
+beforeEach(async () => {
+    await writeFile(process.env.CHARGING_HISTORY_FILE, RECORDED_SESSIONS.map(session => JSON.stringify(session) + "\n").join(""));
+    await writeFile(process.env.SETTINGS_FILE, JSON.stringify({ planner: { tariff: TARIFF } }));
+});
+
+describe("recording sessions", () => {
+    it("records a session with the state of charge before and after", async () => {
+        await writeFile(process.env.CHARGING_HISTORY_FILE, "");
+        tessie.vehicleState.charge_state.battery_level = 50;
+        await authorizeCharging(TEST_CHARGER_ID, TEST_VIN);
+        await waitFor(async () => (await getChargingSession(TEST_CHARGER_ID))?.energyKWh === 0.25
+            && tessie.requests.some(({ path }) => path.startsWith(`/${TEST_VIN}/state`)));
+        tessie.vehicleState.charge_state.battery_level = 51;
+        await stopCharging(TEST_CHARGER_ID);
+
+        await waitFor(async () => (await readChargingSessions()).length === 1);
+        const [session] = await readChargingSessions();
+        assert.equal(session.chargerID, TEST_CHARGER_ID);
+        assert.equal(session.vin, TEST_VIN);
+        assert.equal(session.energyKWh, 0.25);
+        assert.equal(session.peakPowerW, 7400);
+        assert.equal(session.cost, 0.1);
+        assert.equal(session.durationSeconds, 11);
+        assert.equal(session.socBefore, 50);
+        assert.equal(session.socAfter, 51);
+        assert.deepEqual(Object.values(session.energyByHour), [0.25]);
+        assert.ok(session.startedAt && session.endedAt);
+    });
+});
+
+describe("charging report", () => {
+    it("adds up the sessions in total and per day and month", async () => {
+        const response = await request("GET", "/reports/charging");
+        assert.equal(response.status, 200);
+        const report = await response.json();
+        assert.deepEqual(report.total, {
+            sessions: 3,
+            energyKWh: 20,
+            durationHours: 5,
+            cost: 8,
+            // 5 kWh at 21:00 cost 0.3, the rest is on the night tariff
+            tariffCost: 3,
+            averageTariffPrice: 0.15
+        });
+        assert.deepEqual(report.days.map(({ period, sessions, energyKWh, tariffCost }) => ({ period, sessions, energyKWh, tariffCost })), [
+            { period: "2024-11-22", sessions: 2, energyKWh: 16, tariffCost: 2.6 },
+            { period: "2024-12-01", sessions: 1, energyKWh: 4, tariffCost: 0.4 }
+        ]);
+        assert.deepEqual(report.months.map(({ period, sessions, cost }) => ({ period, sessions, cost })), [
+            { period: "2024-11", sessions: 2, cost: 6.4 },
+            { period: "2024-12", sessions: 1, cost: 1.6 }
+        ]);
+    });
+
+    it("filters the sessions by start time", async () => {
+        const from = new Date(2024, 10, 22, 22).toISOString();
+        const to = new Date(2024, 11, 1).toISOString();
+        const report = await (await request("GET", `/reports/charging?from=${from}&to=${to}`)).json();
+        assert.equal(report.from, from);
+        assert.equal(report.total.sessions, 1);
+        assert.equal(report.total.energyKWh, 4);
+    });
+
+    it("leaves the tariff cost empty without a tariff", async () => {
+        await writeFile(process.env.SETTINGS_FILE, JSON.stringify({}));
+        const report = await (await request("GET", "/reports/charging")).json();
+        assert.equal(report.total.tariffCost, null);
+        assert.equal(report.total.averageTariffPrice, null);
+        assert.equal(report.total.cost, 8);
+    });
+
+    it("exports the totals per month as CSV", async () => {
+        const response = await request("GET", "/reports/charging?format=csv&period=month");
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get("content-type"), /^text\/csv/);
+        assert.match(response.headers.get("content-disposition"), /charging-report-month\.csv/);
+        assert.equal(await response.text(), [
+            "period,sessions,energyKWh,durationHours,cost,tariffCost,averageTariffPrice",
+            "2024-11,2,16,3,6.4,2.6,0.1625",
+            "2024-12,1,4,2,1.6,0.4,0.1",
+            ""
+        ].join("\n"));
+    });
+
+    it("exports the sessions as CSV", async () => {
+        const response = await request("GET", "/reports/charging/sessions?format=csv");
+        assert.equal(response.status, 200);
+        const [header, ...rows] = (await response.text()).trim().split("\n");
+        assert.equal(header, "id,chargerID,vin,startedAt,endedAt,durationSeconds,energyKWh,peakPowerW,cost,tariffCost,socBefore,socAfter");
+        assert.deepEqual(rows.map(row => row.split(",")[0]), ["first", "second", "third"]);
+    });
+
+    it("lists the sessions with their tariff cost", async () => {
+        const sessions = await (await request("GET", "/reports/charging/sessions")).json();
+        assert.deepEqual(sessions.map(({ id, tariffCost }) => ({ id, tariffCost })), [
+            { id: "first", tariffCost: 2.2 },
+            { id: "second", tariffCost: 0.4 },
+            { id: "third", tariffCost: 0.4 }
+        ]);
+    });
+
+    for (const query of ["from=yesterday", "format=xml", "format=csv&period=week"]) {
+        it(`rejects ${query}`, async () => {
+            const response = await request("GET", `/reports/charging?${query}`);
+            assert.equal(response.status, 400);
+            assert.equal((await response.json()).code, "invalid-request");
+        });
+    }
+});
@@ -0,0 +1,169 @@
+import { describe, it, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startProxy } from "./helpers/proxy.js";
+import { TEST_VIN } from "./helpers/environment.js";
+
+const { tessie, request, close } = await startProxy();
+const { runPreconditioning, getPreconditioningCron } = await import("../preconditioning_utils.js");
+const { readAuditLog } = await import("../audit_utils.js");
+
+const HOME = { latitude: 42.6977, longitude: 23.3219 };
+const OFFICE = { latitude: 42.6500, longitude: 23.3800 };
+
+// The commands the fake Tessie API has received with their parameters, e.g. [["set_temperatures", { temperature: "22" }]]
+const sentCommands = () => tessie.requests
+    .filter(({ method, path }) => method === "POST" && path.startsWith(`/${TEST_VIN}/command/`))
+    .map(({ path, query }) => {
+        const { wait_for_completion, ...parameters } = query;
+        return [path.split("/").pop(), parameters];
+    });
+
+after(close);
+
+beforeEach(() => {
+    tessie.requests.length = 0;
+    tessie.location = { ...HOME };
+    tessie.vehicleState.charge_state.battery_level = 50;
+    tessie.vehicleState.climate_state.is_climate_on = false;
+});
+
+describe("climate routes", () => {
+    it("starts the climate with the supplied settings", async () => {
+        const response = await request("GET",
+            "/vehicle/climate?temperature=22.5&seatHeaters=front-left:3,front-right:1&steeringWheelHeater=true&defrost=false");
+        assert.equal(response.status, 200);
+        assert.deepEqual(sentCommands(), [
+            ["start_climate", {}],
+            ["set_temperatures", { temperature: "22.5" }],
+            ["set_seat_heat", { seat: "front_left", level: "3" }],
+            ["set_seat_heat", { seat: "front_right", level: "1" }],
+            ["start_steering_wheel_heater", {}],
+            ["stop_max_defrost", {}]
+        ]);
+        const climateState = tessie.vehicleState.climate_state;
+        assert.equal(climateState.driver_temp_setting, 22.5);
+        assert.equal(climateState.seat_heater_left, 3);
+        assert.equal(climateState.steering_wheel_heater, true);
+    });
+
+    it("starts the climate with the last used settings if none are supplied", async () => {
+        const response = await request("GET", "/vehicle/climate");
+        assert.equal(response.status, 200);
+        assert.deepEqual(sentCommands(), [["start_climate", {}]]);
+    });
+
+    for (const [description, query] of [
+        ["a temperature out of range", "temperature=35"],
+        ["an unknown seat", "seatHeaters=driver:3"],
+        ["a seat heater level out of range", "seatHeaters=front-left:5"],
+        ["a defrost that is not a boolean", "defrost=yes"]
+    ]) {
+        it(`rejects ${description}`, async () => {
+            const response = await request("GET", `/vehicle/climate?${query}`);
+            assert.equal(response.status, 400);
+            assert.deepEqual(sentCommands(), []);
+        });
+    }
+
+    it("stops the climate", async () => {
+        tessie.vehicleState.climate_state.is_climate_on = true;
+        const response = await request("GET", "/vehicle/climate/stop?confirm=true");
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).success, true);
+        assert.equal(tessie.vehicleState.climate_state.is_climate_on, false);
+        const [entry] = await readAuditLog({ command: "climate-stop", limit: 1 });
+        assert.equal(entry.success, true);
+    });
+});
+
+describe("preconditioning schedules", () => {
+    it("starts the climate the lead time before the departure", () => {
+        assert.equal(getPreconditioningCron({ departureTime: "07:30", days: [1, 2, 3, 4, 5], leadMinutes: 20 }), "10 7 * * 1,2,3,4,5");
+        // A start before midnight moves to the previous day
+        assert.equal(getPreconditioningCron({ departureTime: "00:10", days: [0, 1], leadMinutes: 30 }), "40 23 * * 0,6");
+    });
+
+    it("creates, updates and deletes a schedule", async () => {
+        let response = await request("POST", "/preconditioning", {
+            body: {
+                departureTime: "07:30",
+                days: [1, 2, 3, 4, 5],
+                climate: { temperature: 22, seatHeaters: { "front-left": 3 } }
+            }
+        });
+        assert.equal(response.status, 201);
+        const created = await response.json();
+        assert.equal(created.cron, "10 7 * * 1,2,3,4,5");
+        assert.deepEqual(created.climate, { temperature: 22, seatHeaters: { "front-left": 3 } });
+        assert.equal(created.minBatteryLevel, 20);
+
+        response = await request("PUT", `/preconditioning/${created.id}`, { body: { leadMinutes: 30, enabled: false } });
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).cron, "0 7 * * 1,2,3,4,5");
+
+        response = await request("GET", "/preconditioning");
+        assert.equal((await response.json()).length, 1);
+
+        response = await request("DELETE", `/preconditioning/${created.id}`);
+        assert.equal(response.status, 204);
+        response = await request("PUT", `/preconditioning/${created.id}`, { body: { enabled: true } });
+        assert.equal(response.status, 404);
+    });
+
+    for (const [description, body] of [
+        ["a departure that is not a time of day", { departureTime: "25:00" }],
+        ["an unknown day", { departureTime: "07:30", days: [7] }],
+        ["a lead time over two hours", { departureTime: "07:30", leadMinutes: 180 }],
+        ["invalid climate settings", { departureTime: "07:30", climate: { temperature: 40 } }]
+    ]) {
+        it(`rejects ${description}`, async () => {
+            const response = await request("POST", "/preconditioning", { body });
+            assert.equal(response.status, 400);
+        });
+    }
+});
+
+describe("running a preconditioning schedule", () => {
+    const preconditioning = {
+        id: "winter-morning",
+        name: "winter-morning",
+        departureTime: "07:30",
+        days: [1, 2, 3, 4, 5],
+        leadMinutes: 20,
+        vin: null,
+        climate: { temperature: 22, defrost: true },
+        minBatteryLevel: 30,
+        enabled: true
+    };
+
+    it("starts the climate at home", async () => {
+        const result = await runPreconditioning(preconditioning);
+        assert.deepEqual(result, { status: "started", reason: null });
+        assert.deepEqual(sentCommands().map(([command]) => command), ["start_climate", "set_temperatures", "start_max_defrost"]);
+        const [entry] = await readAuditLog({ caller: "preconditioning winter-morning", limit: 1 });
+        assert.equal(entry.command, "climate");
+        assert.equal(entry.success, true);
+    });
+
+    it("skips when the battery is too low", async () => {
+        tessie.vehicleState.charge_state.battery_level = 25;
+        const result = await runPreconditioning(preconditioning);
+        assert.equal(result.status, "skipped");
+        assert.deepEqual(sentCommands(), []);
+    });
+
+    it("skips when the vehicle is not at a known location", async () => {
+        tessie.location = { ...OFFICE };
+        const result = await runPreconditioning(preconditioning);
+        assert.equal(result.status, "skipped");
+        assert.deepEqual(sentCommands(), []);
+    });
+
+    it("starts the climate inside a geofence", async () => {
+        const response = await request("POST", "/geofences", { body: { name: "office", ...OFFICE, radius: 200 } });
+        assert.equal(response.status, 201);
+        tessie.location = { ...OFFICE };
+        const result = await runPreconditioning(preconditioning);
+        assert.equal(result.status, "started");
+    });
+});
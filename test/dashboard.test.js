@@ -0,0 +1,63 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "fs/promises";
+import { startProxy } from "./helpers/proxy.js";
+
+const { baseUrl, request, close } = await startProxy();
+const { createApiKey } = await import("../auth_utils.js");
+
+after(close);
+
+describe("dashboard", () => {
+    it("is served without credentials and cannot be framed", async () => {
+        const response = await fetch(`${baseUrl}/dashboard/`);
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get("Content-Type"), /text\/html/);
+        assert.equal(response.headers.get("X-Frame-Options"), "DENY");
+        assert.match(response.headers.get("Content-Security-Policy"), /default-src 'self'/);
+        assert.match(await response.text(), /<script src="dashboard.js" defer><\/script>/);
+    });
+
+    it("serves its script and stylesheet", async () => {
+        const script = await fetch(`${baseUrl}/dashboard/dashboard.js`);
+        assert.equal(script.status, 200);
+        assert.match(script.headers.get("Content-Type"), /javascript/);
+        const stylesheet = await fetch(`${baseUrl}/dashboard/dashboard.css`);
+        assert.equal(stylesheet.status, 200);
+        assert.match(stylesheet.headers.get("Content-Type"), /text\/css/);
+    });
+
+    it("only calls routes that exist", async () => {
+        const script = await readFile(new URL("../dashboard/dashboard.js", import.meta.url), "utf8");
+        const routes = [...script.matchAll(/"(\/(?:vehicle|gigacharger|schedules|history|auth)[\w/-]*)"/g)]
+            .map(([, route]) => route);
+        assert.ok(routes.length > 20);
+        for (const route of new Set(routes)) {
+            const response = await fetch(`${baseUrl}${route}`);
+            assert.equal(response.status, 401, `${route} responded with ${response.status}`);
+        }
+    });
+});
+
+describe("GET /auth/me", () => {
+    it("needs credentials", async () => {
+        const response = await fetch(`${baseUrl}/auth/me`);
+        assert.equal(response.status, 401);
+    });
+
+    it("returns the scopes of the password", async () => {
+        const response = await request("GET", "/auth/me");
+        assert.equal(response.status, 200);
+        const caller = await response.json();
+        assert.equal(caller.method, "password");
+        assert.ok(caller.scopes.includes("vehicle:unlock"));
+        assert.ok(!caller.scopes.includes("admin"));
+    });
+
+    it("returns the name and the scopes of an API key", async () => {
+        const key = await createApiKey("phone", ["vehicle:read", "vehicle:lock"]);
+        const response = await request("GET", "/auth/me", { apiKey: key.apiKey });
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), { name: "phone", method: "api-key", scopes: ["vehicle:read", "vehicle:lock"] });
+    });
+});
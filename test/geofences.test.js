@@ -0,0 +1,176 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startProxy } from "./helpers/proxy.js";
+import { TEST_VIN, TEST_CHARGER_ID } from "./helpers/environment.js";
+
+const { tessie, gigacharger, request, close } = await startProxy();
+const { checkGeofences, startGeofencePoller } = await import("../geofence_utils.js");
+const { stopCharging } = await import("../gigacharger_utils.js");
+const { readAuditLog } = await import("../audit_utils.js");
+const { resetCircuits } = await import("../resilience_utils.js");
+
+const HOME = { latitude: 42.6977, longitude: 23.3219 };
+// Roughly this many meters north of home
+const northOfHome = (meters) => ({ latitude: HOME.latitude + meters / 111320, longitude: HOME.longitude });
+
+// The commands the fake Tessie API has received, e.g. ["lock"]
+const sentCommands = () => tessie.requests
+    .filter(({ method, path }) => method === "POST" && path.startsWith(`/${TEST_VIN}/command/`))
+    .map(({ path }) => path.split("/").pop());
+
+after(close);
+
+beforeEach(() => {
+    tessie.requests.length = 0;
+    gigacharger.messages.length = 0;
+});
+
+describe("geofence routes", () => {
+    it("creates the home geofence from the environment", async () => {
+        await startGeofencePoller();
+        const response = await request("GET", "/geofences");
+        assert.equal(response.status, 200);
+        const [home] = await response.json();
+        assert.equal(home.name, "home");
+        assert.equal(home.latitude, HOME.latitude);
+        assert.equal(home.radius, 100);
+        assert.deepEqual(home.actions, { arrive: [], leave: [] });
+    });
+
+    it("rejects invalid geofences", async () => {
+        for (const body of [
+            { name: "work", latitude: 100, longitude: 23 },
+            { name: "work", latitude: 42, longitude: 23, radius: 0 },
+            { name: "work", latitude: 42, longitude: 23, actions: { arrive: ["unlock"] } },
+            { name: "work", latitude: 42, longitude: 23, actions: { passBy: [] } },
+            { name: "home", latitude: 42, longitude: 23 }
+        ]) {
+            const response = await request("POST", "/geofences", { body });
+            assert.equal(response.status, 400, JSON.stringify(body));
+        }
+    });
+
+    it("creates, updates and deletes a geofence", async () => {
+        let response = await request("POST", "/geofences", { body: { name: "work", latitude: 42.65, longitude: 23.38, radius: 200 } });
+        assert.equal(response.status, 201);
+        const work = await response.json();
+
+        response = await request("PUT", `/geofences/${work.id}`, { body: { actions: { leave: ["lock"] } } });
+        assert.equal(response.status, 200);
+        assert.deepEqual((await response.json()).actions, { leave: ["lock"] });
+
+        response = await request("PUT", `/geofences/${work.id}`, { body: { name: "home" } });
+        assert.equal(response.status, 400);
+
+        response = await request("DELETE", `/geofences/${work.id}`);
+        assert.equal(response.status, 204);
+        response = await request("DELETE", `/geofences/${work.id}`);
+        assert.equal(response.status, 404);
+        response = await request("PUT", `/geofences/${work.id}`, { body: { radius: 50 } });
+        assert.equal(response.status, 404);
+    });
+});
+
+describe("arrive and leave events", () => {
+    before(async () => {
+        const [home] = await (await request("GET", "/geofences")).json();
+        await request("PUT", `/geofences/${home.id}`, {
+            body: {
+                actions: { arrive: ["authorize-charging"], leave: ["lock"] }
+            }
+        });
+        tessie.location = { ...HOME };
+        // Establishes where the vehicle is without running any actions
+        assert.deepEqual(await checkGeofences(), []);
+    });
+
+    it("reports whether the vehicle is inside", async () => {
+        const [home] = await (await request("GET", "/geofences")).json();
+        assert.equal(home.inside, true);
+    });
+
+    it("ignores movements within the geofence and at its edge", async () => {
+        tessie.location = northOfHome(50);
+        assert.deepEqual(await checkGeofences(), []);
+        tessie.location = northOfHome(110);
+        assert.deepEqual(await checkGeofences(), []);
+        assert.deepEqual(sentCommands(), []);
+    });
+
+    it("locks the vehicle when leaving", async () => {
+        tessie.location = northOfHome(500);
+        assert.deepEqual(await checkGeofences(), [{ geofence: "home", event: "leave" }]);
+        assert.deepEqual(sentCommands(), ["lock"]);
+        assert.deepEqual(await checkGeofences(), []);
+        assert.deepEqual(sentCommands(), ["lock"]);
+    });
+
+    it("authorizes charging when arriving", async () => {
+        tessie.location = northOfHome(90);
+        assert.deepEqual(await checkGeofences(), [{ geofence: "home", event: "arrive" }]);
+        assert.deepEqual(gigacharger.messages, [["drain/start", TEST_CHARGER_ID]]);
+        await stopCharging();
+    });
+
+    it("records the actions in the audit log", async () => {
+        const [arrive, leave] = await readAuditLog({ command: "charging-start,lock" });
+        assert.equal(arrive.command, "charging-start");
+        assert.equal(arrive.caller.name, "geofence home (arrive)");
+        assert.equal(arrive.success, true);
+        assert.equal(leave.command, "lock");
+        assert.equal(leave.caller.name, "geofence home (leave)");
+    });
+
+    it("keeps running the actions when one fails", async () => {
+        const [home] = await (await request("GET", "/geofences")).json();
+        await request("PUT", `/geofences/${home.id}`, { body: { actions: { arrive: ["authorize-charging", "start-climate"] } } });
+        tessie.location = northOfHome(500);
+        // The geofence was changed, so this check only establishes where the vehicle is
+        assert.deepEqual(await checkGeofences(), []);
+
+        gigacharger.replyToCommands = false;
+        tessie.location = { ...HOME };
+        assert.deepEqual(await checkGeofences(), [{ geofence: "home", event: "arrive" }]);
+        gigacharger.replyToCommands = true;
+        assert.deepEqual(sentCommands(), ["start_climate"]);
+        const [climate, charging] = await readAuditLog({ limit: 2 });
+        assert.equal(charging.success, false);
+        assert.match(charging.error, /timed out/);
+        assert.equal(climate.success, true);
+        await stopCharging();
+    });
+
+    it("fails the check when the location is unavailable", async () => {
+        tessie.failWithStatus = 500;
+        await assert.rejects(checkGeofences());
+        tessie.failWithStatus = null;
+        resetCircuits();
+    });
+
+    it("reads the last known location without waking the vehicle", async () => {
+        await checkGeofences();
+        const stateRequests = tessie.requests.filter(({ path }) => path === `/${TEST_VIN}/state`);
+        assert.ok(stateRequests.length > 0);
+        assert.ok(stateRequests.every(({ query }) => query.use_cache === "true"));
+        assert.ok(!tessie.requests.some(({ path }) => path.endsWith("/wake")));
+    });
+
+    it("checks the other geofences when one of them fails", async () => {
+        // A vehicle Tessie doesn't know
+        await request("PUT", "/registry", {
+            body: { vehicles: [{ vin: TEST_VIN, name: "car" }, { vin: "UNKNOWNVIN", name: "ghost" }] }
+        });
+        const response = await request("POST", "/geofences", { body: { name: "elsewhere", latitude: 42.65, longitude: 23.38, vin: "ghost" } });
+        assert.equal(response.status, 201);
+        const elsewhere = await response.json();
+        tessie.location = { ...HOME };
+        await assert.rejects(checkGeofences());
+
+        tessie.location = northOfHome(500);
+        await assert.rejects(checkGeofences(), /Could not check 1 geofence\(s\) - elsewhere: /);
+        const home = (await (await request("GET", "/geofences")).json()).find(({ name }) => name === "home");
+        assert.equal(home.inside, false);
+        await request("DELETE", `/geofences/${elsewhere.id}`);
+        await request("PUT", "/registry", { body: { vehicles: [], defaultVehicle: null } });
+    });
+});
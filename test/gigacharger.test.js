@@ -0,0 +1,172 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFile, writeFile } from "fs/promises";
+import { startFakeGigacharger } from "./helpers/fake_gigacharger.js";
+import { configureTestEnvironment, TEST_CHARGER_ID } from "./helpers/environment.js";
+
+const gigacharger = await startFakeGigacharger();
+configureTestEnvironment({ gigacharger });
+const {
+    authorizeCharging,
+    stopCharging,
+    getChargingSession,
+    parseGigachargerFrame,
+    parseSessionFrame
+} = await import("../gigacharger_utils.js");
+
+const delay = (milliseconds) => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+// Rejections nobody is waiting for, e.g. a timeout firing after a command has succeeded
+const unhandledRejections = [];
+const onUnhandledRejection = (reason) => unhandledRejections.push(reason);
+
+before(() => {
+    process.on("unhandledRejection", onUnhandledRejection);
+});
+
+after(async () => {
+    process.off("unhandledRejection", onUnhandledRejection);
+    await gigacharger.close();
+});
+
+beforeEach(() => {
+    gigacharger.replyToCommands = true;
+    gigacharger.loginStatus = 200;
+});
+
+describe("parsing frames", () => {
+    it("parses a frame", () => {
+        assert.deepEqual(parseGigachargerFrame("[\"status\",[\"10334\",2],null]"), {
+            type: "status",
+            payload: ["10334", 2],
+            error: null
+        });
+    });
+
+    it("ignores malformed frames", () => {
+        assert.equal(parseGigachargerFrame("not json"), null);
+        assert.equal(parseGigachargerFrame("[1,2,3]"), null);
+    });
+
+    it("parses the session telemetry", () => {
+        assert.deepEqual(parseSessionFrame([10334, 1441, 0.001, 7400, 1]), {
+            chargerID: "10334",
+            durationSeconds: 1441,
+            energyKWh: 0.001,
+            powerW: 7400,
+            state: 1
+        });
+        assert.throws(() => parseSessionFrame([10334]));
+    });
+});
+
+describe("charging", () => {
+    it("logs in and authorizes charging", async () => {
+        await authorizeCharging();
+        assert.equal(gigacharger.logins, 1);
+        assert.deepEqual(gigacharger.messages.at(-1), ["drain/start", TEST_CHARGER_ID]);
+        const saved = JSON.parse(await readFile(process.env.GIGACHARGER_SESSION_FILE, "utf8"));
+        assert.equal(saved.sessionID, gigacharger.validSessionID);
+    });
+
+    it("does not fail after the authorization has succeeded", async () => {
+        await delay(Number(process.env.GIGACHARGER_WS_TIMEOUT_MS) + 200);
+        assert.deepEqual(unhandledRejections, []);
+    });
+
+    it("tracks the session telemetry and its cost", async () => {
+        const session = await getChargingSession();
+        assert.equal(session.chargerID, TEST_CHARGER_ID);
+        assert.equal(session.active, true);
+        assert.equal(session.durationSeconds, 11);
+        assert.equal(session.energyKWh, 0.25);
+        assert.equal(session.powerW, 7400);
+        assert.equal(session.cost, 0.1);
+        assert.ok(session.startedAt);
+    });
+
+    it("stops charging", async () => {
+        const session = await stopCharging();
+        assert.deepEqual(gigacharger.messages.at(-1), ["drain/stop", TEST_CHARGER_ID]);
+        assert.equal(session.active, false);
+        assert.equal(session.powerW, 0);
+        assert.ok(session.endedAt);
+    });
+
+    it("charges on a requested charger", async () => {
+        await authorizeCharging("20001");
+        assert.deepEqual(gigacharger.messages.at(-1), ["drain/start", "20001"]);
+        await stopCharging("20001");
+    });
+
+    it("reuses the session instead of logging in again", async () => {
+        await authorizeCharging();
+        await stopCharging();
+        assert.equal(gigacharger.logins, 1);
+    });
+
+    it("logs in again when Gigacharger rejects the session", async () => {
+        gigacharger.validSessionID = "expired";
+        await authorizeCharging();
+        assert.equal(gigacharger.logins, 2);
+        assert.deepEqual(gigacharger.messages.at(-1), ["drain/start", TEST_CHARGER_ID]);
+        await stopCharging();
+    });
+
+    it("times out when Gigacharger does not reply", async () => {
+        gigacharger.replyToCommands = false;
+        await assert.rejects(authorizeCharging(), /timed out/);
+        gigacharger.replyToCommands = true;
+        await stopCharging();
+    });
+
+    it("waits for the reply from the charger the command was sent for", async () => {
+        const startFrames = gigacharger.startFrames;
+        gigacharger.startFrames = (chargerID) => [
+            ["status", ["20001", 2], null],
+            ["session", [20001, 60, 0.5, 7400, 1], null],
+            ["session", [Number(chargerID), 11, 0.25, 7400, 1], null]
+        ];
+        await assert.rejects(authorizeCharging(), /timed out/);
+        gigacharger.startFrames = (chargerID) => [
+            ["status", ["20001", 2], null],
+            ["drain/start", chargerID, "unknown-charger"]
+        ];
+        await assert.rejects(authorizeCharging(), /rejected the drain\/start command: "unknown-charger"/);
+        gigacharger.startFrames = startFrames;
+        await stopCharging();
+        await stopCharging("20001");
+    });
+
+    it("fails when the login fails", async () => {
+        gigacharger.validSessionID = "expired";
+        gigacharger.loginStatus = 401;
+        await assert.rejects(authorizeCharging());
+    });
+});
+
+describe("saved session", () => {
+    it("uses the session saved on disk after a restart", async () => {
+        gigacharger.loginStatus = 200;
+        await authorizeCharging();
+        await stopCharging();
+        const logins = gigacharger.logins;
+        const saved = JSON.parse(await readFile(process.env.GIGACHARGER_SESSION_FILE, "utf8"));
+        assert.equal(saved.sessionID, gigacharger.validSessionID);
+
+        // A fresh instance of the module has nothing in memory, like after a restart
+        const restarted = await import("../gigacharger_utils.js?restarted");
+        await restarted.authorizeCharging();
+        await restarted.stopCharging();
+        assert.equal(gigacharger.logins, logins);
+    });
+
+    it("logs in when the session saved on disk has expired", async () => {
+        await writeFile(process.env.GIGACHARGER_SESSION_FILE, JSON.stringify({ sessionID: "expired" }));
+        const logins = gigacharger.logins;
+        const restarted = await import("../gigacharger_utils.js?expired");
+        await restarted.authorizeCharging();
+        await restarted.stopCharging();
+        assert.equal(gigacharger.logins, logins + 1);
+    });
+});
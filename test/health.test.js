@@ -0,0 +1,142 @@
+import { describe, it, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startProxy } from "./helpers/proxy.js";
+
+const { tessie, request, close } = await startProxy();
+const { validateConfig } = await import("../config_utils.js");
+const { clearUpstreamChecks } = await import("../health_utils.js");
+const { clearJobRuns } = await import("../job_utils.js");
+const { loadSchedules, runChargingSchedule } = await import("../schedule_utils.js");
+const { createApiKey } = await import("../auth_utils.js");
+const { resetCircuits } = await import("../resilience_utils.js");
+
+const HOME = { latitude: 42.6977, longitude: 23.3219 };
+
+after(close);
+
+beforeEach(() => {
+    tessie.failWithStatus = null;
+    tessie.location = { ...HOME };
+    clearUpstreamChecks();
+    clearJobRuns();
+    resetCircuits();
+});
+
+describe("configuration", () => {
+    it("accepts the test configuration", async () => {
+        const config = await validateConfig();
+        assert.equal(config.valid, true);
+        assert.deepEqual(config.errors, []);
+    });
+
+    it("reports missing credentials", async () => {
+        const config = await validateConfig({ ...process.env, TESSIE_TOKEN: "", GIGACHARGER_EMAIL: "" });
+        assert.equal(config.valid, false);
+        assert.equal(config.errors.length, 2);
+        assert.match(config.errors[0], /^TESSIE_TOKEN is not set/);
+        assert.match(config.errors[1], /^GIGACHARGER_EMAIL is not set/);
+    });
+
+    it("needs the Tesla client credentials for the Tesla provider only", async () => {
+        const config = await validateConfig({ ...process.env, VEHICLE_PROVIDER: "tesla", TESSIE_TOKEN: "" });
+        assert.deepEqual(config.errors.map(error => error.split(" ")[0]), ["CLIENT_ID", "CLIENT_SECRET"]);
+        assert.ok(config.warnings.some(warning => warning.startsWith("TESLA_REDIRECT_URI is not set")));
+    });
+
+    it("reports an unknown vehicle provider", async () => {
+        const config = await validateConfig({ ...process.env, VEHICLE_PROVIDER: "carrier-pigeon" });
+        assert.match(config.errors[0], /^VEHICLE_PROVIDER must be one of tessie, tesla, simulator/);
+    });
+
+    it("reports malformed numbers and URLs", async () => {
+        const config = await validateConfig({
+            ...process.env,
+            GIGACHARGER_PRICE_PER_KWH: "cheap",
+            VEHICLE_HOME_LATITUDE: "123",
+            GIGACHARGER_WS_URL: "https://ws.gigacharger.net",
+            NOTIFY_WEBHOOK_URLS: "https://example.com/hook, not a url"
+        });
+        assert.deepEqual(config.errors, [
+            "GIGACHARGER_PRICE_PER_KWH must be a number of at least 0 - not \"cheap\"",
+            "VEHICLE_HOME_LATITUDE must be a number between -90 and 90 - not \"123\"",
+            "GIGACHARGER_WS_URL must be a URL starting with ws:// or wss:// - not \"https://ws.gigacharger.net\"",
+            "NOTIFY_WEBHOOK_URLS must be a comma-separated list of http(s) URLs - \"not a url\" is not one"
+        ]);
+    });
+
+    it("warns about settings that turn off a feature", async () => {
+        const config = await validateConfig({
+            ...process.env,
+            VEHICLE_HOME_LONGITUDE: "",
+            NOTIFY_EVENTS: "job-failed,charging-paused"
+        });
+        assert.equal(config.valid, true);
+        assert.equal(config.warnings.length, 2);
+        assert.match(config.warnings[0], /^VEHICLE_HOME_LATITUDE and VEHICLE_HOME_LONGITUDE are not set/);
+        assert.equal(config.warnings[1], "NOTIFY_EVENTS has unknown events: charging-paused");
+    });
+});
+
+describe("GET /ready", () => {
+    it("is ready without credentials when the upstreams can be reached", async () => {
+        const response = await request("GET", "/ready", { authorized: false });
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), { ready: true, config: true, upstreams: { tessie: true, gigacharger: true } });
+        assert.ok(tessie.requests.some(({ path }) => path === "/vehicles"));
+    });
+
+    it("is not ready when Tessie fails", async () => {
+        tessie.failWithStatus = 503;
+        const response = await request("GET", "/ready", { authorized: false });
+        assert.equal(response.status, 503);
+        assert.deepEqual(await response.json(), { ready: false, config: true, upstreams: { tessie: false, gigacharger: true } });
+    });
+
+    it("reuses a recent check", async () => {
+        await request("GET", "/ready", { authorized: false });
+        tessie.failWithStatus = 503;
+        const response = await request("GET", "/ready", { authorized: false });
+        assert.equal(response.status, 200);
+    });
+});
+
+describe("GET /health", () => {
+    it("needs the health scope", async () => {
+        const key = await createApiKey("monitor", ["history"]);
+        const response = await request("GET", "/health", { apiKey: key.apiKey });
+        assert.equal(response.status, 403);
+    });
+
+    it("reports the configuration, the upstreams and the scheduled jobs", async () => {
+        const [chargingSchedule] = await loadSchedules();
+        const response = await request("GET", "/health");
+        assert.equal(response.status, 200);
+        const health = await response.json();
+        assert.equal(health.status, "ok");
+        assert.equal(health.vehicleProvider, "tessie");
+        assert.equal(health.config.valid, true);
+        assert.equal(typeof health.uptimeSeconds, "number");
+        for (const upstream of ["tessie", "gigacharger"]) {
+            assert.equal(health.upstreams[upstream].reachable, true);
+            assert.equal(health.upstreams[upstream].error, null);
+            assert.equal(health.upstreams[upstream].circuit, "closed");
+            assert.equal(typeof health.upstreams[upstream].latencyMs, "number");
+        }
+        const job = health.jobs.find(({ job }) => job === `schedule ${chargingSchedule.id}`);
+        assert.ok(new Date(job.nextRun) > new Date());
+        assert.equal(job.lastRun, null);
+    });
+
+    it("reports a failed job run and a rejected token as degraded", async () => {
+        tessie.location = { latitude: HOME.latitude + 0.01, longitude: HOME.longitude };
+        await runChargingSchedule({ id: "nightly", cron: "0 22 * * *", chargerID: null, vin: null, radius: 100, enabled: true });
+        tessie.failWithStatus = 401;
+        const health = await (await request("GET", "/health")).json();
+        assert.equal(health.status, "degraded");
+        assert.equal(health.upstreams.tessie.reachable, false);
+        assert.equal(health.upstreams.tessie.error, "Tessie rejected TESSIE_TOKEN");
+        const job = health.jobs.find(({ job }) => job === "schedule nightly");
+        assert.equal(job.lastRun.success, false);
+        assert.match(job.lastRun.message, /vehicle is not at home location/);
+    });
+});
@@ -0,0 +1,59 @@
+import { mkdtempSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+
+export const TEST_VIN = "TESTVIN123";
+export const TEST_CHARGER_ID = "10334";
+export const TEST_PASSWORD = "test-password";
+
+/**
+ * Point the proxy at the local stand-ins and keep every file it writes in a temporary
+ * directory. Must be called before the proxy's modules are imported, as they read
+ * the environment when they are loaded. Every variable is set explicitly (empty if
+ * unused) so that a local .env file cannot leak into the tests.
+ * @param {Object} options
+ * @param {Object} [options.tessie] - The fake Tessie API
+ * @param {Object} [options.gigacharger] - The fake Gigacharger
+ * @param {Object} [options.overrides] - Additional environment variables
+ * @returns {string} - The temporary directory
+ */
+export function configureTestEnvironment({ tessie, gigacharger, overrides = {} } = {}) {
+    const directory = mkdtempSync(path.join(tmpdir(), "kronaby-proxy-test-"));
+    Object.assign(process.env, {
+        USAGE_PASSWORD: TEST_PASSWORD,
+        VEHICLE_PROVIDER: "tessie",
+        TESSIE_API_URL: tessie?.url ?? "http://127.0.0.1:9",
+        TESSIE_TOKEN: "test-tessie-token",
+        TESSIE_VIN: TEST_VIN,
+        VEHICLE_HOME_LATITUDE: "42.6977",
+        VEHICLE_HOME_LONGITUDE: "23.3219",
+        GIGACHARGER_API_HOST: gigacharger?.apiUrl ?? "http://127.0.0.1:9",
+        GIGACHARGER_WS_URL: gigacharger?.wsUrl ?? "ws://127.0.0.1:9",
+        GIGACHARGER_EMAIL: "driver@example.com",
+        GIGACHARGER_PASSWORD: "gigacharger-password",
+        GIGACHARGER_MY_CHARGER_ID: TEST_CHARGER_ID,
+        GIGACHARGER_PRICE_PER_KWH: "0.4",
+        GIGACHARGER_WS_TIMEOUT_MS: "500",
+        GIGACHARGER_SESSION_WAIT_TIME_MS: "200",
+        GIGACHARGER_SESSION_FILE: path.join(directory, "gigacharger_session.json"),
+        SETTINGS_FILE: path.join(directory, "settings.json"),
+        LOCK_STATE_FILE: path.join(directory, "lock_state.json"),
+        TESLA_TOKENS_FILE: path.join(directory, "tesla_tokens.json"),
+        API_KEYS_FILE: path.join(directory, "api_keys.json"),
+        AUDIT_LOG_FILE: path.join(directory, "audit_log.jsonl"),
+        CHARGING_HISTORY_FILE: path.join(directory, "charging_history.jsonl"),
+        GEOFENCE_POLL_INTERVAL_MS: "0",
+        UPSTREAM_RETRY_DELAY_MS: "5",
+        CLIENT_ID: "",
+        CLIENT_SECRET: "",
+        TESLA_APP_DOMAIN: "",
+        TESLA_REDIRECT_URI: "",
+        NOTIFY_WEBHOOK_URLS: "",
+        NOTIFY_NTFY_URL: "",
+        SMTP_HOST: "",
+        NOTIFY_EMAIL_TO: "",
+        NOTIFY_EVENTS: "",
+        ...overrides
+    });
+    return directory;
+}
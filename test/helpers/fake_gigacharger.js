@@ -0,0 +1,92 @@
+import http from "http";
+import { WebSocketServer } from "ws";
+
+/**
+ * Start a local stand-in for Gigacharger: the login and station REST endpoints and
+ * the WebSocket, all on one port. Only the session ID handed out by the last login
+ * is accepted.
+ * @returns {Promise<Object>} - The fake: its URLs, the received logins and WebSocket
+ * messages, plus settings to change how it replies
+ */
+export async function startFakeGigacharger() {
+    const fake = {
+        apiUrl: null,
+        wsUrl: null,
+        logins: 0,
+        validSessionID: null,
+        messages: [],
+        // Whether to reply to commands sent over the WebSocket
+        replyToCommands: true,
+        // Frames sent after a "drain/start" command
+        startFrames: (chargerID) => [
+            ["status", [chargerID, 2], null],
+            ["session", [Number(chargerID), 11, 0.25, 7400, 1], null]
+        ],
+        // Respond to the login with this HTTP status, e.g. 401
+        loginStatus: 200,
+        close: null
+    };
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        if (req.method === "POST" && url.pathname === "/v1/login") {
+            req.resume();
+            req.on("end", () => {
+                fake.logins++;
+                if (fake.loginStatus !== 200) {
+                    res.writeHead(fake.loginStatus, { "Content-Type": "application/json" });
+                    return res.end(JSON.stringify({ success: false }));
+                }
+                fake.validSessionID = `session${fake.logins}`;
+                res.writeHead(200, {
+                    "Content-Type": "application/json",
+                    "Set-Cookie": [`manix-sess=${fake.validSessionID}; path=/; HttpOnly`]
+                });
+                res.end(JSON.stringify({ success: true }));
+            });
+            return;
+        }
+        if (req.method === "GET" && url.pathname === "/v1/station") {
+            const isValid = fake.validSessionID
+                && (req.headers.cookie ?? "").includes(`manix-sess=${fake.validSessionID}`);
+            res.writeHead(isValid ? 200 : 401, { "Content-Type": "application/json" });
+            return res.end(JSON.stringify(isValid ? { station: { id: url.searchParams.get("id") } } : {}));
+        }
+        res.writeHead(404);
+        res.end();
+    });
+
+    const webSocketServer = new WebSocketServer({
+        server,
+        verifyClient: ({ req }) => !!fake.validSessionID
+            && (req.headers.cookie ?? "").includes(`manix-sess=${fake.validSessionID}`)
+    });
+    webSocketServer.on("connection", (socket) => {
+        socket.on("message", (data) => {
+            const [command, chargerID] = JSON.parse(data.toString());
+            fake.messages.push([command, chargerID]);
+            if (!fake.replyToCommands) {
+                return;
+            }
+            const frames = command === "drain/start"
+                ? fake.startFrames(chargerID)
+                : [["status", [chargerID, 1], null]];
+            for (const frame of frames) {
+                socket.send(JSON.stringify(frame));
+            }
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const port = server.address().port;
+    fake.apiUrl = `http://127.0.0.1:${port}/v1`;
+    fake.wsUrl = `ws://127.0.0.1:${port}`;
+    fake.close = () => new Promise((resolve) => {
+        for (const client of webSocketServer.clients) {
+            client.terminate();
+        }
+        webSocketServer.close();
+        server.close(resolve);
+    });
+    return fake;
+}
@@ -0,0 +1,164 @@
+import http from "http";
+
+/**
+ * Create the state of a vehicle served by the fake
+ * @returns {{location: Object, vehicleState: Object}}
+ */
+function createFakeVehicle() {
+    return {
+        location: { latitude: 42.6977, longitude: 23.3219 },
+        vehicleState: {
+            state: "online",
+            charge_state: {
+                battery_level: 50,
+                battery_range: 155,
+                charge_limit_soc: 80,
+                charge_current_request: 16,
+                charge_port_door_open: false,
+                charging_state: "Disconnected"
+            },
+            climate_state: {
+                is_climate_on: false,
+                driver_temp_setting: 20,
+                seat_heater_left: 0,
+                seat_heater_right: 0,
+                steering_wheel_heater: false,
+                is_front_defroster_on: false
+            },
+            drive_state: { latitude: 42.6977, longitude: 23.3219 },
+            vehicle_state: {
+                locked: true,
+                ft: 0,
+                rt: 0,
+                fd_window: 0,
+                fp_window: 0,
+                rd_window: 0,
+                rp_window: 0,
+                sentry_mode: false,
+                timestamp: Date.now() - 60000
+            }
+        }
+    };
+}
+
+/**
+ * Start a local stand-in for the Tessie API for one or more vehicles.
+ * Commands change the vehicle state the way the real vehicle would.
+ * @param {...string} vins - The VINs the fake serves
+ * @returns {Promise<Object>} - The fake: its URL, the received requests and the state of
+ * every vehicle in `vehicles` - `location` and `vehicleState` are those of the first
+ * vehicle - plus settings to make commands fail
+ */
+export async function startFakeTessie(...vins) {
+    const fake = {
+        url: null,
+        requests: [],
+        vehicles: Object.fromEntries(vins.map(vin => [vin, createFakeVehicle()])),
+        get location() { return this.vehicles[vins[0]].location; },
+        set location(location) { this.vehicles[vins[0]].location = location; },
+        get vehicleState() { return this.vehicles[vins[0]].vehicleState; },
+        // The result reported for commands - set to false to make them fail
+        commandResult: true,
+        // Respond with this HTTP status to every request, e.g. 500
+        failWithStatus: null,
+        // Respond to the next requests with these HTTP statuses, e.g. [503]
+        failures: [],
+        // Wait this long before responding, in milliseconds
+        delayMs: 0,
+        close: null
+    };
+
+    const commandEffects = {
+        lock: (vehicleState) => { vehicleState.vehicle_state.locked = true; },
+        unlock: (vehicleState) => { vehicleState.vehicle_state.locked = false; },
+        activate_front_trunk: (vehicleState) => { vehicleState.vehicle_state.ft = 1; },
+        activate_rear_trunk: (vehicleState) => { vehicleState.vehicle_state.rt = 1; },
+        open_charge_port: (vehicleState) => { vehicleState.charge_state.charge_port_door_open = true; },
+        close_charge_port: (vehicleState) => { vehicleState.charge_state.charge_port_door_open = false; },
+        enable_sentry: (vehicleState) => { vehicleState.vehicle_state.sentry_mode = true; },
+        disable_sentry: (vehicleState) => { vehicleState.vehicle_state.sentry_mode = false; },
+        vent_windows: (vehicleState) => {
+            for (const window of ["fd_window", "fp_window", "rd_window", "rp_window"]) {
+                vehicleState.vehicle_state[window] = 1;
+            }
+        },
+        close_windows: (vehicleState) => {
+            for (const window of ["fd_window", "fp_window", "rd_window", "rp_window"]) {
+                vehicleState.vehicle_state[window] = 0;
+            }
+        },
+        set_charge_limit: (vehicleState, query) => { vehicleState.charge_state.charge_limit_soc = Number(query.percent); },
+        set_charging_amps: (vehicleState, query) => { vehicleState.charge_state.charge_current_request = Number(query.amps); },
+        start_charging: (vehicleState) => { vehicleState.charge_state.charging_state = "Charging"; },
+        stop_charging: (vehicleState) => { vehicleState.charge_state.charging_state = "Stopped"; },
+        start_climate: (vehicleState) => { vehicleState.climate_state.is_climate_on = true; },
+        stop_climate: (vehicleState) => { vehicleState.climate_state.is_climate_on = false; },
+        set_temperatures: (vehicleState, query) => { vehicleState.climate_state.driver_temp_setting = Number(query.temperature); },
+        set_seat_heat: (vehicleState, query) => {
+            const field = { front_left: "seat_heater_left", front_right: "seat_heater_right" }[query.seat] ?? `seat_heater_${query.seat}`;
+            vehicleState.climate_state[field] = Number(query.level);
+        },
+        start_steering_wheel_heater: (vehicleState) => { vehicleState.climate_state.steering_wheel_heater = true; },
+        stop_steering_wheel_heater: (vehicleState) => { vehicleState.climate_state.steering_wheel_heater = false; },
+        start_max_defrost: (vehicleState) => {
+            vehicleState.climate_state.is_front_defroster_on = true;
+            vehicleState.climate_state.is_climate_on = true;
+        },
+        stop_max_defrost: (vehicleState) => { vehicleState.climate_state.is_front_defroster_on = false; }
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        fake.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers });
+        if (fake.delayMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, fake.delayMs));
+        }
+        const send = (status, body) => {
+            res.writeHead(status, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(body));
+        };
+        const failure = fake.failures.shift() ?? fake.failWithStatus;
+        if (failure) {
+            return send(failure, { error: "fake failure" });
+        }
+        if (req.method === "GET" && url.pathname === "/vehicles") {
+            return send(200, { results: Object.keys(fake.vehicles).map(vin => ({ vin })) });
+        }
+        const [, requestVin, ...rest] = url.pathname.split("/");
+        const vehicle = fake.vehicles[requestVin];
+        if (!vehicle) {
+            return send(404, { error: "unknown vehicle" });
+        }
+        const path = rest.join("/");
+        if (req.method === "GET" && path === "location") {
+            return send(200, vehicle.location);
+        }
+        if (req.method === "GET" && path === "state") {
+            // A live state, like Tessie's after waking the vehicle, is up to date
+            if (url.searchParams.get("use_cache") === "false") {
+                vehicle.vehicleState.vehicle_state.timestamp = Date.now();
+            }
+            return send(200, {
+                ...vehicle.vehicleState,
+                drive_state: { ...vehicle.vehicleState.drive_state, ...vehicle.location }
+            });
+        }
+        if (req.method === "POST" && path === "wake") {
+            return send(200, { result: true });
+        }
+        if (req.method === "POST" && path.startsWith("command/")) {
+            const command = path.slice("command/".length);
+            if (fake.commandResult) {
+                commandEffects[command]?.(vehicle.vehicleState, Object.fromEntries(url.searchParams));
+                vehicle.vehicleState.vehicle_state.timestamp = Date.now();
+            }
+            return send(200, { result: fake.commandResult, woke: false });
+        }
+        send(404, { error: "not found" });
+    });
+
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    fake.url = `http://127.0.0.1:${server.address().port}`;
+    fake.close = () => new Promise(resolve => server.close(resolve));
+    return fake;
+}
@@ -0,0 +1,37 @@
+import http from "http";
+
+/**
+ * Start a local HTTP server that receives notifications: the webhook payloads and
+ * the ntfy messages, on any path.
+ * @returns {Promise<Object>} - The receiver: its URL, the received requests and the
+ * statuses to fail the next requests with
+ */
+export async function startNotificationReceiver() {
+    const receiver = {
+        url: null,
+        // Every request received: { path, headers, body }
+        requests: [],
+        // Respond to the next requests with these HTTP statuses, e.g. [500, 500]
+        failures: [],
+        close: null
+    };
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on("data", chunk => chunks.push(chunk));
+        req.on("end", () => {
+            receiver.requests.push({
+                path: new URL(req.url, "http://localhost").pathname,
+                headers: req.headers,
+                body: Buffer.concat(chunks).toString("utf8")
+            });
+            res.writeHead(receiver.failures.shift() ?? 200);
+            res.end();
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    receiver.url = `http://127.0.0.1:${server.address().port}`;
+    receiver.close = () => new Promise(resolve => server.close(resolve));
+    return receiver;
+}
@@ -0,0 +1,68 @@
+import schedule from "node-schedule";
+import { startFakeTessie } from "./fake_tessie.js";
+import { startFakeGigacharger } from "./fake_gigacharger.js";
+import { configureTestEnvironment, TEST_VIN, TEST_PASSWORD } from "./environment.js";
+
+/**
+ * Start the fake Tessie API and the fake Gigacharger, point the test environment at
+ * them and start the proxy on a free local port. The proxy is imported only once the
+ * environment is configured, so the test file must import any other module of the
+ * proxy after this has resolved.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.vins] - The VINs of the vehicles the fake Tessie API
+ * serves - default TEST_VIN
+ * @param {Object} [options.overrides] - Additional environment variables
+ * @returns {Promise<Object>} - The proxy: its base URL, the fakes, the temporary
+ * directory, request() and close()
+ */
+export async function startProxy({ vins = [TEST_VIN], overrides = {} } = {}) {
+    const tessie = await startFakeTessie(...vins);
+    const gigacharger = await startFakeGigacharger();
+    const directory = configureTestEnvironment({ tessie, gigacharger, overrides });
+    const { app } = await import("../../index.js");
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise(resolve => server.once("listening", resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * Send a request to the proxy, authenticated with the usage password unless an
+     * API key is given
+     * @param {string} method - The HTTP method
+     * @param {string} route - The route with any query parameters, without the password
+     * @param {Object} [options]
+     * @param {Object} [options.body] - JSON body
+     * @param {string} [options.apiKey] - Authenticate with this API key instead
+     * @param {boolean} [options.authorized] - Whether to authenticate at all - default true
+     * @param {Object} [options.headers] - Additional headers, e.g. X-Request-Id
+     * @returns {Promise<Response>}
+     */
+    const request = (method, route, { body, apiKey, authorized = true, headers = {} } = {}) => {
+        const url = new URL(route, baseUrl);
+        if (authorized && !apiKey) {
+            url.searchParams.set("password", TEST_PASSWORD);
+        }
+        return fetch(url, {
+            method,
+            redirect: "manual",
+            headers: {
+                ...(body !== undefined && { "Content-Type": "application/json" }),
+                ...(authorized && apiKey && { "X-API-Key": apiKey }),
+                ...headers
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+    };
+
+    /**
+     * Stop the scheduled jobs, the proxy and the fakes
+     * @returns {Promise<void>}
+     */
+    const close = async () => {
+        await schedule.gracefulShutdown();
+        await new Promise(resolve => server.close(resolve));
+        await tessie.close();
+        await gigacharger.close();
+    };
+
+    return { baseUrl, tessie, gigacharger, directory, request, close };
+}
@@ -0,0 +1,128 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startProxy } from "./helpers/proxy.js";
+import { TEST_VIN, TEST_CHARGER_ID, TEST_PASSWORD } from "./helpers/environment.js";
+
+const { tessie, request, close } = await startProxy();
+const { createApiKey } = await import("../auth_utils.js");
+const { runChargingSchedule } = await import("../schedule_utils.js");
+const { stopCharging } = await import("../gigacharger_utils.js");
+
+let watchKey;
+
+/**
+ * Get the command history
+ * @param {string} [query] - The filters, e.g. "command=lock"
+ * @returns {Promise<Array<Object>>} - The entries
+ */
+async function getHistory(query = "") {
+    const response = await request("GET", `/history?${query}`);
+    assert.equal(response.status, 200);
+    return await response.json();
+}
+
+before(async () => {
+    watchKey = await createApiKey("watch", ["vehicle:climate", "vehicle:lock"]);
+});
+
+after(close);
+
+describe("audit log", () => {
+    it("starts empty", async () => {
+        assert.deepEqual(await getHistory(), []);
+    });
+
+    it("records a command with its caller, parameters and result", async () => {
+        await request("GET", "/vehicle/climate?confirm=true&timeout=5", { apiKey: watchKey.apiKey });
+        const [entry] = await getHistory();
+        assert.equal(entry.command, "climate");
+        assert.equal(entry.route, "GET /vehicle/climate");
+        assert.deepEqual(entry.caller, { method: "api-key", keyID: watchKey.id, name: "watch" });
+        assert.deepEqual(entry.parameters, { confirm: "true", timeout: "5" });
+        assert.equal(entry.success, true);
+        assert.equal(entry.status, 200);
+        assert.equal(entry.result.stateVerified, true);
+        assert.equal(typeof entry.latencyMs, "number");
+        assert.equal(entry.error, null);
+    });
+
+    it("never records the password", async () => {
+        await request("GET", "/vehicle/lock");
+        const [entry] = await getHistory();
+        assert.equal(entry.command, "lock");
+        assert.equal(entry.caller.method, "password");
+        assert.deepEqual(entry.parameters, {});
+        assert.ok(!JSON.stringify(await getHistory()).includes(TEST_PASSWORD));
+    });
+
+    it("records failed commands with the error", async () => {
+        tessie.failWithStatus = 500;
+        await request("GET", "/vehicle/lock", { apiKey: watchKey.apiKey });
+        tessie.failWithStatus = null;
+        const [entry] = await getHistory();
+        assert.equal(entry.success, false);
+        assert.equal(entry.status, 502);
+        assert.match(entry.error, /status code 500/);
+    });
+
+    it("records attempts without permission", async () => {
+        await request("GET", "/vehicle/unlock", { apiKey: watchKey.apiKey });
+        await request("GET", "/vehicle/unlock", { authorized: false });
+        const [unauthenticated, forbidden] = await getHistory("command=unlock");
+        assert.equal(forbidden.status, 403);
+        assert.equal(forbidden.caller.name, "watch");
+        assert.equal(unauthenticated.status, 401);
+        assert.equal(unauthenticated.caller.method, "none");
+    });
+
+    it("records the commands of charging schedules", async () => {
+        await runChargingSchedule({ id: "nightly", cron: "0 22 * * *", chargerID: TEST_CHARGER_ID, radius: 100, enabled: true });
+        await stopCharging();
+        const [entry] = await getHistory("command=charging-start");
+        assert.deepEqual(entry.caller, { method: "job", keyID: null, name: "schedule nightly" });
+        assert.deepEqual(entry.parameters, { chargerID: TEST_CHARGER_ID, vin: TEST_VIN });
+        assert.equal(entry.success, true);
+    });
+});
+
+describe("history filters", () => {
+    it("filters by command type", async () => {
+        const entries = await getHistory("command=climate,lock");
+        assert.deepEqual(entries.map(({ command }) => command), ["lock", "lock", "climate"]);
+        assert.deepEqual(await getHistory("command=climate&command=lock"), entries);
+    });
+
+    it("filters by caller", async () => {
+        const entries = await getHistory(`caller=${watchKey.id}`);
+        assert.ok(entries.length > 0);
+        assert.ok(entries.every(({ caller }) => caller.keyID === watchKey.id));
+        const withSchedule = await getHistory(`caller=${watchKey.id}&caller=${encodeURIComponent("schedule nightly")}`);
+        assert.equal(withSchedule.length, entries.length + 1);
+    });
+
+    it("filters by time range", async () => {
+        const all = await getHistory();
+        const oldest = all.at(-1);
+        assert.deepEqual(await getHistory(`to=${encodeURIComponent(oldest.timestamp)}`), []);
+        const fromOldest = await getHistory(`from=${new Date(oldest.timestamp).getTime()}`);
+        assert.equal(fromOldest.length, all.length);
+        assert.deepEqual(await getHistory(`from=${Date.now() + 60000}`), []);
+    });
+
+    it("limits the number of entries, newest first", async () => {
+        const all = await getHistory();
+        assert.deepEqual(await getHistory("limit=2"), all.slice(0, 2));
+    });
+
+    it("rejects invalid filters", async () => {
+        for (const query of ["from=yesterday", "from=1&from=2", "limit=0", "limit=many", "command[lock]=1", "caller[name]=watch"]) {
+            const response = await request("GET", `/history?${query}`);
+            assert.equal(response.status, 400);
+        }
+    });
+
+    it("requires the history scope", async () => {
+        const response = await request("GET", "/history", { apiKey: watchKey.apiKey });
+        assert.equal(response.status, 403);
+    });
+});
@@ -0,0 +1,119 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import { startProxy } from "./helpers/proxy.js";
+import { TEST_PASSWORD } from "./helpers/environment.js";
+
+const { request, close } = await startProxy({
+    overrides: { LOG_FORMAT: "json", LOG_LEVEL: "info", LOG_LEVELS: "tessie=debug,lock-state=error" }
+});
+const { redact, createLogger } = await import("../utils.js");
+
+/**
+ * Capture the log lines written while running an action
+ * @param {function(): Promise<void>} action - The action
+ * @returns {Promise<Array<Object>>} - The parsed JSON log lines
+ */
+async function captureLogs(action) {
+    const lines = [];
+    const { log, error } = console;
+    console.log = console.error = (line) => lines.push(line);
+    try {
+        await action();
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+    return lines.map(line => JSON.parse(line));
+}
+
+after(close);
+
+describe("redaction", () => {
+    it("redacts secrets in strings", () => {
+        assert.equal(redact("Authorization: Bearer abc.def"), "Authorization: Bearer [REDACTED]");
+        assert.equal(redact("GET /vehicle/lock?password=hunter2&confirm=true"), "GET /vehicle/lock?password=[REDACTED]&confirm=true");
+        assert.equal(redact("manix-sess=s3cr3t; path=/"), "manix-sess=[REDACTED]; path=/");
+        assert.equal(redact("grant_type=refresh_token&refresh_token=xyz"), "grant_type=refresh_token&refresh_token=[REDACTED]");
+        assert.equal(redact("Request failed with status code 500"), "Request failed with status code 500");
+    });
+
+    it("redacts secrets in objects at any depth", () => {
+        assert.deepEqual(redact({
+            headers: { Authorization: "Bearer abc", Cookie: "manix-sess=123", Accept: "application/json" },
+            body: { client_secret: "shh", grant_type: "client_credentials" },
+            list: [{ password: "hunter2" }],
+            empty: { token: null }
+        }), {
+            headers: { Authorization: "[REDACTED]", Cookie: "[REDACTED]", Accept: "application/json" },
+            body: { client_secret: "[REDACTED]", grant_type: "client_credentials" },
+            list: [{ password: "[REDACTED]" }],
+            empty: { token: null }
+        });
+    });
+});
+
+describe("logger", () => {
+    it("writes JSON lines with the level and module", async () => {
+        const [line] = await captureLogs(async () => createLogger("planner").info("Charging planned", { energyKWh: 10 }));
+        assert.equal(line.level, "info");
+        assert.equal(line.module, "planner");
+        assert.equal(line.message, "Charging planned");
+        assert.equal(line.energyKWh, 10);
+        assert.equal(line.requestID, null);
+        assert.ok(line.time);
+    });
+
+    it("keeps the level, module and message when the fields have the same names", async () => {
+        const [line] = await captureLogs(async () => createLogger("planner").warn("Charging planned", {
+            level: "debug",
+            module: "tessie",
+            message: "something else",
+            requestID: "forged"
+        }));
+        assert.equal(line.level, "warn");
+        assert.equal(line.module, "planner");
+        assert.equal(line.message, "Charging planned");
+        assert.equal(line.requestID, null);
+    });
+
+    it("honours the levels of the modules", async () => {
+        const lines = await captureLogs(async () => {
+            createLogger("planner").debug("hidden by the default level");
+            createLogger("tessie").debug("shown for tessie");
+            createLogger("lock-state").warn("hidden for lock-state");
+            createLogger("lock-state").error("shown for lock-state");
+        });
+        assert.deepEqual(lines.map(({ message }) => message), ["shown for tessie", "shown for lock-state"]);
+    });
+});
+
+describe("request IDs", () => {
+    it("ties the outgoing API calls to the route call", async () => {
+        let response;
+        const lines = await captureLogs(async () => {
+            response = await request("GET", "/vehicle/lock", { headers: { "X-Request-Id": "watch-42" } });
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get("X-Request-Id"), "watch-42");
+        const tessieLines = lines.filter(({ module }) => module === "tessie");
+        assert.ok(tessieLines.length > 0);
+        assert.ok(lines.every(({ requestID }) => requestID === "watch-42"));
+    });
+
+    it("generates a request ID if none is supplied", async () => {
+        const response = await request("GET", "/", { authorized: false, headers: { "X-Request-Id": "not a valid id!" } });
+        assert.match(response.headers.get("X-Request-Id"), /^[0-9a-f-]{36}$/);
+    });
+
+    it("never logs the password or the Tessie token", async () => {
+        const lines = await captureLogs(async () => {
+            await request("GET", "/vehicle/unlock");
+            await request("GET", "/vehicle/unlock?password=wrong-password", { authorized: false });
+        });
+        const output = JSON.stringify(lines);
+        assert.ok(output.includes("Request details"));
+        for (const secret of [TEST_PASSWORD, "wrong-password", process.env.TESSIE_TOKEN]) {
+            assert.ok(!output.includes(secret), `${secret} was logged`);
+        }
+    });
+});
@@ -0,0 +1,178 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startProxy } from "./helpers/proxy.js";
+import { TEST_VIN } from "./helpers/environment.js";
+
+const { tessie, request, close } = await startProxy();
+const { createApiKey } = await import("../auth_utils.js");
+const { readAuditLog } = await import("../audit_utils.js");
+
+const HOME = { latitude: 42.6977, longitude: 23.3219 };
+
+// The commands the fake Tessie API has received, e.g. ["lock"]
+const sentCommands = () => tessie.requests
+    .filter(({ method, path }) => method === "POST" && path.startsWith(`/${TEST_VIN}/command/`))
+    .map(({ path }) => path.split("/").pop());
+
+after(close);
+
+beforeEach(() => {
+    tessie.requests.length = 0;
+    tessie.commandResult = true;
+    tessie.location = { ...HOME };
+});
+
+describe("macro routes", () => {
+    for (const [description, body] of [
+        ["a name with spaces", { name: "leave home", steps: [{ action: "lock" }] }],
+        ["a macro without steps", { name: "empty", steps: [] }],
+        ["an unknown action", { name: "bad", steps: [{ action: "self-destruct" }] }],
+        ["an unknown condition", { name: "bad", steps: [{ action: "lock", condition: "raining" }] }],
+        ["a delay over a minute", { name: "bad", steps: [{ action: "lock", delaySeconds: 120 }] }],
+        ["more than 20 steps", { name: "bad", steps: Array(21).fill({ action: "flash" }) }],
+        ["delays over two minutes in total", { name: "bad", steps: Array(3).fill({ action: "flash", delaySeconds: 60 }) }]
+    ]) {
+        it(`rejects ${description}`, async () => {
+            const response = await request("POST", "/macros", { body });
+            assert.equal(response.status, 400);
+        });
+    }
+
+    it("creates, updates and deletes a macro", async () => {
+        let response = await request("POST", "/macros", { body: { name: "temporary", steps: [{ action: "flash" }] } });
+        assert.equal(response.status, 201);
+        const created = await response.json();
+        assert.deepEqual(created.steps, [
+            { action: "flash", condition: null, delaySeconds: 0, confirm: false, continueOnFailure: false }
+        ]);
+
+        response = await request("POST", "/macros", { body: { name: "temporary", steps: [{ action: "honk" }] } });
+        assert.equal(response.status, 400);
+
+        response = await request("PUT", "/macros/temporary", { body: { steps: [{ action: "honk" }] } });
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).steps[0].action, "honk");
+
+        response = await request("DELETE", "/macros/temporary");
+        assert.equal(response.status, 204);
+        response = await request("PUT", "/macros/temporary", { body: { steps: [{ action: "honk" }] } });
+        assert.equal(response.status, 404);
+    });
+});
+
+describe("running a macro", () => {
+    let homeGeofence;
+
+    before(async () => {
+        homeGeofence = await (await request("POST", "/geofences", { body: { name: "home", ...HOME, radius: 100 } })).json();
+        await request("POST", "/macros", {
+            body: {
+                name: "arrive-home",
+                steps: [
+                    { action: "wake" },
+                    { action: "start-climate" },
+                    { action: "unlock", condition: "at-home" },
+                    { action: "open-charge-port", condition: "at-home" }
+                ]
+            }
+        });
+        await request("POST", "/macros", {
+            body: {
+                name: "find-me",
+                steps: [{ action: "honk" }, { action: "flash", delaySeconds: 0.1 }]
+            }
+        });
+        await request("POST", "/macros", {
+            body: {
+                name: "secure",
+                steps: [{ action: "lock", confirm: true }, { action: "flash" }]
+            }
+        });
+    });
+
+    it("runs every step and reports its result", async () => {
+        const response = await request("GET", "/macro/arrive-home");
+        assert.equal(response.status, 200);
+        const report = await response.json();
+        assert.equal(report.success, true);
+        assert.equal(report.vin, TEST_VIN);
+        assert.deepEqual(report.steps.map(({ action, status }) => [action, status]), [
+            ["wake", "succeeded"],
+            ["start-climate", "succeeded"],
+            ["unlock", "succeeded"],
+            ["open-charge-port", "succeeded"]
+        ]);
+        assert.deepEqual(sentCommands(), ["start_climate", "unlock", "open_charge_port"]);
+    });
+
+    it("skips the steps whose condition isn't met", async () => {
+        tessie.location = { latitude: HOME.latitude + 0.01, longitude: HOME.longitude };
+        const response = await request("GET", "/macro/arrive-home");
+        assert.equal(response.status, 200);
+        const report = await response.json();
+        assert.deepEqual(report.steps.map(({ status }) => status), ["succeeded", "succeeded", "skipped", "skipped"]);
+        assert.deepEqual(sentCommands(), ["start_climate"]);
+    });
+
+    it("checks the conditions against the home location and its radius", async () => {
+        tessie.location = { latitude: HOME.latitude + 0.01, longitude: HOME.longitude };
+        await request("PUT", `/geofences/${homeGeofence.id}`, { body: { radius: 2000 } });
+        let report = await (await request("GET", "/macro/arrive-home")).json();
+        assert.deepEqual(report.steps.map(({ status }) => status), ["succeeded", "succeeded", "succeeded", "succeeded"]);
+
+        // Without a home geofence, the home location from the environment is used
+        await request("DELETE", `/geofences/${homeGeofence.id}`);
+        report = await (await request("GET", "/macro/arrive-home")).json();
+        assert.deepEqual(report.steps.map(({ status }) => status), ["succeeded", "succeeded", "skipped", "skipped"]);
+        tessie.location = { ...HOME };
+        report = await (await request("GET", "/macro/arrive-home")).json();
+        assert.deepEqual(report.steps.map(({ status }) => status), ["succeeded", "succeeded", "succeeded", "succeeded"]);
+        homeGeofence = await (await request("POST", "/geofences", { body: { name: "home", ...HOME, radius: 100 } })).json();
+    });
+
+    it("waits before a step with a delay", async () => {
+        const response = await request("GET", "/macro/find-me");
+        assert.equal(response.status, 200);
+        const report = await response.json();
+        assert.ok(report.steps[1].elapsedMs >= 100);
+        assert.deepEqual(sentCommands(), ["honk", "flash"]);
+    });
+
+    it("stops at a failing step", async () => {
+        tessie.commandResult = false;
+        const response = await request("GET", "/macro/secure");
+        assert.equal(response.status, 502);
+        const report = await response.json();
+        assert.equal(report.success, false);
+        assert.deepEqual(report.steps.map(({ status }) => status), ["failed", "not-run"]);
+        assert.ok(report.steps[0].error);
+        assert.deepEqual(sentCommands(), ["lock"]);
+    });
+
+    it("records every step in the history", async () => {
+        await request("GET", "/macro/find-me");
+        const [macroEntry] = await readAuditLog({ command: "macro", limit: 1 });
+        const stepEntries = await readAuditLog({ command: "find", limit: 2 });
+        assert.equal(macroEntry.route, "GET /macro/find-me");
+        for (const entry of stepEntries) {
+            assert.equal(entry.requestID, macroEntry.requestID);
+            assert.equal(entry.caller.name, "password");
+            assert.equal(entry.parameters.macro, "find-me");
+        }
+    });
+
+    it("responds with 404 for an unknown macro", async () => {
+        const response = await request("GET", "/macro/unknown");
+        assert.equal(response.status, 404);
+    });
+
+    it("needs the scope of every step", async () => {
+        const watchKey = await createApiKey("watch", ["macros:run", "vehicle:find"]);
+        let response = await request("GET", "/macro/find-me", { apiKey: watchKey.apiKey });
+        assert.equal(response.status, 200);
+        tessie.requests.length = 0;
+        response = await request("GET", "/macro/arrive-home", { apiKey: watchKey.apiKey });
+        assert.equal(response.status, 403);
+        assert.deepEqual(tessie.requests, []);
+    });
+});
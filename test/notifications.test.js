@@ -0,0 +1,138 @@
+import { describe, it, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "crypto";
+import { startNotificationReceiver } from "./helpers/notification_receiver.js";
+import { startProxy } from "./helpers/proxy.js";
+import { TEST_VIN, TEST_CHARGER_ID } from "./helpers/environment.js";
+
+const WEBHOOK_SECRET = "webhook-secret";
+
+const receiver = await startNotificationReceiver();
+const { tessie, request, close } = await startProxy({
+    overrides: {
+        NOTIFY_WEBHOOK_URLS: `${receiver.url}/hook`,
+        NOTIFY_WEBHOOK_SECRET: WEBHOOK_SECRET,
+        NOTIFY_NTFY_URL: `${receiver.url}/my-car`,
+        NOTIFY_MAX_ATTEMPTS: "3",
+        NOTIFY_RETRY_DELAY_MS: "10"
+    }
+});
+const { authorizeCharging, stopCharging } = await import("../gigacharger_utils.js");
+const { runChargingSchedule } = await import("../schedule_utils.js");
+
+/**
+ * Wait for a notification - the notifications of commands and jobs are sent after
+ * they have returned
+ * @param {string} path - The path it is sent to: "/hook" or "/my-car"
+ * @param {string} event - The event, e.g. "vehicle-unlocked"
+ * @returns {Promise<Object>} - The received request, with the webhook payload if it is one
+ */
+async function waitForNotification(path, event) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const received = receiver.requests
+            .filter(request => request.path === path)
+            .map(request => path === "/hook" ? { ...request, payload: JSON.parse(request.body) } : request)
+            .find(request => (request.payload?.event ?? request.headers["tags"]) === event);
+        if (received) {
+            return received;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`No notification received for ${event} on ${path}`);
+}
+
+after(async () => {
+    await close();
+    await receiver.close();
+});
+
+beforeEach(() => {
+    receiver.requests.length = 0;
+    receiver.failures.length = 0;
+});
+
+describe("notification settings", () => {
+    it("lists the configured channels and events", async () => {
+        const response = await request("GET", "/notifications");
+        assert.equal(response.status, 200);
+        const settings = await response.json();
+        assert.deepEqual(settings.channels.map(({ type }) => type), ["webhook", "ntfy"]);
+        assert.ok(settings.events.includes("job-failed"));
+    });
+});
+
+describe("test notifications", () => {
+    it("sends a signed webhook and an ntfy message", async () => {
+        const response = await request("POST", "/notifications/test", { body: { message: "Hello" } });
+        assert.equal(response.status, 200);
+        const results = await response.json();
+        assert.ok(results.every(({ success, attempts }) => success && attempts === 1));
+
+        const webhook = receiver.requests.find(({ path }) => path === "/hook");
+        const payload = JSON.parse(webhook.body);
+        assert.equal(payload.event, "test");
+        assert.equal(payload.message, "Hello");
+        assert.ok(payload.requestID);
+        assert.equal(webhook.headers["x-signature"], createHmac("sha256", WEBHOOK_SECRET).update(webhook.body).digest("hex"));
+
+        const ntfy = receiver.requests.find(({ path }) => path === "/my-car");
+        assert.equal(ntfy.body, "Hello");
+        assert.equal(ntfy.headers["title"], "Test notification");
+        assert.equal(ntfy.headers["tags"], "test");
+    });
+
+    it("retries after a server error", async () => {
+        receiver.failures.push(503);
+        const response = await request("POST", "/notifications/test");
+        assert.equal(response.status, 200);
+        const results = await response.json();
+        assert.deepEqual(results.map(({ attempts }) => attempts).sort(), [1, 2]);
+    });
+
+    it("gives up after the maximum number of attempts", async () => {
+        receiver.failures.push(500, 500, 500, 500, 500, 500);
+        const response = await request("POST", "/notifications/test");
+        assert.equal(response.status, 502);
+        const results = await response.json();
+        assert.ok(results.every(({ success, attempts }) => !success && attempts === 3));
+    });
+
+    it("does not retry a rejected notification", async () => {
+        receiver.failures.push(400);
+        const response = await request("POST", "/notifications/test");
+        assert.equal(response.status, 502);
+        const results = await response.json();
+        assert.deepEqual(results.map(({ success, attempts }) => [success, attempts]).sort(), [[false, 1], [true, 1]]);
+    });
+});
+
+describe("events", () => {
+    it("notifies when the vehicle is unlocked", async () => {
+        const response = await request("GET", "/vehicle/unlock");
+        assert.equal(response.status, 200);
+        const { payload } = await waitForNotification("/hook", "vehicle-unlocked");
+        assert.equal(payload.details.vin, TEST_VIN);
+    });
+
+    it("notifies when charging starts and stops", async () => {
+        await authorizeCharging(TEST_CHARGER_ID, TEST_VIN);
+        const { payload: started } = await waitForNotification("/hook", "charging-started");
+        assert.equal(started.details.chargerID, TEST_CHARGER_ID);
+        assert.equal(started.details.vin, TEST_VIN);
+
+        await stopCharging();
+        const { payload: stopped } = await waitForNotification("/hook", "charging-stopped");
+        assert.equal(stopped.details.chargerID, TEST_CHARGER_ID);
+        assert.equal(stopped.details.session.active, false);
+    });
+
+    it("notifies when a job fails", async () => {
+        tessie.location = { latitude: 42.6500, longitude: 23.3800 };
+        await runChargingSchedule({ id: "nightly", cron: "0 1 * * *", radius: 100, chargerID: null, vin: null });
+        const { payload } = await waitForNotification("/hook", "job-failed");
+        assert.equal(payload.details.job, "schedule nightly");
+        assert.match(payload.message, /not at home/);
+        const ntfy = await waitForNotification("/my-car", "job-failed");
+        assert.equal(ntfy.headers["priority"], "high");
+    });
+});
@@ -0,0 +1,195 @@
+import { describe, it, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startProxy } from "./helpers/proxy.js";
+import { TEST_VIN, TEST_CHARGER_ID } from "./helpers/environment.js";
+
+const SECOND_VIN = "TESTVIN456";
+const SECOND_CHARGER_ID = "20002";
+
+const { tessie, gigacharger, request, close } = await startProxy({ vins: [TEST_VIN, SECOND_VIN] });
+const { runChargingSchedule } = await import("../schedule_utils.js");
+
+const HOME = { latitude: 42.6977, longitude: 23.3219 };
+
+// The commands the fake Tessie API has received for a vehicle, e.g. ["lock"]
+const sentCommands = (vin) => tessie.requests
+    .filter(({ method, path }) => method === "POST" && path.startsWith(`/${vin}/command/`))
+    .map(({ path }) => path.split("/").pop());
+
+after(close);
+
+beforeEach(() => {
+    tessie.requests.length = 0;
+    gigacharger.messages.length = 0;
+});
+
+describe("without a registry", () => {
+    it("uses the vehicle and the charger from the environment", async () => {
+        const response = await request("GET", "/registry");
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), {
+            vehicles: [],
+            chargers: [],
+            defaultVehicle: TEST_VIN,
+            defaultCharger: TEST_CHARGER_ID
+        });
+    });
+
+    it("accepts the vehicle from the environment", async () => {
+        const response = await request("GET", `/vehicle/lock?vin=${TEST_VIN}`);
+        assert.equal(response.status, 200);
+        assert.deepEqual(sentCommands(TEST_VIN), ["lock"]);
+    });
+
+    it("responds with 400 for any other vehicle", async () => {
+        const response = await request("GET", `/vehicle/lock?vin=${SECOND_VIN}`);
+        assert.equal(response.status, 400);
+        assert.deepEqual(tessie.requests, []);
+    });
+
+    it("does not let a crafted VIN change the call to the vehicle", async () => {
+        await request("GET", "/vehicle/unlock");
+        tessie.requests.length = 0;
+        const vin = encodeURIComponent(`${TEST_VIN}/command/unlock?x=`);
+        let response = await request("GET", `/vehicle/lock?vin=${vin}`);
+        assert.equal(response.status, 400);
+        assert.deepEqual(tessie.requests, []);
+        response = await request("GET", "/vehicle/lock-state");
+        assert.equal((await response.json()).locked, false);
+    });
+});
+
+describe("registry routes", () => {
+    for (const [description, body] of [
+        ["a vehicle without a VIN", { vehicles: [{ name: "model3" }] }],
+        ["two vehicles with the same name", { vehicles: [{ vin: TEST_VIN, name: "car" }, { vin: SECOND_VIN, name: "car" }] }],
+        ["chargers that are not a list", { chargers: { id: TEST_CHARGER_ID } }],
+        ["an unregistered default vehicle", { vehicles: [{ vin: TEST_VIN, name: "model3" }], defaultVehicle: SECOND_VIN }]
+    ]) {
+        it(`rejects ${description}`, async () => {
+            const response = await request("PUT", "/registry", { body });
+            assert.equal(response.status, 400);
+        });
+    }
+
+    it("registers two vehicles sharing two chargers", async () => {
+        const response = await request("PUT", "/registry", {
+            body: {
+                vehicles: [{ vin: TEST_VIN, name: "model3" }, { vin: SECOND_VIN, name: "modely" }],
+                chargers: [{ id: TEST_CHARGER_ID, name: "garage" }, { id: SECOND_CHARGER_ID, name: "driveway" }],
+                defaultVehicle: SECOND_VIN
+            }
+        });
+        assert.equal(response.status, 200);
+        const registry = await response.json();
+        assert.equal(registry.vehicles.length, 2);
+        assert.equal(registry.defaultVehicle, SECOND_VIN);
+        assert.equal(registry.defaultCharger, TEST_CHARGER_ID);
+    });
+
+    it("keeps the fields that are not supplied", async () => {
+        const response = await request("PUT", "/registry", { body: { defaultVehicle: TEST_VIN } });
+        assert.equal(response.status, 200);
+        const registry = await response.json();
+        assert.equal(registry.vehicles.length, 2);
+        assert.equal(registry.chargers.length, 2);
+        assert.equal(registry.defaultVehicle, TEST_VIN);
+    });
+});
+
+describe("selecting a vehicle", () => {
+    it("sends commands to the default vehicle", async () => {
+        const response = await request("GET", "/vehicle/frunk");
+        assert.equal(response.status, 200);
+        assert.deepEqual(sentCommands(TEST_VIN), ["activate_front_trunk"]);
+        assert.deepEqual(sentCommands(SECOND_VIN), []);
+    });
+
+    it("selects a vehicle by VIN or by name", async () => {
+        let response = await request("GET", `/vehicle/climate?vin=${SECOND_VIN}`);
+        assert.equal(response.status, 200);
+        response = await request("GET", "/vehicle/charge-port?vin=modely");
+        assert.equal(response.status, 200);
+        assert.deepEqual(sentCommands(SECOND_VIN), ["start_climate", "open_charge_port"]);
+        assert.deepEqual(sentCommands(TEST_VIN), []);
+    });
+
+    it("tracks the lock state of every vehicle", async () => {
+        await request("GET", "/vehicle/unlock?vin=model3");
+        await request("GET", "/vehicle/lock?vin=modely");
+        let response = await request("GET", "/vehicle/lock-state?vin=model3");
+        assert.equal((await response.json()).locked, false);
+        response = await request("GET", "/vehicle/lock-state?vin=modely");
+        assert.equal((await response.json()).locked, true);
+    });
+
+    it("responds with 400 for an unknown vehicle", async () => {
+        let response = await request("GET", "/vehicle/unlock?vin=UNKNOWN");
+        assert.equal(response.status, 400);
+        response = await request("GET", "/vehicle/lock-state?vin=UNKNOWN");
+        assert.equal(response.status, 400);
+        assert.deepEqual(tessie.requests, []);
+    });
+});
+
+describe("selecting a charger", () => {
+    it("authorizes charging on the selected charger for the selected vehicle", async () => {
+        let response = await request("GET", "/gigacharger/start?charger=driveway&vin=modely");
+        assert.equal(response.status, 200);
+        assert.deepEqual(gigacharger.messages, [["drain/start", SECOND_CHARGER_ID]]);
+
+        response = await request("GET", "/gigacharger/session?charger=driveway");
+        assert.equal(response.status, 200);
+        const session = await response.json();
+        assert.equal(session.chargerID, SECOND_CHARGER_ID);
+        assert.equal(session.vin, SECOND_VIN);
+
+        response = await request("GET", `/gigacharger/stop?charger=${SECOND_CHARGER_ID}`);
+        assert.equal(response.status, 200);
+        assert.deepEqual(gigacharger.messages.at(-1), ["drain/stop", SECOND_CHARGER_ID]);
+    });
+
+    it("keeps a session for every charger", async () => {
+        await request("GET", "/gigacharger/start?vin=model3");
+        assert.deepEqual(gigacharger.messages, [["drain/start", TEST_CHARGER_ID]]);
+        const response = await request("GET", "/gigacharger/session?charger=driveway");
+        const session = await response.json();
+        assert.equal(session.active, false);
+        assert.equal(session.vin, SECOND_VIN);
+        await request("GET", "/gigacharger/stop");
+    });
+
+    it("responds with 400 for an unknown charger", async () => {
+        const response = await request("GET", "/gigacharger/start?charger=99999");
+        assert.equal(response.status, 400);
+        assert.deepEqual(gigacharger.messages, []);
+    });
+});
+
+describe("schedules for a vehicle and a charger", () => {
+    it("stores the VIN and the charger ID of the names", async () => {
+        const response = await request("POST", "/schedules", { body: { cron: "0 1 * * *", vin: "modely", chargerID: "driveway" } });
+        assert.equal(response.status, 201);
+        const created = await response.json();
+        assert.equal(created.vin, SECOND_VIN);
+        assert.equal(created.chargerID, SECOND_CHARGER_ID);
+    });
+
+    it("rejects an unknown vehicle", async () => {
+        const response = await request("POST", "/schedules", { body: { cron: "0 1 * * *", vin: "UNKNOWN" } });
+        assert.equal(response.status, 400);
+    });
+
+    it("checks the location of the vehicle of the schedule", async () => {
+        tessie.vehicles[TEST_VIN].location = { ...HOME };
+        tessie.vehicles[SECOND_VIN].location = { latitude: HOME.latitude + 0.01, longitude: HOME.longitude };
+        const chargingSchedule = { id: "modely", cron: "0 1 * * *", chargerID: SECOND_CHARGER_ID, vin: SECOND_VIN, radius: 100, enabled: true };
+        await runChargingSchedule(chargingSchedule);
+        assert.deepEqual(gigacharger.messages, []);
+
+        tessie.vehicles[SECOND_VIN].location = { ...HOME };
+        await runChargingSchedule(chargingSchedule);
+        assert.deepEqual(gigacharger.messages, [["drain/start", SECOND_CHARGER_ID]]);
+        await request("GET", "/gigacharger/stop?charger=driveway");
+    });
+});
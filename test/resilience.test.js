@@ -0,0 +1,197 @@
+import { describe, it, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startProxy } from "./helpers/proxy.js";
+import { TEST_VIN, TEST_PASSWORD } from "./helpers/environment.js";
+
+const { baseUrl, tessie, gigacharger, request, close } = await startProxy({
+    overrides: {
+        UPSTREAM_TIMEOUT_MS: "300",
+        CIRCUIT_BREAKER_THRESHOLD: "3",
+        CIRCUIT_BREAKER_RESET_MS: "200"
+    }
+});
+const { getVehicleLocation, applyClimateSettings } = await import("../vehicle_utils.js");
+const { stopCharging } = await import("../gigacharger_utils.js");
+const { getCircuitStates, getRetryDelay, resetCircuits, UpstreamTimeoutError } = await import("../resilience_utils.js");
+const { sendConfirmedCommand } = await import("../command_utils.js");
+const { readChargingSessions } = await import("../charging_history_utils.js");
+
+// The requests the fake Tessie API has received, e.g. ["GET /TESTVIN123/location"]
+const tessieRequests = () => tessie.requests.map(({ method, path }) => `${method} ${path}`);
+
+after(close);
+
+beforeEach(() => {
+    resetCircuits();
+    tessie.requests.length = 0;
+    tessie.failWithStatus = null;
+    tessie.failures.length = 0;
+    tessie.delayMs = 0;
+    gigacharger.replyToCommands = true;
+});
+
+describe("retries", () => {
+    it("backs off with jitter", () => {
+        for (let i = 0; i < 20; i++) {
+            const firstDelay = getRetryDelay(1);
+            const secondDelay = getRetryDelay(2);
+            assert.ok(firstDelay >= 2 && firstDelay <= 5, `first delay ${firstDelay}`);
+            assert.ok(secondDelay >= 5 && secondDelay <= 10, `second delay ${secondDelay}`);
+        }
+    });
+
+    it("retries a read after a server error", async () => {
+        tessie.failures.push(503, 502);
+        assert.deepEqual(await getVehicleLocation(), { latitude: 42.6977, longitude: 23.3219 });
+        assert.equal(tessieRequests().length, 3);
+    });
+
+    it("gives up after the last retry", async () => {
+        tessie.failWithStatus = 500;
+        await assert.rejects(getVehicleLocation(), /status code 500/);
+        assert.equal(tessieRequests().length, 3);
+    });
+
+    it("does not retry a rejected read", async () => {
+        tessie.failures.push(404);
+        await assert.rejects(getVehicleLocation(), /status code 404/);
+        assert.equal(tessieRequests().length, 1);
+    });
+
+    it("does not retry a command", async () => {
+        tessie.failures.push(503);
+        const response = await request("GET", "/vehicle/frunk");
+        assert.equal(response.status, 502);
+        assert.deepEqual(tessieRequests(), [`POST /${TEST_VIN}/command/activate_front_trunk`]);
+    });
+
+    it("retries a command that can be repeated", async () => {
+        tessie.failures.push(503);
+        await applyClimateSettings(TEST_VIN, { temperature: 21 });
+        assert.equal(tessieRequests().length, 2);
+        assert.equal(tessie.vehicleState.climate_state.driver_temp_setting, 21);
+    });
+});
+
+describe("timeouts", () => {
+    it("responds with 504 when Tessie does not respond in time", async () => {
+        tessie.delayMs = 500;
+        const response = await request("GET", "/vehicle/frunk");
+        assert.equal(response.status, 504);
+        const body = await response.json();
+        assert.equal(body.code, "upstream-timeout");
+        assert.equal(body.upstream, "tessie");
+    });
+
+    it("reports a confirmed command that timed out as its outcome", async () => {
+        tessie.delayMs = 1500;
+        const response = await request("GET", "/vehicle/lock?confirm=true&timeout=1");
+        assert.equal(response.status, 504);
+        const outcome = await response.json();
+        assert.equal(outcome.command, "lock");
+        assert.equal(outcome.success, false);
+        assert.equal(outcome.timedOut, true);
+
+        const wakeOutcome = await sendConfirmedCommand({
+            command: "door_lock",
+            send: async () => {
+                throw new UpstreamTimeoutError("tesla", "Vehicle did not wake up in time");
+            },
+            getLiveState: async () => ({})
+        });
+        assert.equal(wakeOutcome.success, false);
+        assert.equal(wakeOutcome.timedOut, true);
+    });
+
+    it("responds with 504 when Gigacharger does not reply", async () => {
+        gigacharger.replyToCommands = false;
+        const response = await request("GET", "/gigacharger/start");
+        assert.equal(response.status, 504);
+        assert.equal((await response.json()).upstream, "gigacharger");
+        gigacharger.replyToCommands = true;
+        await stopCharging();
+        // Let the session be recorded, so that its state of charge read doesn't reach the next test
+        while ((await readChargingSessions()).length === 0) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    });
+});
+
+describe("circuit breaker", () => {
+    it("fails fast while Tessie is down and recovers after the reset time", async () => {
+        tessie.failWithStatus = 500;
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await request("GET", "/vehicle/frunk")).status, 502);
+        }
+        assert.equal(getCircuitStates().tessie.state, "open");
+
+        const response = await request("GET", "/vehicle/frunk");
+        assert.equal(response.status, 503);
+        assert.ok(Number(response.headers.get("retry-after")) >= 1);
+        const body = await response.json();
+        assert.equal(body.code, "upstream-unavailable");
+        assert.equal(body.upstream, "tessie");
+        assert.equal(tessieRequests().length, 3);
+
+        tessie.failWithStatus = null;
+        await new Promise(resolve => setTimeout(resolve, 250));
+        assert.equal((await request("GET", "/vehicle/frunk")).status, 200);
+        assert.equal(getCircuitStates().tessie.state, "closed");
+    });
+
+    it("opens again when the trial call fails", async () => {
+        tessie.failWithStatus = 500;
+        for (let i = 0; i < 3; i++) {
+            await request("GET", "/vehicle/frunk");
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+        assert.equal((await request("GET", "/vehicle/frunk")).status, 502);
+        assert.equal(getCircuitStates().tessie.state, "open");
+        assert.equal((await request("GET", "/vehicle/frunk")).status, 503);
+    });
+
+    it("stays closed when Tessie rejects calls", async () => {
+        tessie.failWithStatus = 404;
+        for (let i = 0; i < 4; i++) {
+            assert.equal((await request("GET", "/vehicle/frunk")).status, 502);
+        }
+        assert.equal(getCircuitStates().tessie.state, "closed");
+    });
+});
+
+describe("error responses", () => {
+    it("responds with JSON for invalid requests", async () => {
+        const response = await request("GET", "/vehicle/climate?temperature=40");
+        assert.equal(response.status, 400);
+        const body = await response.json();
+        assert.equal(body.code, "invalid-request");
+        assert.match(body.error, /temperature/);
+        assert.equal(body.requestID, response.headers.get("x-request-id"));
+    });
+
+    it("responds with JSON for unauthorized requests", async () => {
+        const response = await request("GET", "/vehicle/frunk", { authorized: false });
+        assert.equal(response.status, 401);
+        assert.deepEqual(await response.json(), {
+            error: "Unauthorized",
+            code: "unauthorized",
+            requestID: response.headers.get("x-request-id")
+        });
+    });
+
+    it("responds with JSON for unknown routes", async () => {
+        const response = await request("GET", "/vehicle/teleport");
+        assert.equal(response.status, 404);
+        assert.equal((await response.json()).code, "not-found");
+    });
+
+    it("responds with JSON for a malformed body", async () => {
+        const response = await fetch(`${baseUrl}/geofences?password=${TEST_PASSWORD}`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: "{ not json"
+        });
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).code, "invalid-request");
+    });
+});
@@ -0,0 +1,347 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync } from "fs";
+import { readFile, writeFile } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { startProxy } from "./helpers/proxy.js";
+import { TEST_VIN, TEST_CHARGER_ID } from "./helpers/environment.js";
+
+const { tessie, gigacharger, directory, request, close } = await startProxy();
+
+// The commands the fake Tessie API has received, e.g. ["lock", "unlock"]
+const sentCommands = () => tessie.requests
+    .filter(({ method, path }) => method === "POST" && path.startsWith(`/${TEST_VIN}/command/`))
+    .map(({ path }) => path.split("/").pop());
+
+after(async () => {
+    await request("GET", "/gigacharger/stop");
+    await close();
+});
+
+beforeEach(() => {
+    tessie.requests.length = 0;
+    tessie.commandResult = true;
+    tessie.failWithStatus = null;
+});
+
+describe("authorization", () => {
+    it("responds to the root route without a password", async () => {
+        const response = await request("GET", "/", { authorized: false });
+        assert.equal(response.status, 200);
+    });
+
+    for (const [method, route] of [
+        ["GET", "/vehicle/unlock"],
+        ["GET", "/vehicle/lock"],
+        ["GET", "/vehicle/toggle-lock"],
+        ["GET", "/vehicle/lock-state"],
+        ["GET", "/vehicle/charge-port"],
+        ["GET", "/vehicle/charge-port/close"],
+        ["GET", "/vehicle/frunk"],
+        ["GET", "/vehicle/trunk"],
+        ["GET", "/vehicle/sentry/on"],
+        ["GET", "/vehicle/windows/vent"],
+        ["GET", "/vehicle/charge-limit?percent=80"],
+        ["GET", "/vehicle/charging/start"],
+        ["GET", "/vehicle/climate"],
+        ["GET", "/vehicle/find"],
+        ["GET", "/gigacharger/start"],
+        ["GET", "/gigacharger/stop"],
+        ["GET", "/gigacharger/session"],
+        ["GET", "/schedules"],
+        ["POST", "/schedules"],
+        ["PUT", "/schedules/some-id"],
+        ["DELETE", "/schedules/some-id"],
+        ["GET", "/planner/plan"],
+        ["POST", "/planner/plan"],
+        ["DELETE", "/planner/plan"],
+        ["GET", "/reports/charging"],
+        ["GET", "/reports/charging/sessions"],
+        ["GET", "/auth/me"],
+        ["GET", "/health"],
+        ["GET", "/simulator"],
+        ["PUT", "/simulator"],
+        ["GET", "/tesla/api/generate-partner-token"],
+        ["GET", "/tesla/api/register"],
+        ["GET", "/tesla/api/login"]
+    ]) {
+        it(`rejects ${method} ${route} without the password`, async () => {
+            const response = await request(method, route, { authorized: false });
+            assert.equal(response.status, 401);
+            assert.deepEqual(sentCommands(), []);
+        });
+    }
+
+    it("rejects a wrong password", async () => {
+        const response = await request("GET", "/vehicle/unlock?password=wrong", { authorized: false });
+        assert.equal(response.status, 401);
+    });
+});
+
+describe("vehicle routes", () => {
+    for (const [route, command] of [
+        ["/vehicle/unlock", "unlock"],
+        ["/vehicle/lock", "lock"],
+        ["/vehicle/charge-port", "open_charge_port"],
+        ["/vehicle/frunk", "activate_front_trunk"],
+        ["/vehicle/climate", "start_climate"]
+    ]) {
+        it(`${route} sends the "${command}" command to Tessie`, async () => {
+            const response = await request("GET", route);
+            assert.equal(response.status, 200);
+            assert.deepEqual(sentCommands(), [command]);
+            const commandRequest = tessie.requests.find(({ method }) => method === "POST");
+            assert.equal(commandRequest.headers.authorization, "Bearer test-tessie-token");
+        });
+    }
+
+    it("responds with 502 when Tessie fails", async () => {
+        tessie.failWithStatus = 500;
+        const response = await request("GET", "/vehicle/frunk");
+        assert.equal(response.status, 502);
+        const body = await response.json();
+        assert.equal(body.code, "upstream-error");
+        assert.equal(body.upstream, "tessie");
+        assert.equal(body.requestID, response.headers.get("x-request-id"));
+    });
+
+    it("confirms a command once the vehicle state has changed", async () => {
+        tessie.vehicleState.vehicle_state.locked = false;
+        const response = await request("GET", "/vehicle/lock?confirm=true&timeout=5");
+        assert.equal(response.status, 200);
+        const outcome = await response.json();
+        assert.equal(outcome.command, "lock");
+        assert.equal(outcome.success, true);
+        assert.equal(outcome.stateVerified, true);
+        assert.equal(outcome.timedOut, false);
+    });
+
+    it("responds with 502 when the vehicle does not carry out a confirmed command", async () => {
+        tessie.commandResult = false;
+        const response = await request("GET", "/vehicle/unlock?confirm=true&timeout=5");
+        assert.equal(response.status, 502);
+        const outcome = await response.json();
+        assert.equal(outcome.success, false);
+        assert.equal(outcome.timedOut, false);
+    });
+
+    it("toggles the lock based on the tracked lock state", async () => {
+        tessie.vehicleState.vehicle_state.locked = true;
+        tessie.vehicleState.vehicle_state.timestamp = Date.now();
+
+        let response = await request("GET", "/vehicle/toggle-lock");
+        assert.equal(response.status, 200);
+        assert.deepEqual(sentCommands(), ["unlock"]);
+
+        response = await request("GET", "/vehicle/lock-state");
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).locked, false);
+
+        response = await request("GET", "/vehicle/toggle-lock");
+        assert.equal(response.status, 200);
+        assert.deepEqual(sentCommands(), ["unlock", "lock"]);
+    });
+
+    it("flashes the lights and honks to find the vehicle", async () => {
+        const response = await request("GET", "/vehicle/find?numberOfFlashes=2&useHorn=true");
+        assert.equal(response.status, 200);
+        assert.deepEqual(sentCommands(), ["honk", "flash", "flash"]);
+    });
+
+    it("flashes the lights the default number of times or not at all", async () => {
+        let response = await request("GET", "/vehicle/find");
+        assert.equal(response.status, 200);
+        assert.deepEqual(sentCommands(), ["flash", "flash", "flash"]);
+        tessie.requests.length = 0;
+        response = await request("GET", "/vehicle/find?numberOfFlashes=0&useHorn=true");
+        assert.equal(response.status, 200);
+        assert.deepEqual(sentCommands(), ["honk"]);
+    });
+
+    it("rejects an invalid number of flashes", async () => {
+        for (const numberOfFlashes of ["9", "-1", "abc", "2.5"]) {
+            const response = await request("GET", `/vehicle/find?numberOfFlashes=${numberOfFlashes}`);
+            assert.equal(response.status, 400);
+            assert.equal((await response.json()).error, "numberOfFlashes must be a whole number between 0 and 5");
+        }
+        assert.deepEqual(sentCommands(), []);
+    });
+});
+
+describe("gigacharger routes", () => {
+    it("authorizes charging on the configured charger", async () => {
+        const response = await request("GET", "/gigacharger/start");
+        assert.equal(response.status, 200);
+        assert.deepEqual(gigacharger.messages.at(-1), ["drain/start", TEST_CHARGER_ID]);
+    });
+
+    it("reports the charging session", async () => {
+        const response = await request("GET", "/gigacharger/session");
+        assert.equal(response.status, 200);
+        const session = await response.json();
+        assert.equal(session.chargerID, TEST_CHARGER_ID);
+        assert.equal(session.active, true);
+        assert.equal(session.energyKWh, 0.25);
+        assert.equal(session.cost, 0.1);
+    });
+
+    it("stops charging", async () => {
+        const response = await request("GET", "/gigacharger/stop");
+        assert.equal(response.status, 200);
+        assert.deepEqual(gigacharger.messages.at(-1), ["drain/stop", TEST_CHARGER_ID]);
+        assert.equal((await response.json()).active, false);
+    });
+});
+
+describe("schedule routes", () => {
+    let scheduleID;
+
+    it("creates a schedule", async () => {
+        const response = await request("POST", "/schedules", { body: { cron: "30 23 * * *", radius: 50 } });
+        assert.equal(response.status, 201);
+        const created = await response.json();
+        assert.equal(created.cron, "30 23 * * *");
+        assert.equal(created.radius, 50);
+        assert.equal(created.chargerID, null);
+        assert.equal(created.enabled, true);
+        scheduleID = created.id;
+    });
+
+    it("rejects an invalid schedule", async () => {
+        const response = await request("POST", "/schedules", { body: { cron: "not a cron" } });
+        assert.equal(response.status, 400);
+    });
+
+    it("lists the schedules", async () => {
+        const response = await request("GET", "/schedules");
+        assert.equal(response.status, 200);
+        assert.deepEqual((await response.json()).map(({ id }) => id), [scheduleID]);
+    });
+
+    it("updates a schedule", async () => {
+        const response = await request("PUT", `/schedules/${scheduleID}`, { body: { enabled: false } });
+        assert.equal(response.status, 200);
+        const updated = await response.json();
+        assert.equal(updated.enabled, false);
+        assert.equal(updated.cron, "30 23 * * *");
+    });
+
+    it("responds with 404 for an unknown schedule", async () => {
+        let response = await request("PUT", "/schedules/unknown", { body: { enabled: false } });
+        assert.equal(response.status, 404);
+        response = await request("DELETE", "/schedules/unknown");
+        assert.equal(response.status, 404);
+    });
+
+    it("deletes a schedule", async () => {
+        let response = await request("DELETE", `/schedules/${scheduleID}`);
+        assert.equal(response.status, 204);
+        response = await request("GET", "/schedules");
+        assert.deepEqual(await response.json(), []);
+    });
+});
+
+describe("planner routes", () => {
+    before(async () => {
+        await writeFile(process.env.SETTINGS_FILE, JSON.stringify({
+            planner: { tariff: [{ from: "00:00", to: "24:00", price: 0.2 }] }
+        }));
+        tessie.vehicleState.charge_state.battery_level = 50;
+    });
+
+    it("responds with 404 when there is no plan", async () => {
+        const response = await request("GET", "/planner/plan");
+        assert.equal(response.status, 404);
+    });
+
+    it("rejects a plan without a valid departure", async () => {
+        let response = await request("POST", "/planner/plan", { body: { departure: "25:99" } });
+        assert.equal(response.status, 400);
+        response = await request("POST", "/planner/plan", { body: { departure: "24:30" } });
+        assert.equal(response.status, 400);
+    });
+
+    it("rejects a plan when the tariff does not cover the time until the departure", async () => {
+        const { planner } = JSON.parse(await readFile(process.env.SETTINGS_FILE, "utf8"));
+        for (const tariff of [[], [{ from: "00:00", to: "00:01", price: 0.2 }]]) {
+            await writeFile(process.env.SETTINGS_FILE, JSON.stringify({ planner: { tariff } }));
+            const response = await request("POST", "/planner/plan", { body: { departure: "07:30", targetSOC: 60 } });
+            assert.equal(response.status, 400);
+            assert.match((await response.json()).error, /^No price known for .* - the tariff or the hourly prices must cover the time until the departure$/);
+        }
+        await writeFile(process.env.SETTINGS_FILE, JSON.stringify({ planner }));
+    });
+
+    it("creates, gets and cancels a plan", async () => {
+        let response = await request("POST", "/planner/plan", { body: { departure: "07:30", targetSOC: 60 } });
+        assert.equal(response.status, 201);
+        const plan = await response.json();
+        assert.equal(plan.currentSOC, 50);
+        assert.equal(plan.targetSOC, 60);
+        assert.equal(plan.status, "scheduled");
+        assert.ok(new Date(plan.end) <= new Date(plan.departure));
+
+        response = await request("GET", "/planner/plan");
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).start, plan.start);
+
+        response = await request("DELETE", "/planner/plan");
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).status, "cancelled");
+    });
+
+    it("starts charging right away when the window has already begun", async () => {
+        gigacharger.messages.length = 0;
+        // With a flat tariff, the cheapest window starts now
+        let response = await request("POST", "/planner/plan", { body: { departure: "07:30", targetSOC: 60 } });
+        const plan = await response.json();
+        assert.ok(new Date(plan.start) <= new Date());
+        let status = plan.status;
+        for (let attempt = 0; attempt < 50 && status === "scheduled"; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            status = (await (await request("GET", "/planner/plan")).json()).status;
+        }
+        assert.equal(status, "charging");
+        assert.deepEqual(gigacharger.messages, [["drain/start", TEST_CHARGER_ID]]);
+
+        response = await request("DELETE", "/planner/plan");
+        assert.equal((await response.json()).status, "cancelled");
+    });
+});
+
+describe("other routes", () => {
+    it("hides the simulator when another vehicle provider is in use", async () => {
+        let response = await request("GET", "/simulator");
+        assert.equal(response.status, 404);
+        response = await request("PUT", "/simulator", { body: { locked: false } });
+        assert.equal(response.status, 404);
+    });
+
+    it("serves the public key if there is one", async () => {
+        const keyFile = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "keys", "public-key.pem");
+        const response = await request("GET", "/.well-known/appspecific/com.tesla.3p.public-key.pem", { authorized: false });
+        assert.equal(response.status, existsSync(keyFile) ? 200 : 500);
+    });
+
+    it("does not start the Tesla login without a client ID", async () => {
+        const response = await request("GET", "/tesla/api/login");
+        assert.equal(response.status, 500);
+    });
+
+    it("does not register the application without a domain", async () => {
+        const response = await request("GET", "/tesla/api/register");
+        assert.equal(response.status, 500);
+    });
+
+    it("rejects a Tesla callback without a code", async () => {
+        const response = await request("GET", "/tesla/api/callback?error=access_denied", { authorized: false });
+        assert.equal(response.status, 400);
+    });
+
+    it("rejects a Tesla callback for a login that was not started", async () => {
+        const response = await request("GET", "/tesla/api/callback?code=abc&state=unknown", { authorized: false });
+        assert.equal(response.status, 500);
+        assert.equal(existsSync(path.join(directory, "tesla_tokens.json")), false);
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, it, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import schedule from "node-schedule";
+import { startFakeTessie } from "./helpers/fake_tessie.js";
+import { startFakeGigacharger } from "./helpers/fake_gigacharger.js";
+import { configureTestEnvironment, TEST_VIN } from "./helpers/environment.js";
+
+const tessie = await startFakeTessie(TEST_VIN);
+const gigacharger = await startFakeGigacharger();
+configureTestEnvironment({ tessie, gigacharger });
+const { runChargingSchedule, loadSchedules, createSchedule } = await import("../schedule_utils.js");
+const { stopCharging } = await import("../gigacharger_utils.js");
+const { createGeofence, deleteGeofence } = await import("../geofence_utils.js");
+
+const HOME = { latitude: 42.6977, longitude: 23.3219 };
+
+after(async () => {
+    await schedule.gracefulShutdown();
+    await tessie.close();
+    await gigacharger.close();
+});
+
+beforeEach(() => {
+    gigacharger.messages.length = 0;
+    tessie.failWithStatus = null;
+    tessie.location = { ...HOME };
+});
+
+describe("running a charging schedule", () => {
+    const chargingSchedule = { id: "test", cron: "0 22 * * *", chargerID: "20001", radius: 100, enabled: true };
+
+    it("authorizes charging when the vehicle is at home", async () => {
+        await runChargingSchedule(chargingSchedule);
+        assert.deepEqual(gigacharger.messages, [["drain/start", "20001"]]);
+        await stopCharging("20001");
+    });
+
+    it("does not authorize charging when the vehicle is away", async () => {
+        tessie.location = { latitude: HOME.latitude + 0.01, longitude: HOME.longitude };
+        await runChargingSchedule(chargingSchedule);
+        assert.deepEqual(gigacharger.messages, []);
+    });
+
+    it("takes the radius of the schedule into account", async () => {
+        // About 55 m north of home
+        tessie.location = { latitude: HOME.latitude + 0.0005, longitude: HOME.longitude };
+        await runChargingSchedule({ ...chargingSchedule, radius: 30 });
+        assert.deepEqual(gigacharger.messages, []);
+        await runChargingSchedule({ ...chargingSchedule, radius: 100 });
+        assert.deepEqual(gigacharger.messages, [["drain/start", "20001"]]);
+        await stopCharging("20001");
+    });
+
+    it("checks the location against the home geofence", async () => {
+        // About 1.1 km north of home
+        const moved = { latitude: HOME.latitude + 0.01, longitude: HOME.longitude };
+        const home = await createGeofence({ name: "home", ...moved });
+        await runChargingSchedule(chargingSchedule);
+        assert.deepEqual(gigacharger.messages, []);
+        tessie.location = moved;
+        await runChargingSchedule(chargingSchedule);
+        assert.deepEqual(gigacharger.messages, [["drain/start", "20001"]]);
+        await stopCharging("20001");
+        await deleteGeofence(home.id);
+    });
+
+    it("does not throw when the vehicle location is unavailable", async () => {
+        tessie.failWithStatus = 500;
+        await runChargingSchedule(chargingSchedule);
+        assert.deepEqual(gigacharger.messages, []);
+    });
+});
+
+describe("managing schedules", () => {
+    it("creates the default schedule when there are none", async () => {
+        const schedules = await loadSchedules();
+        assert.equal(schedules.length, 1);
+        assert.equal(schedules[0].cron, "0 22 * * *");
+        assert.equal(schedules[0].chargerID, null);
+        assert.equal(schedules[0].vin, null);
+        assert.equal(schedules[0].enabled, true);
+    });
+
+    for (const [description, input] of [
+        ["a malformed cron expression", { cron: "every night" }],
+        ["an invalid cron expression", { cron: "99 99 * * *" }],
+        ["a negative radius", { radius: -5 }],
+        ["a non-boolean enabled flag", { enabled: "yes" }]
+    ]) {
+        it(`rejects ${description}`, async () => {
+            await assert.rejects(createSchedule(input), { name: "ValidationError" });
+        });
+    }
+});
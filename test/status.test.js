@@ -0,0 +1,90 @@
+import { describe, it, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startProxy } from "./helpers/proxy.js";
+import { TEST_VIN } from "./helpers/environment.js";
+
+const { tessie, request, close } = await startProxy({ overrides: { VEHICLE_STATUS_MAX_AGE_SECONDS: "600" } });
+const { clearVehicleStatusCache } = await import("../vehicle_status_utils.js");
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Get the status of the vehicle
+ * @param {string} [query] - Additional query parameters, e.g. "wake=true"
+ * @returns {Promise<Response>}
+ */
+function getStatus(query = "") {
+    return request("GET", `/vehicle/status?${query}`);
+}
+
+// The state requests the fake Tessie API has received, by whether they may use the cache
+const stateRequests = () => tessie.requests
+    .filter(({ path }) => path === `/${TEST_VIN}/state`)
+    .map(({ query }) => query.use_cache === "true" ? "cached" : "live");
+
+after(close);
+
+beforeEach(() => {
+    clearVehicleStatusCache();
+    tessie.requests.length = 0;
+    tessie.vehicleState.vehicle_state.timestamp = Date.now() - MINUTE;
+});
+
+describe("vehicle status", () => {
+    it("returns the status from the cached state without waking the vehicle", async () => {
+        const response = await getStatus();
+        assert.equal(response.status, 200);
+        const status = await response.json();
+        assert.equal(status.vin, TEST_VIN);
+        assert.equal(status.batteryLevel, 50);
+        assert.equal(status.rangeKm, 249);
+        assert.equal(status.chargingState, "Disconnected");
+        assert.equal(status.locked, true);
+        assert.deepEqual(status.location, { latitude: 42.6977, longitude: 23.3219 });
+        assert.equal(status.climate.on, false);
+        assert.equal(status.sentryMode, false);
+        assert.equal(status.woken, false);
+        assert.equal(status.cached, false);
+        assert.deepEqual(stateRequests(), ["cached"]);
+    });
+
+    it("serves the status from memory", async () => {
+        await getStatus();
+        const response = await getStatus();
+        assert.equal((await response.json()).cached, true);
+        assert.deepEqual(stateRequests(), ["cached"]);
+    });
+
+    it("shares one provider call between concurrent requests", async () => {
+        const responses = await Promise.all([getStatus(), getStatus(), getStatus()]);
+        assert.ok(responses.every(response => response.status === 200));
+        assert.deepEqual(stateRequests(), ["cached"]);
+    });
+
+    it("wakes the vehicle when the cached state is too old", async () => {
+        tessie.vehicleState.vehicle_state.timestamp = Date.now() - 20 * MINUTE;
+        const response = await getStatus();
+        const status = await response.json();
+        assert.equal(status.woken, true);
+        assert.ok(Date.now() - new Date(status.updatedAt).getTime() < MINUTE);
+        assert.deepEqual(stateRequests(), ["cached", "live"]);
+    });
+
+    it("wakes the vehicle when asked to", async () => {
+        await getStatus();
+        const response = await getStatus("wake=true");
+        const status = await response.json();
+        assert.equal(status.woken, true);
+        assert.equal(status.cached, false);
+        assert.deepEqual(stateRequests(), ["cached", "live"]);
+    });
+
+    it("forgets the status kept in memory after a command", async () => {
+        await getStatus();
+        await request("GET", "/vehicle/unlock");
+        const response = await getStatus();
+        const status = await response.json();
+        assert.equal(status.cached, false);
+        assert.equal(status.locked, false);
+    });
+});
@@ -0,0 +1,153 @@
+import { describe, it, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startProxy } from "./helpers/proxy.js";
+import { TEST_VIN } from "./helpers/environment.js";
+
+const { tessie, request, close } = await startProxy();
+const { createApiKey } = await import("../auth_utils.js");
+const { readAuditLog } = await import("../audit_utils.js");
+const simulatedVehicle = await import("../simulated_vehicle_utils.js");
+
+// The commands the fake Tessie API has received with their parameters, e.g. [["set_charge_limit", { percent: "80" }]]
+const sentCommands = () => tessie.requests
+    .filter(({ method, path }) => method === "POST" && path.startsWith(`/${TEST_VIN}/command/`))
+    .map(({ path, query }) => {
+        const { wait_for_completion, ...parameters } = query;
+        return [path.split("/").pop(), parameters];
+    });
+
+after(close);
+
+beforeEach(() => {
+    tessie.requests.length = 0;
+    tessie.commandResult = true;
+});
+
+describe("vehicle command routes", () => {
+    for (const [route, command, parameters] of [
+        ["/vehicle/trunk", "activate_rear_trunk", {}],
+        ["/vehicle/sentry/on", "enable_sentry", {}],
+        ["/vehicle/sentry/off", "disable_sentry", {}],
+        ["/vehicle/windows/vent", "vent_windows", {}],
+        ["/vehicle/windows/close", "close_windows", {}],
+        ["/vehicle/charge-limit?percent=90", "set_charge_limit", { percent: "90" }],
+        ["/vehicle/charging-amps?amps=16", "set_charging_amps", { amps: "16" }],
+        ["/vehicle/charging/start", "start_charging", {}],
+        ["/vehicle/charging/stop", "stop_charging", {}],
+        ["/vehicle/charge-port/close", "close_charge_port", {}]
+    ]) {
+        it(`${route} sends the "${command}" command to Tessie`, async () => {
+            const response = await request("GET", route);
+            assert.equal(response.status, 200);
+            assert.deepEqual(sentCommands(), [[command, parameters]]);
+        });
+    }
+
+    for (const route of [
+        "/vehicle/charge-limit",
+        "/vehicle/charge-limit?percent=49",
+        "/vehicle/charge-limit?percent=101",
+        "/vehicle/charge-limit?percent=80.5",
+        "/vehicle/charging-amps?amps=4",
+        "/vehicle/charging-amps?amps=49",
+        "/vehicle/charging-amps?amps=many"
+    ]) {
+        it(`rejects ${route}`, async () => {
+            const response = await request("GET", route);
+            assert.equal(response.status, 400);
+            assert.equal((await response.json()).code, "invalid-request");
+            assert.deepEqual(sentCommands(), []);
+        });
+    }
+
+    it("confirms the charge limit once the vehicle state has changed", async () => {
+        const response = await request("GET", "/vehicle/charge-limit?percent=70&confirm=true&timeout=5");
+        assert.equal(response.status, 200);
+        const outcome = await response.json();
+        assert.equal(outcome.command, "set_charge_limit");
+        assert.equal(outcome.success, true);
+        assert.equal(outcome.stateVerified, true);
+        assert.equal(tessie.vehicleState.charge_state.charge_limit_soc, 70);
+    });
+
+    it("records the commands in the command history", async () => {
+        await request("GET", "/vehicle/charging-amps?amps=10");
+        const [entry] = await readAuditLog({ command: "charging-amps" });
+        assert.equal(entry.success, true);
+        assert.equal(entry.parameters.amps, "10");
+    });
+
+    it("needs the scope of the command", async () => {
+        const windowsKey = await createApiKey("watch", ["vehicle:windows"]);
+        const options = { apiKey: windowsKey.apiKey };
+        assert.equal((await request("GET", "/vehicle/windows/vent", options)).status, 200);
+        assert.equal((await request("GET", "/vehicle/sentry/on", options)).status, 403);
+        assert.equal((await request("GET", "/vehicle/charge-limit?percent=80", options)).status, 403);
+    });
+});
+
+describe("simulated vehicle", () => {
+    it("carries out the commands", async () => {
+        await simulatedVehicle.openTrunk(TEST_VIN);
+        await simulatedVehicle.setSentryMode(TEST_VIN, true);
+        await simulatedVehicle.ventWindows(TEST_VIN);
+        await simulatedVehicle.setChargeLimit(TEST_VIN, 90);
+        await simulatedVehicle.setChargingAmps(TEST_VIN, 8);
+        await simulatedVehicle.startVehicleCharging(TEST_VIN);
+        let vehicleState = await simulatedVehicle.getVehicleState(TEST_VIN);
+        assert.equal(vehicleState.vehicle_state.rt, 1);
+        assert.equal(vehicleState.vehicle_state.sentry_mode, true);
+        assert.equal(vehicleState.vehicle_state.fd_window, 1);
+        assert.equal(vehicleState.charge_state.charge_limit_soc, 90);
+        assert.equal(vehicleState.charge_state.charge_current_request, 8);
+        assert.equal(vehicleState.charge_state.charging_state, "Charging");
+
+        await simulatedVehicle.closeWindows(TEST_VIN);
+        await simulatedVehicle.stopVehicleCharging(TEST_VIN);
+        const outcome = await simulatedVehicle.closeChargePort(TEST_VIN, { confirm: true });
+        assert.equal(outcome.success, true);
+        vehicleState = await simulatedVehicle.getVehicleState(TEST_VIN);
+        assert.equal(vehicleState.vehicle_state.fd_window, 0);
+        assert.equal(vehicleState.charge_state.charging_state, "Stopped");
+        assert.equal(vehicleState.charge_state.charge_port_door_open, false);
+    });
+
+    it("rejects unknown and invalid options without changing anything", async () => {
+        const options = await simulatedVehicle.configureSimulatedVehicle(TEST_VIN, { locked: false, sleepAfterMs: null });
+        assert.equal(options.locked, false);
+        for (const [invalidOptions, message] of [
+            [{ failingCommands: null }, /^failingCommands must be a list of command names - not null$/],
+            [{ locked: "false" }, /^locked must be true or false - not "false"$/],
+            [{ sleepAfterMs: "soon" }, /^sleepAfterMs must be null or a number of at least 0/],
+            [{ failureRate: 2 }, /^failureRate must be a number between 0 and 1 - not 2$/],
+            [{ locked: true, speed: 120 }, /^Unknown simulator options: speed$/],
+            [[], /^The simulator options must be an object$/]
+        ]) {
+            await assert.rejects(simulatedVehicle.configureSimulatedVehicle(TEST_VIN, invalidOptions), {
+                name: "ValidationError",
+                message
+            });
+        }
+        assert.equal((await simulatedVehicle.configureSimulatedVehicle(TEST_VIN, {})).locked, false);
+    });
+
+    it("only simulates the known vehicles", async () => {
+        await assert.rejects(simulatedVehicle.getVehicleState("UNKNOWNVIN"), {
+            name: "ValidationError",
+            message: /^Unknown vehicle: UNKNOWNVIN/
+        });
+        await assert.rejects(simulatedVehicle.configureSimulatedVehicle("UNKNOWNVIN", { locked: false }), {
+            name: "ValidationError"
+        });
+    });
+
+    it("times out a confirmed command that takes too long", async () => {
+        await simulatedVehicle.configureSimulatedVehicle(TEST_VIN, { commandDelayMs: 1000 });
+        const startTime = Date.now();
+        const outcome = await simulatedVehicle.lockVehicle(TEST_VIN, { confirm: true, timeout: 100 });
+        assert.ok(Date.now() - startTime < 1000);
+        assert.equal(outcome.success, false);
+        assert.equal(outcome.timedOut, true);
+        await simulatedVehicle.configureSimulatedVehicle(TEST_VIN, { commandDelayMs: 0 });
+    });
+});
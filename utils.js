@@ -1,3 +1,9 @@
+import dotenv from "dotenv";
+import { AsyncLocalStorage } from "async_hooks";
+
+// The log settings are read as soon as this module is loaded, before the other modules
+dotenv.config();
+
 /**
  * Get the current date and time as a formatted string
  * @returns The current date and time in the following format: 24-Nov-2024 19:05:33.394
@@ -18,15 +24,144 @@ export function getDateTime() {
     return `${day}-${month}-${year} ${hours}:${minutes}:${seconds}.${milliseconds}`;
 }
 
-export const headersAsString = (headers) =>
-    Object.entries(headers)
-        .map(([key, value]) => `\t -> ${key}: ${value}`)
-        .join('\n');
+// The log levels, from the most to the least verbose
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Parse a log level from the environment variables
+ * @param {string} [level] - The level, e.g. "debug"
+ * @returns {string|null} - The level or null if it is unknown
+ */
+function parseLogLevel(level) {
+    const normalizedLevel = level?.trim().toLowerCase();
+    return LOG_LEVELS[normalizedLevel] ? normalizedLevel : null;
+}
+
+// "text" for human readable lines (default) or "json" for one JSON object per line
+const LOG_FORMAT = process.env.LOG_FORMAT === "json" ? "json" : "text";
+
+// The level used for every module without its own level
+const DEFAULT_LOG_LEVEL = parseLogLevel(process.env.LOG_LEVEL) ?? "info";
 
-export function logMessage(message) {
-    console.log(`[${getDateTime()}] ${message}`);
+// Levels for single modules, e.g. LOG_LEVELS="tessie=debug,gigacharger=warn"
+const MODULE_LOG_LEVELS = Object.fromEntries(
+    (process.env.LOG_LEVELS ?? "")
+        .split(",")
+        .map(entry => entry.split("="))
+        .filter(([module, level]) => module?.trim() && parseLogLevel(level))
+        .map(([module, level]) => [module.trim(), parseLogLevel(level)])
+);
+
+// Keys whose values are never logged
+const SECRET_KEY_PATTERN = /authorization|cookie|password|secret|token|api-?key|signature|session-?id/i;
+
+// Secrets inside of strings, e.g. in URLs, headers or cookies
+const SECRET_VALUE_PATTERNS = [
+    [/\b(Bearer|Basic)\s+[^\s,;"']+/gi, "$1 [REDACTED]"],
+    [/\b(password|token|access_token|refresh_token|id_token|client_secret|code|manix-sess)=[^&;\s"',]+/gi, "$1=[REDACTED]"]
+];
+
+/**
+ * Remove passwords, tokens, cookies and other secrets from a value before it is logged
+ * @param {any} value - A string, or an object or array that may hold secrets at any depth
+ * @param {number} [depth] - How deep the value is nested, to stop at circular references
+ * @returns {any} - A copy of the value without the secrets
+ */
+export function redact(value, depth = 0) {
+    if (typeof value === "string") {
+        return SECRET_VALUE_PATTERNS.reduce(
+            (redactedValue, [pattern, replacement]) => redactedValue.replace(pattern, replacement),
+            value
+        );
+    }
+    if (value === null || typeof value !== "object" || depth > 10) {
+        return value;
+    }
+    if (value instanceof Error) {
+        return { name: value.name, message: redact(value.message) };
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+    // Turns e.g. axios' headers into a plain object
+    const plainValue = typeof value.toJSON === "function" ? value.toJSON() : value;
+    if (plainValue === null || typeof plainValue !== "object") {
+        return redact(plainValue, depth + 1);
+    }
+    return Object.fromEntries(Object.entries(plainValue).map(([key, item]) => [
+        key,
+        SECRET_KEY_PATTERN.test(key) && item !== null && item !== undefined && item !== ""
+            ? "[REDACTED]"
+            : redact(item, depth + 1)
+    ]));
 }
 
-export function logError(errorMessage) {
-    console.error(`[${getDateTime()}] ${errorMessage}`);
-}
\ No newline at end of file
+/**
+ * Holds the ID of the route call being handled, so that every log line - including
+ * those of the outgoing API calls - can be tied to it
+ */
+export const requestContext = new AsyncLocalStorage();
+
+/**
+ * Get the ID of the route call being handled
+ * @returns {string|null} - The request ID or null outside of a route call, e.g. in a job
+ */
+export function getRequestID() {
+    return requestContext.getStore()?.requestID ?? null;
+}
+
+/**
+ * Write a log line, if the level is enabled for the module
+ * @param {string} level - The level: debug, info, warn or error
+ * @param {string} module - The module that logs
+ * @param {string} message - The message
+ * @param {Object} [fields] - Additional structured data
+ */
+function writeLog(level, module, message, fields = {}) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[MODULE_LOG_LEVELS[module] ?? DEFAULT_LOG_LEVEL]) {
+        return;
+    }
+    const requestID = getRequestID();
+    const redactedMessage = redact(String(message));
+    const redactedFields = redact(fields);
+    const output = LOG_LEVELS[level] >= LOG_LEVELS.warn ? console.error : console.log;
+    if (LOG_FORMAT === "json") {
+        // The fields come first, so that they cannot overwrite the keys every line has
+        output(JSON.stringify({
+            ...redactedFields,
+            time: new Date().toISOString(),
+            level,
+            module,
+            requestID,
+            message: redactedMessage
+        }));
+        return;
+    }
+    const context = requestID ? `${module} ${requestID}` : module;
+    const details = Object.keys(redactedFields).length > 0 ? ` ${JSON.stringify(redactedFields)}` : "";
+    output(`[${getDateTime()}] ${level.toUpperCase()} [${context}] ${redactedMessage}${details}`);
+}
+
+/**
+ * Create a logger for a module. Secrets are redacted from every message and field.
+ * The level of the module can be set with LOG_LEVELS, e.g. LOG_LEVELS="tessie=debug".
+ * @param {string} module - The name of the module, e.g. "tessie"
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}} - The
+ * logger - every function takes a message and optional structured fields
+ */
+export function createLogger(module) {
+    return Object.fromEntries(Object.keys(LOG_LEVELS).map(level => [
+        level,
+        (message, fields) => writeLog(level, module, message, fields)
+    ]));
+}
+
+/**
+ * An error caused by invalid input supplied by the caller, e.g. a bad request parameter
+ */
+export class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "ValidationError";
+    }
+}
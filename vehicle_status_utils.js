@@ -0,0 +1,148 @@
+import dotenv from "dotenv";
+import { createLogger } from "./utils.js";
+import { resolveVIN } from "./registry_utils.js";
+import { getVehicleState } from "./vehicle_utils.js";
+
+dotenv.config();
+
+const logger = createLogger("status");
+
+// The vehicle is woken up when the state reported by the provider is older than this
+const STATUS_MAX_AGE_MS = Number(process.env.VEHICLE_STATUS_MAX_AGE_SECONDS ?? 15 * 60) * 1000;
+
+// How long a status is served from memory before the provider is asked again
+const STATUS_CACHE_MS = Number(process.env.VEHICLE_STATUS_CACHE_SECONDS ?? 30) * 1000;
+
+const KM_PER_MILE = 1.609344;
+
+// The last status of every vehicle, by VIN: { status, fetchedAt }
+const cachedStatuses = new Map();
+
+// The status requests to the provider in progress, by VIN, so that concurrent
+// requests for the same vehicle share one call - and one wake
+const pendingFetches = new Map();
+
+/**
+ * Get when the state reported by the provider was last updated by the vehicle
+ * @param {Object} vehicleState - The vehicle state in Tessie's shape
+ * @returns {number|null} - The newest timestamp of any part of the state, or null if none
+ */
+function getStateTimestamp(vehicleState) {
+    const timestamps = ["charge_state", "climate_state", "drive_state", "vehicle_state"]
+        .map(section => vehicleState[section]?.timestamp)
+        .filter(timestamp => typeof timestamp === "number");
+    return timestamps.length > 0 ? Math.max(...timestamps) : null;
+}
+
+/**
+ * Turn the vehicle state of the provider into the status returned by /vehicle/status
+ * @param {string} vin - The VIN of the vehicle
+ * @param {Object} vehicleState - The vehicle state in Tessie's shape
+ * @param {boolean} woken - Whether the vehicle was woken up for this state
+ * @returns {Object} - The status
+ */
+function buildStatus(vin, vehicleState, woken) {
+    const chargeState = vehicleState["charge_state"] ?? {};
+    const climateState = vehicleState["climate_state"] ?? {};
+    const driveState = vehicleState["drive_state"] ?? {};
+    const state = vehicleState["vehicle_state"] ?? {};
+    const timestamp = getStateTimestamp(vehicleState);
+    return {
+        vin,
+        state: vehicleState.state ?? null,
+        batteryLevel: chargeState.battery_level ?? null,
+        // The providers report the range in miles
+        rangeKm: typeof chargeState.battery_range === "number"
+            ? Math.round(chargeState.battery_range * KM_PER_MILE)
+            : null,
+        chargingState: chargeState.charging_state ?? null,
+        chargeLimit: chargeState.charge_limit_soc ?? null,
+        locked: state.locked ?? null,
+        location: typeof driveState.latitude === "number"
+            ? { latitude: driveState.latitude, longitude: driveState.longitude }
+            : null,
+        climate: {
+            on: climateState.is_climate_on ?? null,
+            insideTemperature: climateState.inside_temp ?? null,
+            outsideTemperature: climateState.outside_temp ?? null,
+            temperatureSetting: climateState.driver_temp_setting ?? null
+        },
+        sentryMode: state.sentry_mode ?? null,
+        updatedAt: timestamp ? new Date(timestamp).toISOString() : null,
+        woken
+    };
+}
+
+/**
+ * Ask the provider for the state of a vehicle. The provider's cached state is used
+ * unless a wake is requested or the cached state is older than the maximum age.
+ * If waking the vehicle fails, the cached state is returned with the error.
+ * @param {string} vin - The VIN of the vehicle
+ * @param {boolean} wake - Whether to wake the vehicle for a live state
+ * @param {number} maxAge - The maximum age of the cached state, in milliseconds
+ * @returns {Promise<Object>} - The status
+ */
+async function fetchVehicleStatus(vin, wake, maxAge) {
+    let cachedState = null;
+    if (!wake) {
+        cachedState = await getVehicleState(vin, true);
+        const timestamp = getStateTimestamp(cachedState);
+        if (timestamp && Date.now() - timestamp <= maxAge) {
+            return buildStatus(vin, cachedState, false);
+        }
+        logger.info(`The state of ${vin} is ${timestamp ? `${Math.round((Date.now() - timestamp) / 1000)} s old` : "of unknown age"} - waking the vehicle`);
+    }
+    try {
+        return buildStatus(vin, await getVehicleState(vin, false), true);
+    } catch (error) {
+        if (!cachedState) {
+            throw error;
+        }
+        logger.warn(`Could not wake ${vin} - returning the cached state: ${error.message}`);
+        return { ...buildStatus(vin, cachedState, false), wakeError: error.message };
+    }
+}
+
+/**
+ * Get the status of a vehicle: battery, range, charging, lock state, location, climate
+ * and sentry mode. The vehicle is only woken up when asked to or when the state the
+ * provider has is older than VEHICLE_STATUS_MAX_AGE_SECONDS - waking is slow and drains
+ * the battery. Statuses are kept in memory for VEHICLE_STATUS_CACHE_SECONDS.
+ * @param {string} [requestedVIN] - The VIN or name of the vehicle - the default vehicle if not supplied
+ * @param {Object} [options]
+ * @param {boolean} [options.wake] - Wake the vehicle for a live state (default false)
+ * @param {number} [options.maxAge] - The maximum age of the provider's state in
+ * milliseconds (default VEHICLE_STATUS_MAX_AGE_SECONDS)
+ * @returns {Promise<Object>} - The status, with `cached` set if it was served from memory
+ * @throws {ValidationError} - If the vehicle is not registered
+ */
+export async function getVehicleStatus(requestedVIN, { wake = false, maxAge = STATUS_MAX_AGE_MS } = {}) {
+    const vin = await resolveVIN(requestedVIN);
+    const cachedStatus = cachedStatuses.get(vin);
+    if (!wake && cachedStatus && Date.now() - cachedStatus.fetchedAt < STATUS_CACHE_MS) {
+        return { ...cachedStatus.status, cached: true };
+    }
+    const fetchKey = `${vin}:${wake}`;
+    if (!pendingFetches.has(fetchKey)) {
+        const fetch = fetchVehicleStatus(vin, wake, maxAge)
+            .then((status) => {
+                cachedStatuses.set(vin, { status, fetchedAt: Date.now() });
+                return status;
+            })
+            .finally(() => pendingFetches.delete(fetchKey));
+        pendingFetches.set(fetchKey, fetch);
+    }
+    return { ...(await pendingFetches.get(fetchKey)), cached: false };
+}
+
+/**
+ * Forget the statuses kept in memory, e.g. after a command has changed the vehicle
+ * @param {string} [vin] - The VIN of the vehicle - all vehicles if not supplied
+ */
+export function clearVehicleStatusCache(vin) {
+    if (vin) {
+        cachedStatuses.delete(vin);
+    } else {
+        cachedStatuses.clear();
+    }
+}
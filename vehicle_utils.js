@@ -0,0 +1,148 @@
+import dotenv from "dotenv";
+import { default as haversine } from "haversine-distance";
+import * as tessie from "./tessie_utils.js";
+import * as teslaFleetApi from "./tesla_api_utils.js";
+import * as simulatedVehicle from "./simulated_vehicle_utils.js";
+import { resolveVIN } from "./registry_utils.js";
+import { ValidationError } from "./utils.js";
+
+dotenv.config();
+
+/**
+ * A vehicle provider controls the vehicles through some backend. Every provider is a
+ * module exporting these functions, which all take the VIN of the vehicle first. The
+ * command functions take optional { confirm, timeout } options and return the outcome
+ * of the command in confirm mode.
+ * @typedef {Object} VehicleProvider
+ * @property {function(string): Promise<void|Object>} lockVehicle
+ * @property {function(string): Promise<void|Object>} unlockVehicle
+ * @property {function(string): Promise<void|Object>} openFrunk
+ * @property {function(string): Promise<void|Object>} openOrUnlockChargePort
+ * @property {function(string): Promise<void|Object>} closeChargePort
+ * @property {function(string): Promise<void|Object>} openTrunk - The rear trunk
+ * @property {function(string, boolean): Promise<void|Object>} setSentryMode - Turn sentry mode on or off
+ * @property {function(string): Promise<void|Object>} ventWindows
+ * @property {function(string): Promise<void|Object>} closeWindows
+ * @property {function(string, number): Promise<void|Object>} setChargeLimit - In percent
+ * @property {function(string, number): Promise<void|Object>} setChargingAmps
+ * @property {function(string): Promise<void|Object>} startVehicleCharging - Start charging on the vehicle's side
+ * @property {function(string): Promise<void|Object>} stopVehicleCharging - Stop charging on the vehicle's side
+ * @property {function(string): Promise<void|Object>} startClimate
+ * @property {function(string): Promise<void|Object>} stopClimate
+ * @property {function(string, Object): Promise<void>} applyClimateSettings - Change only
+ * the supplied climate settings, see parseClimateSettings() in climate_utils.js
+ * @property {function(string, number, boolean): Promise<void>} findVehicle
+ * @property {function(string): Promise<{latitude: number, longitude: number}>} getVehicleLocation
+ * @property {function(string, boolean, Object): Promise<Object>} getVehicleState - The state in Tessie's shape
+ */
+const PROVIDER_FUNCTIONS = [
+    "lockVehicle",
+    "unlockVehicle",
+    "openFrunk",
+    "openOrUnlockChargePort",
+    "closeChargePort",
+    "openTrunk",
+    "setSentryMode",
+    "ventWindows",
+    "closeWindows",
+    "setChargeLimit",
+    "setChargingAmps",
+    "startVehicleCharging",
+    "stopVehicleCharging",
+    "startClimate",
+    "stopClimate",
+    "applyClimateSettings",
+    "findVehicle",
+    "getVehicleLocation",
+    "getVehicleState"
+];
+
+/** @type {Object<string, VehicleProvider>} */
+const PROVIDERS = {
+    tessie,
+    tesla: teslaFleetApi,
+    simulator: simulatedVehicle
+};
+
+for (const [name, provider] of Object.entries(PROVIDERS)) {
+    const missingFunctions = PROVIDER_FUNCTIONS.filter(fn => typeof provider[fn] !== "function");
+    if (missingFunctions.length > 0) {
+        throw new Error(`Vehicle provider "${name}" is missing: ${missingFunctions.join(", ")}`);
+    }
+}
+
+// Which backend controls the vehicle: "tessie" (default), "tesla" for the Tesla Fleet API
+// or "simulator" for an in-memory vehicle
+export const VEHICLE_PROVIDER = process.env.VEHICLE_PROVIDER || "tessie";
+
+if (!PROVIDERS[VEHICLE_PROVIDER]) {
+    throw new Error(`Unknown vehicle provider "${VEHICLE_PROVIDER}" - use one of: ${Object.keys(PROVIDERS).join(", ")}`);
+}
+
+const provider = PROVIDERS[VEHICLE_PROVIDER];
+
+export const VEHICLE_HOME_LATITUDE = process.env.VEHICLE_HOME_LATITUDE;
+export const VEHICLE_HOME_LONGITUDE = process.env.VEHICLE_HOME_LONGITUDE;
+
+/**
+ * Wrap a function of the configured provider so that its first argument selects the
+ * vehicle by VIN or registered name - the default vehicle if it is not supplied
+ * @param {string} fn - The name of the provider function
+ * @returns {function(string, ...any): Promise<any>} - The wrapped function
+ */
+const withVehicle = (fn) => async (vin, ...args) => provider[fn](await resolveVIN(vin), ...args);
+
+// The vehicle functions of the configured provider
+export const getVehicleLocation = withVehicle("getVehicleLocation");
+export const getVehicleState = withVehicle("getVehicleState");
+export const unlockVehicle = withVehicle("unlockVehicle");
+export const lockVehicle = withVehicle("lockVehicle");
+export const openOrUnlockChargePort = withVehicle("openOrUnlockChargePort");
+export const closeChargePort = withVehicle("closeChargePort");
+export const openFrunk = withVehicle("openFrunk");
+export const openTrunk = withVehicle("openTrunk");
+export const setSentryMode = withVehicle("setSentryMode");
+export const ventWindows = withVehicle("ventWindows");
+export const closeWindows = withVehicle("closeWindows");
+export const setChargeLimit = withVehicle("setChargeLimit");
+export const setChargingAmps = withVehicle("setChargingAmps");
+export const startVehicleCharging = withVehicle("startVehicleCharging");
+export const stopVehicleCharging = withVehicle("stopVehicleCharging");
+export const startClimate = withVehicle("startClimate");
+export const stopClimate = withVehicle("stopClimate");
+export const applyClimateSettings = withVehicle("applyClimateSettings");
+export const findVehicle = withVehicle("findVehicle");
+
+// How many times the lights can be flashed to find the vehicle, and the default
+const MAX_NUMBER_OF_FLASHES = 5;
+const DEFAULT_NUMBER_OF_FLASHES = 3;
+
+/**
+ * Parse how many times to flash the lights to find the vehicle, from the query string
+ * @param {string} [numberOfFlashes] - The number of flashes, 0-5 (default 3)
+ * @returns {number}
+ * @throws {ValidationError} - If the value is not a whole number or out of range
+ */
+export function parseNumberOfFlashes(numberOfFlashes) {
+    if (numberOfFlashes === undefined || numberOfFlashes === "") {
+        return DEFAULT_NUMBER_OF_FLASHES;
+    }
+    const number = typeof numberOfFlashes === "string" ? Number(numberOfFlashes) : NaN;
+    if (!Number.isInteger(number) || number < 0 || number > MAX_NUMBER_OF_FLASHES) {
+        throw new ValidationError(`numberOfFlashes must be a whole number between 0 and ${MAX_NUMBER_OF_FLASHES}`);
+    }
+    return number;
+}
+
+/**
+ * Get if the vehicle is at a given location
+ * @param {string} [vin] - The VIN of the vehicle - the default vehicle if not supplied
+ * @param {number} targetLatitude - Latitude of location to check
+ * @param {number} targetLongitude - Longitude of location to check
+ * @param {number} radius - The radius (accuracy) in meters - default 100m
+ */
+export async function isVehicleInTargetLocation(vin, targetLatitude, targetLongitude, radius = 100) {
+    const vehicleLocation = await getVehicleLocation(vin);
+    const targetLocation = { latitude: targetLatitude, longitude: targetLongitude };
+    return haversine(targetLocation, vehicleLocation) <= radius;
+}